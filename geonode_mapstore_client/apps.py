@@ -21,6 +21,7 @@ def run_setup_hooks(*args, **kwargs):
     from django.conf.urls import include
     from django.urls import re_path
     from geonode.api.urls import router
+    from geonode.base.api.views import ResourceBaseViewSet
     from geonode.security.permissions import VIEW_PERMISSIONS, OWNER_PERMISSIONS
     from geonode.groups.conf import settings as groups_settings
 
@@ -107,6 +108,14 @@ def run_setup_hooks(*args, **kwargs):
         },
     }
 
+    # sort and filter the catalog by metadata completeness score
+    from geonode_mapstore_client.filters import MetadataCompletenessFilter
+    if MetadataCompletenessFilter not in ResourceBaseViewSet.filter_backends:
+        ResourceBaseViewSet.filter_backends = [
+            *ResourceBaseViewSet.filter_backends,
+            MetadataCompletenessFilter,
+        ]
+
     settings.CACHES["search_services"] = {
         "BACKEND": "django.core.cache.backends.locmem.LocMemCache",
         "TIMEOUT": 300,
@@ -130,7 +139,15 @@ def run_setup_hooks(*args, **kwargs):
             "executions",
             "thumbnail_url",
             "created",
-            "favorite"
+            "favorite",
+            # used by the default rules of the metadata completeness score
+            "keywords",
+            "category",
+            "license",
+            "temporal_extent_start",
+            "temporal_extent_end",
+            # additional fields used by custom rules of the metadata completeness score
+            *getattr(settings, "MAPSTORE_CATALOG_EXTRA_FIELDS", []),
         ],
     }
     settings.REST_API_PRESETS["dataset_list"] = {
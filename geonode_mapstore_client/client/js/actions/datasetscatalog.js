@@ -0,0 +1,22 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export const ADD_DATASETS_GROUP = 'GEONODE:ADD_DATASETS_GROUP';
+
+/**
+* Add a list of layers to the map inside a new group
+* @param {string} title title of the new group
+* @param {object[]} layers list of layer configurations
+*/
+export function addDatasetsGroup(title, layers) {
+    return {
+        type: ADD_DATASETS_GROUP,
+        title,
+        layers
+    };
+}
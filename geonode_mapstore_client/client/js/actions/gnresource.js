@@ -43,6 +43,7 @@ export const SET_SELECTED_LAYER = 'GEONODE:SET_SELECTED_LAYER';
 export const UPDATE_LAYER_DATASET = 'GEONODE:UPDATE_LAYER_DATASET';
 export const SET_SELECTED_LAYER_DATASET = 'GEONODE:SET_SELECTED_LAYER_DATASET';
 export const REQUEST_RESOURCE = 'GEONODE:REQUEST_RESOURCE';
+export const SET_RESOURCE_VERSION = 'GEONODE:SET_RESOURCE_VERSION';
 
 /**
 * Actions for GeoNode resource
@@ -298,12 +299,20 @@ export function resetGeoLimits() {
     };
 }
 
-export function processResources(processType, resources, redirectTo) {
+/**
+* Apply a process of the resource service to a list of resources
+* @param {string} processType one of the ProcessTypes values
+* @param {array} resources list of resources to process
+* @param {string|boolean} redirectTo path to redirect after the request
+* @param {object} options additional options of the process (eg. `batchId`, `group`, `permissions`, `value`)
+*/
+export function processResources(processType, resources, redirectTo, options) {
     return {
         type: PROCESS_RESOURCES,
         processType,
         resources,
-        redirectTo
+        redirectTo,
+        options
     };
 }
 
@@ -402,3 +411,14 @@ export function requestResource(resource) {
         resource
     };
 }
+
+/**
+ * Update the version of the resource used to detect concurrent changes on save
+ * @param {string} lastUpdated `last_updated` value of the resource stored on the server
+ */
+export function setResourceVersion(lastUpdated) {
+    return {
+        type: SET_RESOURCE_VERSION,
+        lastUpdated
+    };
+}
@@ -12,6 +12,9 @@ export const SAVE_ERROR = 'GEONODE:SAVE_ERROR';
 export const CLEAR_SAVE = 'GEONODE:CLEAR_SAVE';
 export const SAVE_CONTENT = 'GEONODE:SAVE_CONTENT';
 export const SAVE_DIRECT_CONTENT = 'GEONODE:SAVE_DIRECT_CONTENT';
+export const REVERT_RESOURCE_CHANGE = 'GEONODE:REVERT_RESOURCE_CHANGE';
+export const SET_SAVE_CONFLICT = 'GEONODE:SET_SAVE_CONFLICT';
+export const RESOLVE_SAVE_CONFLICT = 'GEONODE:RESOLVE_SAVE_CONFLICT';
 
 /**
  * Actions for GeoNode save workflow
@@ -77,9 +80,47 @@ export function saveContent(id, metadata, reload, showNotifications) {
 
 /**
 * Save or updates a resource (trigger epic actions.gnsaveDirectContent)
+* @param {object} options save options
+* @param {bool} options.force save the resource even if the server copy has been updated after it has been loaded
 */
-export function saveDirectContent() {
+export function saveDirectContent({ force } = {}) {
     return {
-        type: SAVE_DIRECT_CONTENT
+        type: SAVE_DIRECT_CONTENT,
+        force
+    };
+}
+
+/**
+* Restore the initial value of a pending change of the resource (trigger epic actions.gnRevertResourceChange)
+* @param {object} change change entry as returned by selectors.resource.getResourceChanges
+*/
+export function revertResourceChange(change) {
+    return {
+        type: REVERT_RESOURCE_CHANGE,
+        change
+    };
+}
+
+/**
+* Store the server copy of a resource updated after it has been loaded
+* @param {object} conflict server copy of the resource `{ resource, data }`
+*/
+export function setSaveConflict(conflict) {
+    return {
+        type: SET_SAVE_CONFLICT,
+        conflict
+    };
+}
+
+/**
+* Resolve a save conflict (trigger epic actions.gnResolveSaveConflict)
+* @param {string} strategy one of `overwrite`, `reload` or `merge`
+* @param {object} choices selected version (`local` or `remote`) for each merge conflict id, used only by the `merge` strategy
+*/
+export function resolveSaveConflict(strategy, choices) {
+    return {
+        type: RESOLVE_SAVE_CONFLICT,
+        strategy,
+        choices
     };
 }
@@ -9,10 +9,21 @@
 import axios from '@mapstore/framework/libs/ajax';
 import WKT from 'ol/format/WKT';
 import GeoJSON from 'ol/format/GeoJSON';
+import KML from 'ol/format/KML';
+import { get as getProjection } from 'ol/proj';
 import uuid from 'uuid';
+import { getDatasetOWSUrl } from '@js/api/geonode/statistics';
+import {
+    GeoLimitsFileFormats,
+    getGeoLimitsFileFormat,
+    getPolygonsCoordinates,
+    getGeoJSONProjection
+} from '@js/utils/GeoLimitsUtils';
+import { readFile, readShapefileArchive } from '@js/utils/FileUtils';
 
 const wktFormat = new WKT();
 const geoJSONFormat = new GeoJSON();
+const kmlFormat = new KML({ extractStyles: false });
 
 function geoJSONToWKT(collection) {
     try {
@@ -78,3 +89,95 @@ export const deleteGeoLimits = (resourceId, id, type = 'user') => {
     return axios.delete(`/security/geolimits/${resourceId}?${type}_id=${id}`)
         .then(({ data }) => data);
 };
+
+/**
+ * Convert a GeoJSON object in the list of polygon features used as geo limits
+ * @param {object} geojson GeoJSON FeatureCollection, Feature or Geometry in EPSG:4326
+ * @return {object[]} list of polygon features with a unique id
+ */
+export const geoJSONToGeoLimits = (geojson) => getPolygonsCoordinates(geojson)
+    .map((coordinates) => {
+        const id = uuid();
+        return {
+            type: 'Feature',
+            properties: { id },
+            id,
+            geometry: {
+                type: 'Polygon',
+                coordinates
+            }
+        };
+    });
+
+/**
+ * Convert a WKT text in the list of polygon features used as geo limits
+ * @param {string} wkt WKT text in EPSG:4326
+ * @return {object[]} list of polygon features
+ */
+export const wktToGeoLimits = (wkt) => {
+    const features = wktFormat.readFeatures(wkt.trim());
+    return geoJSONToGeoLimits(JSON.parse(geoJSONFormat.writeFeatures(features)));
+};
+
+// GeoJSON files with a legacy crs member are reprojected to EPSG:4326, unknown projections are rejected
+const geoJSONFileToGeoLimits = (geojson) => {
+    const projection = getGeoJSONProjection(geojson);
+    if (!projection) {
+        return geoJSONToGeoLimits(geojson);
+    }
+    if (!getProjection(projection)) {
+        throw new Error('crs');
+    }
+    const features = geoJSONFormat.readFeatures(geojson, { dataProjection: projection, featureProjection: 'EPSG:4326' });
+    return geoJSONToGeoLimits(JSON.parse(geoJSONFormat.writeFeatures(features)));
+};
+
+/**
+ * Read a GeoJSON, KML, zipped shapefile or WKT file and convert its polygons in geo limits features
+ * @param {File} file file to read
+ * @return {promise} list of polygon features, the promise is rejected for not supported, empty files or unknown projections (`crs` error)
+ */
+export const readGeoLimitsFile = (file) => {
+    const format = getGeoLimitsFileFormat(file?.name);
+    const read = {
+        [GeoLimitsFileFormats.GEOJSON]: () => readFile(file, 'readAsText')
+            .then((text) => geoJSONFileToGeoLimits(JSON.parse(text))),
+        [GeoLimitsFileFormats.KML]: () => readFile(file, 'readAsText')
+            .then((text) => geoJSONToGeoLimits(JSON.parse(geoJSONFormat.writeFeatures(
+                kmlFormat.readFeatures(text, { featureProjection: 'EPSG:4326' })
+            )))),
+        [GeoLimitsFileFormats.SHAPEFILE]: () => readShapefileArchive(file)
+            .then((collections) => geoJSONToGeoLimits(collections)),
+        [GeoLimitsFileFormats.WKT]: () => readFile(file, 'readAsText')
+            .then((text) => wktToGeoLimits(text))
+    }[format];
+    if (!read) {
+        return Promise.reject(new Error('unsupported'));
+    }
+    return read()
+        .then((features) => features.length
+            ? features
+            : Promise.reject(new Error('empty')));
+};
+
+/**
+ * Get the features of a dataset in EPSG:4326 to use as geo limits
+ * @param {object} resource dataset resource
+ * @param {object} options
+ * @param {number} options.maxFeatures max number of features requested
+ * @return {promise} GeoJSON FeatureCollection, the total number of features is available with `getFeatureCollectionTotal`
+ */
+export const getDatasetGeoLimitsFeatures = (resource, { maxFeatures = 100 } = {}) => {
+    return axios.get(getDatasetOWSUrl(resource), {
+        params: {
+            service: 'WFS',
+            version: '1.1.0',
+            request: 'GetFeature',
+            typeName: resource?.alternate,
+            outputFormat: 'application/json',
+            srsName: 'EPSG:4326',
+            maxFeatures
+        }
+    })
+        .then(({ data }) => data);
+};
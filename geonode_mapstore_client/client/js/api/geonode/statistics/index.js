@@ -0,0 +1,141 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from '@mapstore/framework/libs/ajax';
+import {
+    isNumericAttribute,
+    getAggregateRequestBody,
+    parseAggregateResponse,
+    parseHistogramResponse,
+    parseHitsResponse
+} from '@js/utils/DatasetAttributesUtils';
+import { parseTimeDomainResponse, parseTimeValue } from '@js/utils/TimeSeriesUtils';
+
+/**
+ * Get the OWS endpoint of the GeoServer publishing a dataset
+ * @param {object} resource dataset resource
+ * @return {string} url of the OWS service
+ */
+export const getDatasetOWSUrl = (resource) => {
+    const { url } = (resource?.links || []).find(({ link_type: linkType }) => ['OGC:WFS', 'OGC:WMS'].includes(linkType)) || {};
+    return (resource?.dataset_ows_url || url || '').split('?')[0];
+};
+
+const executeAggregate = (owsUrl, options) =>
+    axios.post(owsUrl, getAggregateRequestBody(options), {
+        params: {
+            service: 'WPS',
+            version: '1.0.0',
+            request: 'Execute'
+        },
+        headers: {
+            'Content-Type': 'application/xml'
+        }
+    })
+        .then(({ data }) => data);
+
+const getNullCount = (owsUrl, typeName, attribute) =>
+    axios.get(owsUrl, {
+        params: {
+            service: 'WFS',
+            version: '1.1.0',
+            request: 'GetFeature',
+            typeName,
+            resultType: 'hits',
+            cql_filter: `"${attribute}" IS NULL`
+        }
+    })
+        .then(({ data }) => parseHitsResponse(data));
+
+/**
+ * Compute the statistics of a dataset attribute using WFS and WPS gs:Aggregate requests.
+ * The histogram is not included because the group by request is expensive on high cardinality attributes, see `getAttributeHistogram`
+ * @param {object} resource dataset resource
+ * @param {object} attribute attribute of the dataset attribute_set
+ * @return {promise} statistics `{ type, count, nullCount, min, max }`
+ */
+export const getAttributeStatistics = (resource, attribute) => {
+    const owsUrl = getDatasetOWSUrl(resource);
+    const typeName = resource?.alternate;
+    const numeric = isNumericAttribute(attribute);
+    return Promise.all([
+        executeAggregate(owsUrl, {
+            typeName,
+            attribute: attribute.attribute,
+            functions: numeric ? ['Count', 'Min', 'Max'] : ['Count']
+        }),
+        getNullCount(owsUrl, typeName, attribute.attribute)
+            .catch(() => undefined)
+    ])
+        .then(([aggregate, nullCount]) => {
+            const { count, min, max } = parseAggregateResponse(aggregate);
+            return {
+                type: attribute.attribute_type,
+                count,
+                nullCount,
+                min,
+                max
+            };
+        });
+};
+
+/**
+ * Get the most frequent values of a dataset attribute using a WPS gs:Aggregate request grouped by the attribute values
+ * @param {object} resource dataset resource
+ * @param {object} attribute attribute of the dataset attribute_set
+ * @param {object} options
+ * @param {number} options.maxDistinctValues max number of distinct values returned in the histogram
+ * @return {promise} list of `{ value, count }`, the remaining values are grouped in a last `{ others: true, count }` entry
+ */
+export const getAttributeHistogram = (resource, attribute, { maxDistinctValues = 10 } = {}) =>
+    executeAggregate(getDatasetOWSUrl(resource), {
+        typeName: resource?.alternate,
+        attribute: attribute.attribute,
+        functions: ['Count'],
+        groupBy: true
+    })
+        .then((histogram) => parseHistogramResponse(histogram, maxDistinctValues));
+
+/**
+ * Get the distinct values of the time attributes of a dataset with the related number of features
+ * @param {object} resource dataset resource
+ * @param {string} attribute name of the start time attribute
+ * @param {string} endAttribute name of the end time attribute, optional
+ * @return {promise} time domain `{ values, endTime }` where values is a list of `{ time, count }` sorted by time
+ */
+export const getAttributeTimeDomain = (resource, attribute, endAttribute) => {
+    const owsUrl = getDatasetOWSUrl(resource);
+    const typeName = resource?.alternate;
+    const timeAttribute = attribute || endAttribute;
+    return Promise.all([
+        executeAggregate(owsUrl, {
+            typeName,
+            attribute: timeAttribute,
+            functions: ['Count'],
+            groupBy: true
+        }),
+        endAttribute && endAttribute !== timeAttribute
+            ? executeAggregate(owsUrl, {
+                typeName,
+                attribute: endAttribute,
+                functions: ['Max']
+            })
+            : Promise.resolve(null)
+    ])
+        .then(([domain, endAggregate]) => ({
+            values: parseTimeDomainResponse(domain),
+            endTime: endAggregate ? parseTimeValue(parseAggregateResponse(endAggregate).max) : undefined
+        }));
+};
+
+export default {
+    getDatasetOWSUrl,
+    getAttributeStatistics,
+    getAttributeHistogram,
+    getAttributeTimeDomain
+};
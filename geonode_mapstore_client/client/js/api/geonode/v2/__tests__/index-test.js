@@ -11,7 +11,8 @@ import MockAdapter from 'axios-mock-adapter';
 import axios from '@mapstore/framework/libs/ajax';
 import {
     createMap,
-    updateMap
+    updateMap,
+    getExecutionRequests
 } from '@js/api/geonode/v2';
 
 let mockAxios;
@@ -69,4 +70,25 @@ describe('GeoNode v2 api', () => {
 
         updateMap(id, mapConfiguration);
     });
+    it('should request the running and the recent execution requests (getExecutionRequests)', (done) => {
+        mockAxios.onGet(/\/api\/v2\/executionrequest/)
+            .reply((config) => {
+                expect(config.params.page_size).toBe(50);
+                expect(config.params['sort[]']).toBe('-created');
+                if (config.params['filter{finished.isnull}']) {
+                    return [200, { requests: [{ exec_id: 'a', status: 'running', created: '2026-10-19T10:00:00Z' }] }];
+                }
+                expect(config.params['filter{last_updated.gte}']).toExist();
+                return [200, { requests: [
+                    { exec_id: 'b', status: 'failed', created: '2026-10-19T11:00:00Z' },
+                    { exec_id: 'a', status: 'running', created: '2026-10-19T10:00:00Z' }
+                ] }];
+            });
+        getExecutionRequests({}, { maxAge: 60 * 60 * 1000 })
+            .then((requests) => {
+                expect(requests.map(({ exec_id: execId }) => execId)).toEqual(['b', 'a']);
+                done();
+            })
+            .catch(done);
+    });
 });
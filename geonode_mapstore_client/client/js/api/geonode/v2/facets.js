@@ -173,6 +173,58 @@ const updateFacets = (fields, facets = [], query = {}) => {
     return Promise.resolve({});
 };
 
+/**
+ * Get the list of the available facets, the response is cached
+ * @return {promise} list of facets
+ */
+export const getFacets = () => {
+    return !facetsCache
+        ? axios.get(getEndpointUrl(FACETS), { params: { include_config: true }})
+            .then(({ data } = {}) => {
+                facetsCache = data?.facets;
+                return facetsCache;
+            })
+        : Promise.resolve(facetsCache);
+};
+
+/**
+ * Get a page of the topics of a facet
+ * @param {object} facet facet object
+ * @param {object} options
+ * @param {string} options.q text contained in the topics
+ * @param {number} options.page page number starting from 1
+ * @param {number} options.pageSize number of topics per page
+ * @param {object} options.config request configuration
+ * @return {promise} `{ items, isNextPageAvailable }`
+ */
+export const getFacetTopics = (facet, {
+    q,
+    page = 1,
+    pageSize = 10,
+    config,
+    ...params
+} = {}) => {
+    return axios.get(getEndpointUrl(FACETS, `/${facet.name}`), {
+        ...config,
+        params: {
+            ...params,
+            ...(q && { topic_contains: q }),
+            // the facets api pages start from 0
+            page: page - 1,
+            page_size: pageSize
+        },
+        ...paramsSerializer()
+    })
+        .then(({ data }) => {
+            const topics = data?.topics ?? {};
+            const total = Number(topics?.total ?? 0);
+            return {
+                isNextPageAvailable: page * pageSize < total,
+                items: parseTopicsItems(topics.items || [], { facet, style: facet?.config?.style })
+            };
+        });
+};
+
 export const getFacetItems = ({
     fields,
     query,
@@ -180,17 +232,11 @@ export const getFacetItems = ({
 }) => {
     const customFilters = getCustomMenuFilters(monitoredState);
     const updatedParams = getQueryParams(query, customFilters);
-    return (
-        !facetsCache
-            ? axios.get(getEndpointUrl(FACETS), { params: { include_config: true }})
-                .then(({ data } = {}) => {
-                    facetsCache = data?.facets;
-                    return { fields: applyFacetToFields(fields, facetsCache, { customFilters }) };
-                })
-                .catch(() => ({ fields: applyFacetToFields(fields, [], { customFilters }) }))
-            : Promise.resolve({ fields: applyFacetToFields(fields, facetsCache, { customFilters }) })
-    ).then((payload) => {
-        // update information of the current selected facet filters
-        return updateFacets(payload.fields, facetsCache, updatedParams).then(() => payload);
-    });
+    return getFacets()
+        .then((facets) => ({ fields: applyFacetToFields(fields, facets, { customFilters }) }))
+        .catch(() => ({ fields: applyFacetToFields(fields, [], { customFilters }) }))
+        .then((payload) => {
+            // update information of the current selected facet filters
+            return updateFacets(payload.fields, facetsCache, updatedParams).then(() => payload);
+        });
 };
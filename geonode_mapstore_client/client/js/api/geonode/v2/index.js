@@ -21,9 +21,12 @@ import isString from 'lodash/isString';
 import isObject from 'lodash/isObject';
 import castArray from 'lodash/castArray';
 import get from 'lodash/get';
+import uniqBy from 'lodash/uniqBy';
+import orderBy from 'lodash/orderBy';
 import { getUserInfo } from '@js/api/geonode/user';
 import { ResourceTypes, availableResourceTypes, setAvailableResourceTypes, getDownloadUrlInfo, isDefaultDatasetSubtype } from '@js/utils/ResourceUtils';
 import { mergeConfigsPatch } from '@mapstore/patcher';
+import { addCompletenessToResources, getCompletenessSortParams } from '@js/utils/MetadataCompletenessUtils';
 import {
     RESOURCES,
     DOCUMENTS,
@@ -34,6 +37,7 @@ import {
     RESOURCE_TYPES,
     GROUPS,
     EXECUTION_REQUEST,
+    UPLOADS,
     getEndpoints as cGetEndpoints,
     getEndpointUrl,
     getQueryParams
@@ -63,7 +67,8 @@ export const getResources = ({
             search: q,
             search_fields: ['title', 'abstract']
         }),
-        ...(sort && { sort: isArray(sort) ? sort : [ sort ]}),
+        // the completeness sort is applied by the server with a dedicated parameter
+        ...getCompletenessSortParams(sort),
         page,
         page_size: pageSize,
         'filter{metadata_only}': false, // exclude resources such as services
@@ -78,10 +83,7 @@ export const getResources = ({
             return {
                 total: data.total,
                 isNextPageAvailable: !!data.links.next,
-                resources: (data.resources || [])
-                    .map((resource) => {
-                        return resource;
-                    })
+                resources: addCompletenessToResources(data.resources || [])
             };
         });
 };
@@ -126,13 +128,15 @@ export const getDatasets = ({
     q,
     pageSize = 20,
     page = 1,
-    sort
+    sort,
+    ...params
 }) => {
     return axios
         .get(
             getEndpointUrl(RESOURCES), {
                 // axios will format query params array to `key[]=value1&key[]=value2`
                 params: {
+                    ...params,
                     'filter{resource_type.in}': 'dataset',
                     'filter{metadata_only}': false,
                     ...(q && {
@@ -676,10 +680,92 @@ export const downloadResource = (resource) => {
         .then(({ data, headers }) => ({output: data, headers}));
 };
 
+/**
+* Update the properties shared by all resource types (eg. group, advertised, featured)
+* @memberof api.geonode.adapter
+* @param {number} pk resource id
+* @param {object} body partial resource with the properties to update
+* @return {promise} it returns the updated resource
+*/
+export const updateResourceByPk = (pk, body) => {
+    return axios.patch(getEndpointUrl(RESOURCES, `/${pk}`), body)
+        .then(({ data }) => data.resource);
+};
+
+/**
+* Download the metadata document of a resource from its metadata links
+* @memberof api.geonode.adapter
+* @param {object} resource resource properties
+* @param {string} linkName name of the metadata link (eg. ISO)
+* @return {promise} it returns the metadata document as blob with the response headers
+*/
+export const downloadResourceMetadata = (resource, linkName = 'ISO') => {
+    return axios.get(getEndpointUrl(RESOURCES, `/${resource.pk}`))
+        .then(({ data }) => {
+            const { url } = (data?.resource?.links || []).find(({ name }) => name === linkName) || {};
+            if (!url) {
+                throw new Error(`Missing ${linkName} metadata link`);
+            }
+            return axios.get(url, { responseType: 'blob' });
+        })
+        .then(({ data, headers }) => ({ output: data, headers }));
+};
+
 export const deleteExecutionRequest = (executionId) => {
     return axios.delete(getEndpointUrl(EXECUTION_REQUEST, `/${executionId}`));
 };
 
+const EXECUTION_REQUESTS_PAGE_SIZE = 50;
+
+/**
+* Get the running execution requests of the current user and the ones updated recently
+* @memberof api.geonode.adapter
+* @param {object} params query parameters of the request
+* @param {object} options optional configuration
+* @param {number} options.maxAge time in milliseconds, only the completed execution requests updated in this time are requested
+* @return {promise} it returns the list of execution requests sorted by creation date
+*/
+export const getExecutionRequests = (params, { maxAge } = {}) => {
+    const requestPage = (filterParams) => axios.get(getEndpointUrl(EXECUTION_REQUEST), {
+        params: {
+            page: 1,
+            page_size: EXECUTION_REQUESTS_PAGE_SIZE,
+            'sort[]': '-created',
+            ...filterParams,
+            ...params
+        }
+    })
+        .then(({ data }) => data?.requests || []);
+    return Promise.all([
+        // running and ready execution requests are not finished
+        requestPage({ 'filter{finished.isnull}': true }),
+        requestPage(maxAge ? { 'filter{last_updated.gte}': new Date(Date.now() - maxAge).toISOString() } : {})
+    ])
+        .then(([running, recent]) => orderBy(uniqBy([...running, ...recent], 'exec_id'), ['created'], ['desc']));
+};
+
+/**
+* Get an execution request by identifier
+* @memberof api.geonode.adapter
+* @param {string} executionId identifier of the execution request
+* @return {promise} it returns the execution request
+*/
+export const getExecutionRequestById = (executionId) => {
+    return axios.get(getEndpointUrl(EXECUTION_REQUEST, `/${executionId}`))
+        .then(({ data }) => data?.request);
+};
+
+/**
+* Create an empty dataset
+* @memberof api.geonode.adapter
+* @param {object} body properties of the dataset `{ title, geom, srid, attributes }`
+* @return {promise} it returns the response of the request containing the execution id
+*/
+export const createDataset = (body) => {
+    return axios.post(getEndpointUrl(UPLOADS, '/upload'), body)
+        .then(({ data }) => data);
+};
+
 export const getResourceByTypeAndByPk = (type, pk, subtype) => {
     switch (type) {
     case "document":
@@ -735,7 +821,12 @@ export default {
     deleteResource,
     copyResource,
     downloadResource,
+    updateResourceByPk,
+    downloadResourceMetadata,
     getDatasets,
     deleteExecutionRequest,
+    getExecutionRequests,
+    getExecutionRequestById,
+    createDataset,
     getResourceByTypeAndByPk
 };
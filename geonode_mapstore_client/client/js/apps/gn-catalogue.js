@@ -84,6 +84,7 @@ import * as geoNodeMediaApi from '@js/observables/media/geonode';
 registerMediaAPI('geonode', geoNodeMediaApi);
 
 import '@js/observables/persistence';
+import '@js/components/map/openlayers/plugins/ImageLayer';
 import { getGeoNodeLocalConfig } from '@js/utils/APIUtils';
 
 const requires = {
@@ -106,6 +107,7 @@ const getViewer = (component) => {
         [appRouteComponentTypes.CATALOGUE]: useRedirect ? RedirectRoute : ComponentsRoute,
         [appRouteComponentTypes.DATASET_UPLOAD]: ComponentsRoute,
         [appRouteComponentTypes.DOCUMENT_UPLOAD]: ComponentsRoute,
+        [appRouteComponentTypes.DATASET_CREATE]: ComponentsRoute,
         [appRouteComponentTypes.MAP_VIEWER]: MapViewerRoute
     };
     return viewers[component];
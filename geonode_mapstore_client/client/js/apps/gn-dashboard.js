@@ -66,7 +66,7 @@ document.addEventListener('DOMContentLoaded', function() {
         ])
             .then(([localConfig, user]) => {
 
-                setupConfiguration({ localConfig, user })
+                setupConfiguration({ localConfig, user, enableEmbedBridge: true })
                     .then(({
                         securityState,
                         geoNodeConfiguration,
@@ -69,7 +69,7 @@ document.addEventListener('DOMContentLoaded', function() {
             getAccountInfo()
         ])
             .then(([localConfig, user]) => {
-                setupConfiguration({ localConfig, user })
+                setupConfiguration({ localConfig, user, enableEmbedBridge: true })
                     .then(({
                         securityState,
                         geoNodeConfiguration,
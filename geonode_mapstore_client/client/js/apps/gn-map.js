@@ -76,6 +76,7 @@ const requires = {
     SwipeHeader
 };
 import { MAP_ROUTES, appRouteComponentTypes } from '@js/utils/AppRoutesUtils';
+import '@js/components/map/openlayers/plugins/ImageLayer';
 
 const DEFAULT_LOCALE = {};
 const ConnectedRouter = connect((state) => ({
@@ -101,7 +102,8 @@ document.addEventListener('DOMContentLoaded', function() {
             .then(([localConfig, user]) => {
                 setupConfiguration({
                     localConfig,
-                    user
+                    user,
+                    enableEmbedBridge: true
                 })
                     .then(({
                         securityState,
@@ -0,0 +1,252 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Table } from 'react-bootstrap';
+import BaseMap from '@mapstore/framework/components/map/BaseMap';
+import mapTypeHOC from '@mapstore/framework/components/map/enhancers/mapType';
+import ZoomTo from '@mapstore/framework/plugins/ResourcesCatalog/components/ZoomTo';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Portal from '@mapstore/framework/components/misc/Portal';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import Icon from '@js/components/Icon';
+import { parseDevHostname } from '@js/utils/APIUtils';
+import {
+    MIN_CONTROL_POINTS,
+    getCompleteControlPoints,
+    getAffineTransform,
+    getTransformError,
+    getImageExtent,
+    getGeoreferencePayload
+} from '@js/utils/GeoreferenceUtils';
+import '@js/components/map/openlayers/plugins/ImageLayer';
+
+const Map = mapTypeHOC(BaseMap);
+Map.displayName = 'Map';
+
+const pointStyle = {
+    iconAnchor: [0.5, 0.5],
+    anchorXUnits: 'fraction',
+    anchorYUnits: 'fraction',
+    fillColor: '#ffaa01',
+    opacity: 0,
+    size: 16,
+    fillOpacity: 1,
+    symbolUrl: '/static/mapstore/symbols/plus.svg'
+};
+
+const formatValue = (value, digits) => value === undefined ? '-' : value.toFixed(digits);
+
+/**
+ * Tool to georeference an image by placing control points on the image and on the map
+ * @prop {object} resource image document
+ * @prop {boolean} saving disable the save button while saving
+ * @prop {function} onSave callback with the update payload of the document
+ * @prop {function} onClose callback to close the tool
+ */
+function ImageGeoreferencer({
+    resource,
+    saving,
+    onSave,
+    onClose
+}) {
+    const [controlPoints, setControlPoints] = useState(resource?.data?.georeference?.controlPoints || []);
+    const [imageSize, setImageSize] = useState(null);
+    const transform = getAffineTransform(controlPoints);
+    const error = getTransformError(transform, controlPoints);
+    const extent = transform && imageSize && getImageExtent(transform, imageSize.width, imageSize.height);
+    const initialExtent = resource?.extent?.coords;
+
+    // a new point is created only when the last one is complete
+    function handleAddCoordinates(key, value) {
+        setControlPoints((points) => {
+            const lastPoint = points[points.length - 1];
+            if (lastPoint && !lastPoint[key]) {
+                return [...points.slice(0, -1), { ...lastPoint, [key]: value }];
+            }
+            return [...points, { [key]: value }];
+        });
+    }
+
+    function handleImageClick(event) {
+        const image = event.currentTarget;
+        const { left, top, width, height } = image.getBoundingClientRect();
+        handleAddCoordinates('pixel', [
+            (event.clientX - left) * image.naturalWidth / width,
+            (event.clientY - top) * image.naturalHeight / height
+        ]);
+    }
+
+    return (
+        <Portal>
+            <ResizableModal
+                title={<Message msgId="gnviewer.georeferencer.title" />}
+                show
+                size="lg"
+                clickOutEnabled={false}
+                onClose={onClose}
+                buttons={[
+                    {
+                        text: <Message msgId="close" />,
+                        onClick: onClose
+                    },
+                    {
+                        text: <Message msgId="save" />,
+                        bsStyle: 'primary',
+                        disabled: !extent || saving,
+                        onClick: () => onSave(getGeoreferencePayload({
+                            transform,
+                            controlPoints,
+                            width: imageSize.width,
+                            height: imageSize.height,
+                            data: resource?.data
+                        }))
+                    }
+                ]}
+            >
+                <div className="gn-image-georeferencer">
+                    <p><Message msgId="gnviewer.georeferencer.description" msgParams={{ count: MIN_CONTROL_POINTS }} /></p>
+                    <div className="gn-image-georeferencer-views">
+                        <div className="gn-image-georeferencer-image">
+                            <div>
+                                <img
+                                    src={parseDevHostname(resource?.href || '')}
+                                    onLoad={(event) => setImageSize({
+                                        width: event.currentTarget.naturalWidth,
+                                        height: event.currentTarget.naturalHeight
+                                    })}
+                                    onClick={handleImageClick}
+                                />
+                                {imageSize && controlPoints.map(({ pixel }, idx) => pixel
+                                    ? <span
+                                        key={idx}
+                                        className="gn-image-georeferencer-marker"
+                                        style={{
+                                            left: `${pixel[0] / imageSize.width * 100}%`,
+                                            top: `${pixel[1] / imageSize.height * 100}%`
+                                        }}
+                                    >
+                                        {idx + 1}
+                                    </span>
+                                    : null)}
+                            </div>
+                        </div>
+                        <div className="gn-image-georeferencer-map ms-secondary-colors">
+                            <Map
+                                id="gn-image-georeferencer-map"
+                                mapType="openlayers"
+                                map={{
+                                    registerHooks: false,
+                                    projection: 'EPSG:3857'
+                                }}
+                                styleMap={{
+                                    position: 'absolute',
+                                    width: '100%',
+                                    height: '100%'
+                                }}
+                                eventHandlers={{
+                                    onClick: ({ latlng }) => handleAddCoordinates('coords', [latlng.lng, latlng.lat])
+                                }}
+                                layers={[
+                                    {
+                                        type: 'osm',
+                                        title: 'Open Street Map',
+                                        name: 'mapnik',
+                                        source: 'osm',
+                                        group: 'background',
+                                        visibility: true
+                                    },
+                                    ...(extent
+                                        ? [{
+                                            id: 'georeferenced-image',
+                                            type: 'image',
+                                            url: parseDevHostname(resource?.href || ''),
+                                            opacity: 0.6,
+                                            visibility: true,
+                                            bbox: {
+                                                crs: 'EPSG:4326',
+                                                bounds: { minx: extent[0], miny: extent[1], maxx: extent[2], maxy: extent[3] }
+                                            }
+                                        }]
+                                        : []),
+                                    {
+                                        id: 'control-points',
+                                        type: 'vector',
+                                        visibility: true,
+                                        features: controlPoints
+                                            .filter(({ coords }) => coords)
+                                            .map(({ coords }, idx) => ({
+                                                type: 'Feature',
+                                                id: idx,
+                                                geometry: { type: 'Point', coordinates: coords },
+                                                properties: {},
+                                                style: pointStyle
+                                            }))
+                                    }
+                                ]}
+                            >
+                                {initialExtent && <ZoomTo extent={initialExtent.join(',')} nearest={false} />}
+                            </Map>
+                        </div>
+                    </div>
+                    <Table condensed>
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th><Message msgId="gnviewer.georeferencer.imageCoordinates" /></th>
+                                <th><Message msgId="gnviewer.georeferencer.mapCoordinates" /></th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {controlPoints.map(({ pixel, coords }, idx) => (
+                                <tr key={idx}>
+                                    <td>{idx + 1}</td>
+                                    <td>{formatValue(pixel?.[0], 0)}, {formatValue(pixel?.[1], 0)}</td>
+                                    <td>{formatValue(coords?.[0], 6)}, {formatValue(coords?.[1], 6)}</td>
+                                    <td>
+                                        <Button
+                                            size="xs"
+                                            onClick={() => setControlPoints(controlPoints.filter((point, pointIdx) => pointIdx !== idx))}
+                                        >
+                                            <Icon glyph="trash" />
+                                        </Button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                    <small>
+                        {transform
+                            ? <Message msgId="gnviewer.georeferencer.error" msgParams={{ error: error.toFixed(6) }} />
+                            : <Message
+                                msgId="gnviewer.georeferencer.missingPoints"
+                                msgParams={{ count: Math.max(MIN_CONTROL_POINTS - getCompleteControlPoints(controlPoints).length, 1) }}
+                            />}
+                    </small>
+                </div>
+            </ResizableModal>
+        </Portal>
+    );
+}
+
+ImageGeoreferencer.propTypes = {
+    resource: PropTypes.object,
+    saving: PropTypes.bool,
+    onSave: PropTypes.func,
+    onClose: PropTypes.func
+};
+
+ImageGeoreferencer.defaultProps = {
+    onSave: () => {},
+    onClose: () => {}
+};
+
+export default ImageGeoreferencer;
@@ -1,38 +1,378 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FormControl } from 'react-bootstrap';
 import Loader from '@mapstore/framework/components/misc/Loader';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
 import { getFileFromDownload } from '@js/utils/FileUtils';
+import {
+    PDF_DEFAULT_ZOOM,
+    PDF_THUMBNAIL_SCALE,
+    loadPdfDocument,
+    getPdfPageFromUrl,
+    clampPdfPage,
+    getNextPdfZoom,
+    getPdfPageText,
+    searchPdfPages,
+    resolvePdfDestinationPage
+} from '@js/utils/PdfUtils';
+import Icon from '@js/components/Icon';
 import MetadataPreview from '@js/components/MetadataPreview';
 
-const IframePDF = ({ src }) => {
+const ButtonWithTooltip = tooltip(Button);
+
+const renderPage = (pdf, pageNumber, canvas, scale) => {
+    let renderTask;
+    let canceled = false;
+    const promise = pdf.getPage(pageNumber).then((page) => {
+        const viewport = page.getViewport({ scale });
+        if (canceled || !canvas) {
+            return null;
+        }
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        return renderTask.promise.then(() => ({ page, viewport }));
+    });
+    return {
+        promise,
+        cancel: () => {
+            canceled = true;
+            if (renderTask) {
+                renderTask.cancel();
+            }
+        }
+    };
+};
+
+function PdfPage({ pdf, pageNumber, scale, onNavigate }) {
+    const canvas = useRef();
+    const [links, setLinks] = useState([]);
+    useEffect(() => {
+        setLinks([]);
+        const task = renderPage(pdf, pageNumber, canvas.current, scale);
+        task.promise
+            .then((result) => result
+                ? result.page.getAnnotations().then((annotations) => {
+                    setLinks(annotations
+                        .filter(({ subtype, url, dest }) => subtype === 'Link' && (url || dest))
+                        .map(({ id, url, dest, rect }) => {
+                            const [x1, y1, x2, y2] = result.viewport.convertToViewportRectangle(rect);
+                            return {
+                                id,
+                                url,
+                                dest,
+                                style: {
+                                    left: Math.min(x1, x2),
+                                    top: Math.min(y1, y2),
+                                    width: Math.abs(x2 - x1),
+                                    height: Math.abs(y2 - y1)
+                                }
+                            };
+                        }));
+                })
+                : null)
+            // rendering is canceled when the page or the scale change
+            .catch(() => {});
+        return () => task.cancel();
+    }, [pdf, pageNumber, scale]);
+
+    function handleClickLink(event, { dest }) {
+        event.preventDefault();
+        resolvePdfDestinationPage(pdf, dest)
+            .then((page) => {
+                if (page) {
+                    onNavigate(page);
+                }
+            });
+    }
+
     return (
-        <iframe
-            className="gn-pdf-viewer"
-            type="application/pdf"
-            frameBorder="0"
-            scrolling="auto"
-            height="100%"
-            width="100%" src={src}
-        />
+        <div className="gn-pdf-page">
+            <canvas ref={canvas} />
+            <div className="gn-pdf-page-links">
+                {links.map((link) => link.url
+                    ? <a key={link.id} href={link.url} target="_blank" rel="noopener noreferrer" style={link.style} />
+                    : <a key={link.id} href="#" onClick={(event) => handleClickLink(event, link)} style={link.style} />
+                )}
+            </div>
+        </div>
+    );
+}
+
+// the thumbnails are rendered only when they are scrolled into the view of the list
+function PdfThumbnail({ pdf, pageNumber, selected, onSelect, root }) {
+    const canvas = useRef();
+    const item = useRef();
+    const [visible, setVisible] = useState(false);
+    useEffect(() => {
+        let observer;
+        if (!visible && typeof IntersectionObserver === 'undefined') {
+            setVisible(true);
+        } else if (!visible) {
+            observer = new IntersectionObserver((entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) {
+                    setVisible(true);
+                }
+            }, { root, rootMargin: '200px 0px' });
+            observer.observe(item.current);
+        }
+        return () => observer?.disconnect();
+    }, [visible, root]);
+    useEffect(() => {
+        const task = visible ? renderPage(pdf, pageNumber, canvas.current, PDF_THUMBNAIL_SCALE) : null;
+        task?.promise.catch(() => {});
+        return () => task?.cancel();
+    }, [pdf, pageNumber, visible]);
+    return (
+        <li ref={item} className={`${selected ? 'selected' : ''}${visible ? '' : ' gn-pdf-thumbnail-pending'}`}>
+            <a href="#" onClick={(event) => { event.preventDefault(); onSelect(pageNumber); }}>
+                <canvas ref={canvas} />
+                <span>{pageNumber}</span>
+            </a>
+        </li>
     );
+}
+
+function PdfDocumentViewer({
+    pdf,
+    initialPage,
+    canEditThumbnail,
+    onThumbnail
+}, context) {
+    const [page, setPage] = useState(clampPdfPage(initialPage, pdf.numPages));
+    const [pageInput, setPageInput] = useState(`${page}`);
+    const [scale, setScale] = useState(PDF_DEFAULT_ZOOM);
+    const [showThumbnails, setShowThumbnails] = useState(false);
+    const [thumbnailsNode, setThumbnailsNode] = useState(null);
+    const [search, setSearch] = useState('');
+    const [pagesText, setPagesText] = useState(null);
+    const [matchIndex, setMatchIndex] = useState(-1);
+    const [savingThumbnail, setSavingThumbnail] = useState(false);
+    const isMounted = useRef();
+
+    useEffect(() => {
+        isMounted.current = true;
+        return () => {
+            isMounted.current = false;
+        };
+    }, []);
+
+    useEffect(() => {
+        setPageInput(`${page}`);
+    }, [page]);
+
+    useEffect(() => {
+        // the text is extracted only once when the user searches for the first time
+        if (search && !pagesText) {
+            Promise.all([...Array(pdf.numPages).keys()]
+                .map((idx) => pdf.getPage(idx + 1)
+                    .then((pdfPage) => pdfPage.getTextContent())
+                    .then(getPdfPageText)
+                    .catch(() => '')))
+                .then((texts) => {
+                    if (isMounted.current) {
+                        setPagesText(texts);
+                    }
+                });
+        }
+    }, [search, pagesText]);
+
+    const matches = searchPdfPages(pagesText || [], search);
+
+    function handleNavigate(newPage) {
+        setPage(clampPdfPage(newPage, pdf.numPages));
+    }
+
+    function handleSearchMatch(direction) {
+        if (matches.length) {
+            const index = (matchIndex + direction + matches.length) % matches.length;
+            setMatchIndex(index);
+            handleNavigate(matches[index].page);
+        }
+    }
+
+    function handleThumbnail() {
+        setSavingThumbnail(true);
+        const canvas = document.createElement('canvas');
+        renderPage(pdf, 1, canvas, 1).promise
+            .then(() => onThumbnail(canvas.toDataURL('image/png')))
+            .catch(() => {})
+            .finally(() => {
+                if (isMounted.current) {
+                    setSavingThumbnail(false);
+                }
+            });
+    }
+
+    return (
+        <div className="gn-pdf-viewer">
+            <div className="gn-pdf-toolbar">
+                <ButtonWithTooltip
+                    size="sm"
+                    variant={showThumbnails ? 'primary' : 'default'}
+                    tooltipId="gnviewer.pdf.thumbnails"
+                    onClick={() => setShowThumbnails(!showThumbnails)}
+                >
+                    <Icon glyph="th-large" />
+                </ButtonWithTooltip>
+                <ButtonWithTooltip
+                    size="sm"
+                    disabled={page <= 1}
+                    tooltipId="gnviewer.pdf.previousPage"
+                    onClick={() => handleNavigate(page - 1)}
+                >
+                    <Icon glyph="chevron-left" />
+                </ButtonWithTooltip>
+                <FormControl
+                    type="text"
+                    bsSize="sm"
+                    className="gn-pdf-page-input"
+                    value={pageInput}
+                    onChange={(event) => setPageInput(event.target.value)}
+                    onBlur={() => handleNavigate(pageInput)}
+                    onKeyDown={(event) => {
+                        if (event.key === 'Enter') {
+                            handleNavigate(pageInput);
+                        }
+                    }}
+                />
+                <span><Message msgId="gnviewer.pdf.pagesCount" msgParams={{ count: pdf.numPages }} /></span>
+                <ButtonWithTooltip
+                    size="sm"
+                    disabled={page >= pdf.numPages}
+                    tooltipId="gnviewer.pdf.nextPage"
+                    onClick={() => handleNavigate(page + 1)}
+                >
+                    <Icon glyph="chevron-right" />
+                </ButtonWithTooltip>
+                <ButtonWithTooltip
+                    size="sm"
+                    tooltipId="gnviewer.pdf.zoomOut"
+                    onClick={() => setScale(getNextPdfZoom(scale, -1))}
+                >
+                    <Icon glyph="search-minus" />
+                </ButtonWithTooltip>
+                <span>{Math.round(scale * 100)}%</span>
+                <ButtonWithTooltip
+                    size="sm"
+                    tooltipId="gnviewer.pdf.zoomIn"
+                    onClick={() => setScale(getNextPdfZoom(scale, 1))}
+                >
+                    <Icon glyph="search-plus" />
+                </ButtonWithTooltip>
+                <FormControl
+                    type="text"
+                    bsSize="sm"
+                    value={search}
+                    placeholder={getMessageById(context.messages, 'gnviewer.pdf.search')}
+                    onChange={(event) => {
+                        setSearch(event.target.value);
+                        setMatchIndex(-1);
+                    }}
+                    onKeyDown={(event) => {
+                        if (event.key === 'Enter') {
+                            handleSearchMatch(1);
+                        }
+                    }}
+                />
+                {search && pagesText && <span>
+                    <Message msgId="gnviewer.pdf.searchResults" msgParams={{ count: matches.length }} />
+                </span>}
+                {matches.length > 0 && <>
+                    <ButtonWithTooltip size="sm" tooltipId="gnviewer.pdf.previousMatch" onClick={() => handleSearchMatch(-1)}>
+                        <Icon glyph="chevron-up" />
+                    </ButtonWithTooltip>
+                    <ButtonWithTooltip size="sm" tooltipId="gnviewer.pdf.nextMatch" onClick={() => handleSearchMatch(1)}>
+                        <Icon glyph="chevron-down" />
+                    </ButtonWithTooltip>
+                </>}
+                {canEditThumbnail && onThumbnail && <ButtonWithTooltip
+                    size="sm"
+                    disabled={savingThumbnail}
+                    tooltipId="gnviewer.pdf.setThumbnail"
+                    onClick={handleThumbnail}
+                >
+                    <Icon glyph="picture-o" />
+                </ButtonWithTooltip>}
+            </div>
+            <div className="gn-pdf-body">
+                {showThumbnails && <ul ref={setThumbnailsNode} className="gn-pdf-thumbnails">
+                    {thumbnailsNode && [...Array(pdf.numPages).keys()].map((idx) => (
+                        <PdfThumbnail
+                            key={idx}
+                            root={thumbnailsNode}
+                            pdf={pdf}
+                            pageNumber={idx + 1}
+                            selected={page === idx + 1}
+                            onSelect={handleNavigate}
+                        />
+                    ))}
+                </ul>}
+                <div className="gn-pdf-pages">
+                    <PdfPage
+                        pdf={pdf}
+                        pageNumber={page}
+                        scale={scale}
+                        onNavigate={handleNavigate}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+PdfDocumentViewer.contextTypes = {
+    messages: PropTypes.object
 };
 
-const AsyncIframePDF = ({ src, url }) => {
-    const [filePath, setFilePath] = useState(null);
+const AsyncPdfViewer = ({ src, url, page, canEditThumbnail, onThumbnail }) => {
+    const [pdf, setPdf] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
     useEffect(() => {
+        let canceled = false;
+        let fileURL;
+        let loadedPdf;
         setLoading(true);
         getFileFromDownload(src)
-            .then((fileURL) => {
-                setFilePath(fileURL);
+            .then((newFileURL) => {
+                fileURL = newFileURL;
+                return canceled ? null : loadPdfDocument(fileURL);
+            })
+            .then((newPdf) => {
+                loadedPdf = newPdf;
+                if (canceled) {
+                    loadedPdf?.destroy();
+                    return;
+                }
+                setPdf(newPdf);
             })
             .catch(() => {
-                setError(true);
+                if (!canceled) {
+                    setError(true);
+                }
             })
             .finally(() => {
-                setLoading(false);
+                if (!canceled) {
+                    setLoading(false);
+                } else if (fileURL) {
+                    URL.revokeObjectURL(fileURL);
+                }
             });
+        // release the worker resources of the document and the blob of the downloaded file
+        return () => {
+            canceled = true;
+            if (loadedPdf) {
+                loadedPdf.destroy();
+            }
+            if (fileURL) {
+                URL.revokeObjectURL(fileURL);
+            }
+        };
     }, []);
 
     if (loading) {
@@ -48,11 +388,37 @@ const AsyncIframePDF = ({ src, url }) => {
         );
     }
 
-    return filePath ? (<IframePDF src={filePath}/>) : <div className="gn-pdf-viewer" />;
+    return pdf
+        ? (
+            <PdfDocumentViewer
+                pdf={pdf}
+                // a deep link in the source has priority over the one of the page
+                initialPage={getPdfPageFromUrl(src) || page || 1}
+                canEditThumbnail={canEditThumbnail}
+                onThumbnail={onThumbnail}
+            />
+        )
+        : <div className="gn-pdf-viewer" />;
 };
 
-const PdfViewer = ({ src, url }) => {
-    return <AsyncIframePDF src={src} url={url} />;
+/**
+ * Pdf viewer with page navigation, text search and zoom
+ * @prop {string} src url of the pdf file, it could contain a deep link to a page in the form `#page=N`
+ * @prop {string} url url of the metadata preview used when the pdf cannot be loaded
+ * @prop {number} page initial page
+ * @prop {boolean} canEditThumbnail show the button to use the first page as thumbnail
+ * @prop {function} onThumbnail callback with the data url of the first page
+ */
+const PdfViewer = ({ src, url, page, canEditThumbnail, onThumbnail }) => {
+    return (
+        <AsyncPdfViewer
+            src={src}
+            url={url}
+            page={page}
+            canEditThumbnail={canEditThumbnail}
+            onThumbnail={onThumbnail}
+        />
+    );
 };
 
 export default PdfViewer;
@@ -0,0 +1,176 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FormGroup, ControlLabel, FormControl, Checkbox } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import {
+    SPREADSHEET_CHART_MAX_ROWS,
+    getNumericColumns,
+    getSpreadsheetChartData
+} from '@js/utils/SpreadsheetUtils';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 280;
+const CHART_PADDING = { top: 16, right: 16, bottom: 64, left: 56 };
+const CHART_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b'];
+const TICKS_COUNT = 5;
+
+const formatTick = (value) => Number.isInteger(value) ? `${value}` : value.toFixed(2);
+
+function ChartSvg({ type, data, series }) {
+    const values = data.reduce((acc, { values: rowValues }) => [...acc, ...rowValues], []);
+    const min = Math.min(0, ...values);
+    const max = Math.max(0, ...values);
+    const range = max - min || 1;
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const step = plotWidth / data.length;
+    const getY = (value) => CHART_PADDING.top + plotHeight - ((value - min) / range) * plotHeight;
+    const getX = (idx) => CHART_PADDING.left + step * idx + step / 2;
+    const barWidth = (step * 0.8) / series.length;
+    const ticks = [...Array(TICKS_COUNT + 1).keys()].map((idx) => min + (range / TICKS_COUNT) * idx);
+    return (
+        <svg className="gn-spreadsheet-chart-svg" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}>
+            {ticks.map((tick) => (
+                <g key={tick}>
+                    <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={getY(tick)} y2={getY(tick)} className="gn-spreadsheet-chart-grid" />
+                    <text x={CHART_PADDING.left - 4} y={getY(tick)} textAnchor="end" dominantBaseline="middle">{formatTick(tick)}</text>
+                </g>
+            ))}
+            {series.map((name, seriesIdx) => {
+                const color = CHART_COLORS[seriesIdx % CHART_COLORS.length];
+                if (type === 'line') {
+                    return (
+                        <polyline
+                            key={name}
+                            fill="none"
+                            stroke={color}
+                            strokeWidth={2}
+                            points={data.map(({ values: rowValues }, idx) => `${getX(idx)},${getY(rowValues[seriesIdx])}`).join(' ')}
+                        />
+                    );
+                }
+                return data.map(({ label, values: rowValues }, idx) => {
+                    const value = rowValues[seriesIdx];
+                    return (
+                        <rect
+                            key={`${name}-${idx}`}
+                            fill={color}
+                            x={getX(idx) - (step * 0.4) + barWidth * seriesIdx}
+                            y={getY(Math.max(value, 0))}
+                            width={barWidth}
+                            height={Math.abs(getY(value) - getY(0))}
+                        >
+                            <title>{`${label} - ${name}: ${value}`}</title>
+                        </rect>
+                    );
+                });
+            })}
+            {data.map(({ label }, idx) => (
+                <text
+                    key={idx}
+                    transform={`translate(${getX(idx)}, ${CHART_HEIGHT - CHART_PADDING.bottom + 8}) rotate(45)`}
+                    textAnchor="start"
+                >
+                    {label.length > 12 ? `${label.substring(0, 12)}…` : label}
+                </text>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * Quick chart builder over the columns of a spreadsheet
+ * @prop {object[]} columns list of columns `{ key, name }`
+ * @prop {array[]} rows list of rows
+ */
+function SpreadsheetChart({ columns, rows }, context) {
+    const numericColumns = getNumericColumns(columns, rows);
+    const [type, setType] = useState('bar');
+    const [labelKey, setLabelKey] = useState(columns.find(({ key }) => !numericColumns.some((column) => column.key === key))?.key);
+    const [valueKeys, setValueKeys] = useState(numericColumns.slice(0, 1).map(({ key }) => key));
+    const data = getSpreadsheetChartData(rows, { labelKey, valueKeys });
+    const series = valueKeys.map((key) => columns.find((column) => column.key === key)?.name);
+
+    if (!numericColumns.length) {
+        return <div className="gn-spreadsheet-chart"><Message msgId="gnviewer.spreadsheet.noNumericColumns" /></div>;
+    }
+
+    return (
+        <div className="gn-spreadsheet-chart">
+            <div className="gn-spreadsheet-chart-options">
+                <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.spreadsheet.chartType" /></ControlLabel>
+                    <FormControl componentClass="select" value={type} onChange={(event) => setType(event.target.value)}>
+                        <option value="bar">{getMessageById(context.messages, 'gnviewer.spreadsheet.barChart')}</option>
+                        <option value="line">{getMessageById(context.messages, 'gnviewer.spreadsheet.lineChart')}</option>
+                    </FormControl>
+                </FormGroup>
+                <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.spreadsheet.chartLabels" /></ControlLabel>
+                    <FormControl
+                        componentClass="select"
+                        value={labelKey ?? ''}
+                        onChange={(event) => setLabelKey(event.target.value === '' ? undefined : Number(event.target.value))}
+                    >
+                        <option value="">{getMessageById(context.messages, 'gnviewer.spreadsheet.rowNumber')}</option>
+                        {columns.map(({ key, name }) => <option key={key} value={key}>{name}</option>)}
+                    </FormControl>
+                </FormGroup>
+                <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.spreadsheet.chartValues" /></ControlLabel>
+                    {numericColumns.map(({ key, name }) => (
+                        <Checkbox
+                            key={key}
+                            checked={valueKeys.includes(key)}
+                            onChange={(event) => setValueKeys(event.target.checked
+                                ? numericColumns.filter((column) => column.key === key || valueKeys.includes(column.key)).map((column) => column.key)
+                                : valueKeys.filter((valueKey) => valueKey !== key))}
+                        >
+                            {name}
+                        </Checkbox>
+                    ))}
+                </FormGroup>
+            </div>
+            {data.length > 0
+                ? <>
+                    <ChartSvg type={type} data={data} series={series} />
+                    <ul className="gn-spreadsheet-chart-legend">
+                        {series.map((name, idx) => (
+                            <li key={name}>
+                                <span style={{ backgroundColor: CHART_COLORS[idx % CHART_COLORS.length] }} />{name}
+                            </li>
+                        ))}
+                    </ul>
+                    {rows.length > SPREADSHEET_CHART_MAX_ROWS && <small>
+                        <Message msgId="gnviewer.spreadsheet.chartRowsLimit" msgParams={{ count: SPREADSHEET_CHART_MAX_ROWS }} />
+                    </small>}
+                </>
+                : <Message msgId="gnviewer.spreadsheet.selectChartValues" />}
+        </div>
+    );
+}
+
+SpreadsheetChart.propTypes = {
+    columns: PropTypes.array,
+    rows: PropTypes.array
+};
+
+SpreadsheetChart.defaultProps = {
+    columns: [],
+    rows: []
+};
+
+SpreadsheetChart.contextTypes = {
+    messages: PropTypes.object
+};
+
+export default SpreadsheetChart;
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useMemo } from 'react';
+import BaseMap from '@mapstore/framework/components/map/BaseMap';
+import mapTypeHOC from '@mapstore/framework/components/map/enhancers/mapType';
+import ZoomTo from '@mapstore/framework/plugins/ResourcesCatalog/components/ZoomTo';
+import Message from '@mapstore/framework/components/I18N/Message';
+import { getFeaturesExtent } from '@js/utils/CoordinatesUtils';
+import { SPREADSHEET_MAP_MAX_POINTS } from '@js/utils/SpreadsheetUtils';
+
+const Map = mapTypeHOC(BaseMap);
+Map.displayName = 'Map';
+
+/**
+ * Map of the spreadsheet rows with coordinates
+ * @prop {object[]} features list of point features
+ * @prop {number} maxPoints max number of points rendered on the map, the extent includes all the features
+ */
+function SpreadsheetMap({ features = [], maxPoints = SPREADSHEET_MAP_MAX_POINTS }) {
+    const extent = useMemo(() => getFeaturesExtent(features), [features]);
+    const renderedFeatures = useMemo(() => features.slice(0, maxPoints), [features, maxPoints]);
+    return (
+        <div className="gn-spreadsheet-map">
+            <div className="gn-spreadsheet-map-container ms-secondary-colors">
+                <Map
+                    id="gn-spreadsheet-map"
+                    mapType="openlayers"
+                    map={{
+                        registerHooks: false,
+                        projection: 'EPSG:3857'
+                    }}
+                    styleMap={{
+                        position: 'absolute',
+                        width: '100%',
+                        height: '100%'
+                    }}
+                    layers={[
+                        {
+                            type: 'osm',
+                            title: 'Open Street Map',
+                            name: 'mapnik',
+                            source: 'osm',
+                            group: 'background',
+                            visibility: true
+                        },
+                        {
+                            id: 'spreadsheet-points',
+                            type: 'vector',
+                            visibility: true,
+                            features: renderedFeatures
+                        }
+                    ]}
+                >
+                    {extent && <ZoomTo extent={extent.join(',')} nearest={false} />}
+                </Map>
+            </div>
+            <small>
+                <Message msgId="gnviewer.spreadsheet.pointsCount" msgParams={{ count: features.length }} />
+                {renderedFeatures.length < features.length
+                    ? <>{' '}<Message msgId="gnviewer.spreadsheet.pointsLimit" msgParams={{ count: renderedFeatures.length }} /></>
+                    : null}
+            </small>
+        </div>
+    );
+}
+
+export default SpreadsheetMap;
@@ -6,26 +6,45 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useEffect, useState, Suspense, lazy } from "react";
+import React, { useEffect, useMemo, useState, Suspense, lazy } from "react";
+import PropTypes from "prop-types";
+import { Nav, NavItem, FormControl, Badge } from "react-bootstrap";
 
 import Loader from "@mapstore/framework/components/misc/Loader";
 import Message from "@mapstore/framework/components/I18N/Message";
+import Button from "@mapstore/framework/components/layout/Button";
+import { getMessageById } from "@mapstore/framework/utils/LocaleUtils";
 
+import Icon from "@js/components/Icon";
 import MetadataPreview from "@js/components/MetadataPreview/MetadataPreview";
 import { parseCSVToArray } from "@js/utils/FileUtils";
+import {
+    SortDirections,
+    getSheetTable,
+    filterSpreadsheetRows,
+    sortSpreadsheetRows,
+    detectCoordinateColumns,
+    rowsToFeatureCollection
+} from "@js/utils/SpreadsheetUtils";
 const AdaptiveGrid = lazy(() => import("@mapstore/framework/components/misc/AdaptiveGrid"));
+const SpreadsheetMap = lazy(() => import("@js/components/MediaViewer/SpreadsheetMap"));
+const SpreadsheetChart = lazy(() => import("@js/components/MediaViewer/SpreadsheetChart"));
 
-const VirtualizedGrid = ({data}) => {
-    let [columns, ...rows] = data ?? [];
-    columns = columns?.map((column, index) => ({ key: index, name: column, resizable: true })) ?? [];
+const MAX_HEADER_ROWS = 5;
+
+const VirtualizedGrid = ({ columns, rows, sort, onSort }) => {
+    const gridColumns = columns.map(({ key, name }) => ({ key, name, resizable: true, sortable: true }));
     const rowGetter = rowNumber => rows?.[rowNumber];
     return (
         <div className="grid-container">
             <Suspense fallback={null}>
                 <AdaptiveGrid
-                    columns={columns}
+                    columns={gridColumns}
                     rowGetter={rowGetter}
                     rowsCount={rows?.length ?? 0}
+                    sortColumn={sort.key}
+                    sortDirection={sort.direction}
+                    onGridSort={(key, direction) => onSort({ key, direction })}
                     emptyRowsView={() => <span className="empty-data"><Message msgId="gnviewer.noGridData"/></span>}
                     minColumnWidth={100}
                 />
@@ -34,10 +53,78 @@ const VirtualizedGrid = ({data}) => {
     );
 };
 
-export const SpreadsheetViewer = ({extension, src, url}) => {
-    const [data, setData] = useState([]);
+function ColumnFilters({ columns, filters, onChange }, context) {
+    const [key, setKey] = useState('');
+    const [value, setValue] = useState('');
+    const activeFilters = Object.keys(filters).filter((filterKey) => filters[filterKey]);
+    return (
+        <div className="gn-spreadsheet-filters">
+            <FormControl
+                componentClass="select"
+                bsSize="sm"
+                value={key}
+                onChange={(event) => setKey(event.target.value)}
+            >
+                <option value="">{getMessageById(context.messages, 'gnviewer.spreadsheet.filterColumn')}</option>
+                {columns.map((column) => <option key={column.key} value={column.key}>{column.name}</option>)}
+            </FormControl>
+            <FormControl
+                type="text"
+                bsSize="sm"
+                value={value}
+                disabled={key === ''}
+                placeholder={getMessageById(context.messages, 'gnviewer.spreadsheet.filterValue')}
+                onChange={(event) => setValue(event.target.value)}
+            />
+            <Button
+                size="sm"
+                disabled={key === '' || !value}
+                onClick={() => {
+                    onChange({ ...filters, [key]: value });
+                    setValue('');
+                }}
+            >
+                <Icon glyph="filter" />
+            </Button>
+            {activeFilters.map((filterKey) => (
+                <Badge key={filterKey}>
+                    {columns.find((column) => `${column.key}` === `${filterKey}`)?.name}: {filters[filterKey]}{' '}
+                    <Button size="xs" onClick={() => onChange({ ...filters, [filterKey]: undefined })}>
+                        <Icon glyph="times" />
+                    </Button>
+                </Badge>
+            ))}
+        </div>
+    );
+}
+
+ColumnFilters.contextTypes = {
+    messages: PropTypes.object
+};
+
+const readSheets = (extension, response) => {
+    if (extension === "csv") {
+        return Promise.resolve([{ name: "csv", data: parseCSVToArray(response) }]);
+    }
+    return import('xlsx').then(({ read, utils }) => {
+        const workbook = read(response, { type: "array" });
+        return workbook.SheetNames.map((name) => ({
+            name,
+            data: utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: "", raw: false })
+        }));
+    });
+};
+
+export const SpreadsheetViewer = ({extension, src, url}, context) => {
+    const [sheets, setSheets] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [activeSheet, setActiveSheet] = useState(0);
+    const [headerRows, setHeaderRows] = useState(1);
+    const [search, setSearch] = useState('');
+    const [filters, setFilters] = useState({});
+    const [sort, setSort] = useState({ direction: SortDirections.NONE });
+    const [panel, setPanel] = useState(null);
 
     useEffect(() => {
         if (src) {
@@ -47,23 +134,10 @@ export const SpreadsheetViewer = ({extension, src, url}) => {
                     ? response.text()
                     : response.arrayBuffer()
                 )
-                .then((res) => {
-                    let response = res;
-                    if (extension !== "csv") {
-                        import('xlsx').then(({ read, utils }) => {
-                            const workbook = read(response, { type: "array" });
-
-                            // Convert first sheet to CSV
-                            const sheetName = workbook.SheetNames[0];
-                            const worksheet = workbook.Sheets[sheetName];
-                            response = utils.sheet_to_csv(worksheet);
-                            setData(parseCSVToArray(response));
-                        }).catch((e) => {
-                            console.error("Failed to load xlsx module", e);
-                        });
-                    } else {
-                        setData(parseCSVToArray(response));
-                    }
+                .then((response) => readSheets(extension, response))
+                .then((newSheets) => {
+                    setSheets(newSheets);
+                    setActiveSheet(0);
                 }).catch(() => {
                     setError(true);
                 }).finally(()=> {
@@ -72,6 +146,25 @@ export const SpreadsheetViewer = ({extension, src, url}) => {
         }
     }, [src]);
 
+    const sheetData = sheets[activeSheet]?.data;
+    const { columns, rows } = useMemo(() => getSheetTable(sheetData, headerRows), [sheetData, headerRows]);
+    const filteredRows = useMemo(() => sortSpreadsheetRows(
+        filterSpreadsheetRows(rows, { search, filters }),
+        sort.key,
+        sort.direction
+    ), [rows, search, filters, sort]);
+    const coordinates = useMemo(() => detectCoordinateColumns(columns, rows), [columns, rows]);
+    const pointsCollection = useMemo(() => panel === 'map' && coordinates
+        ? rowsToFeatureCollection(filteredRows, columns, coordinates)
+        : null, [panel, filteredRows, columns, coordinates]);
+
+    function handleSelectSheet(idx) {
+        setActiveSheet(idx);
+        setFilters({});
+        setSort({ direction: SortDirections.NONE });
+        setPanel(null);
+    }
+
     if (loading) {
         return (
             <div className="csv-loader">
@@ -86,13 +179,74 @@ export const SpreadsheetViewer = ({extension, src, url}) => {
         );
     }
 
-    return data?.length > 0 ? (
+    return sheets.length > 0 ? (
         <div className="gn-csv-viewer">
             <div className="csv-container">
-                <VirtualizedGrid data={data}/>
+                {sheets.length > 1 && <Nav bsStyle="tabs" activeKey={activeSheet} onSelect={handleSelectSheet}>
+                    {sheets.map(({ name }, idx) => <NavItem key={name} eventKey={idx}>{name}</NavItem>)}
+                </Nav>}
+                <div className="gn-spreadsheet-toolbar">
+                    <FormControl
+                        type="text"
+                        bsSize="sm"
+                        value={search}
+                        placeholder={getMessageById(context.messages, 'gnviewer.spreadsheet.search')}
+                        onChange={(event) => setSearch(event.target.value)}
+                    />
+                    <FormControl
+                        componentClass="select"
+                        bsSize="sm"
+                        value={headerRows}
+                        onChange={(event) => setHeaderRows(Number(event.target.value))}
+                    >
+                        {[...Array(MAX_HEADER_ROWS + 1).keys()].map((count) => (
+                            <option key={count} value={count}>
+                                {getMessageById(context.messages, 'gnviewer.spreadsheet.headerRows')}: {count}
+                            </option>
+                        ))}
+                    </FormControl>
+                    {coordinates && <Button
+                        size="sm"
+                        variant={panel === 'map' ? 'primary' : 'default'}
+                        onClick={() => setPanel(panel === 'map' ? null : 'map')}
+                    >
+                        <Icon glyph="map-marker" />{' '}<Message msgId="gnviewer.spreadsheet.showOnMap" />
+                    </Button>}
+                    <Button
+                        size="sm"
+                        variant={panel === 'chart' ? 'primary' : 'default'}
+                        onClick={() => setPanel(panel === 'chart' ? null : 'chart')}
+                    >
+                        <Icon glyph="bar-chart" />{' '}<Message msgId="gnviewer.spreadsheet.chart" />
+                    </Button>
+                </div>
+                <ColumnFilters columns={columns} filters={filters} onChange={setFilters} />
+                <small>
+                    <Message msgId="gnviewer.spreadsheet.rowsCount" msgParams={{ count: filteredRows.length, total: rows.length }} />
+                </small>
+                {panel && <Suspense fallback={null}>
+                    {panel === 'map' && pointsCollection && <SpreadsheetMap
+                        features={pointsCollection.features}
+                    />}
+                    {panel === 'chart' && <SpreadsheetChart
+                        key={`${activeSheet}-${headerRows}`}
+                        columns={columns}
+                        rows={filteredRows}
+                    />}
+                </Suspense>}
+                <VirtualizedGrid
+                    columns={columns}
+                    rows={filteredRows}
+                    sort={sort}
+                    onSort={setSort}
+                />
             </div>
         </div>
     ) : null;
 };
 
+SpreadsheetViewer.contextTypes = {
+    messages: PropTypes.object
+};
+
 export default SpreadsheetViewer;
@@ -8,7 +8,7 @@
 
 import React, { useRef, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Glyphicon } from 'react-bootstrap';
+import { Glyphicon, Checkbox } from 'react-bootstrap';
 import Message from '@mapstore/framework/components/I18N/Message';
 import Button from '@mapstore/framework/components/layout/Button';
 import useInfiniteScroll from '@js/hooks/useInfiniteScroll';
@@ -29,7 +29,12 @@ function ResourcesCompactCatalog({
     titleId,
     noResultId,
     loading: resourceLoading,
-    params
+    params,
+    children,
+    selectedEntries,
+    onSelectionChange,
+    showAbstract,
+    footer
 }) {
 
     const scrollContainer = useRef();
@@ -39,6 +44,8 @@ function ResourcesCompactCatalog({
     const [isNextPageAvailable, setIsNextPageAvailable] = useState(false);
     const [q, setQ] = useState('');
     const isMounted = useRef();
+    // params are compared by value to reload the entries only when the filters change
+    const paramsKey = JSON.stringify(params || {});
 
     const loadingActive = loading
         ? loading
@@ -97,12 +104,22 @@ function ResourcesCompactCatalog({
     useEffect(() => {
         setPage(1);
         updateRequest.current({ page: 1, reset: true });
-    }, [q]);
+    }, [q, paramsKey]);
 
     function handleSelectResource(entry) {
         onSelect(entry);
     }
 
+    function isEntrySelected(entry) {
+        return !!(selectedEntries || []).find(({ pk }) => pk === entry.pk);
+    }
+
+    function handleToggleEntry(entry) {
+        onSelectionChange(isEntrySelected(entry)
+            ? selectedEntries.filter(({ pk }) => pk !== entry.pk)
+            : [...(selectedEntries || []), entry]);
+    }
+
     return (<div
         className="gn-resources-catalog"
         style={style}
@@ -113,6 +130,7 @@ function ResourcesCompactCatalog({
                 <Glyphicon glyph="1-close" />
             </Button>
         </div>}
+        {children}
         <div className="gn-resources-catalog-filter">
             <InputControl
                 placeholder={placeholderId}
@@ -131,8 +149,14 @@ function ResourcesCompactCatalog({
         >
             <ul className="gn-resources-catalog-list" >
                 {entries.map((entry) => {
+                    const selected = onSelectionChange && isEntrySelected(entry);
                     return (
-                        <li key={entry.pk}>
+                        <li key={entry.pk} className={selected ? 'selected' : undefined}>
+                            {onSelectionChange && <Checkbox
+                                className="gn-resources-catalog-select"
+                                checked={selected}
+                                onChange={() => handleToggleEntry(entry)}
+                            />}
                             <ResourceCard
                                 data={{
                                     ...entry,
@@ -147,6 +171,9 @@ function ResourcesCompactCatalog({
                                 metadata={[{ path: 'title', target: 'header', width: 100 }]}
                                 onClick={() => handleSelectResource(entry)}
                             />
+                            {(showAbstract && entry.raw_abstract) && <p className="gn-resources-catalog-abstract">
+                                {entry.raw_abstract}
+                            </p>}
                         </li>
                     );
                 })}
@@ -158,6 +185,7 @@ function ResourcesCompactCatalog({
             </ul>
 
         </div>
+        {footer}
         {loadingActive && <div
             style={{
                 position: 'absolute',
@@ -186,7 +214,12 @@ ResourcesCompactCatalog.propTypes = {
     onClose: PropTypes.func,
     onSelect: PropTypes.func,
     titleId: PropTypes.string,
-    noResultId: PropTypes.string
+    noResultId: PropTypes.string,
+    params: PropTypes.object,
+    selectedEntries: PropTypes.array,
+    onSelectionChange: PropTypes.func,
+    showAbstract: PropTypes.bool,
+    footer: PropTypes.node
 };
 
 ResourcesCompactCatalog.defaultProps = {
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Checkbox } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import SelectInfiniteScroll from '@js/components/SelectInfiniteScroll/SelectInfiniteScroll';
+import { getFacets, getFacetTopics } from '@js/api/geonode/v2/facets';
+import useIsMounted from '@js/hooks/useIsMounted';
+
+/**
+ * Get the request parameters of the selected facet filters
+ * @param {object[]} facets list of facets
+ * @param {object} filters selected options by facet name
+ * @return {object} request parameters
+ */
+export const getFacetFiltersParams = (facets = [], filters = {}) =>
+    facets.reduce((params, facet) => {
+        const values = (filters[facet.name] || []).map(({ value }) => value);
+        return values.length ? { ...params, [facet.filter]: values } : params;
+    }, {});
+
+/**
+ * Filters of the compact catalog based on the facets and on the current map extent
+ * @prop {string[]} facets names of the facets to display
+ * @prop {object} filters selected options by facet name
+ * @prop {function} onChange callback with the selected options and the facets list
+ * @prop {boolean} extentFilter true if the results are limited to the current map extent
+ * @prop {function} onExtentFilterChange callback with the new value of the extent filter
+ */
+function ResourcesCompactFilters({
+    facets: facetsNames,
+    filters,
+    onChange,
+    extentFilter,
+    onExtentFilterChange
+}, { messages }) {
+
+    const isMounted = useIsMounted();
+    const [facets, setFacets] = useState([]);
+
+    useEffect(() => {
+        getFacets()
+            .then((response = []) => {
+                isMounted(() => setFacets(facetsNames
+                    .map((name) => response.find((facet) => facet.name === name))
+                    .filter(facet => facet)
+                ));
+            })
+            .catch(() => {
+                isMounted(() => setFacets([]));
+            });
+    }, [facetsNames.join(',')]);
+
+    const getLabel = ({ label, labelId }) => labelId ? getMessageById(messages, labelId) : label;
+
+    function handleChange(facet, options) {
+        onChange({ ...filters, [facet.name]: options || [] }, facets);
+    }
+
+    return (
+        <div className="gn-resources-catalog-filters">
+            {facets.map((facet) => (
+                <SelectInfiniteScroll
+                    key={facet.name}
+                    multi
+                    value={filters[facet.name] || []}
+                    placeholder={getLabel(facet.is_localized ? { labelId: facet.label } : { label: facet.label })}
+                    loadOptions={({ q, page, pageSize, config }) =>
+                        getFacetTopics(facet, { q, page, pageSize, config })
+                            .then(({ items, isNextPageAvailable }) => ({
+                                isNextPageAvailable,
+                                results: items.map((item) => ({
+                                    selectOption: {
+                                        value: item.value,
+                                        label: `${getLabel(item)} (${item.count})`
+                                    }
+                                }))
+                            }))
+                    }
+                    onChange={(options) => handleChange(facet, options)}
+                />
+            ))}
+            <Checkbox
+                checked={!!extentFilter}
+                onChange={(event) => onExtentFilterChange(event.target.checked)}
+            >
+                <Message msgId="gnviewer.withinMapExtent" />
+            </Checkbox>
+        </div>
+    );
+}
+
+ResourcesCompactFilters.propTypes = {
+    facets: PropTypes.array,
+    filters: PropTypes.object,
+    onChange: PropTypes.func,
+    extentFilter: PropTypes.bool,
+    onExtentFilterChange: PropTypes.func
+};
+
+ResourcesCompactFilters.defaultProps = {
+    facets: [],
+    filters: {},
+    onChange: () => {},
+    onExtentFilterChange: () => {}
+};
+
+ResourcesCompactFilters.contextTypes = {
+    messages: PropTypes.object
+};
+
+export default ResourcesCompactFilters;
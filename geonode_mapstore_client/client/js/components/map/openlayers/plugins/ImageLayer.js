@@ -0,0 +1,53 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isEqual from 'lodash/isEqual';
+import Layers from '@mapstore/framework/utils/openlayers/Layers';
+import ImageLayer from 'ol/layer/Image';
+import ImageStatic from 'ol/source/ImageStatic';
+import { transformExtent } from 'ol/proj';
+
+/**
+ * Image overlay layer, the image is stretched over the bbox of the layer.
+ * The layer is available only in the 2D map: the georeference is limited to scale and translation
+ * so the bbox describes the placement of the image (see `getAffineTransform` of GeoreferenceUtils)
+ * @example
+ * {
+ *   type: 'image',
+ *   url: '/documents/1/link',
+ *   bbox: { crs: 'EPSG:4326', bounds: { minx: 10, miny: 40, maxx: 11, maxy: 41 } }
+ * }
+ */
+const createSource = (options, map) => {
+    const { minx, miny, maxx, maxy } = options?.bbox?.bounds || {};
+    return new ImageStatic({
+        url: options.url,
+        crossOrigin: options.crossOrigin,
+        imageExtent: transformExtent(
+            [minx, miny, maxx, maxy],
+            options?.bbox?.crs || 'EPSG:4326',
+            map.getView().getProjection()
+        )
+    });
+};
+
+Layers.registerType('image', {
+    create: (options, map) => new ImageLayer({
+        msId: options.id,
+        opacity: options.opacity !== undefined ? options.opacity : 1,
+        visible: options.visibility !== false,
+        zIndex: options.zIndex,
+        source: createSource(options, map)
+    }),
+    update: (layer, newOptions, oldOptions, map) => {
+        if (newOptions.url !== oldOptions.url || !isEqual(newOptions.bbox, oldOptions.bbox)) {
+            layer.setSource(createSource(newOptions, map));
+        }
+        return null;
+    }
+});
@@ -0,0 +1,42 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import { testEpic } from '@mapstore/framework/epics/__tests__/epicTestUtils';
+import { ADD_GROUP, ADD_LAYER } from '@mapstore/framework/actions/layers';
+import { addDatasetsGroup } from '@js/actions/datasetscatalog';
+import { gnAddDatasetsGroup } from '@js/epics/datasetscatalog';
+
+describe('datasetscatalog epics', () => {
+    beforeEach(done => {
+        setTimeout(done);
+    });
+    afterEach(done => {
+        setTimeout(done);
+    });
+    it('gnAddDatasetsGroup', (done) => {
+        const NUM_ACTIONS = 3;
+        testEpic(
+            gnAddDatasetsGroup,
+            NUM_ACTIONS,
+            addDatasetsGroup('Group', [{ id: 'layer01', type: 'wms' }, { id: 'layer02', type: 'wms' }]),
+            (actions) => {
+                try {
+                    expect(actions.map(({ type }) => type)).toEqual([ ADD_GROUP, ADD_LAYER, ADD_LAYER ]);
+                    expect(actions[0].group).toBe('Group');
+                    expect(actions.slice(1).map(({ layer }) => layer.id)).toEqual(['layer01', 'layer02']);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            },
+            { layers: { flat: [], groups: [] } },
+            done
+        );
+    });
+});
@@ -20,7 +20,8 @@ import {
 import {
     setResourceThumbnail,
     UPDATE_RESOURCE_PROPERTIES,
-    UPDATE_SINGLE_RESOURCE
+    UPDATE_SINGLE_RESOURCE,
+    SET_RESOURCE_VERSION
 } from '@js/actions/gnresource';
 import { clickOnMap, changeMapView, ZOOM_TO_EXTENT } from '@mapstore/framework/actions/map';
 import { SET_CONTROL_PROPERTY, setControlProperty } from '@mapstore/framework/actions/controls';
@@ -79,6 +80,39 @@ describe('gnresource epics', () => {
             testState
         );
     });
+    it('should refresh the resource version after the thumbnail update', (done) => {
+        const NUM_ACTIONS = 4;
+        const pk = 1;
+        const testState = {
+            gnresource: {
+                id: pk,
+                data: {
+                    'title': 'Document',
+                    'thumbnail_url': 'thumbnail.jpeg'
+                }
+            }
+        };
+        mockAxios.onPut(new RegExp(`resources/${pk}/set_thumbnail`))
+            .reply(() => [200, { thumbnail_url: 'test_url' }]);
+        mockAxios.onGet(new RegExp(`resources/${pk}`))
+            .reply(() => [200, { resource: { pk, last_updated: '2026-01-01T11:00:00Z' } }]);
+
+        testEpic(
+            gnViewerSetNewResourceThumbnail,
+            NUM_ACTIONS,
+            setResourceThumbnail(),
+            (actions) => {
+                try {
+                    expect(actions[3].type).toBe(SET_RESOURCE_VERSION);
+                    expect(actions[3].lastUpdated).toBe('2026-01-01T11:00:00Z');
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            testState
+        );
+    });
     it('should remove resource thumbnail', (done) => {
         const NUM_ACTIONS = 3;
         const pk = 1;
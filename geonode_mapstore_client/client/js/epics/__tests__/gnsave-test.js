@@ -15,17 +15,24 @@ import {
     SAVE_SUCCESS,
     saveContent,
     saveDirectContent,
-    SAVE_CONTENT
+    SAVE_CONTENT,
+    SET_SAVE_CONFLICT,
+    SAVE_DIRECT_CONTENT,
+    resolveSaveConflict
 } from '@js/actions/gnsave';
 import {
     RESET_GEO_LIMITS,
     SET_RESOURCE,
+    SET_RESOURCE_VERSION,
+    setMapThumbnail,
     SET_SELECTED_DATASET_PERMISSIONS,
     UPDATE_SINGLE_RESOURCE
 } from '@js/actions/gnresource';
 import {
     gnSaveContent,
-    gnSaveDirectContent
+    gnSaveDirectContent,
+    gnResolveSaveConflict,
+    gnSetMapThumbnail
 } from '@js/epics/gnsave';
 import {gnCheckSelectedDatasetPermissions, gnSetDatasetsPermissions} from '@js/epics';
 import { SET_PERMISSION } from '@mapstore/framework/actions/featuregrid';
@@ -288,4 +295,88 @@ describe('gnsave epics', () => {
             {map: {info: {id: pk}}}
         );
     });
+    it('should detect a save conflict (gnSaveDirectContent)', (done) => {
+        const NUM_ACTIONS = 2;
+        const pk = 1;
+        const resource = {
+            'pk': pk,
+            'title': 'Map',
+            'last_updated': '2026-01-01T11:00:00Z'
+        };
+        mockAxios.onGet(new RegExp(`resources/${pk}`))
+            .reply(200, {resource});
+        mockAxios.onGet(new RegExp(`maps/${pk}`))
+            .reply(200, { map: { ...resource, data: { map: { layers: [] } } } });
+        testEpic(
+            gnSaveDirectContent,
+            NUM_ACTIONS,
+            saveDirectContent(),
+            (actions) => {
+                try {
+                    expect(actions.map(({ type }) => type))
+                        .toEqual([
+                            SAVING_RESOURCE,
+                            SET_SAVE_CONFLICT
+                        ]);
+                    expect(actions[1].conflict).toEqual({ resource, data: { map: { layers: [] } } });
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            {
+                map: { info: { id: pk } },
+                gnresource: {
+                    type: 'map',
+                    initialResource: { pk, title: 'Map', last_updated: '2026-01-01T10:00:00Z' }
+                }
+            }
+        );
+    });
+    it('should overwrite the resource on conflict (gnResolveSaveConflict)', (done) => {
+        testEpic(
+            gnResolveSaveConflict,
+            1,
+            resolveSaveConflict('overwrite'),
+            (actions) => {
+                try {
+                    expect(actions[0].type).toBe(SAVE_DIRECT_CONTENT);
+                    expect(actions[0].force).toBe(true);
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            {}
+        );
+    });
+    it('should refresh the resource version after the map thumbnail update (gnSetMapThumbnail)', (done) => {
+        const pk = 1;
+        mockAxios.onPost(new RegExp(`resources/${pk}/set_thumbnail_from_bbox`))
+            .reply(() => [200, { thumbnail_url: 'thumbnail.png' }]);
+        mockAxios.onGet(new RegExp(`resources/${pk}`))
+            .reply(() => [200, { resource: { pk, last_updated: '2026-01-01T11:00:00Z' } }]);
+        testEpic(
+            gnSetMapThumbnail,
+            6,
+            setMapThumbnail({ crs: 'EPSG:3857', bounds: { minx: 0, miny: 0, maxx: 10, maxy: 10 } }),
+            (actions) => {
+                try {
+                    expect(actions[5].type).toBe(SET_RESOURCE_VERSION);
+                    expect(actions[5].lastUpdated).toBe('2026-01-01T11:00:00Z');
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            {
+                gnresource: {
+                    id: pk,
+                    type: 'map',
+                    data: { pk, resource_type: 'map' },
+                    initialResource: { pk, last_updated: '2026-01-01T10:00:00Z' }
+                }
+            }
+        );
+    });
 });
@@ -12,13 +12,16 @@ import axios from '@mapstore/framework/libs/ajax';
 import { testEpic } from '@mapstore/framework/epics/__tests__/epicTestUtils';
 import {
     STOP_ASYNC_PROCESS,
+    START_ASYNC_PROCESS,
     startAsyncProcess
 } from '@js/actions/resourceservice';
-import { gnMonitorAsyncProcesses, gnDownloadResource } from '../resourceservice';
+import { gnMonitorAsyncProcesses, gnDownloadResource, gnProcessResources } from '../resourceservice';
 import {
     SHOW_NOTIFICATION
 } from '@mapstore/framework/actions/notifications';
-import { DOWNLOAD_COMPLETE, downloadResource } from '@js/actions/gnresource';
+import { DOWNLOAD_COMPLETE, downloadResource, processResources } from '@js/actions/gnresource';
+import { SET_CONTROL_PROPERTY } from '@mapstore/framework/actions/controls';
+import { ProcessTypes } from '@js/utils/ResourceServiceUtils';
 
 let mockAxios;
 
@@ -109,4 +112,155 @@ describe('resourceservice epics', () => {
             testState
         );
     });
+
+    it('test gnProcessResources with metadata operations', (done) => {
+        const testState = {
+            resourceservice: {}
+        };
+        const actionsCount = 4;
+        let body;
+        mockAxios.onGet(/\/metadata\/schema/).reply(() => [200, {
+            type: 'object',
+            properties: {
+                hkeywords: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' } } } }
+            }
+        }]);
+        mockAxios.onGet(/\/metadata\/instance\/1/).reply(() => [200, { hkeywords: [{ id: 'a', label: 'A' }] }]);
+        mockAxios.onGet(/\/resources\/1/).reply(() => [200, { resource: { pk: 1 } }]);
+        mockAxios.onPut(/\/metadata\/instance\/1/).reply((config) => {
+            body = JSON.parse(config.data);
+            return [200, { message: 'updated' }];
+        });
+        testEpic(
+            gnProcessResources,
+            actionsCount,
+            processResources(ProcessTypes.UPDATE_METADATA, [{ pk: 1 }], false, {
+                batchId: 'batch',
+                operations: [{ key: 'hkeywords', operation: 'append', value: [{ id: 'b', label: 'B' }] }]
+            }),
+            (actions) => {
+                try {
+                    expect(actions.map(({ type }) => type))
+                        .toEqual([
+                            SET_CONTROL_PROPERTY,
+                            SET_CONTROL_PROPERTY,
+                            SET_CONTROL_PROPERTY,
+                            START_ASYNC_PROCESS
+                        ]);
+                    expect(actions[3].payload.batchId).toBe('batch');
+                    expect(actions[3].payload.error).toBe(undefined);
+                    expect(body.hkeywords).toEqual([{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }]);
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            testState
+        );
+    });
+    it('test gnProcessResources with bulk metadata update partially applied', (done) => {
+        const testState = {
+            resourceservice: {}
+        };
+        const actionsCount = 4;
+        mockAxios.onGet(/\/metadata\/schema/).reply(() => [200, { type: 'object', properties: { title: { type: 'string' } } }]);
+        mockAxios.onGet(/\/metadata\/instance\/1/).reply(() => [200, { title: 'Title' }]);
+        mockAxios.onGet(/\/resources\/1/).reply(() => [200, { resource: { pk: 1 } }]);
+        mockAxios.onPut(/\/metadata\/instance\/1/).reply(() => [200, { message: 'updated', extraErrors: { title: { __errors: ['invalid'] } } }]);
+        testEpic(
+            gnProcessResources,
+            actionsCount,
+            processResources(ProcessTypes.UPDATE_METADATA, [{ pk: 1 }], false, {
+                batchId: 'batch',
+                operations: [{ key: 'title', operation: 'replace', value: 'New title' }]
+            }),
+            (actions) => {
+                try {
+                    expect(actions[3].type).toBe(START_ASYNC_PROCESS);
+                    expect(actions[3].payload.error).toBe('Metadata partially updated, invalid fields: title');
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            testState
+        );
+    });
+    it('test gnProcessResources with metadata download of multiple resources', (done) => {
+        const testState = {
+            resourceservice: {}
+        };
+        const actionsCount = 6;
+        mockAxios.onGet(/\/resources\/(1|2|3)/).reply((config) => [200, {
+            resource: { links: [{ name: 'ISO', url: `/metadata/${config.url.split('/').pop()}.xml` }] }
+        }]);
+        mockAxios.onGet(/\/metadata\/(1|2)\.xml/).reply(() => [200, '<xml></xml>', { 'content-type': 'application/xml' }]);
+        mockAxios.onGet(/\/metadata\/3\.xml/).reply(() => [404]);
+        testEpic(
+            gnProcessResources,
+            actionsCount,
+            processResources(ProcessTypes.DOWNLOAD_METADATA, [{ pk: 1, title: 'a' }, { pk: 2, title: 'a' }, { pk: 3, title: 'b' }], false, { batchId: 'batch', link: 'ISO' }),
+            (actions) => {
+                try {
+                    expect(actions.map(({ type }) => type))
+                        .toEqual([
+                            SET_CONTROL_PROPERTY,
+                            SET_CONTROL_PROPERTY,
+                            SET_CONTROL_PROPERTY,
+                            START_ASYNC_PROCESS,
+                            START_ASYNC_PROCESS,
+                            START_ASYNC_PROCESS
+                        ]);
+                    // the saved files are not stored in the process output
+                    expect(actions[3].payload.output).toEqual({});
+                    expect(actions[4].payload.output).toEqual({});
+                    expect(actions[5].payload.error).toExist();
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            testState
+        );
+    });
+    it('test gnProcessResources with permissions template', (done) => {
+        const testState = {
+            resourceservice: {}
+        };
+        const actionsCount = 4;
+        let body;
+        mockAxios.onGet(/\/resources\/1\/permissions/).reply(() => [200, {
+            users: [{ id: 1, username: 'owner', permissions: 'owner' }, { id: 3, username: 'editor', permissions: 'edit' }],
+            organizations: [],
+            groups: [{ id: 2, name: 'registered-members', permissions: 'view' }]
+        }]);
+        mockAxios.onPut(/\/resources\/1\/permissions/).reply((config) => {
+            body = JSON.parse(config.data);
+            return [200, { status: 'ready' }];
+        });
+        testEpic(
+            gnProcessResources,
+            actionsCount,
+            processResources(ProcessTypes.PERMISSIONS_RESOURCE, [{ pk: 1 }], false, {
+                batchId: 'batch',
+                permissions: { users: [], organizations: [], groups: [{ id: 4, permissions: 'download' }] }
+            }),
+            (actions) => {
+                try {
+                    expect(actions[3].type).toBe(START_ASYNC_PROCESS);
+                    expect(actions[3].payload.error).toBe(undefined);
+                    // the owner is preserved and the default groups are kept without permissions
+                    expect(body.users).toEqual([{ id: 1, username: 'owner', permissions: 'owner' }]);
+                    expect(body.groups).toEqual([
+                        { id: 4, permissions: 'download' },
+                        { id: 2, name: 'registered-members', permissions: 'none' }
+                    ]);
+                } catch (e) {
+                    done(e);
+                }
+                done();
+            },
+            testState
+        );
+    });
 });
@@ -6,11 +6,15 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { Observable } from 'rxjs';
 import { SET_CONTROL_PROPERTY } from '@mapstore/framework/actions/controls';
+import { addGroup, addLayer } from '@mapstore/framework/actions/layers';
+import { groupsSelector } from '@mapstore/framework/selectors/layers';
 import { updateMapLayout, UPDATE_MAP_LAYOUT } from '@mapstore/framework/actions/maplayout';
 import { mapLayoutSelector, boundingSidebarRectSelector } from '@mapstore/framework/selectors/maplayout';
 import { getConfigProp } from "@mapstore/framework/utils/ConfigUtils";
 import { LayoutSections } from "@js/utils/LayoutUtils";
+import { ADD_DATASETS_GROUP } from '@js/actions/datasetscatalog';
 
 /**
 * @module epics/datasetcatalog
@@ -47,6 +51,26 @@ export const gnUpdateDatasetsCatalogMapLayout = (action$, store) =>
             return { ...action, source: LayoutSections.PANEL }; // add an argument to avoid infinite loop.
         });
 
+/**
+ * Add the layers selected in the datasets catalog inside a new group of the table of contents
+ */
+export const gnAddDatasetsGroup = (action$, store) =>
+    action$.ofType(ADD_DATASETS_GROUP)
+        .switchMap(({ title, layers }) => {
+            const currentGroupsIds = (groupsSelector(store.getState()) || []).map(({ id }) => id);
+            return Observable.of(addGroup(title))
+                .concat(Observable.defer(() => {
+                    // the identifier of the group is generated by the layers reducer
+                    const newGroup = (groupsSelector(store.getState()) || [])
+                        .find(({ id }) => !currentGroupsIds.includes(id));
+                    return Observable.from(layers.map((layer) => addLayer({
+                        ...layer,
+                        ...(newGroup && { group: newGroup.id })
+                    })));
+                }));
+        });
+
 export default {
-    gnUpdateDatasetsCatalogMapLayout
+    gnUpdateDatasetsCatalogMapLayout,
+    gnAddDatasetsGroup
 };
@@ -67,13 +67,15 @@ import {
     REQUEST_RESOURCE,
     resourceLoading,
     resourceError,
-    setSelectedLayer
+    setSelectedLayer,
+    setResourceVersion
 } from '@js/actions/gnresource';
 
 import {
     setCurrentStory,
     setResource as setGeoStoryResource,
-    setEditing
+    setEditing,
+    SET_CURRENT_STORY
 } from '@mapstore/framework/actions/geostory';
 import {
     dashboardLoaded,
@@ -88,6 +90,8 @@ import {
 } from '@mapstore/framework/actions/controls';
 import {
     resourceToLayerConfig,
+    resolveDatasetLayerConfig,
+    DatasetLayerTypes,
     ResourceTypes,
     toMapStoreMapConfig,
     getCataloguePath,
@@ -127,8 +131,16 @@ import { VisualizationModes } from '@mapstore/framework/utils/MapTypeUtils';
 import { forceUpdateMapLayout } from '@mapstore/framework/actions/maplayout';
 import { getShowDetails } from '@mapstore/framework/plugins/ResourcesCatalog/selectors/resources';
 import { searchSelector } from '@mapstore/framework/selectors/router';
+import { parseEmbedQuery, applyEmbedMapParams } from '@js/utils/EmbedUtils';
 
 const FIT_BOUNDS_CONTROL = 'fitBounds';
+// pages of the dataset viewer that need a wms layer
+const WMS_DATASET_PAGES = ['dataset_edit_data_viewer', 'dataset_edit_layer_settings'];
+// max time to wait for the rendering of the initial geostory section of an embed page
+const EMBED_SECTION_TIMEOUT = 10000;
+
+// initial view, visible layers and geostory section requested by the embed url
+const getEmbedQueryParams = () => parseEmbedQuery(url.parse(window.location.href, true).query);
 
 const resourceTypes = {
     [ResourceTypes.DATASET]: {
@@ -155,19 +167,25 @@ const resourceTypes = {
                     })
                     .then((response) => {
                         const [mapConfig, gnLayer, timeseries] = response;
-                        const newLayer = options?.isSamePreviousResource
+                        // data and style editing are supported only by wms layers
+                        const layerOptions = WMS_DATASET_PAGES.includes(page) ? { layerTypes: [DatasetLayerTypes.WMS] } : undefined;
+                        const keepSelectedLayer = options?.isSamePreviousResource
+                            && (!layerOptions || selectedLayer?.type === DatasetLayerTypes.WMS);
+                        const newLayer = keepSelectedLayer
                             ? selectedLayer // keep configuration for other pages when resource id is the same (eg: filters)
-                            : resourceToLayerConfig(gnLayer);
+                            : resourceToLayerConfig(gnLayer, layerOptions);
                         const _gnLayer = {...gnLayer, layerSettings: gnLayer.data};
-                        return [mapConfig, {..._gnLayer, timeseries}, newLayer];
+                        return resolveDatasetLayerConfig(gnLayer, newLayer)
+                            .then((resolvedLayer) => [mapConfig, {..._gnLayer, timeseries}, resolvedLayer]);
                     })
             )
                 .switchMap((response) => {
                     const [mapConfig, gnLayer, newLayer] = response;
                     const {minx, miny, maxx, maxy } = newLayer?.bbox?.bounds || {};
                     const extent = newLayer?.bbox?.bounds && [minx, miny, maxx, maxy ];
+                    const embedParams = getEmbedQueryParams();
                     return Observable.of(
-                        configureMap({
+                        configureMap(applyEmbedMapParams({
                             ...mapConfig,
                             map: {
                                 ...mapConfig.map,
@@ -181,8 +199,8 @@ const resourceTypes = {
                                     }
                                 ]
                             }
-                        }),
-                        ...(extent
+                        }, embedParams)),
+                        ...(extent && !embedParams.center
                             ? [ setControlProperty(FIT_BOUNDS_CONTROL, 'geometry', extent) ]
                             : []),
                         setControlProperty('toolbar', 'expanded', false),
@@ -233,7 +251,7 @@ const resourceTypes = {
                         ? options.data
                         : toMapStoreMapConfig(mapResource, baseConfig);
                     return Observable.of(
-                        configureMap(mapConfig),
+                        configureMap(applyEmbedMapParams(mapConfig, getEmbedQueryParams())),
                         setControlProperty('toolbar', 'expanded', false),
                         setContext(mapViewerResource ? mapViewerResource.data : null),
                         setResource(mapResource),
@@ -260,7 +278,8 @@ const resourceTypes = {
             ]))
                 .switchMap(([ response, gnLayer ]) => {
                     const mapConfig = options.data || response;
-                    const newLayer = gnLayer ? resourceToLayerConfig(gnLayer) : null;
+                    // the dataset is added to a new map where it could be edited and styled so the wms layer is used
+                    const newLayer = gnLayer ? resourceToLayerConfig(gnLayer, { layerTypes: [DatasetLayerTypes.WMS] }) : null;
                     const { minx, miny, maxx, maxy } = newLayer?.bbox?.bounds || {};
                     const extent = newLayer?.bbox?.bounds && [ minx, miny, maxx, maxy ];
                     return Observable.of(
@@ -566,8 +585,14 @@ export const gnViewerSetNewResourceThumbnail = (action$, store) =>
 
             return Observable.defer(() => deleteThumbnail ? deleteResourceThumbnail(resourceIDThumbnail) : setResourceThumbnail(resourceIDThumbnail, body))
                 .switchMap((res) => {
-                    return Observable.of(updateResourceProperties({ ...currentResource, thumbnail_url: res.thumbnail_url, thumbnailChanged: false, updatingThumbnail: false }), updateResource({ ...currentResource, thumbnail_url: res.thumbnail_url }),
-                        successNotification({ title: successMsgId, message: successMsgId }));
+                    return Observable.concat(
+                        Observable.of(updateResourceProperties({ ...currentResource, thumbnail_url: res.thumbnail_url, thumbnailChanged: false, updatingThumbnail: false }), updateResource({ ...currentResource, thumbnail_url: res.thumbnail_url }),
+                            successNotification({ title: successMsgId, message: successMsgId })),
+                        // the thumbnail request updates the server copy of the resource
+                        Observable.defer(() => getResourceByPk(resourceIDThumbnail))
+                            .map((resource) => setResourceVersion(resource?.last_updated))
+                            .catch(() => Observable.empty())
+                    );
                 }).catch((error) => {
                     return Observable.of(
                         saveError(error.data || error.message),
@@ -710,6 +735,24 @@ export const gnZoomToFitBounds = (action$) =>
                 })
         );
 
+/**
+ * Scroll the geostory to the initial section requested by the embed url, once it has been rendered
+ */
+export const gnScrollToEmbedGeoStorySection = (action$) =>
+    action$.ofType(SET_CURRENT_STORY)
+        .take(1)
+        .map(() => getEmbedQueryParams().section)
+        .filter((section) => !!section)
+        .switchMap((section) =>
+            Observable.interval(200)
+                .map(() => document.getElementById(section))
+                .filter((element) => !!element)
+                .take(1)
+                .takeUntil(Observable.timer(EMBED_SECTION_TIMEOUT))
+                .do((element) => element.scrollIntoView({ block: 'start' }))
+                .ignoreElements()
+        );
+
 const getResourceWithDetail = (resource) => ({
     ...resource,
     /* store information related to detail */
@@ -768,5 +811,6 @@ export default {
     closeResourceDetailsOnMapInfoOpen,
     gnManageLinkedResource,
     gnZoomToFitBounds,
+    gnScrollToEmbedGeoStorySection,
     gnSelectResourceEpic
 };
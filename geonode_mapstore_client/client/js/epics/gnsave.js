@@ -27,7 +27,11 @@ import {
     savingResource,
     SAVE_DIRECT_CONTENT,
     clearSave,
-    saveContent
+    saveContent,
+    saveDirectContent,
+    setSaveConflict,
+    REVERT_RESOURCE_CHANGE,
+    RESOLVE_SAVE_CONFLICT
 } from '@js/actions/gnsave';
 import {
     setResource,
@@ -39,7 +43,9 @@ import {
     enableMapThumbnailViewer,
     updateResource,
     manageLinkedResource,
-    setSelectedLayer
+    setSelectedLayer,
+    updateResourceCompactPermissions,
+    setResourceVersion
 } from '@js/actions/gnresource';
 import {
     getResourceByPk,
@@ -51,9 +57,11 @@ import {
     updateDocument,
     setMapThumbnail,
     updateCompactPermissionsByPk,
-    getResourceByUuid
+    getResourceByUuid,
+    getMapByPk
 } from '@js/api/geonode/v2';
 import { parseDevHostname } from '@js/utils/APIUtils';
+import { getAttributeSetPayload, updateAttribute } from '@js/utils/DatasetAttributesUtils';
 import uuid from 'uuid';
 import {
     getResourceName,
@@ -63,7 +71,8 @@ import {
     getResourceId,
     getDataPayload,
     getCompactPermissions,
-    getExtentPayload
+    getExtentPayload,
+    getResourceConflictMerge
 } from '@js/selectors/resource';
 
 import {
@@ -85,8 +94,15 @@ import {
     ProcessTypes,
     ProcessStatus
 } from '@js/utils/ResourceServiceUtils';
+import {
+    ResourceChangeSections,
+    ResourceChangeTypes,
+    revertCompactPermissionsChange,
+    isResourceVersionChanged,
+    resolveResourceMerge
+} from '@js/utils/ResourceChangesUtils';
 import { updateDatasetTimeSeries } from '@js/api/geonode/v2/index';
-import { updateNode, updateSettingsParams } from '@mapstore/framework/actions/layers';
+import { updateNode, updateSettingsParams, addLayer, removeLayer, changeLayerProperties } from '@mapstore/framework/actions/layers';
 import { layersSelector, getSelectedLayer as getSelectedNode } from '@mapstore/framework/selectors/layers';
 import { styleServiceSelector, getUpdatedLayer, selectedStyleSelector } from '@mapstore/framework/selectors/styleeditor';
 import LayersAPI from '@mapstore/framework/api/geoserver/Layers';
@@ -161,9 +177,11 @@ const SaveAPI = {
     [ResourceTypes.DATASET]: (state, id, body) => {
         const currentResource = getResourceData(state);
         const timeseries = currentResource?.timeseries;
+        const attributeSet = getAttributeSetPayload(state?.gnresource?.initialResource?.attribute_set, currentResource?.attribute_set);
         const updatedBody = {
             ...body,
-            ...(timeseries && { has_time: timeseries?.has_time })
+            ...(timeseries && { has_time: timeseries?.has_time }),
+            ...(attributeSet && { attribute_set: attributeSet })
         };
         const { request, actions } = setDefaultStyle(state, id); // set default style, if modified
         return request().then(() => (id
@@ -290,12 +308,17 @@ export const gnSetMapThumbnail = (action$, store) =>
             return Observable.defer(() => setMapThumbnail(resourceIDThumbnail, body, contentType))
                 .switchMap((res) => {
                     const randomNumber = Math.random();
-                    return Observable.of(
-                        updateResourceProperties({ ...currentResource, thumbnail_url: `${res.thumbnail_url}?${randomNumber}` }),
-                        enableMapThumbnailViewer(false), updateResource({ ...currentResource, thumbnail_url: `${res.thumbnail_url}?${randomNumber}` }),
-                        clearSave(),
-                        ...([successNotification({ title: "gnviewer.thumbnailsaved", message: "gnviewer.thumbnailsaved" })])
-
+                    return Observable.concat(
+                        Observable.of(
+                            updateResourceProperties({ ...currentResource, thumbnail_url: `${res.thumbnail_url}?${randomNumber}` }),
+                            enableMapThumbnailViewer(false), updateResource({ ...currentResource, thumbnail_url: `${res.thumbnail_url}?${randomNumber}` }),
+                            clearSave(),
+                            ...([successNotification({ title: "gnviewer.thumbnailsaved", message: "gnviewer.thumbnailsaved" })])
+                        ),
+                        // the thumbnail request updates the server copy of the resource
+                        Observable.defer(() => getResourceByPk(resourceIDThumbnail))
+                            .map((resource) => setResourceVersion(resource?.last_updated))
+                            .catch(() => Observable.empty())
                     );
                 })
                 .catch((error) => {
@@ -307,49 +330,57 @@ export const gnSetMapThumbnail = (action$, store) =>
         });
 export const gnSaveDirectContent = (action$, store) =>
     action$.ofType(SAVE_DIRECT_CONTENT)
-        .switchMap(() => {
+        .switchMap((action) => {
             const state = store.getState();
             const mapInfo = mapInfoSelector(state);
             const resourceId = mapInfo?.id || getResourceId(state);
             const { geoLimits } = getPermissionsPayload(state);
+            const initialResource = state?.gnresource?.initialResource;
 
             // resource information should be saved in a synchronous manner
             // i.e update resource data followed by permissions
-            return Observable.defer(() => axios.all([
-                getResourceByPk(resourceId),
-                ...(geoLimits
-                    ? geoLimits.map((limits) =>
-                        limits.features.length === 0
-                            ? deleteGeoLimits(resourceId, limits.id, limits.type)
-                                .catch(() => ({ error: true, resourceId, limits }))
-                            : updateGeoLimits(resourceId, limits.id, limits.type, { features: limits.features })
-                                .catch(() => ({ error: true, resourceId, limits }))
-                    )
-                    : [])
-            ]))
-                .switchMap(([resource, ...geoLimitsResponses]) => {
-                    const geoLimitsErrors = geoLimitsResponses.filter(({ error }) => error);
-                    const name = getResourceName(state);
-                    const description = getResourceDescription(state);
-                    const metadata = {
-                        name: (name) ? name : resource?.title,
-                        description: (description) ? description : resource?.abstract,
-                        extension: resource?.extension,
-                        href: resource?.href
-                    };
-                    return Observable.of(
-                        saveContent(
-                            resourceId,
-                            metadata,
-                            false,
-                            geoLimitsErrors.length > 0
-                                ? {
-                                    title: 'gnviewer.warningGeoLimitsSaveTitle',
-                                    message: 'gnviewer.warningGeoLimitsSaveMessage'
-                                }
-                                : true /* showNotification */),
-                        resetGeoLimits()
-                    );
+            return Observable.defer(() => getResourceByPk(resourceId))
+                .switchMap((resource) => {
+                    // the server copy has been updated by another session after the resource has been loaded
+                    if (!action.force && isResourceVersionChanged(initialResource, resource)) {
+                        return Observable.defer(() => state?.gnresource?.type === ResourceTypes.MAP
+                            ? getMapByPk(resourceId).then((map) => map?.data)
+                            : Promise.resolve(null))
+                            .map((data) => setSaveConflict({ resource, data }));
+                    }
+                    return Observable.defer(() => axios.all(geoLimits
+                        ? geoLimits.map((limits) =>
+                            limits.features.length === 0
+                                ? deleteGeoLimits(resourceId, limits.id, limits.type)
+                                    .catch(() => ({ error: true, resourceId, limits }))
+                                : updateGeoLimits(resourceId, limits.id, limits.type, { features: limits.features })
+                                    .catch(() => ({ error: true, resourceId, limits }))
+                        )
+                        : []))
+                        .switchMap((geoLimitsResponses) => {
+                            const geoLimitsErrors = geoLimitsResponses.filter(({ error }) => error);
+                            const name = getResourceName(state);
+                            const description = getResourceDescription(state);
+                            const metadata = {
+                                name: (name) ? name : resource?.title,
+                                description: (description) ? description : resource?.abstract,
+                                extension: resource?.extension,
+                                href: resource?.href
+                            };
+                            return Observable.of(
+                                saveContent(
+                                    resourceId,
+                                    metadata,
+                                    false,
+                                    geoLimitsErrors.length > 0
+                                        ? {
+                                            title: 'gnviewer.warningGeoLimitsSaveTitle',
+                                            message: 'gnviewer.warningGeoLimitsSaveMessage'
+                                        }
+                                        : true /* showNotification */),
+                                resetGeoLimits()
+                            );
+                        });
                 })
                 .catch((error) => {
                     return Observable.of(
@@ -360,6 +391,90 @@ export const gnSaveDirectContent = (action$, store) =>
                 .startWith(savingResource());
         });
 
+const getMergeLayersActions = (localLayers = [], layers) => {
+    if (!layers) {
+        return [];
+    }
+    return [
+        ...localLayers
+            .filter((localLayer) => !layers.some((layer) => layer.id === localLayer.id))
+            .map((localLayer) => removeLayer(localLayer.id)),
+        ...layers.map((layer) => localLayers.some((localLayer) => localLayer.id === layer.id)
+            ? updateNode(layer.id, 'layers', layer)
+            : addLayer(layer))
+    ];
+};
+
+export const gnResolveSaveConflict = (action$, store) =>
+    action$.ofType(RESOLVE_SAVE_CONFLICT)
+        .switchMap((action) => {
+            if (action.strategy === 'reload') {
+                window.location.reload();
+                return Observable.empty();
+            }
+            if (action.strategy === 'merge') {
+                const state = store.getState();
+                const merge = getResourceConflictMerge(state);
+                if (!merge) {
+                    return Observable.empty();
+                }
+                const { metadata, layers } = resolveResourceMerge(merge, action.choices);
+                return Observable.of(
+                    updateResourceProperties(metadata),
+                    ...getMergeLayersActions(getDataPayload(state)?.map?.layers, layers),
+                    saveDirectContent({ force: true })
+                );
+            }
+            return Observable.of(saveDirectContent({ force: true }));
+        });
+
+const getRevertChangeActions = (state, change) => {
+    switch (change.section) {
+    case ResourceChangeSections.METADATA:
+        return [updateResourceProperties({ [change.key]: change.previous })];
+    case ResourceChangeSections.TIME_SERIES:
+        return [updateResourceProperties({
+            timeseries: {
+                ...getResourceData(state)?.timeseries,
+                [change.key]: change.previous
+            }
+        })];
+    case ResourceChangeSections.ATTRIBUTES:
+        return [updateResourceProperties({
+            attribute_set: updateAttribute(getResourceData(state)?.attribute_set, change.key, change.previous)
+        })];
+    case ResourceChangeSections.PERMISSIONS:
+    case ResourceChangeSections.GEO_LIMITS:
+        return [updateResourceCompactPermissions(revertCompactPermissionsChange(
+            getCompactPermissions(state),
+            state?.gnresource?.initialCompactPermissions,
+            change
+        ))];
+    case ResourceChangeSections.STYLES:
+        return [changeLayerProperties(change.key, { style: change.previous })];
+    case ResourceChangeSections.LAYERS: {
+        if (state?.gnresource?.type === ResourceTypes.DATASET) {
+            const selectedLayer = getSelectedNode(state);
+            return selectedLayer ? [updateNode(selectedLayer.id, 'layers', { [change.key]: change.previous })] : [];
+        }
+        if (change.type === ResourceChangeTypes.ADDED) {
+            return [removeLayer(change.key)];
+        }
+        if (change.type === ResourceChangeTypes.REMOVED) {
+            return [addLayer(change.previous)];
+        }
+        return [updateNode(change.key, 'layers', change.previous)];
+    }
+    default:
+        return [];
+    }
+};
+
+export const gnRevertResourceChange = (action$, store) =>
+    action$.ofType(REVERT_RESOURCE_CHANGE)
+        .filter(({ change }) => change?.revertable)
+        .switchMap(({ change }) => Observable.of(...getRevertChangeActions(store.getState(), change)));
+
 export const gnWatchStopPermissionsProcess = (action$, store) =>
     action$.ofType(STOP_ASYNC_PROCESS)
         .filter(action => action?.payload?.processType === ProcessTypes.PERMISSIONS_RESOURCE)
@@ -378,7 +493,13 @@ export const gnWatchStopPermissionsProcess = (action$, store) =>
             }
             // reset permission to remove pending changes
             const compactPermissions = getCompactPermissions(state);
-            return Observable.of(setResourceCompactPermissions(compactPermissions));
+            return Observable.merge(
+                Observable.of(setResourceCompactPermissions(compactPermissions)),
+                // the permissions process updates the server copy of the resource
+                Observable.defer(() => getResourceByPk(resourceId))
+                    .map((resource) => setResourceVersion(resource?.last_updated))
+                    .catch(() => Observable.empty())
+            );
         });
 
 export const gnWatchStopCopyProcessOnSave = (action$, store) =>
@@ -410,6 +531,8 @@ export const gnWatchStopCopyProcessOnSave = (action$, store) =>
 export default {
     gnSaveContent,
     gnSaveDirectContent,
+    gnRevertResourceChange,
+    gnResolveSaveConflict,
     gnSetMapThumbnail,
     gnWatchStopPermissionsProcess,
     gnWatchStopCopyProcessOnSave
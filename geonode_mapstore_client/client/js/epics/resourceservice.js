@@ -9,6 +9,7 @@
 import { Observable } from 'rxjs';
 import axios from '@mapstore/framework/libs/ajax';
 import { saveAs } from 'file-saver';
+import isEmpty from 'lodash/isEmpty';
 
 import {
     START_ASYNC_PROCESS,
@@ -25,15 +26,23 @@ import { isProcessCompleted } from '@js/selectors/resourceservice';
 import {
     deleteResource,
     copyResource,
-    downloadResource
+    downloadResource,
+    setFavoriteResource,
+    getCompactPermissionsByPk,
+    updateCompactPermissionsByPk,
+    updateResourceByPk,
+    downloadResourceMetadata
 } from '@js/api/geonode/v2';
+import { getMetadataByPk, updateMetadata } from '@js/api/geonode/v2/metadata';
+import { applyBulkMetadataOperations } from '@js/utils/BulkMetadataUtils';
+import { applyPermissionsTemplate } from '@js/utils/PermissionsTemplatesUtils';
 import { PROCESS_RESOURCES, DOWNLOAD_RESOURCE, downloadComplete } from '@js/actions/gnresource';
 import { setControlProperty } from '@mapstore/framework/actions/controls';
 import { push } from 'connected-react-router';
 import {
     error as errorNotification
 } from '@mapstore/framework/actions/notifications';
-import { getFilenameFromContentDispositionHeader } from '@js/utils/FileUtils';
+import { getFilenameFromContentDispositionHeader, createZipArchive } from '@js/utils/FileUtils';
 import { searchResources, updateResource } from '@mapstore/framework/plugins/ResourcesCatalog/actions/resources';
 import { getResourceStatuses } from '@js/utils/ResourceUtils';
 import { userSelector } from '@mapstore/framework/selectors/security';
@@ -43,7 +52,8 @@ export const gnMonitorAsyncProcesses = (action$, store) => {
         .flatMap((action) => {
             const { status_url: statusUrl } = action?.payload?.output || {};
             if (!statusUrl || action?.payload?.error) {
-                return action?.payload?.error ? Observable.of(stopAsyncProcess({ ...action.payload, completed: true }), errorNotification({ title: 'gnviewer.invalidUploadMessageError', message: 'gnviewer.cannotPerfomAction' }))
+                // errors of batch operations are listed in the batch summary instead of a notification for each resource
+                return action?.payload?.error && !action?.payload?.batchId ? Observable.of(stopAsyncProcess({ ...action.payload, completed: true }), errorNotification({ title: 'gnviewer.invalidUploadMessageError', message: 'gnviewer.cannotPerfomAction' }))
                     : Observable.of(stopAsyncProcess({ ...action.payload, completed: true }));
             }
             return Observable
@@ -68,39 +78,134 @@ export const gnMonitorAsyncProcesses = (action$, store) => {
         });
 };
 
+const getResourceMetadataFile = (resource, options) => {
+    const link = options?.link || 'ISO';
+    return downloadResourceMetadata(resource, link)
+        .then(({ output, headers }) => {
+            const resourceTitle = (resource.title || `${resource.pk}`).replace(/[\.\s]/g, '_');
+            return {
+                file: {
+                    name: `${resourceTitle}_${link.split(' ').join('_')}_Metadata`,
+                    blob: new Blob([output], { type: headers?.['content-type'] })
+                }
+            };
+        });
+};
+
+// the metadata files of multiple resources are saved in a single archive instead of a download for each resource
+// the files are removed from the output of the processes once saved
+const saveMetadataFiles = (processes, options) => {
+    const files = processes.map((process) => process.output?.file).filter(Boolean);
+    const link = (options?.link || 'ISO').split(' ').join('_');
+    const save = files.length > 1
+        ? createZipArchive(files).then((blob) => saveAs(blob, `${link}_Metadata.zip`))
+        : Promise.resolve().then(() => files.forEach(({ name, blob }) => saveAs(blob, name)));
+    const updateSavedProcesses = (update) => processes.map((process) => {
+        if (!process.output?.file) {
+            return process;
+        }
+        const { output, ...savedProcess } = process;
+        return { ...savedProcess, ...update };
+    });
+    return save
+        .then(() => updateSavedProcesses({ output: {} }))
+        .catch((error) => updateSavedProcesses({ error: error?.message || true }));
+};
+
+// the template is merged with the current permissions to preserve the owner and the default groups
+const applyResourcePermissionsTemplate = (resource, options) =>
+    getCompactPermissionsByPk(resource.pk)
+        .then((compactPermissions) => updateCompactPermissionsByPk(resource.pk,
+            applyPermissionsTemplate(compactPermissions, { permissions: options.permissions })));
+
+// the metadata is requested again to apply the operations to the latest version
+// the update is partial when the response contains the errors of some fields so the resource is reported as failed
+const updateResourceMetadata = (resource, options) =>
+    getMetadataByPk(resource.pk)
+        .then(({ metadata, schema }) => updateMetadata(resource.pk, applyBulkMetadataOperations(metadata, options.operations, schema)))
+        .then((output) => {
+            const fields = Object.keys(output?.extraErrors || {}).filter((key) => key !== '__errors');
+            if (fields.length > 0 || !isEmpty(output?.extraErrors?.__errors)) {
+                throw new Error(`Metadata partially updated, invalid fields: ${fields.join(', ') || '-'}`);
+            }
+            return output;
+        });
+
 const processAPI = {
     [ProcessTypes.DELETE_RESOURCE]: deleteResource,
     [ProcessTypes.COPY_RESOURCE]: copyResource,
-    [ProcessTypes.REMOVE_LINKED_RESOURCE]: deleteResource
+    [ProcessTypes.REMOVE_LINKED_RESOURCE]: deleteResource,
+    [ProcessTypes.PERMISSIONS_RESOURCE]: applyResourcePermissionsTemplate,
+    [ProcessTypes.FAVORITE_RESOURCE]: (resource, options) => setFavoriteResource(resource.pk, options.value !== false),
+    [ProcessTypes.GROUP_RESOURCE]: (resource, options) => updateResourceByPk(resource.pk, { group: options.group ?? null }),
+    [ProcessTypes.ADVERTISED_RESOURCE]: (resource, options) => updateResourceByPk(resource.pk, { advertised: !!options.value }),
+    [ProcessTypes.FEATURED_RESOURCE]: (resource, options) => updateResourceByPk(resource.pk, { featured: !!options.value }),
+    [ProcessTypes.DOWNLOAD_METADATA]: getResourceMetadataFile,
+    [ProcessTypes.UPDATE_METADATA]: updateResourceMetadata
+};
+
+// completion of the processes that require all the outputs of the requests
+const processCompletion = {
+    [ProcessTypes.DOWNLOAD_METADATA]: saveMetadataFiles
+};
+
+// properties of the resource changed by the processes completed with a single request
+const processResourceProperties = {
+    [ProcessTypes.FAVORITE_RESOURCE]: (options) => ({ favorite: options.value !== false }),
+    [ProcessTypes.GROUP_RESOURCE]: (options) => ({ group: options.group ?? null }),
+    [ProcessTypes.ADVERTISED_RESOURCE]: (options) => ({ advertised: !!options.value }),
+    [ProcessTypes.FEATURED_RESOURCE]: (options) => ({ featured: !!options.value })
+};
+
+const getProcessedResourceUpdate = (process, options, user) => {
+    const getProperties = processResourceProperties[process.processType];
+    if (getProperties) {
+        return !process.error
+            ? updateResource({
+                id: process.resource.id ?? process.resource.pk,
+                ...getProperties(options)
+            })
+            : null;
+    }
+    if (!process.output?.status_url) {
+        return null;
+    }
+    const executions = [
+        ...(process.resource.executions || []),
+        { ...process.output, func_name: process.processType }
+    ];
+    return updateResource({
+        id: process.resource.id ?? process.resource.pk,
+        ['@extras']: {
+            ...process.resource?.['@extras'],
+            executions,
+            status: getResourceStatuses({ ...process.resource, executions }, user)
+        }
+    });
 };
 
 export const gnProcessResources = (action$, store) =>
     action$.ofType(PROCESS_RESOURCES)
         // all the processes must be listened for this reason we should use flatMap instead of switchMap
         .flatMap((action) => {
+            const options = action.options || {};
+            const batch = options.batchId ? { batchId: options.batchId } : {};
             return Observable.defer(() => axios.all(
-                action.resources.map((resource) => processAPI[action.processType](resource)
-                    .then((output) => ({ resource, output, processType: action.processType })
+                action.resources.map((resource) => processAPI[action.processType](resource, options)
+                    .then((output) => ({ resource, output, processType: action.processType, ...batch })
                     )
-                    .catch((error) => ({ resource, error: error?.data?.detail || error?.statusText || error?.message || true, processType: action.processType }))
+                    .catch((error) => ({ resource, error: error?.data?.detail || error?.statusText || error?.message || true, processType: action.processType, ...batch }))
                 )
             ))
+                .switchMap((processes) => processCompletion[action.processType]
+                    ? processCompletion[action.processType](processes, options)
+                    : Promise.resolve(processes))
                 .switchMap((processes) => {
+                    const user = userSelector(store.getState());
                     return Observable.of(
-                        ...processes.map((process) => {
-                            const executions = [
-                                ...(process.resource.executions || []),
-                                { ...process.output, func_name: process.processType }
-                            ];
-                            return updateResource({
-                                id: process.resource.id ?? process.resource.pk,
-                                ['@extras']: {
-                                    ...process.resource?.['@extras'],
-                                    executions,
-                                    status: getResourceStatuses({ ...process.resource, executions }, userSelector(store.getState()))
-                                }
-                            });
-                        }),
+                        ...processes
+                            .map((process) => getProcessedResourceUpdate(process, options, user))
+                            .filter(Boolean),
                         setControlProperty(action.processType, 'loading', false),
                         setControlProperty(action.processType, 'value', undefined),
                         ...processes.map((payload) => startAsyncProcess(payload)),
@@ -0,0 +1,30 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import useLocalStorage from '@js/hooks/useLocalStorage';
+import { getGeoNodeLocalConfig } from '@js/utils/APIUtils';
+import { getPermissionsTemplatesStorageKey } from '@js/utils/PermissionsTemplatesUtils';
+
+/**
+ * Permissions templates available to a user: the ones shared by the instance
+ * with the `MAPSTORE_PERMISSIONS_TEMPLATES` setting followed by the ones saved by the user in the browser
+ * @param {object} user current user
+ * @return {object} `{ templates, userTemplates, setUserTemplates }`
+ */
+const usePermissionsTemplates = (user) => {
+    const [userTemplates, setUserTemplates] = useLocalStorage(getPermissionsTemplatesStorageKey(user), []);
+    const instanceTemplates = (getGeoNodeLocalConfig('geoNodeSettings.permissionsTemplates', []) || [])
+        .map((template, idx) => ({ ...template, id: `instance-${idx}`, instance: true }));
+    return {
+        templates: [...instanceTemplates, ...(userTemplates || [])],
+        userTemplates: userTemplates || [],
+        setUserTemplates
+    };
+};
+
+export default usePermissionsTemplates;
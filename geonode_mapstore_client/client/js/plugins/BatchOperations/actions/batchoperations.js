@@ -0,0 +1,35 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import uuid from 'uuid';
+
+export const TOGGLE_RESOURCE_SELECTION = 'GEONODE:TOGGLE_RESOURCE_SELECTION';
+export const CLEAR_RESOURCES_SELECTION = 'GEONODE:CLEAR_RESOURCES_SELECTION';
+export const START_BATCH_OPERATION = 'GEONODE:START_BATCH_OPERATION';
+export const CLOSE_BATCH_OPERATION = 'GEONODE:CLOSE_BATCH_OPERATION';
+
+export const toggleResourceSelection = (resource) => ({
+    type: TOGGLE_RESOURCE_SELECTION,
+    resource
+});
+
+export const clearResourcesSelection = () => ({
+    type: CLEAR_RESOURCES_SELECTION
+});
+
+export const startBatchOperation = (processType, resources, options) => ({
+    type: START_BATCH_OPERATION,
+    id: uuid(),
+    processType,
+    resources,
+    options
+});
+
+export const closeBatchOperation = () => ({
+    type: CLOSE_BATCH_OPERATION
+});
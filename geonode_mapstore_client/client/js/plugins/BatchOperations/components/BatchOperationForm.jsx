@@ -0,0 +1,156 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FormGroup, ControlLabel, FormControl, Radio, Alert } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import SelectInfiniteScroll from '@mapstore/framework/plugins/ResourcesCatalog/components/SelectInfiniteScroll';
+import { getGroups } from '@js/api/geonode/v2';
+import { canProcessResource } from '@js/utils/ResourceUtils';
+
+const loadGroups = ({ q, ...params }) => getGroups({ q, ...params })
+    .then((response) => {
+        return {
+            ...response,
+            results: (response?.groups ?? [])
+                .map((item) => ({...item, selectOption: {
+                    value: item.group,
+                    label: item.group.name
+                }}))
+        };
+    });
+
+/**
+ * Dialog to configure and confirm an operation on the selected resources
+ * @prop {object} operation operation to configure
+ * @prop {array} resources list of selected resources
+ * @prop {object} user current user
+ * @prop {array} permissionsTemplates list of compact permissions templates (`id`, `label` and `permissions` properties)
+ * @prop {function} onClose callback to close the dialog
+ * @prop {function} onConfirm callback to start the operation with the allowed resources and the operation options
+ */
+function BatchOperationForm({
+    operation,
+    resources,
+    user,
+    permissionsTemplates,
+    onClose,
+    onConfirm
+}) {
+    const [value, setValue] = useState(true);
+    const [group, setGroup] = useState(null);
+    const [template, setTemplate] = useState('');
+
+    const allowed = resources.filter(resource => canProcessResource(operation.processType, resource, user));
+    const skipped = resources.length - allowed.length;
+    const selectedTemplate = permissionsTemplates.find(({ id }) => id === template);
+    const invalid = !allowed.length
+        || (operation.input === 'permissionsTemplate' && !selectedTemplate);
+
+    function getOptions() {
+        switch (operation.input) {
+        case 'toggle':
+            return { value };
+        case 'group':
+            return { group };
+        case 'permissionsTemplate':
+            return { permissions: selectedTemplate.permissions };
+        default:
+            return {};
+        }
+    }
+
+    return (
+        <ResizableModal
+            title={<Message msgId={operation.labelId} />}
+            show
+            fitContent
+            clickOutEnabled={false}
+            modalClassName="gn-simple-dialog"
+            buttons={[
+                {
+                    text: <Message msgId="close" />,
+                    onClick: () => onClose()
+                },
+                {
+                    text: <Message msgId="gnviewer.batchOperations.apply" msgParams={{ count: allowed.length }} />,
+                    bsStyle: operation.variant || 'primary',
+                    disabled: invalid,
+                    onClick: () => onConfirm(operation.processType, allowed, getOptions())
+                }
+            ]}
+            onClose={() => onClose()}
+        >
+            <div className="gn-batch-operation-form">
+                {operation.descriptionId && <p><Message msgId={operation.descriptionId} msgParams={{ count: allowed.length }} /></p>}
+                {operation.input === 'toggle' && (
+                    <FormGroup>
+                        <Radio name="gn-batch-operation-value" checked={value} onChange={() => setValue(true)}>
+                            <Message msgId={operation.valueLabelIds[0]} />
+                        </Radio>
+                        <Radio name="gn-batch-operation-value" checked={!value} onChange={() => setValue(false)}>
+                            <Message msgId={operation.valueLabelIds[1]} />
+                        </Radio>
+                    </FormGroup>
+                )}
+                {operation.input === 'group' && (
+                    <FormGroup>
+                        <ControlLabel><Message msgId="gnviewer.group" /></ControlLabel>
+                        <SelectInfiniteScroll
+                            clearable
+                            value={group ? { label: group.name, value: group } : null}
+                            placeholder="gnviewer.groupPlaceholder"
+                            onChange={(selected) => setGroup(selected?.value ?? null)}
+                            loadOptions={loadGroups}
+                        />
+                    </FormGroup>
+                )}
+                {operation.input === 'permissionsTemplate' && (
+                    <FormGroup>
+                        <ControlLabel><Message msgId="gnviewer.batchOperations.permissionsTemplate" /></ControlLabel>
+                        <FormControl
+                            componentClass="select"
+                            value={template}
+                            onChange={(event) => setTemplate(event.target.value)}
+                        >
+                            <option value="" />
+                            {permissionsTemplates.map((entry) => (
+                                <option key={entry.id} value={entry.id}>{entry.label}</option>
+                            ))}
+                        </FormControl>
+                    </FormGroup>
+                )}
+                {skipped > 0 && (
+                    <Alert bsStyle="warning">
+                        <Message msgId="gnviewer.batchOperations.skippedResources" msgParams={{ count: skipped }} />
+                    </Alert>
+                )}
+            </div>
+        </ResizableModal>
+    );
+}
+
+BatchOperationForm.propTypes = {
+    operation: PropTypes.object,
+    resources: PropTypes.array,
+    user: PropTypes.object,
+    permissionsTemplates: PropTypes.array,
+    onClose: PropTypes.func,
+    onConfirm: PropTypes.func
+};
+
+BatchOperationForm.defaultProps = {
+    resources: [],
+    permissionsTemplates: [],
+    onClose: () => {},
+    onConfirm: () => {}
+};
+
+export default BatchOperationForm;
@@ -0,0 +1,112 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { ProgressBar } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import Icon from '@js/components/Icon';
+
+function ResultStatus({ result }) {
+    if (!result.completed) {
+        return <Spinner />;
+    }
+    if (result.failed) {
+        return <Icon glyph="exclamation" className="text-danger" />;
+    }
+    return <Icon glyph="check" className="text-success" />;
+}
+
+/**
+ * Aggregate progress and per-resource results of a batch operation
+ * @prop {string} labelId title of the operation
+ * @prop {object} summary summary of the operation computed with `getBatchOperationSummary`
+ * @prop {function} onClose callback to close the report
+ */
+function BatchOperationReport({
+    labelId,
+    summary,
+    onClose
+}) {
+    const running = summary.completed < summary.total;
+    return (
+        <ResizableModal
+            title={<Message msgId={labelId} />}
+            show
+            fitContent
+            clickOutEnabled={false}
+            modalClassName="gn-simple-dialog"
+            buttons={[
+                {
+                    text: <Message msgId="close" />,
+                    onClick: () => onClose()
+                }
+            ]}
+            onClose={() => onClose()}
+        >
+            <div className="gn-batch-operation-report">
+                <ProgressBar
+                    active={running}
+                    bsStyle={summary.failed > 0 ? 'warning' : 'success'}
+                    now={summary.progress}
+                    label={`${summary.progress}%`}
+                />
+                <p>
+                    <Message
+                        msgId="gnviewer.batchOperations.summary"
+                        msgParams={{
+                            completed: summary.completed,
+                            total: summary.total,
+                            succeeded: summary.succeeded,
+                            failed: summary.failed
+                        }}
+                    />
+                </p>
+                <ul>
+                    {summary.results.map((result) => (
+                        <li key={result.resource.pk} className={result.failed ? 'danger' : ''}>
+                            <ResultStatus result={result} />
+                            <div className="gn-batch-operation-result">
+                                <div>{result.resource.title}</div>
+                                {result.failed && (
+                                    <small className="text-danger">
+                                        {typeof result.error === 'string'
+                                            ? result.error
+                                            : <Message msgId="gnviewer.cannotPerfomAction" />}
+                                    </small>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </ResizableModal>
+    );
+}
+
+BatchOperationReport.propTypes = {
+    labelId: PropTypes.string,
+    summary: PropTypes.object,
+    onClose: PropTypes.func
+};
+
+BatchOperationReport.defaultProps = {
+    summary: {
+        total: 0,
+        completed: 0,
+        succeeded: 0,
+        failed: 0,
+        progress: 0,
+        results: []
+    },
+    onClose: () => {}
+};
+
+export default BatchOperationReport;
@@ -0,0 +1,70 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Dropdown, MenuItem } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import Icon from '@js/components/Icon';
+
+/**
+ * Toolbar listing the operations available for the selected resources
+ * @prop {array} selected list of selected resources
+ * @prop {array} operations list of operations (`name`, `labelId` and `glyph` properties)
+ * @prop {function} onSelect callback to configure an operation
+ * @prop {function} onClear callback to clear the selection
+ */
+function BatchOperationsToolbar({
+    selected,
+    operations,
+    onSelect,
+    onClear
+}) {
+    if (!selected.length) {
+        return null;
+    }
+    return (
+        <div className="gn-batch-operations-toolbar">
+            <span className="gn-batch-operations-count">
+                <Message msgId="gnviewer.batchOperations.selected" msgParams={{ count: selected.length }} />
+            </span>
+            <Dropdown id="gn-batch-operations-menu" dropup>
+                <Dropdown.Toggle bsStyle="primary" bsSize="sm">
+                    <Message msgId="gnviewer.batchOperations.actions" />
+                </Dropdown.Toggle>
+                <Dropdown.Menu>
+                    {operations.map((operation) => (
+                        <MenuItem key={operation.name} onClick={() => onSelect(operation)}>
+                            <Icon glyph={operation.glyph} />{' '}<Message msgId={operation.labelId} />
+                        </MenuItem>
+                    ))}
+                </Dropdown.Menu>
+            </Dropdown>
+            <Button size="sm" onClick={() => onClear()}>
+                <Message msgId="gnviewer.batchOperations.clearSelection" />
+            </Button>
+        </div>
+    );
+}
+
+BatchOperationsToolbar.propTypes = {
+    selected: PropTypes.array,
+    operations: PropTypes.array,
+    onSelect: PropTypes.func,
+    onClear: PropTypes.func
+};
+
+BatchOperationsToolbar.defaultProps = {
+    selected: [],
+    operations: [],
+    onSelect: () => {},
+    onClear: () => {}
+};
+
+export default BatchOperationsToolbar;
@@ -0,0 +1,314 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Observable } from 'rxjs';
+import { Alert, Checkbox, FormControl, Table } from 'react-bootstrap';
+import validator from '@rjsf/validator-ajv8';
+import Form from '@rjsf/core';
+import Message from '@mapstore/framework/components/I18N/Message';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import InputControl from '@mapstore/framework/plugins/ResourcesCatalog/components/InputControl';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import { getMetadataSchema, getMetadataByPk } from '@js/api/geonode/v2/metadata';
+import widgets from '@js/plugins/MetadataEditor/components/_widgets';
+import templates from '@js/plugins/MetadataEditor/components/_templates';
+import fields from '@js/plugins/MetadataEditor/components/_fields';
+import { canProcessResource } from '@js/utils/ResourceUtils';
+import {
+    getBulkMetadataProperties,
+    getMetadataDifferences,
+    getBulkMetadataChanges,
+    isValidBulkMetadataOperation
+} from '@js/utils/BulkMetadataUtils';
+
+const METADATA_REQUESTS_CONCURRENCY = 4;
+
+const getErrorMessage = (error) => error?.data?.detail || error?.statusText || error?.message || true;
+
+// json schema of a single metadata property including the shared definitions
+const getPropertySchema = (schema, property) => ({
+    ...property.schema,
+    ...(schema.$defs && { $defs: schema.$defs }),
+    ...(schema.definitions && { definitions: schema.definitions })
+});
+
+function CurrentValues({ difference }) {
+    if (!difference) {
+        return null;
+    }
+    if (difference.differs) {
+        return (
+            <span className="text-warning" title={difference.values.join('\n')}>
+                <Message msgId="gnviewer.bulkMetadata.differentValues" msgParams={{ count: difference.values.length }} />
+            </span>
+        );
+    }
+    return <span>{difference.values[0]}</span>;
+}
+
+function DryRunSummary({ changes }) {
+    const changed = changes.filter((entry) => entry.changes.length > 0).length;
+    const failed = changes.filter((entry) => entry.error).length;
+    return (
+        <>
+            <p>
+                <Message
+                    msgId="gnviewer.bulkMetadata.dryRunSummary"
+                    msgParams={{ changed, unchanged: changes.length - changed - failed, failed }}
+                />
+            </p>
+            <ul className="gn-bulk-metadata-changes">
+                {changes.map(({ resource, error, changes: resourceChanges }) => (
+                    <li key={resource.pk}>
+                        <div className="gn-bulk-metadata-resource">{resource.title}</div>
+                        {error && <small className="text-danger">
+                            {typeof error === 'string' ? error : <Message msgId="gnviewer.bulkMetadata.loadError" />}
+                        </small>}
+                        {!error && !resourceChanges.length && <small><Message msgId="gnviewer.bulkMetadata.noChanges" /></small>}
+                        {resourceChanges.map(({ key, title, currentValue, newValue }) => (
+                            <small key={key}>
+                                {title}: <del>{currentValue}</del> → <ins>{newValue}</ins>
+                            </small>
+                        ))}
+                    </li>
+                ))}
+            </ul>
+        </>
+    );
+}
+
+/**
+ * Dialog to edit the metadata of the selected resources.
+ * It lists the properties of the shared metadata schema with the differences across the selection,
+ * each property can be changed with a replace, append (lists only) or remove operation.
+ * The changes are previewed in a dry run before starting the batch operation.
+ * @prop {object} operation batch operation
+ * @prop {array} resources list of selected resources
+ * @prop {object} user current user
+ * @prop {function} onClose callback to close the dialog
+ * @prop {function} onConfirm callback to start the operation with the changed resources and the metadata operations
+ */
+function BulkMetadataForm({
+    operation,
+    resources,
+    user,
+    onClose,
+    onConfirm
+}, { messages }) {
+
+    const [allowed] = useState(() => resources.filter(resource => canProcessResource(operation.processType, resource, user)));
+    const skipped = resources.length - allowed.length;
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(false);
+    const [metadataSchema, setMetadataSchema] = useState(null);
+    const [entries, setEntries] = useState([]);
+    const [operations, setOperations] = useState({});
+    const [filterText, setFilterText] = useState('');
+    const [onlyDifferences, setOnlyDifferences] = useState(false);
+    const [dryRun, setDryRun] = useState(null);
+
+    useEffect(() => {
+        // the metadata of the resources are requested with a limited concurrency to avoid flooding the server on large selections
+        const subscription = Observable.forkJoin(
+            Observable.defer(() => getMetadataSchema()),
+            Observable.from(allowed.map((resource, idx) => ({ resource, idx })))
+                .mergeMap(({ resource, idx }) => Observable.defer(() => getMetadataByPk(resource.pk)
+                    .then(({ metadata }) => ({ resource, metadata, idx }))
+                    .catch((err) => ({ resource, error: getErrorMessage(err), idx }))), METADATA_REQUESTS_CONCURRENCY)
+                .toArray()
+        )
+            .subscribe(
+                ([{ schema, uiSchema }, metadataEntries]) => {
+                    setMetadataSchema({ schema, uiSchema });
+                    setEntries([...metadataEntries]
+                        .sort((a, b) => a.idx - b.idx)
+                        .map(({ idx, ...entry }) => entry));
+                    setLoading(false);
+                },
+                () => {
+                    setError(true);
+                    setLoading(false);
+                }
+            );
+        return () => {
+            subscription.unsubscribe();
+        };
+    }, []);
+
+    const properties = useMemo(() => getBulkMetadataProperties(metadataSchema?.schema, metadataSchema?.uiSchema), [metadataSchema]);
+    const differences = useMemo(() => getMetadataDifferences(
+        entries.filter((entry) => !entry.error).map((entry) => entry.metadata),
+        properties.map(({ key }) => key)
+    ), [entries, properties]);
+
+    const operationsList = Object.keys(operations)
+        .map((key) => ({ key, ...operations[key] }))
+        .filter(isValidBulkMetadataOperation);
+    const changedResources = (dryRun || [])
+        .filter((entry) => entry.changes.length > 0)
+        .map((entry) => entry.resource);
+
+    const filteredProperties = properties.filter(({ key, title }) =>
+        (!onlyDifferences || differences[key]?.differs || operations[key])
+        && title.toLowerCase().includes(filterText.toLowerCase()));
+
+    function handleOperationChange(key, operationName) {
+        const { [key]: current, ...otherOperations } = operations;
+        setOperations(operationName
+            ? { ...otherOperations, [key]: { operation: operationName, value: current?.value } }
+            : otherOperations);
+    }
+
+    function handleValueChange(key, value) {
+        setOperations({ ...operations, [key]: { ...operations[key], value } });
+    }
+
+    const buttons = dryRun
+        ? [
+            {
+                text: <Message msgId="gnviewer.bulkMetadata.back" />,
+                onClick: () => setDryRun(null)
+            },
+            {
+                text: <Message msgId="gnviewer.batchOperations.apply" msgParams={{ count: changedResources.length }} />,
+                bsStyle: 'primary',
+                disabled: !changedResources.length,
+                onClick: () => onConfirm(operation.processType, changedResources, { operations: operationsList })
+            }
+        ]
+        : [
+            {
+                text: <Message msgId="close" />,
+                onClick: () => onClose()
+            },
+            {
+                text: <Message msgId="gnviewer.bulkMetadata.preview" />,
+                bsStyle: 'primary',
+                disabled: loading || !operationsList.length,
+                onClick: () => setDryRun(getBulkMetadataChanges(entries, operationsList, metadataSchema?.schema))
+            }
+        ];
+
+    return (
+        <ResizableModal
+            title={<Message msgId={operation.labelId} />}
+            show
+            size="lg"
+            clickOutEnabled={false}
+            buttons={buttons}
+            onClose={() => onClose()}
+        >
+            <div className="gn-bulk-metadata">
+                {skipped > 0 && (
+                    <Alert bsStyle="warning">
+                        <Message msgId="gnviewer.batchOperations.skippedResources" msgParams={{ count: skipped }} />
+                    </Alert>
+                )}
+                {loading && <div className="gn-bulk-metadata-loading"><Spinner /></div>}
+                {error && <Alert bsStyle="danger"><Message msgId="gnviewer.bulkMetadata.loadError" /></Alert>}
+                {!loading && !error && dryRun && <DryRunSummary changes={dryRun} />}
+                {!loading && !error && !dryRun && (
+                    <>
+                        <p><Message msgId="gnviewer.bulkMetadata.description" msgParams={{ count: allowed.length }} /></p>
+                        <div className="gn-bulk-metadata-toolbar">
+                            <InputControl
+                                placeholder="gnviewer.filterMetadata"
+                                value={filterText}
+                                onChange={(value) => setFilterText(value)}
+                            />
+                            <Checkbox checked={onlyDifferences} onChange={() => setOnlyDifferences(!onlyDifferences)}>
+                                <Message msgId="gnviewer.bulkMetadata.onlyDifferences" />
+                            </Checkbox>
+                        </div>
+                        <Table condensed>
+                            <thead>
+                                <tr>
+                                    <th><Message msgId="gnviewer.metadataImport.field" /></th>
+                                    <th><Message msgId="gnviewer.metadataImport.currentValue" /></th>
+                                    <th><Message msgId="gnviewer.bulkMetadata.operation" /></th>
+                                    <th><Message msgId="gnviewer.metadataImport.newValue" /></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredProperties.map((property) => {
+                                    const propertyOperation = operations[property.key];
+                                    return (
+                                        <tr key={property.key} className={differences[property.key]?.differs ? 'gn-bulk-metadata-differs' : undefined}>
+                                            <td>{property.title}</td>
+                                            <td><CurrentValues difference={differences[property.key]} /></td>
+                                            <td>
+                                                <FormControl
+                                                    componentClass="select"
+                                                    bsSize="sm"
+                                                    value={propertyOperation?.operation || ''}
+                                                    onChange={(event) => handleOperationChange(property.key, event.target.value)}
+                                                >
+                                                    <option value="" />
+                                                    {property.operations.map((name) => (
+                                                        <option key={name} value={name}>
+                                                            {getMessageById(messages, `gnviewer.bulkMetadata.operations.${name}`)}
+                                                        </option>
+                                                    ))}
+                                                </FormControl>
+                                            </td>
+                                            <td>
+                                                {propertyOperation && <Form
+                                                    idPrefix={`gn-bulk-${property.key}`}
+                                                    schema={getPropertySchema(metadataSchema.schema, property)}
+                                                    uiSchema={metadataSchema.uiSchema?.[property.key]}
+                                                    formData={propertyOperation.value}
+                                                    formContext={{ metadata: {} }}
+                                                    widgets={widgets}
+                                                    templates={templates}
+                                                    fields={fields}
+                                                    validator={validator}
+                                                    experimental_defaultFormStateBehavior={{
+                                                        arrayMinItems: {
+                                                            populate: 'never',
+                                                            mergeExtraDefaults: false
+                                                        }
+                                                    }}
+                                                    onChange={({ formData }) => handleValueChange(property.key, formData)}
+                                                >
+                                                    <></>
+                                                </Form>}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+            </div>
+        </ResizableModal>
+    );
+}
+
+BulkMetadataForm.propTypes = {
+    operation: PropTypes.object,
+    resources: PropTypes.array,
+    user: PropTypes.object,
+    onClose: PropTypes.func,
+    onConfirm: PropTypes.func
+};
+
+BulkMetadataForm.defaultProps = {
+    resources: [],
+    onClose: () => {},
+    onConfirm: () => {}
+};
+
+BulkMetadataForm.contextTypes = {
+    messages: PropTypes.object
+};
+
+export default BulkMetadataForm;
@@ -0,0 +1,23 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { START_BATCH_OPERATION } from '../actions/batchoperations';
+import { processResources } from '@js/actions/gnresource';
+
+export const gnStartBatchOperation = (action$) =>
+    action$.ofType(START_BATCH_OPERATION)
+        .map((action) =>
+            processResources(action.processType, action.resources, false, {
+                ...action.options,
+                batchId: action.id
+            })
+        );
+
+export default {
+    gnStartBatchOperation
+};
@@ -0,0 +1,261 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { connect } from 'react-redux';
+import { createSelector } from 'reselect';
+import { createPlugin } from '@mapstore/framework/utils/PluginsUtils';
+import Portal from '@mapstore/framework/components/misc/Portal';
+import { userSelector } from '@mapstore/framework/selectors/security';
+import { getCurrentProcesses } from '@js/selectors/resourceservice';
+import { ProcessTypes, getBatchOperationSummary } from '@js/utils/ResourceServiceUtils';
+import usePermissionsTemplates from '@js/hooks/usePermissionsTemplates';
+import {
+    toggleResourceSelection,
+    clearResourcesSelection,
+    startBatchOperation,
+    closeBatchOperation
+} from './actions/batchoperations';
+import batchoperations from './reducers/batchoperations';
+import epics from './epics/batchoperations';
+import BatchOperationsToolbar from './components/BatchOperationsToolbar';
+import BatchOperationForm from './components/BatchOperationForm';
+import BatchOperationReport from './components/BatchOperationReport';
+import BulkMetadataForm from './components/BulkMetadataForm';
+
+const batchOperations = {
+    'delete': {
+        processType: ProcessTypes.DELETE_RESOURCE,
+        labelId: 'gnviewer.batchOperations.delete',
+        descriptionId: 'gnviewer.batchOperations.deleteDescription',
+        glyph: 'trash',
+        variant: 'danger'
+    },
+    'copy': {
+        processType: ProcessTypes.COPY_RESOURCE,
+        labelId: 'gnviewer.batchOperations.copy',
+        descriptionId: 'gnviewer.batchOperations.copyDescription',
+        glyph: 'copy'
+    },
+    'favorite': {
+        processType: ProcessTypes.FAVORITE_RESOURCE,
+        labelId: 'gnviewer.batchOperations.favorite',
+        glyph: 'heart',
+        input: 'toggle',
+        valueLabelIds: ['resourcesCatalog.addToFavorites', 'resourcesCatalog.removeFromFavorites']
+    },
+    'group': {
+        processType: ProcessTypes.GROUP_RESOURCE,
+        labelId: 'gnviewer.batchOperations.group',
+        glyph: 'users',
+        input: 'group'
+    },
+    'permissions': {
+        processType: ProcessTypes.PERMISSIONS_RESOURCE,
+        labelId: 'gnviewer.batchOperations.permissions',
+        descriptionId: 'gnviewer.batchOperations.permissionsDescription',
+        glyph: 'lock',
+        input: 'permissionsTemplate'
+    },
+    'advertised': {
+        processType: ProcessTypes.ADVERTISED_RESOURCE,
+        labelId: 'gnviewer.batchOperations.advertised',
+        glyph: 'eye',
+        input: 'toggle',
+        valueLabelIds: ['gnviewer.batchOperations.advertise', 'gnviewer.batchOperations.unadvertise']
+    },
+    'featured': {
+        processType: ProcessTypes.FEATURED_RESOURCE,
+        labelId: 'gnviewer.batchOperations.featured',
+        glyph: 'star',
+        input: 'toggle',
+        valueLabelIds: ['gnviewer.batchOperations.feature', 'gnviewer.batchOperations.unfeature']
+    },
+    'metadata': {
+        processType: ProcessTypes.DOWNLOAD_METADATA,
+        labelId: 'gnviewer.batchOperations.metadata',
+        descriptionId: 'gnviewer.batchOperations.metadataDescription',
+        glyph: 'download'
+    },
+    'editMetadata': {
+        processType: ProcessTypes.UPDATE_METADATA,
+        labelId: 'gnviewer.batchOperations.editMetadata',
+        glyph: 'pencil',
+        input: 'metadata'
+    }
+};
+
+const getOperationByProcessType = (processType) =>
+    Object.values(batchOperations).find((operation) => operation.processType === processType);
+
+/**
+* @module BatchOperations
+*/
+
+/**
+ * Adds a selection button to the resource cards of the catalog and a toolbar to apply an operation to all the selected resources.
+ * Each operation runs through the resource service and shows the aggregate progress with a per-resource summary at the end.
+ * Resources that the user is not allowed to process are skipped.
+ * @name BatchOperations
+ * @prop {string[]} operations list of the available operations, one of: `delete`, `copy`, `favorite`, `group`, `permissions`, `advertised`, `featured`, `metadata`, `editMetadata`.
+ * The `editMetadata` operation applies replace, append and remove operations to the metadata properties of the selected resources after a dry run of the changes
+ * The `permissions` operation applies one of the permissions templates shared by the instance (`MAPSTORE_PERMISSIONS_TEMPLATES` setting) or saved by the user
+ * from the Permissions tab of the resource details, the operation is hidden when no template is available
+ * @prop {string} metadataLink name of the metadata link downloaded by the `metadata` operation (default `ISO`)
+ * @example
+ * {
+ *  "name": "BatchOperations",
+ *  "cfg": {
+ *      "operations": ["delete", "favorite", "group", "permissions", "metadata"],
+ *      "metadataLink": "ISO"
+ *  }
+ * }
+ */
+function BatchOperations({
+    selected,
+    operation,
+    summary,
+    user,
+    operations,
+    metadataLink,
+    onClear,
+    onStart,
+    onClose
+}) {
+    const [configuring, setConfiguring] = useState(null);
+    const { templates: permissionsTemplates } = usePermissionsTemplates(user);
+    const availableOperations = operations
+        .map((name) => batchOperations[name] && { name, ...batchOperations[name] })
+        .filter((entry) => entry && (entry.input !== 'permissionsTemplate' || permissionsTemplates.length > 0));
+
+    function handleConfirm(processType, resources, options) {
+        setConfiguring(null);
+        onStart(processType, resources, {
+            ...options,
+            ...(processType === ProcessTypes.DOWNLOAD_METADATA && { link: metadataLink })
+        });
+    }
+
+    if (!user) {
+        return null;
+    }
+
+    return (
+        <Portal>
+            <BatchOperationsToolbar
+                selected={selected}
+                operations={availableOperations}
+                onSelect={setConfiguring}
+                onClear={onClear}
+            />
+            {configuring && !operation && configuring.input === 'metadata' && (
+                <BulkMetadataForm
+                    operation={configuring}
+                    resources={selected}
+                    user={user}
+                    onClose={() => setConfiguring(null)}
+                    onConfirm={handleConfirm}
+                />
+            )}
+            {configuring && !operation && configuring.input !== 'metadata' && (
+                <BatchOperationForm
+                    operation={configuring}
+                    resources={selected}
+                    user={user}
+                    permissionsTemplates={permissionsTemplates}
+                    onClose={() => setConfiguring(null)}
+                    onConfirm={handleConfirm}
+                />
+            )}
+            {operation && (
+                <BatchOperationReport
+                    labelId={getOperationByProcessType(operation.processType)?.labelId}
+                    summary={summary}
+                    onClose={onClose}
+                />
+            )}
+        </Portal>
+    );
+}
+
+BatchOperations.defaultProps = {
+    selected: [],
+    operations: Object.keys(batchOperations),
+    metadataLink: 'ISO'
+};
+
+const BatchOperationsPlugin = connect(
+    createSelector([
+        state => state?.batchoperations?.selected,
+        state => state?.batchoperations?.operation,
+        getCurrentProcesses,
+        userSelector
+    ], (selected, operation, processes, user) => ({
+        selected,
+        operation,
+        summary: operation ? getBatchOperationSummary(processes, operation) : undefined,
+        user
+    })),
+    {
+        onClear: clearResourcesSelection,
+        onStart: startBatchOperation,
+        onClose: closeBatchOperation
+    }
+)(BatchOperations);
+
+function SelectResourceButton({
+    component,
+    resource,
+    user,
+    selected,
+    onSelect
+}) {
+    const Component = component;
+    if (!(Component && resource?.pk && user)) {
+        return null;
+    }
+    const isSelected = selected.some(({ pk }) => pk === resource.pk);
+    return (
+        <Component
+            glyph={isSelected ? 'check-square-o' : 'square-o'}
+            iconType="glyphicon"
+            labelId={isSelected ? 'gnviewer.batchOperations.deselectResource' : 'gnviewer.batchOperations.selectResource'}
+            square
+            onClick={() => onSelect(resource)}
+        />
+    );
+}
+
+const ConnectedSelectResourceButton = connect(
+    createSelector([
+        userSelector,
+        state => state?.batchoperations?.selected || []
+    ], (user, selected) => ({
+        user,
+        selected
+    })),
+    {
+        onSelect: toggleResourceSelection
+    }
+)(SelectResourceButton);
+
+export default createPlugin('BatchOperations', {
+    component: BatchOperationsPlugin,
+    containers: {
+        ResourcesGrid: {
+            name: 'BatchOperations',
+            target: 'card-buttons',
+            position: 1,
+            Component: ConnectedSelectResourceButton
+        }
+    },
+    epics,
+    reducers: {
+        batchoperations
+    }
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+    TOGGLE_RESOURCE_SELECTION,
+    CLEAR_RESOURCES_SELECTION,
+    START_BATCH_OPERATION,
+    CLOSE_BATCH_OPERATION
+} from '../actions/batchoperations';
+import { STOP_ASYNC_PROCESS } from '@js/actions/resourceservice';
+import { ProcessTypes, isProcessFailed } from '@js/utils/ResourceServiceUtils';
+
+const defaultState = {
+    selected: [],
+    operation: null
+};
+
+function batchoperations(state = defaultState, action) {
+    switch (action.type) {
+    case TOGGLE_RESOURCE_SELECTION: {
+        const isSelected = state.selected.some(({ pk }) => pk === action.resource.pk);
+        return {
+            ...state,
+            selected: isSelected
+                ? state.selected.filter(({ pk }) => pk !== action.resource.pk)
+                : [...state.selected, action.resource]
+        };
+    }
+    case CLEAR_RESOURCES_SELECTION: {
+        return {
+            ...state,
+            selected: []
+        };
+    }
+    case START_BATCH_OPERATION: {
+        return {
+            ...state,
+            operation: {
+                id: action.id,
+                processType: action.processType,
+                resources: action.resources,
+                options: action.options
+            }
+        };
+    }
+    case CLOSE_BATCH_OPERATION: {
+        return {
+            ...state,
+            operation: null
+        };
+    }
+    case STOP_ASYNC_PROCESS: {
+        // deleted resources cannot be part of a new operation
+        const { batchId, processType, resource } = action.payload || {};
+        if (batchId && processType === ProcessTypes.DELETE_RESOURCE && !isProcessFailed(action.payload)) {
+            return {
+                ...state,
+                selected: state.selected.filter(({ pk }) => pk !== resource?.pk)
+            };
+        }
+        return state;
+    }
+    default:
+        return state;
+    }
+}
+
+export default batchoperations;
@@ -0,0 +1,219 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormGroup, ControlLabel, FormControl, Checkbox } from 'react-bootstrap';
+import Button from '@mapstore/framework/components/layout/Button';
+import Message from '@mapstore/framework/components/I18N/Message';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import Icon from '@js/components/Icon';
+import {
+    DatasetGeometryTypes,
+    DatasetAttributeTypes,
+    createDatasetAttribute,
+    supportsAttributeOptions,
+    supportsAttributeRange
+} from '@js/utils/DatasetSchemaUtils';
+
+const ErrorsList = ({ errors }) => errors.length > 0
+    ? (
+        <ul className="gn-dataset-schema-errors text-danger">
+            {errors.map(({ id }) => <li key={id}><Message msgId={`gnviewer.createDataset.errors.${id}`} /></li>)}
+        </ul>
+    )
+    : null;
+
+/**
+ * Form to define the schema of a new dataset
+ * @prop {object} schema dataset schema `{ title, geometryType, crs, attributes }`
+ * @prop {string[]} crsOptions list of selectable crs codes
+ * @prop {object[]} errors list of validation errors `{ id, index }`
+ * @prop {boolean} disabled disable the form
+ * @prop {function} onChange callback with the updated schema
+ */
+function DatasetSchemaForm({
+    schema,
+    crsOptions,
+    errors,
+    disabled,
+    onChange
+}, context) {
+
+    const attributes = schema.attributes || [];
+    const handleChange = (properties) => onChange({ ...schema, ...properties });
+    const handleChangeAttribute = (index, properties) => handleChange({
+        attributes: attributes.map((attribute, idx) => idx === index ? { ...attribute, ...properties } : attribute)
+    });
+    const getErrors = (index) => errors.filter((error) => error.index === index);
+    const attributeTypes = Object.values(DatasetAttributeTypes);
+
+    return (
+        <div className="gn-dataset-schema-form">
+            <FormGroup>
+                <ControlLabel><Message msgId="gnviewer.createDataset.title" /></ControlLabel>
+                <FormControl
+                    type="text"
+                    disabled={disabled}
+                    value={schema.title || ''}
+                    onChange={(event) => handleChange({ title: event.target.value })}
+                />
+            </FormGroup>
+            <div className="gn-dataset-schema-row">
+                <FormGroup>
+                    <ControlLabel><Message msgId="gnviewer.createDataset.geometryType" /></ControlLabel>
+                    <FormControl
+                        componentClass="select"
+                        disabled={disabled}
+                        value={schema.geometryType || ''}
+                        onChange={(event) => handleChange({ geometryType: event.target.value })}
+                    >
+                        {DatasetGeometryTypes.map((geometryType) => (
+                            <option key={geometryType} value={geometryType}>
+                                {getMessageById(context.messages, `gnviewer.createDataset.geometryTypes.${geometryType}`)}
+                            </option>
+                        ))}
+                    </FormControl>
+                </FormGroup>
+                <FormGroup>
+                    <ControlLabel><Message msgId="gnviewer.createDataset.crs" /></ControlLabel>
+                    <FormControl
+                        componentClass="select"
+                        disabled={disabled}
+                        value={schema.crs || ''}
+                        onChange={(event) => handleChange({ crs: event.target.value })}
+                    >
+                        {crsOptions.map((crs) => <option key={crs} value={crs}>{crs}</option>)}
+                    </FormControl>
+                </FormGroup>
+            </div>
+            <ErrorsList errors={getErrors(undefined)} />
+            <div className="gn-dataset-schema-attributes">
+                <div className="gn-dataset-schema-attributes-header">
+                    <h4><Message msgId="gnviewer.createDataset.attributes" /></h4>
+                    <Button
+                        disabled={disabled}
+                        onClick={() => handleChange({ attributes: [...attributes, createDatasetAttribute()] })}
+                    >
+                        <Icon glyph="plus" />{' '}<Message msgId="gnviewer.createDataset.addAttribute" />
+                    </Button>
+                </div>
+                {attributes.length === 0 && <p><Message msgId="gnviewer.createDataset.noAttributes" /></p>}
+                {attributes.length > 0 && <table className="table table-condensed">
+                    <thead>
+                        <tr>
+                            <th><Message msgId="gnviewer.createDataset.attributeName" /></th>
+                            <th><Message msgId="gnviewer.createDataset.attributeType" /></th>
+                            <th><Message msgId="gnviewer.createDataset.nullable" /></th>
+                            <th><Message msgId="gnviewer.createDataset.options" /></th>
+                            <th><Message msgId="gnviewer.createDataset.min" /></th>
+                            <th><Message msgId="gnviewer.createDataset.max" /></th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {attributes.map((attribute, index) => {
+                            const attributeErrors = getErrors(index);
+                            return (
+                                <React.Fragment key={index}>
+                                    <tr className={attributeErrors.length ? 'has-error' : ''}>
+                                        <td>
+                                            <FormControl
+                                                type="text"
+                                                bsSize="sm"
+                                                disabled={disabled}
+                                                value={attribute.name}
+                                                onChange={(event) => handleChangeAttribute(index, { name: event.target.value })}
+                                            />
+                                        </td>
+                                        <td>
+                                            <FormControl
+                                                componentClass="select"
+                                                bsSize="sm"
+                                                disabled={disabled}
+                                                value={attribute.type}
+                                                onChange={(event) => handleChangeAttribute(index, { type: event.target.value, options: [], range: {} })}
+                                            >
+                                                {attributeTypes.map((type) => (
+                                                    <option key={type} value={type}>
+                                                        {getMessageById(context.messages, `gnviewer.createDataset.attributeTypes.${type}`)}
+                                                    </option>
+                                                ))}
+                                            </FormControl>
+                                        </td>
+                                        <td>
+                                            <Checkbox
+                                                disabled={disabled}
+                                                checked={!!attribute.nullable}
+                                                onChange={(event) => handleChangeAttribute(index, { nullable: event.target.checked })}
+                                            />
+                                        </td>
+                                        <td>
+                                            <FormControl
+                                                type="text"
+                                                bsSize="sm"
+                                                disabled={disabled || !supportsAttributeOptions(attribute.type)}
+                                                placeholder={getMessageById(context.messages, 'gnviewer.createDataset.optionsPlaceholder')}
+                                                value={(attribute.options || []).join(',')}
+                                                onChange={(event) => handleChangeAttribute(index, { options: event.target.value ? event.target.value.split(',') : [] })}
+                                            />
+                                        </td>
+                                        {['min', 'max'].map((key) => (
+                                            <td key={key}>
+                                                <FormControl
+                                                    type="number"
+                                                    bsSize="sm"
+                                                    disabled={disabled || !supportsAttributeRange(attribute.type)}
+                                                    value={attribute.range?.[key] ?? ''}
+                                                    onChange={(event) => handleChangeAttribute(index, { range: { ...attribute.range, [key]: event.target.value } })}
+                                                />
+                                            </td>
+                                        ))}
+                                        <td>
+                                            <Button
+                                                size="xs"
+                                                disabled={disabled}
+                                                onClick={() => handleChange({ attributes: attributes.filter((entry, idx) => idx !== index) })}
+                                            >
+                                                <Icon glyph="trash" />
+                                            </Button>
+                                        </td>
+                                    </tr>
+                                    {attributeErrors.length > 0 && <tr>
+                                        <td colSpan="7"><ErrorsList errors={attributeErrors} /></td>
+                                    </tr>}
+                                </React.Fragment>
+                            );
+                        })}
+                    </tbody>
+                </table>}
+            </div>
+        </div>
+    );
+}
+
+DatasetSchemaForm.propTypes = {
+    schema: PropTypes.object,
+    crsOptions: PropTypes.array,
+    errors: PropTypes.array,
+    disabled: PropTypes.bool,
+    onChange: PropTypes.func
+};
+
+DatasetSchemaForm.defaultProps = {
+    schema: {},
+    crsOptions: [],
+    errors: [],
+    onChange: () => {}
+};
+
+DatasetSchemaForm.contextTypes = {
+    messages: PropTypes.object
+};
+
+export default DatasetSchemaForm;
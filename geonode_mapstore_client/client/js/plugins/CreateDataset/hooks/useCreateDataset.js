@@ -0,0 +1,90 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import isNil from 'lodash/isNil';
+import { createDataset, getExecutionRequestById } from '@js/api/geonode/v2';
+import { getCreateDatasetBody } from '@js/utils/DatasetSchemaUtils';
+import { getExecutionRequestResourcePks } from '@js/utils/ResourceServiceUtils';
+import { parseExecutionRequestLog } from '@js/utils/ErrorUtils';
+
+/**
+ * Create an empty dataset and wait for the completion of the related execution request
+ * @param {object} options
+ * @param {number} options.refreshTime interval in milliseconds between the checks of the execution request
+ * @param {function} options.onCreated callback with the pk of the created dataset
+ * @return {object} `{ loading, error, create }` where create(schema) sends the creation request
+ */
+const useCreateDataset = ({
+    refreshTime = 3000,
+    onCreated = () => {}
+}) => {
+    const isMounted = useRef(true);
+    const timeout = useRef();
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        isMounted.current = true;
+        return () => {
+            isMounted.current = false;
+            clearTimeout(timeout.current);
+        };
+    }, []);
+
+    const handleError = (message) => {
+        if (isMounted.current) {
+            setLoading(false);
+            setError(message || true);
+        }
+    };
+
+    const checkExecutionRequest = (executionId) => getExecutionRequestById(executionId)
+        .then((request) => {
+            if (!isMounted.current) {
+                return;
+            }
+            if (request?.status === 'finished') {
+                const [pk] = getExecutionRequestResourcePks(request);
+                if (pk === undefined) {
+                    handleError();
+                    return;
+                }
+                setLoading(false);
+                onCreated(pk);
+                return;
+            }
+            if (request?.status === 'failed') {
+                handleError(parseExecutionRequestLog(request.log)[0]?.message);
+                return;
+            }
+            timeout.current = setTimeout(() => checkExecutionRequest(executionId), refreshTime);
+        })
+        .catch((err) => handleError(err?.data?.detail || err?.statusText || err?.message));
+
+    return {
+        loading,
+        error,
+        create: (schema) => {
+            setLoading(true);
+            setError(null);
+            createDataset(getCreateDatasetBody(schema))
+                .then((data) => {
+                    // the execution request is not available when the creation has not been started
+                    if (isNil(data?.execution_id)) {
+                        handleError();
+                        return null;
+                    }
+                    return checkExecutionRequest(data.execution_id);
+                })
+                .catch((err) => handleError(err?.data?.detail || err?.statusText || err?.message));
+        }
+    };
+};
+
+export default useCreateDataset;
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { connect } from 'react-redux';
+import { push } from 'connected-react-router';
+import { Alert } from 'react-bootstrap';
+import { createPlugin } from '@mapstore/framework/utils/PluginsUtils';
+import Button from '@mapstore/framework/components/layout/Button';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import DatasetSchemaForm from './components/DatasetSchemaForm';
+import useCreateDataset from './hooks/useCreateDataset';
+import {
+    DatasetGeometryTypes,
+    DEFAULT_DATASET_CRS,
+    validateDatasetSchema
+} from '@js/utils/DatasetSchemaUtils';
+
+/**
+ * Create an empty vector dataset from a schema defined in the browser.
+ * The dataset is opened in the edit data page once created
+ * @prop {string[]} cfg.crsOptions list of selectable crs codes, the first one is used as default
+ * @prop {number} cfg.refreshTime interval in milliseconds between the checks of the creation request
+ * @name CreateDataset
+ * @memberof plugins
+ * @example
+ * {
+ *  "name": "CreateDataset",
+ *  "cfg": {
+ *      "crsOptions": ["EPSG:4326", "EPSG:3857", "EPSG:32632"]
+ *  }
+ * }
+ */
+function CreateDataset({
+    crsOptions = DEFAULT_DATASET_CRS,
+    refreshTime,
+    onRedirect
+}) {
+
+    const [schema, setSchema] = useState({
+        title: '',
+        geometryType: DatasetGeometryTypes[0],
+        crs: crsOptions[0],
+        attributes: []
+    });
+    const [submitted, setSubmitted] = useState(false);
+
+    const {
+        loading,
+        error,
+        create
+    } = useCreateDataset({
+        refreshTime,
+        onCreated: (pk) => onRedirect(`/dataset/${pk}/edit/data`)
+    });
+
+    const errors = validateDatasetSchema(schema);
+
+    function handleCreate() {
+        setSubmitted(true);
+        if (!errors.length) {
+            create(schema);
+        }
+    }
+
+    return (
+        <div className="gn-create-dataset">
+            <div className="gn-create-dataset-header">
+                <h2><Message msgId="gnviewer.createDataset.heading" /></h2>
+                <p><Message msgId="gnviewer.createDataset.description" /></p>
+            </div>
+            <div className="gn-create-dataset-body">
+                <DatasetSchemaForm
+                    schema={schema}
+                    crsOptions={crsOptions}
+                    errors={submitted ? errors : []}
+                    disabled={loading}
+                    onChange={setSchema}
+                />
+                {error && <Alert bsStyle="danger">
+                    <Message msgId="gnviewer.createDataset.creationError" />
+                    {error !== true ? <div>{error}</div> : null}
+                </Alert>}
+            </div>
+            <div className="gn-create-dataset-footer">
+                {loading && <><Spinner />{' '}<Message msgId="gnviewer.createDataset.creating" />{' '}</>}
+                <Button
+                    variant="primary"
+                    disabled={loading || submitted && errors.length > 0}
+                    onClick={handleCreate}
+                >
+                    <Message msgId="gnviewer.createDataset.create" />
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+const CreateDatasetPlugin = connect(null, {
+    onRedirect: push
+})(CreateDataset);
+
+export default createPlugin('CreateDataset', {
+    component: CreateDatasetPlugin,
+    containers: {},
+    epics: {},
+    reducers: {}
+});
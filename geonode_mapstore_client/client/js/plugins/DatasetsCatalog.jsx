@@ -8,36 +8,103 @@
 
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
+import { Nav, NavItem, Glyphicon, FormControl } from 'react-bootstrap';
 import { createPlugin } from '@mapstore/framework/utils/PluginsUtils';
 import { connect } from 'react-redux';
 import { createSelector } from 'reselect';
 import Message from '@mapstore/framework/components/I18N/Message';
 import Button from '@mapstore/framework/components/layout/Button';
-import { getDatasets, getDatasetByPk, getResourceByPk } from '@js/api/geonode/v2';
-import { resourceToLayerConfig, isDefaultDatasetSubtype } from '@js/utils/ResourceUtils';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import { reprojectBbox } from '@mapstore/framework/utils/CoordinatesUtils';
+import { getDatasets, getDatasetByPk, getResourceByPk, getDocumentByPk, getDocumentsByDocType } from '@js/api/geonode/v2';
+import { resourceToLayerConfig, resolveDatasetLayerConfig, isDefaultDatasetSubtype } from '@js/utils/ResourceUtils';
+import { isImageDocument } from '@js/utils/GeoreferenceUtils';
 import { addLayer } from '@mapstore/framework/actions/layers';
 import { zoomToExtent } from '@mapstore/framework/actions/map';
+import { mapSelector } from '@mapstore/framework/selectors/map';
+import { isCesium } from '@mapstore/framework/selectors/maptype';
 import { setControlProperty } from '@mapstore/framework/actions/controls';
+import { warning as warningNotification } from '@mapstore/framework/actions/notifications';
 import datasetscatalogEpics from '@js/epics/datasetscatalog';
+import { addDatasetsGroup } from '@js/actions/datasetscatalog';
+import { boundsToExtentString } from '@js/utils/CoordinatesUtils';
 import { mapLayoutValuesSelector } from '@mapstore/framework/selectors/maplayout';
 import ResourcesCompactCatalog from '@js/components/ResourcesCompactCatalog';
+import ResourcesCompactFilters, { getFacetFiltersParams } from '@js/components/ResourcesCompactCatalog/ResourcesCompactFilters';
 import useIsMounted from "@js/hooks/useIsMounted";
 
+const CatalogTypes = {
+    DATASET: 'dataset',
+    IMAGE: 'image'
+};
+
+const requestImageDocuments = (params) => getDocumentsByDocType('image', params);
+
+const getCatalogResource = (entry) => {
+    if (isImageDocument(entry)) {
+        return getDocumentByPk(entry.pk);
+    }
+    return isDefaultDatasetSubtype(entry.subtype)
+        ? getDatasetByPk(entry.pk)
+        : getResourceByPk(entry.pk);
+};
+
+// union of the layers bounding boxes in EPSG:4326
+const getLayersExtent = (layers) => layers.reduce((extent, { bbox }) => {
+    const { minx, miny, maxx, maxy } = bbox.bounds;
+    const [lMinx, lMiny, lMaxx, lMaxy] = bbox.crs === 'EPSG:4326'
+        ? [minx, miny, maxx, maxy]
+        : reprojectBbox([minx, miny, maxx, maxy], bbox.crs, 'EPSG:4326');
+    return extent
+        ? [Math.min(extent[0], lMinx), Math.min(extent[1], lMiny), Math.max(extent[2], lMaxx), Math.max(extent[3], lMaxy)]
+        : [lMinx, lMiny, lMaxx, lMaxy];
+}, null);
+
 function DatasetsCatalog({
     onAdd,
+    onAddGroup,
     onZoomTo,
+    onWarning,
+    includeImageDocuments,
+    is3D,
+    request,
+    facets,
+    mapBbox,
+    enableMultiSelect,
     ...props
-}) {
+}, { messages }) {
     const isMounted = useIsMounted();
     const [loading, setLoading] = useState(false);
+    const [catalogType, setCatalogType] = useState(CatalogTypes.DATASET);
+    const [showFilters, setShowFilters] = useState(false);
+    const [filters, setFilters] = useState({});
+    const [facetsList, setFacetsList] = useState([]);
+    const [extentFilter, setExtentFilter] = useState(false);
+    const [selectedEntries, setSelectedEntries] = useState([]);
+    const [groupTitle, setGroupTitle] = useState('');
+    // image overlays are supported only by the 2D map
+    const showImageDocuments = includeImageDocuments && !is3D;
+    const activeCatalogType = showImageDocuments ? catalogType : CatalogTypes.DATASET;
+
+    const params = {
+        ...getFacetFiltersParams(facetsList, filters),
+        ...(extentFilter && mapBbox?.bounds && { extent: boundsToExtentString(mapBbox.bounds, mapBbox.crs) })
+    };
+    const filtersCount = Object.keys(params).length;
 
     function handleSelectResource(entry) {
         setLoading(true);
-        (isDefaultDatasetSubtype(entry.subtype)
-            ? getDatasetByPk(entry.pk)
-            : getResourceByPk(entry.pk))
-            .then((dataset) => {
-                const layer = resourceToLayerConfig(dataset);
+        getCatalogResource(entry)
+            .then((dataset) => resolveDatasetLayerConfig(dataset, resourceToLayerConfig(dataset)))
+            .then((layer) => {
+                // an image overlay can be placed on the map only when the document has an extent
+                if (layer.type === 'image' && !layer.bbox) {
+                    onWarning({
+                        title: 'gnviewer.imageOverlayTitle',
+                        message: 'gnviewer.imageOverlayMissingExtent'
+                    });
+                    return;
+                }
                 onAdd(layer);
                 const { minx, miny, maxx, maxy } = layer?.bbox?.bounds || {};
                 const extent = layer?.bbox?.bounds && [minx, miny, maxx, maxy];
@@ -50,13 +117,106 @@ function DatasetsCatalog({
             });
     }
 
+    function handleAddSelected() {
+        setLoading(true);
+        // the failure of a single resource does not prevent to add the other ones
+        Promise.all(selectedEntries.map((entry) => getCatalogResource(entry)
+            .then((resource) => resolveDatasetLayerConfig(resource, resourceToLayerConfig(resource)))
+            .then((layer) => ({ entry, layer }))
+            .catch(() => ({ entry, error: true }))))
+            .then((results) => {
+                const failedEntries = results.filter(({ error }) => error).map(({ entry }) => entry);
+                const resourcesLayers = results.filter(({ error }) => !error).map(({ layer }) => layer);
+                if (failedEntries.length) {
+                    onWarning({
+                        title: 'gnviewer.datasetsCatalogTitle',
+                        message: 'gnviewer.datasetsCatalogAddError',
+                        values: {
+                            count: failedEntries.length,
+                            names: failedEntries.map(({ title }) => title).join(', ')
+                        }
+                    });
+                }
+                const layers = resourcesLayers
+                    .filter((layer) => !(layer.type === 'image' && !layer.bbox));
+                if (layers.length < resourcesLayers.length) {
+                    onWarning({
+                        title: 'gnviewer.imageOverlayTitle',
+                        message: 'gnviewer.imageOverlayMissingExtent'
+                    });
+                }
+                if (layers.length) {
+                    onAddGroup(groupTitle || getMessageById(messages, 'gnviewer.datasetsCatalogNewGroup'), layers);
+                    const layersWithBbox = layers.filter(({ bbox }) => bbox?.bounds);
+                    if (layersWithBbox.length) {
+                        onZoomTo(getLayersExtent(layersWithBbox), 'EPSG:4326');
+                    }
+                }
+                // the failed entries remain selected so they can be added again
+                isMounted(() => {
+                    setSelectedEntries(failedEntries);
+                    if (layers.length) {
+                        setGroupTitle('');
+                    }
+                });
+            })
+            .finally(() => {
+                isMounted(() => setLoading(false));
+            });
+    }
+
     return (<ResourcesCompactCatalog
         {...props}
+        // reset the search when the type of catalog changes
+        key={activeCatalogType}
+        request={activeCatalogType === CatalogTypes.IMAGE ? requestImageDocuments : request}
         loading={loading}
         onSelect={handleSelectResource}
-    />);
+        params={params}
+        showAbstract
+        selectedEntries={selectedEntries}
+        onSelectionChange={enableMultiSelect ? setSelectedEntries : undefined}
+        footer={selectedEntries.length > 0 && <div className="gn-resources-catalog-footer">
+            <FormControl
+                type="text"
+                value={groupTitle}
+                placeholder={getMessageById(messages, 'gnviewer.datasetsCatalogNewGroup')}
+                onChange={(event) => setGroupTitle(event.target.value)}
+            />
+            <Button onClick={() => setSelectedEntries([])}>
+                <Message msgId="gnviewer.datasetsCatalogClearSelection" />
+            </Button>
+            <Button variant="primary" onClick={handleAddSelected}>
+                <Message msgId="gnviewer.datasetsCatalogAddSelected" msgParams={{ count: selectedEntries.length }} />
+            </Button>
+        </div>}
+    >
+        {showImageDocuments && <Nav bsStyle="tabs" activeKey={activeCatalogType} onSelect={setCatalogType}>
+            <NavItem eventKey={CatalogTypes.DATASET}><Message msgId="gnviewer.datasetsCatalogDatasets" /></NavItem>
+            <NavItem eventKey={CatalogTypes.IMAGE}><Message msgId="gnviewer.datasetsCatalogImages" /></NavItem>
+        </Nav>}
+        <div className="gn-resources-catalog-filters-toggle">
+            <Button size="xs" active={showFilters} onClick={() => setShowFilters(!showFilters)}>
+                <Glyphicon glyph="filter" /> <Message msgId="gnviewer.datasetsCatalogFilters" msgParams={{ count: filtersCount }} />
+            </Button>
+        </div>
+        {showFilters && <ResourcesCompactFilters
+            facets={facets}
+            filters={filters}
+            onChange={(newFilters, newFacetsList) => {
+                setFilters(newFilters);
+                setFacetsList(newFacetsList);
+            }}
+            extentFilter={extentFilter}
+            onExtentFilterChange={setExtentFilter}
+        />}
+    </ResourcesCompactCatalog>);
 }
 
+DatasetsCatalog.contextTypes = {
+    messages: PropTypes.object
+};
+
 DatasetsCatalog.propTypes = {
     request: PropTypes.func,
     responseToEntries: PropTypes.func,
@@ -64,7 +224,14 @@ DatasetsCatalog.propTypes = {
     onAdd: PropTypes.func,
     placeholderId: PropTypes.string,
     onClose: PropTypes.func,
-    onZoomTo: PropTypes.func
+    onZoomTo: PropTypes.func,
+    onWarning: PropTypes.func,
+    includeImageDocuments: PropTypes.bool,
+    is3D: PropTypes.bool,
+    onAddGroup: PropTypes.func,
+    facets: PropTypes.array,
+    mapBbox: PropTypes.object,
+    enableMultiSelect: PropTypes.bool
 };
 
 DatasetsCatalog.defaultProps = {
@@ -76,9 +243,30 @@ DatasetsCatalog.defaultProps = {
     titleId: 'gnviewer.datasetsCatalogTitle',
     noResultId: 'gnviewer.datasetsCatalogEntriesNoResults',
     onZoomTo: () => { },
-    onClose: () => { }
+    onClose: () => { },
+    onWarning: () => { },
+    includeImageDocuments: false,
+    is3D: false,
+    onAddGroup: () => { },
+    facets: ['category', 'keyword', 'owner', 'region'],
+    enableMultiSelect: true
 };
 
+/**
+ * Plugin for the catalog of datasets that can be added to the map
+ * @name DatasetsCatalog
+ * @prop {boolean} cfg.includeImageDocuments show a tab to add the image documents with an extent as image overlays, the tab is hidden in the 3D map
+ * @prop {string[]} cfg.facets names of the facets available as filters, default `["category", "keyword", "owner", "region"]`
+ * @prop {boolean} cfg.enableMultiSelect allow to select multiple datasets and add them to the map as a new group, default `true`
+ * @example
+ * {
+ *   "name": "DatasetsCatalog",
+ *   "cfg": {
+ *     "includeImageDocuments": true,
+ *     "facets": ["category", "keyword"]
+ *   }
+ * }
+ */
 function DatasetsCatalogPlugin({ enabled, ...props }) {
     return enabled ? <DatasetsCatalog {...props} /> : null;
 }
@@ -86,14 +274,20 @@ function DatasetsCatalogPlugin({ enabled, ...props }) {
 const ConnectedDatasetsCatalogPlugin = connect(
     createSelector([
         state => mapLayoutValuesSelector(state, { height: true }),
-        state => state?.controls?.datasetsCatalog?.enabled
-    ], (style, enabled) => ({
+        state => state?.controls?.datasetsCatalog?.enabled,
+        state => mapSelector(state)?.bbox,
+        isCesium
+    ], (style, enabled, mapBbox, is3D) => ({
         style,
-        enabled
+        enabled,
+        mapBbox,
+        is3D
     })), {
         onAdd: addLayer,
+        onAddGroup: addDatasetsGroup,
         onClose: setControlProperty.bind(null, 'datasetsCatalog', 'enabled', false),
-        onZoomTo: zoomToExtent
+        onZoomTo: zoomToExtent,
+        onWarning: warningNotification
     }
 )(DatasetsCatalogPlugin);
 
@@ -6,12 +6,23 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { createPlugin } from '@mapstore/framework/utils/PluginsUtils';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import { success as successNotification, error as errorNotification } from '@mapstore/framework/actions/notifications';
 import MediaViewerComponent from '@js/components/MediaViewer';
 import { connect } from 'react-redux';
 import { createSelector } from 'reselect';
 import gnresource from '@js/reducers/gnresource';
+import { editThumbnailResource, setResourceThumbnail, setResource } from '@js/actions/gnresource';
+import { canEditResource } from '@js/selectors/resource';
+import { updateDocument } from '@js/api/geonode/v2';
+import { getPdfPageFromUrl } from '@js/utils/PdfUtils';
+import { isImageDocument } from '@js/utils/GeoreferenceUtils';
+import Icon from '@js/components/Icon';
+import useIsMounted from '@js/hooks/useIsMounted';
+import ImageGeoreferencer from '@js/components/ImageGeoreferencer';
 
 const ConnectedMediaViewer = connect(
     createSelector([
@@ -24,24 +35,128 @@ const ConnectedMediaViewer = connect(
     }))
 )(MediaViewerComponent);
 
+function GeoreferenceImage({
+    resource,
+    onSaved,
+    onSuccess,
+    onError
+}) {
+    const isMounted = useIsMounted();
+    const [enabled, setEnabled] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    function handleSave(payload) {
+        setSaving(true);
+        updateDocument(resource.pk, payload)
+            .then((document) => {
+                onSaved({
+                    ...resource,
+                    extent: document?.extent || payload.extent,
+                    data: payload.data
+                });
+                onSuccess({
+                    title: 'gnviewer.georeferencer.title',
+                    message: 'gnviewer.georeferencer.saveSuccess'
+                });
+                isMounted(() => setEnabled(false));
+            })
+            .catch(() => {
+                onError({
+                    title: 'gnviewer.georeferencer.title',
+                    message: 'gnviewer.georeferencer.saveError'
+                });
+            })
+            .finally(() => {
+                isMounted(() => setSaving(false));
+            });
+    }
+
+    return (
+        <>
+            <Button
+                className="gn-media-viewer-georeference"
+                variant="primary"
+                onClick={() => setEnabled(true)}
+            >
+                <Icon glyph="map-marker" />{' '}<Message msgId="gnviewer.georeferencer.georeference" />
+            </Button>
+            {enabled && <ImageGeoreferencer
+                resource={resource}
+                saving={saving}
+                onSave={handleSave}
+                onClose={() => setEnabled(false)}
+            />}
+        </>
+    );
+}
+
 /*
  * Plugin for Media Viewer
  * @name MediaViewer
  * @prop {string} gltf.environmentFiles path to an hdr environment file for the 3d scene (format gltf)
  * @prop {string} pcd.environmentFiles path to an hdr environment file for the 3d scene (format pcd)
+ * @prop {number} pdf.page initial page of the pdf viewer, a deep link in the form `#page=N` has priority over this value
+ * @prop {boolean} enableGeoreference show the georeferencing tool for image documents to users that can edit the resource
  */
-function MediaViewer(props) {
+function MediaViewer({
+    location,
+    canEdit,
+    onPdfThumbnail,
+    pdf,
+    resource,
+    enableGeoreference,
+    onSaveGeoreference,
+    onSuccess,
+    onError,
+    ...props
+}) {
     return (
         <div
             className="gn-media-viewer">
-            <ConnectedMediaViewer {...props}/>
+            <ConnectedMediaViewer
+                {...props}
+                pdf={{
+                    ...pdf,
+                    page: getPdfPageFromUrl(`#${location?.pathname ?? ''}${location?.search ?? ''}${location?.hash ?? ''}`) || pdf?.page,
+                    canEditThumbnail: canEdit,
+                    onThumbnail: onPdfThumbnail
+                }}
+            />
+            {enableGeoreference && canEdit && isImageDocument(resource) && <GeoreferenceImage
+                resource={resource}
+                onSaved={onSaveGeoreference}
+                onSuccess={onSuccess}
+                onError={onError}
+            />}
         </div>
     );
 }
 
+MediaViewer.defaultProps = {
+    enableGeoreference: true
+};
+
 const MediaViewerPlugin = connect(
-    createSelector([], () => ({})),
-    {}
+    createSelector([
+        state => state?.router?.location,
+        canEditResource,
+        state => state?.gnresource?.data,
+        state => state?.gnresource?.initialResource?.data
+    ], (location, canEdit, resource, resourceData) => ({
+        location,
+        canEdit,
+        // the data of the resource are available only in the initial resource
+        resource: resource && { ...resource, data: resourceData }
+    })),
+    (dispatch) => ({
+        onPdfThumbnail: (thumbnailUrl) => {
+            dispatch(editThumbnailResource(thumbnailUrl, true));
+            dispatch(setResourceThumbnail());
+        },
+        onSaveGeoreference: (resource) => dispatch(setResource(resource)),
+        onSuccess: (options) => dispatch(successNotification(options)),
+        onError: (options) => dispatch(errorNotification(options))
+    })
 )(MediaViewer);
 
 
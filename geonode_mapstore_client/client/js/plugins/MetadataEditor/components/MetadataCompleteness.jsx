@@ -0,0 +1,61 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { ProgressBar } from 'react-bootstrap';
+import castArray from 'lodash/castArray';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import { getCompletenessScore, getCompletenessStyle } from '@js/utils/MetadataCompletenessUtils';
+
+const scrollToField = (field, schema) => {
+    // use the first field of the rule available in the form
+    const name = castArray(field).find((entry) => schema?.properties?.[entry]) || castArray(field)[0];
+    const id = `root_${name}`;
+    const node = document.querySelector(`[for=${id}]`) || document.getElementById(id);
+    if (node) {
+        node.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+};
+
+/**
+ * Progress indicator of the metadata completeness with the links to the fields of the missing rules
+ * @prop {object} metadata metadata of the editor
+ * @prop {object} schema metadata json schema
+ * @prop {object[]} rules completeness rules
+ */
+function MetadataCompleteness({
+    metadata,
+    schema,
+    rules
+}) {
+    const { score, missing } = getCompletenessScore(metadata, rules, 'field');
+    return (
+        <div className="gn-metadata-completeness">
+            <div className="gn-metadata-completeness-score">
+                <Message msgId="gnviewer.completeness.title" />
+                <ProgressBar
+                    bsStyle={getCompletenessStyle(score)}
+                    now={score}
+                    label={`${score}%`}
+                />
+            </div>
+            {missing.length > 0 && <ul className="gn-metadata-completeness-missing">
+                {missing.map((rule) => (
+                    <li key={rule.id}>
+                        <Button size="xs" onClick={() => scrollToField(rule.field, schema)}>
+                            {rule.label || <Message msgId={rule.labelId} msgParams={{ value: rule.value }} />}
+                        </Button>
+                    </li>
+                ))}
+            </ul>}
+        </div>
+    );
+}
+
+export default MetadataCompleteness;
@@ -20,6 +20,8 @@ import fields from '../components/_fields';
 import MainEventView from '@js/components/MainEventView';
 import MainLoader from '@js/components/MainLoader';
 import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import { getMetadataCompletenessRules } from '@js/utils/MetadataCompletenessUtils';
+import MetadataCompleteness from '../components/MetadataCompleteness';
 
 function MetadataEditor({
     pk,
@@ -40,7 +42,8 @@ function MetadataEditor({
     setResource,
     updating,
     setExtraErrors,
-    readOnly
+    readOnly,
+    enableCompleteness = true
 }, { messages }) {
 
     const init = useRef(false);
@@ -105,6 +108,11 @@ function MetadataEditor({
     return (
         <div className="gn-metadata">
             <div className="gn-metadata-header">
+                {enableCompleteness && metadata && <MetadataCompleteness
+                    metadata={metadata}
+                    schema={schema}
+                    rules={getMetadataCompletenessRules()}
+                />}
                 {!isEmpty(updateError) && <Alert bsStyle={updateError.type} style={{ margin: '0.25rem 0' }}>
                     {updateError.message}
                     {!isEmpty(rootErrors) && <ul>{rootErrors.map((_error, idx) => <li key={idx}>{_error}</li>)}</ul>}
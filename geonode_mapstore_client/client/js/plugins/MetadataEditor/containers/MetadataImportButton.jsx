@@ -0,0 +1,158 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useRef, useState } from 'react';
+import { Checkbox, Table } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Portal from '@mapstore/framework/components/misc/Portal';
+import { getMetadataSchema } from '@js/api/geonode/v2/metadata';
+import { readFile } from '@js/utils/FileUtils';
+import {
+    parseMetadataXML,
+    metadataValuesToSchema,
+    getMetadataImportChanges,
+    mergeImportedMetadata
+} from '@js/utils/MetadataImportUtils';
+
+const IMPORT_ERRORS = ['invalidXML', 'unsupportedFormat'];
+
+function MetadataImportButton({
+    size,
+    variant,
+    metadata,
+    updating,
+    setMetadata,
+    onSuccess,
+    onFailure
+}) {
+
+    const fileInput = useRef();
+    const [preview, setPreview] = useState(null);
+    const [selectedKeys, setSelectedKeys] = useState([]);
+
+    function handleFile(file) {
+        if (!file) {
+            return;
+        }
+        Promise.all([
+            readFile(file).then(parseMetadataXML),
+            getMetadataSchema()
+        ])
+            .then(([{ format, values }, { schema }]) => {
+                const importedMetadata = metadataValuesToSchema(values, schema);
+                const changes = getMetadataImportChanges(metadata, importedMetadata, schema);
+                setPreview({ format, fileName: file.name, importedMetadata, changes });
+                setSelectedKeys(changes.map(({ key }) => key));
+            })
+            .catch((error) => {
+                onFailure({
+                    title: 'gnviewer.metadataImport.title',
+                    message: `gnviewer.metadataImport.errors.${IMPORT_ERRORS.includes(error?.message) ? error.message : 'generic'}`
+                });
+            });
+    }
+
+    function handleApply() {
+        setMetadata(mergeImportedMetadata(metadata, preview.importedMetadata, selectedKeys));
+        onSuccess({
+            title: 'gnviewer.metadataImport.title',
+            message: 'gnviewer.metadataImport.success'
+        });
+        setPreview(null);
+    }
+
+    function handleToggleKey(key) {
+        setSelectedKeys(selectedKeys.includes(key)
+            ? selectedKeys.filter((selectedKey) => selectedKey !== key)
+            : [...selectedKeys, key]);
+    }
+
+    return (
+        <>
+            <Button
+                size={size}
+                variant={variant}
+                disabled={updating || !metadata}
+                onClick={() => fileInput.current.click()}
+            >
+                <Message msgId="gnviewer.metadataImport.button" />
+            </Button>
+            <input
+                ref={fileInput}
+                type="file"
+                value=""
+                accept=".xml,text/xml,application/xml"
+                style={{ display: 'none' }}
+                onChange={(event) => handleFile(event?.target?.files?.[0])}
+            />
+            <Portal>
+                <ResizableModal
+                    title={<Message msgId="gnviewer.metadataImport.title" />}
+                    show={!!preview}
+                    size="lg"
+                    clickOutEnabled={false}
+                    onClose={() => setPreview(null)}
+                    buttons={[
+                        {
+                            text: <Message msgId="close" />,
+                            onClick: () => setPreview(null)
+                        },
+                        {
+                            text: <Message msgId="gnviewer.metadataImport.apply" msgParams={{ count: selectedKeys.length }} />,
+                            bsStyle: 'primary',
+                            disabled: !selectedKeys.length,
+                            onClick: handleApply
+                        }
+                    ]}
+                >
+                    {preview && <div className="gn-metadata-import">
+                        <p>
+                            <Message
+                                msgId="gnviewer.metadataImport.description"
+                                msgParams={{ fileName: preview.fileName, format: preview.format }}
+                            />
+                        </p>
+                        {preview.changes.length
+                            ? <Table condensed>
+                                <thead>
+                                    <tr>
+                                        <th />
+                                        <th><Message msgId="gnviewer.metadataImport.field" /></th>
+                                        <th><Message msgId="gnviewer.metadataImport.currentValue" /></th>
+                                        <th><Message msgId="gnviewer.metadataImport.newValue" /></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.changes.map(({ key, title, currentValue, newValue, overwrite }) => (
+                                        <tr key={key} className={overwrite ? 'gn-metadata-import-overwrite' : undefined}>
+                                            <td>
+                                                <Checkbox
+                                                    checked={selectedKeys.includes(key)}
+                                                    onChange={() => handleToggleKey(key)}
+                                                />
+                                            </td>
+                                            <td>{title}</td>
+                                            <td>{currentValue}</td>
+                                            <td>{newValue}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
+                            : <div className="gn-metadata-import-empty">
+                                <Message msgId="gnviewer.metadataImport.noChanges" />
+                            </div>}
+                    </div>}
+                </ResizableModal>
+            </Portal>
+        </>
+    );
+}
+
+export default MetadataImportButton;
@@ -12,6 +12,7 @@ import { createSelector } from 'reselect';
 import { withRouter } from 'react-router';
 import isEqual from 'lodash/isEqual';
 import MetadataUpdateButton from './containers/MetadataUpdateButton';
+import MetadataImportButton from './containers/MetadataImportButton';
 import {
     setMetadata,
     setInitialMetadata,
@@ -100,6 +101,17 @@ const UpdateButton = ({ match, readOnly,  ...props }) => {
 
 const UpdateButtonPlugin = connectMetadata(withRouter(UpdateButton));
 
+const ImportButton = ({ readOnly, ...props }) => {
+    if (readOnly) {
+        return null;
+    }
+    return (
+        <MetadataImportButton {...props} />
+    );
+};
+
+const ImportButtonPlugin = connectMetadata(ImportButton);
+
 const BackToButton = ({ size, variant, resource }) => {
     if (!resource) {
         return null;
@@ -111,6 +123,12 @@ const BackToButton = ({ size, variant, resource }) => {
 
 const BackToButtonPlugin = connectMetadata(withRouter(BackToButton));
 
+/**
+ * Plugin for the metadata editor
+ * @name MetadataEditor
+ * @prop {boolean} cfg.enableCompleteness show the metadata completeness score in the header, default `true`.
+ * The rules of the score are configured with the `metadataCompletenessRules` property of localConfig
+ */
 export default createPlugin('MetadataEditor', {
     component: MetadataEditorPlugin,
     containers: {
@@ -122,6 +140,10 @@ export default createPlugin('MetadataEditor', {
             {
                 name: 'MetadataEditorBackTo',
                 Component: BackToButtonPlugin
+            },
+            {
+                name: 'MetadataImport',
+                Component: ImportButtonPlugin
             }
         ]
     },
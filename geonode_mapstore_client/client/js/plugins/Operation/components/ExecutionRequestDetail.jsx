@@ -0,0 +1,98 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import moment from 'moment';
+import isObject from 'lodash/isObject';
+import isEmpty from 'lodash/isEmpty';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import Icon from '@js/components/Icon';
+import { parseExecutionRequestLog } from '@js/utils/ErrorUtils';
+import { ProcessStatus, getExecutionSteps } from '@js/utils/ResourceServiceUtils';
+
+const DATE_FORMAT = 'MMMM Do YYYY, h:mm:ss a';
+
+const formatValue = (value) => isObject(value) ? JSON.stringify(value) : `${value}`;
+
+function StepStatus({ status }) {
+    if (status === ProcessStatus.RUNNING) {
+        return <Spinner />;
+    }
+    if (status === ProcessStatus.FAILED) {
+        return <Icon glyph="times-circle" className="text-danger" />;
+    }
+    if (status === ProcessStatus.FINISHED) {
+        return <Icon glyph="check" />;
+    }
+    return <Icon glyph="clock-o" />;
+}
+
+/**
+ * Details of an execution request: timestamps, steps, input parameters and log
+ * @prop {object} request execution request
+ */
+function ExecutionRequestDetail({ request }) {
+    const steps = getExecutionSteps(request);
+    const log = parseExecutionRequestLog(request.log);
+    const inputParams = request.input_params || {};
+    return (
+        <div className="gn-execution-request-detail">
+            <div className="gn-execution-request-detail-section">
+                <ul>
+                    <li><Message msgId="gnviewer.executionRequest.created" />: {moment(request.created).format(DATE_FORMAT)}</li>
+                    {request.last_updated && <li><Message msgId="gnviewer.executionRequest.lastUpdated" />: {moment(request.last_updated).format(DATE_FORMAT)}</li>}
+                    {request.finished && <li><Message msgId="gnviewer.executionRequest.finished" />: {moment(request.finished).format(DATE_FORMAT)}</li>}
+                </ul>
+            </div>
+            {steps.length > 0 && <div className="gn-execution-request-detail-section">
+                <h5><Message msgId="gnviewer.executionRequest.steps" /></h5>
+                <ol>
+                    {steps.map((step) => (
+                        <li key={step.name}>
+                            <StepStatus status={step.status} />{' '}{step.name}
+                        </li>
+                    ))}
+                </ol>
+            </div>}
+            {!isEmpty(inputParams) && <div className="gn-execution-request-detail-section">
+                <h5><Message msgId="gnviewer.executionRequest.inputParams" /></h5>
+                <table className="table table-condensed">
+                    <tbody>
+                        {Object.keys(inputParams).map((key) => (
+                            <tr key={key}>
+                                <th>{key}</th>
+                                <td>{formatValue(inputParams[key])}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>}
+            <div className="gn-execution-request-detail-section">
+                <h5><Message msgId="gnviewer.executionRequest.log" /></h5>
+                {log.length > 0
+                    ? <ul className={request.status === ProcessStatus.FAILED ? 'text-danger' : ''}>
+                        {log.map((entry, idx) => (
+                            <li key={idx}>
+                                {entry.field ? <strong>{entry.field}: </strong> : null}
+                                {entry.message}
+                                {entry.code ? <small>{' '}({entry.code})</small> : null}
+                            </li>
+                        ))}
+                    </ul>
+                    : <Message msgId="gnviewer.executionRequest.noLog" />}
+                {request.log && <details>
+                    <summary><Message msgId="gnviewer.executionRequest.rawLog" /></summary>
+                    <pre>{formatValue(request.log)}</pre>
+                </details>}
+            </div>
+        </div>
+    );
+}
+
+export default ExecutionRequestDetail;
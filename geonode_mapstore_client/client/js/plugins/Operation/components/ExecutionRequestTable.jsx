@@ -12,21 +12,50 @@ import Icon from '@js/components/Icon';
 import Message from '@mapstore/framework/components/I18N/Message';
 import Spinner from '@mapstore/framework/components/layout/Spinner';
 import ErrorMessageWithTooltip from './ErrorMessageWithTooltip';
+import ExecutionRequestDetail from './ExecutionRequestDetail';
 import moment from 'moment';
 import { getUploadErrorMessageFromCode } from '@js/utils/ErrorUtils';
 import { getCataloguePath } from '@js/utils/ResourceUtils';
+import { UploadPresetStatus } from '@js/utils/UploadPresetsUtils';
+
+function UploadPresetResult({ result }) {
+    const { label, status, failedSteps = [] } = result;
+    return (
+        <div className={`gn-upload-preset-result${status === UploadPresetStatus.FAILED ? ' text-danger' : ''}`}>
+            {[UploadPresetStatus.PENDING, UploadPresetStatus.RUNNING].includes(status) ? <Spinner /> : null}
+            {status === UploadPresetStatus.FINISHED ? <Icon glyph="check" /> : null}
+            {status === UploadPresetStatus.FAILED ? <Icon glyph="exclamation-triangle" /> : null}
+            {' '}<Message msgId={`gnviewer.uploadPresets.status.${status}`} msgParams={{ label }} />
+            {failedSteps.map((step, idx) => (
+                <span key={step}>
+                    {idx === 0 ? ': ' : ', '}<Message msgId={`gnviewer.uploadPresets.steps.${step}`} />
+                </span>
+            ))}
+        </div>
+    );
+}
 
 function ExecutionRequestTable({
     titleMsgId = '',
     descriptionMsgId = '',
     iconName = '',
     requests: requestsProp,
+    presetResults = {},
     onReload,
     onDelete,
+    onRetry,
+    canRetry = () => false,
+    retryDisabled,
     ...props
 }) {
 
     const [deleted, setDeleted] = useState([]);
+    const [expanded, setExpanded] = useState([]);
+    function handleExpand(execId) {
+        setExpanded(prevExpanded => prevExpanded.includes(execId)
+            ? prevExpanded.filter(id => id !== execId)
+            : [...prevExpanded, execId]);
+    }
     function handleDelete(deleteId) {
         setDeleted(prevDeleted => [...prevDeleted, deleteId]);
         onDelete(deleteId);
@@ -80,49 +109,70 @@ function ExecutionRequestTable({
                     <tbody>
                         {requests.map((request) => {
                             const detailUrls = (request?.output_params?.resources || [])?.map(res=> res.detail_url);
+                            const isExpanded = expanded.includes(request.exec_id);
                             return (
-                                <tr key={request.exec_id} className={request.status === 'failed' ? 'danger' : ''}>
-                                    <td><Icon glyph={iconName}/>{' '}{request.name}</td>
-                                    <td>{moment(request.created).format('MMMM Do YYYY, h:mm:ss a')}</td>
-                                    <td>
-                                        {request.status === 'running' ? <Spinner/> : null}
-                                        {request.status === 'failed'
-                                            ? <ErrorMessageWithTooltip
-                                                label={<Message msgId="gnviewer.invalidUploadMessageError" />}
-                                                tooltipPosition="left"
-                                                tooltip={request.log ? getUploadErrorMessageFromCode(null, request.log) : undefined}
-                                            />
-                                            : null}
-                                        {!onReload && request.status === 'finished' && detailUrls?.[0]
-                                            ? <div className="gn-upload-processing-actions">
-                                                {viewResource && <RenderActionButton
-                                                    request={request}
-                                                    msgId={viewResourceLabelId ?? 'gnviewer.view'}
-                                                    href={detailUrls.length === 1 ? detailUrls[0] : getCataloguePath('/catalogue/#/')}
-                                                /> }
-                                                {editMetadata && <RenderActionButton
-                                                    request={request}
-                                                    msgId={editMetadataLabelId ?? 'gnviewer.fillMetadata'}
-                                                    href={detailUrls.length === 1 ? detailUrls[0].replace(/\/[^/]+\/(\d+)$/, "/metadata/$1")
-                                                        : getCataloguePath('/catalogue/#/')}
-                                                />}
+                                <React.Fragment key={request.exec_id}>
+                                    <tr className={request.status === 'failed' ? 'danger' : ''}>
+                                        <td>
+                                            <Icon glyph={iconName}/>{' '}{request.name}
+                                            {presetResults[request.exec_id] ? <UploadPresetResult result={presetResults[request.exec_id]} /> : null}
+                                        </td>
+                                        <td>{moment(request.created).format('MMMM Do YYYY, h:mm:ss a')}</td>
+                                        <td>
+                                            {request.status === 'running' ? <Spinner/> : null}
+                                            {request.status === 'failed'
+                                                ? <ErrorMessageWithTooltip
+                                                    label={<Message msgId="gnviewer.invalidUploadMessageError" />}
+                                                    tooltipPosition="left"
+                                                    tooltip={request.log ? getUploadErrorMessageFromCode(null, request.log) : undefined}
+                                                />
+                                                : null}
+                                            {request.status === 'failed' && onRetry && canRetry(request)
+                                                ? <Button disabled={retryDisabled} onClick={() => onRetry(request)}>
+                                                    <Icon glyph="refresh" />{' '}<Message msgId="gnviewer.executionRequest.retry" />
+                                                </Button>
+                                                : null}
+                                            {!onReload && request.status === 'finished' && detailUrls?.[0]
+                                                ? <div className="gn-upload-processing-actions">
+                                                    {viewResource && <RenderActionButton
+                                                        request={request}
+                                                        msgId={viewResourceLabelId ?? 'gnviewer.view'}
+                                                        href={detailUrls.length === 1 ? detailUrls[0] : getCataloguePath('/catalogue/#/')}
+                                                    /> }
+                                                    {editMetadata && <RenderActionButton
+                                                        request={request}
+                                                        msgId={editMetadataLabelId ?? 'gnviewer.fillMetadata'}
+                                                        href={detailUrls.length === 1 ? detailUrls[0].replace(/\/[^/]+\/(\d+)$/, "/metadata/$1")
+                                                            : getCataloguePath('/catalogue/#/')}
+                                                    />}
+                                                </div>
+                                                : null}
+                                            {!onReload && request.status === 'finished' && !detailUrls?.[0]
+                                                ? <Icon glyph="check" />
+                                                : null}
+                                            {onReload && request.status === 'finished'
+                                                ? <Button variant="primary" onClick={() => onReload()}>
+                                                    <Message msgId={'gnviewer.reload'} />
+                                                </Button>
+                                                : null}
+                                        </td>
+                                        <td>
+                                            <div className="gn-upload-processing-actions">
+                                                <Button onClick={() => handleExpand(request.exec_id)}>
+                                                    <Icon glyph={isExpanded ? 'chevron-up' : 'chevron-down'} />
+                                                </Button>
+                                                <Button onClick={() => handleDelete(request.exec_id)}>
+                                                    <Icon glyph="trash" />
+                                                </Button>
                                             </div>
-                                            : null}
-                                        {!onReload && request.status === 'finished' && !detailUrls?.[0]
-                                            ? <Icon glyph="check" />
-                                            : null}
-                                        {onReload && request.status === 'finished'
-                                            ? <Button variant="primary" onClick={() => onReload()}>
-                                                <Message msgId={'gnviewer.reload'} />
-                                            </Button>
-                                            : null}
-                                    </td>
-                                    <td>
-                                        <Button onClick={() => handleDelete(request.exec_id)}>
-                                            <Icon glyph="trash" />
-                                        </Button>
-                                    </td>
-                                </tr>
+                                        </td>
+                                    </tr>
+                                    {isExpanded ? <tr className="gn-execution-request-detail-row">
+                                        <td colSpan={4}>
+                                            <ExecutionRequestDetail request={request} />
+                                        </td>
+                                    </tr> : null}
+                                </React.Fragment>
                             );
                         })}
                     </tbody>
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { Badge, Checkbox } from 'react-bootstrap';
+import Button from '@mapstore/framework/components/layout/Button';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import Icon from '@js/components/Icon';
+
+/**
+ * List the candidate datasets of a zip archive and allow to select the ones to extract as separated uploads
+ * @prop {string} id identifier of the archive upload
+ * @prop {object} archive state of the archive exploration `{ loading, error, candidates, selected, extracting }`
+ * @prop {boolean} disabled disable the interactions
+ * @prop {function} onExplore callback to read the archive entries
+ * @prop {function} onSelect callback to update the selected candidates
+ * @prop {function} onExtract callback to extract the selected candidates
+ */
+function PendingUploadArchive({
+    id,
+    archive,
+    disabled,
+    onExplore,
+    onSelect,
+    onExtract
+}) {
+    if (!archive) {
+        return (
+            <div className="gn-upload-card-body gn-upload-card-archive">
+                <Button size="xs" disabled={disabled} onClick={() => onExplore(id)}>
+                    <Icon glyph="folder-open" />{' '}<Message msgId="gnviewer.uploadArchive.explore" />
+                </Button>
+            </div>
+        );
+    }
+    if (archive.loading || archive.extracting) {
+        return (
+            <div className="gn-upload-card-body gn-upload-card-archive">
+                <Spinner /> <Message msgId={archive.extracting ? 'gnviewer.uploadArchive.extracting' : 'gnviewer.uploadArchive.reading'} />
+            </div>
+        );
+    }
+    if (archive.error) {
+        return (
+            <div className="gn-upload-card-body gn-upload-card-archive">
+                <div className="text-danger"><Message msgId={archive.error === 'tooLarge' ? 'gnviewer.uploadArchive.tooLarge' : 'gnviewer.uploadArchive.error'} /></div>
+            </div>
+        );
+    }
+    const { candidates = [], selected = [] } = archive;
+    const supportedCandidates = candidates.filter((candidate) => candidate.supported);
+    if (!supportedCandidates.length) {
+        return (
+            <div className="gn-upload-card-body gn-upload-card-archive">
+                <div className="text-warning"><Message msgId="gnviewer.uploadArchive.noDatasets" /></div>
+            </div>
+        );
+    }
+    const toggleCandidate = (candidateId, checked) => onSelect(id, checked
+        ? [...selected, candidateId]
+        : selected.filter((entry) => entry !== candidateId));
+    return (
+        <div className="gn-upload-card-body gn-upload-card-archive">
+            <ul>
+                {supportedCandidates.map((candidate) => (
+                    <li key={candidate.id}>
+                        <Checkbox
+                            disabled={disabled || !candidate.ready}
+                            checked={selected.includes(candidate.id)}
+                            onChange={(event) => toggleCandidate(candidate.id, !!event.target.checked)}
+                        >
+                            <span className="gn-upload-card-archive-name">{candidate.baseName}</span>
+                            {candidate.ext.map((ext) => <Badge key={ext}>.{ext}</Badge>)}
+                        </Checkbox>
+                        {candidate.missingExtensions?.length > 0 && <div className="text-danger">
+                            <Message msgId="gnviewer.missingFiles" />: {candidate.missingExtensions.join(', ')}
+                        </div>}
+                    </li>
+                ))}
+            </ul>
+            <Button size="xs" variant="primary" disabled={disabled || !selected.length} onClick={() => onExtract(id)}>
+                <Message msgId="gnviewer.uploadArchive.extract" msgParams={{ count: selected.length }} />
+            </Button>
+        </div>
+    );
+}
+
+export default PendingUploadArchive;
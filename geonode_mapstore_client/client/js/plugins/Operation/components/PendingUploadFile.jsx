@@ -13,26 +13,70 @@ import { Badge } from 'react-bootstrap';
 import Message from '@mapstore/framework/components/I18N/Message';
 import Spinner from '@mapstore/framework/components/layout/Spinner';
 import ErrorMessageWithTooltip from './ErrorMessageWithTooltip';
+import PendingUploadArchive from './PendingUploadArchive';
 import { getSize } from '../../../utils/UploadUtils';
+import { UploadIssueLevels, hasBlockingIssues } from '../../../utils/UploadValidationUtils';
+
+function PreflightReport({ report }) {
+    if (report.loading) {
+        return (
+            <div className="gn-upload-card-body gn-upload-card-preflight">
+                <Spinner /> <Message msgId="gnviewer.uploadPreflight.inspecting" />
+            </div>
+        );
+    }
+    if (!report.issues?.length) {
+        return null;
+    }
+    return (
+        <div className="gn-upload-card-body gn-upload-card-preflight">
+            <ul>
+                {report.issues.map((issue) => (
+                    <li key={issue.id} className={issue.level === UploadIssueLevels.ERROR ? 'text-danger' : 'text-warning'}>
+                        <Icon glyph={issue.level === UploadIssueLevels.ERROR ? 'times-circle' : 'exclamation-triangle'} />{' '}
+                        <Message msgId={`gnviewer.uploadPreflight.issues.${issue.id}`} msgParams={issue.params} />
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
 
 function PendingUploadFile({
     data,
     loading,
     progress,
+    chunks,
+    resumable,
     error,
+    preflight,
+    archive,
     onCancel,
-    onRemove
+    onRemove,
+    onResume,
+    onExploreArchive,
+    onSelectArchiveCandidates,
+    onExtractArchive,
+    onPreview
 }) {
     const { id, missingExtensions: uploadMissingExtension = [], baseName, ext: extensions, files } = data;
     const missingMainFile = uploadMissingExtension.length === 1 && uploadMissingExtension[0] === '*';
     const missingExtensions = missingMainFile ? [] : uploadMissingExtension;
+    // the spinner is shown while waiting the response of the final upload request
+    const uploadingChunks = chunks && chunks.completed < chunks.total;
     return (
         <div className="gn-upload-card">
             <div className="gn-upload-card-header">
-                {(missingExtensions.length > 0 || missingMainFile) ? <div className="gn-upload-card-error"><Icon glyph="exclamation" /></div> : null}
+                {(missingExtensions.length > 0 || missingMainFile || hasBlockingIssues(preflight)) ? <div className="gn-upload-card-error"><Icon glyph="exclamation" /></div> : null}
                 <div className="gn-upload-card-title">{baseName}</div>
                 <div>
                     {error ? <ErrorMessageWithTooltip tooltipId={<Message msgId="gnviewer.invalidUploadMessageErrorTooltip" />} /> : null}
+                    {onPreview ? <Button size="xs" onClick={() => onPreview(id)}>
+                        <Icon glyph="eye" />
+                    </Button> : null}
+                    {(resumable && !loading && onResume) ? <Button size="xs" onClick={() => onResume(id)}>
+                        <Icon glyph="play" />
+                    </Button> : null}
                     {onRemove
                         ? (!loading || !progress) ? <Button size="xs" onClick={() => onRemove(id)}>
                             <Icon glyph="trash" />
@@ -52,6 +96,20 @@ function PendingUploadFile({
                     <Message msgId="gnviewer.addMainFiles" />
                 </div>
             </div>}
+            {preflight && <PreflightReport report={preflight} />}
+            {(onExploreArchive && extensions.length === 1 && extensions[0] === 'zip') && <PendingUploadArchive
+                id={id}
+                archive={archive}
+                disabled={loading}
+                onExplore={onExploreArchive}
+                onSelect={onSelectArchiveCandidates}
+                onExtract={onExtractArchive}
+            />}
+            {(resumable && !loading) && <div className="gn-upload-card-body">
+                <div className="text-warning">
+                    <Message msgId="gnviewer.resumableUpload" msgParams={resumable} />
+                </div>
+            </div>}
             <div className="gn-upload-card-bottom">
                 <ul>
                     {extensions.map(ext => {
@@ -65,7 +123,9 @@ function PendingUploadFile({
                 {
                     (loading && progress) ?
                         <div className="gn-upload-card-progress-read">
-                            {progress < 100 ? `${progress}%` : <Spinner />}
+                            {uploadingChunks
+                                ? <Message msgId="gnviewer.uploadChunksProgress" msgParams={{ progress, ...chunks }} />
+                                : (!chunks && progress < 100) ? `${progress}%` : <Spinner />}
                         </div> :
                         <div>{getSize(files, true)}</div>
                 }
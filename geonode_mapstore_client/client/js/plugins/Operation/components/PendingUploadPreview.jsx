@@ -0,0 +1,146 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import isObject from 'lodash/isObject';
+import BaseMap from '@mapstore/framework/components/map/BaseMap';
+import mapTypeHOC from '@mapstore/framework/components/map/enhancers/mapType';
+import ZoomTo from '@mapstore/framework/plugins/ResourcesCatalog/components/ZoomTo';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import FlexBox from '@mapstore/framework/components/layout/FlexBox';
+import Text from '@mapstore/framework/components/layout/Text';
+import Icon from '@js/components/Icon';
+import { UploadIssueLevels } from '@js/utils/UploadValidationUtils';
+import {
+    PREVIEW_MAX_FEATURES,
+    PREVIEW_TABLE_ROWS,
+    readUploadPreview,
+    getUploadPreviewSummary
+} from '@js/utils/UploadPreviewUtils';
+
+const Map = mapTypeHOC(BaseMap);
+Map.displayName = 'Map';
+
+const formatValue = (value) => isObject(value) ? JSON.stringify(value) : `${value ?? ''}`;
+
+function PreviewAttributesTable({ features, attributes }) {
+    if (!attributes.length) {
+        return null;
+    }
+    return (
+        <div className="gn-upload-preview-table">
+            <table className="table table-condensed table-striped">
+                <thead>
+                    <tr>
+                        {attributes.map((attribute) => <th key={attribute}>{attribute}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {features.slice(0, PREVIEW_TABLE_ROWS).map((feature, idx) => (
+                        <tr key={idx}>
+                            {attributes.map((attribute) => <td key={attribute}>{formatValue(feature.properties?.[attribute])}</td>)}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * Preview of a pending upload, the features are parsed in the browser and displayed on a map with their attributes
+ * @prop {object} upload pending file upload
+ */
+function PendingUploadPreview({ upload }) {
+    const isMounted = useRef(true);
+    const [preview, setPreview] = useState({ loading: true });
+
+    useEffect(() => {
+        isMounted.current = true;
+        setPreview({ loading: true });
+        readUploadPreview(upload)
+            .then((featureCollection) => {
+                if (isMounted.current) {
+                    setPreview({ features: featureCollection.features, summary: getUploadPreviewSummary(featureCollection) });
+                }
+            })
+            .catch((error) => {
+                if (isMounted.current) {
+                    setPreview({ error: error?.message === 'tooLarge' ? 'tooLarge' : 'readError' });
+                }
+            });
+        return () => {
+            isMounted.current = false;
+        };
+    }, [upload]);
+
+    if (preview.loading) {
+        return <div className="gn-upload-preview"><Spinner /> <Message msgId="gnviewer.uploadPreview.reading" /></div>;
+    }
+    if (preview.error) {
+        return <div className="gn-upload-preview text-danger"><Message msgId={`gnviewer.uploadPreview.${preview.error}`} /></div>;
+    }
+    const { features, summary } = preview;
+    const mapFeatures = features.filter(({ geometry }) => geometry).slice(0, PREVIEW_MAX_FEATURES);
+    return (
+        <FlexBox column gap="sm" className="gn-upload-preview">
+            <Text fontSize="sm">
+                <Message msgId="gnviewer.uploadPreview.featuresCount" msgParams={{ count: summary.featuresCount }} />
+                {summary.geometryTypes.length > 0 && ` (${summary.geometryTypes.join(', ')})`}
+            </Text>
+            {summary.issues.length > 0 && <ul className="gn-upload-preview-issues">
+                {summary.issues.map((issue) => (
+                    <li key={issue.id} className={issue.level === UploadIssueLevels.ERROR ? 'text-danger' : 'text-warning'}>
+                        <Icon glyph={issue.level === UploadIssueLevels.ERROR ? 'times-circle' : 'exclamation-triangle'} />{' '}
+                        <Message msgId={`gnviewer.uploadPreview.issues.${issue.id}`} msgParams={issue.params} />
+                    </li>
+                ))}
+            </ul>}
+            {mapFeatures.length < features.filter(({ geometry }) => geometry).length && <Text fontSize="sm" className="text-warning">
+                <Message msgId="gnviewer.uploadPreview.featuresLimit" msgParams={{ count: PREVIEW_MAX_FEATURES }} />
+            </Text>}
+            <div className="gn-upload-preview-map ms-secondary-colors">
+                <Map
+                    id="gn-upload-preview-map"
+                    mapType="openlayers"
+                    map={{
+                        registerHooks: false,
+                        projection: 'EPSG:3857'
+                    }}
+                    styleMap={{
+                        position: 'absolute',
+                        width: '100%',
+                        height: '100%'
+                    }}
+                    layers={[
+                        {
+                            type: 'osm',
+                            title: 'Open Street Map',
+                            name: 'mapnik',
+                            source: 'osm',
+                            group: 'background',
+                            visibility: true
+                        },
+                        ...(summary.extent ? [{
+                            id: 'upload-preview',
+                            type: 'vector',
+                            visibility: true,
+                            features: mapFeatures
+                        }] : [])
+                    ]}
+                >
+                    {summary.extent && <ZoomTo extent={summary.extent.join(',')} nearest={false} />}
+                </Map>
+            </div>
+            <PreviewAttributesTable features={features} attributes={summary.attributes} />
+        </FlexBox>
+    );
+}
+
+export default PendingUploadPreview;
@@ -17,13 +17,25 @@ import uuidv1 from 'uuid/v1';
 import uniq from 'lodash/uniq';
 import { getFileNameParts } from '@js/utils/FileUtils';
 import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Portal from '@mapstore/framework/components/misc/Portal';
 import PendingUploadCard from './PendingUploadCard';
+import PendingUploadPreview from './PendingUploadPreview';
+import UploadPresetSelect from './UploadPresetSelect';
+import useUploadPreflight from '../hooks/useUploadPreflight';
 import {
     validateRemoteResourceUploads,
     getExceedingFileSize,
     validateFileResourceUploads,
-    parseFileResourceUploads
+    parseFileResourceUploads,
+    getArchiveUploadCandidates,
+    readUploadArchive,
+    extractArchiveUploads,
+    getChunkedUpload,
+    getChunkedUploadProgress
 } from '../../../utils/UploadUtils';
+import { hasBlockingIssues } from '../../../utils/UploadValidationUtils';
+import { isUploadPreviewSupported } from '../../../utils/UploadPreviewUtils';
 function ErrorButton(props) {
     return (
         <div {...props} style={{ width: 'fit-content', margin: 'auto' }} className="gn-disabled-upload">
@@ -46,6 +58,8 @@ function UploadPanel({
     onUpload,
     onCancel,
     progress,
+    chunks = {},
+    chunked,
     errors,
     completed,
     rightColumn,
@@ -55,12 +69,31 @@ function UploadPanel({
     remoteTypesPlaceholder,
     remoteTypeErrorMessageId,
     remoteTypeFromUrl,
-    isRemoteTypesDisabled
+    isRemoteTypesDisabled,
+    preflight,
+    exploreArchives,
+    previewUploads,
+    presets,
+    selectedPreset,
+    onSelectPreset
 }) {
 
     const inputFile = useRef();
+    const isMounted = useRef(true);
+    // zip instances of the explored archives by upload id
+    const archivesZip = useRef({});
 
     const [uploads, setUploads] = useState([]);
+    const [archives, setArchives] = useState({});
+    const [previewId, setPreviewId] = useState(null);
+    const preflightReports = useUploadPreflight(uploads, { enabled: preflight, supportedFiles });
+
+    useEffect(() => {
+        isMounted.current = true;
+        return () => {
+            isMounted.current = false;
+        };
+    }, []);
 
     useEffect(() => {
         setUploads(prevUploads =>
@@ -81,7 +114,57 @@ function UploadPanel({
         );
     }
 
+    function updateArchive(id, archive) {
+        if (isMounted.current) {
+            setArchives((prevArchives) => ({ ...prevArchives, [id]: archive && { ...prevArchives[id], ...archive } }));
+        }
+    }
+
+    function handleExploreArchive(id) {
+        const upload = uploads.find((entry) => entry.id === id);
+        updateArchive(id, { loading: true });
+        readUploadArchive(upload.files.zip)
+            .then((zip) => {
+                archivesZip.current[id] = zip;
+                const candidates = getArchiveUploadCandidates(Object.keys(zip.files), { supportedFiles });
+                updateArchive(id, {
+                    loading: false,
+                    candidates,
+                    selected: candidates.filter((candidate) => candidate.ready).map((candidate) => candidate.id)
+                });
+            })
+            .catch((error) => updateArchive(id, { loading: false, error: error?.message === 'tooLarge' ? 'tooLarge' : true }));
+    }
+
+    function handleSelectArchiveCandidates(id, selected) {
+        updateArchive(id, { selected });
+    }
+
+    // replace the archive upload with the uploads of the selected candidates
+    function handleExtractArchive(id) {
+        const { candidates = [], selected = [] } = archives[id] || {};
+        updateArchive(id, { extracting: true });
+        extractArchiveUploads(archivesZip.current[id], candidates.filter((candidate) => selected.includes(candidate.id)))
+            .then((extractedUploads) => {
+                delete archivesZip.current[id];
+                updateArchive(id, null);
+                if (isMounted.current) {
+                    setUploads(prevUploads => validateRemoteResourceUploads(
+                        validateFileResourceUploads(
+                            prevUploads.reduce((acc, upload) => upload.id === id
+                                ? [...acc, ...extractedUploads.map((extractedUpload) => ({ ...extractedUpload, id: uuidv1() }))]
+                                : [...acc, upload], []),
+                            { supportedFiles }
+                        ),
+                        { remoteTypes }
+                    ));
+                }
+            })
+            .catch(() => updateArchive(id, { extracting: false, error: true }));
+    }
+
     function handleRemove(id) {
+        delete archivesZip.current[id];
         setUploads(
             validateRemoteResourceUploads(
                 uploads.filter((upload) => upload.id !== id),
@@ -110,12 +193,30 @@ function UploadPanel({
         return handleAdd([getDefaultRemoteResource({ id: uuidv1(), type: 'remote', url: '' })]);
     };
 
+    function handleResume(id) {
+        onUpload(uploads.filter((upload) => upload.id === id));
+    }
+
+    // chunks already sent by a previous interrupted upload of the same files
+    const getResumableChunks = (upload) => {
+        if (!chunked || loading || upload.type !== 'file') {
+            return null;
+        }
+        const chunkedUpload = getChunkedUpload(upload, chunked);
+        const chunksProgress = chunkedUpload && getChunkedUploadProgress(upload, chunkedUpload, chunked.chunkSize);
+        return chunksProgress?.completed > 0 ? chunksProgress : null;
+    };
+
     const supportedLabels = uniq(supportedFiles.map(supportedFile => supportedFile.label)).join(', ');
     const uploadsList = uploads.filter(upload => upload.type === 'file' ? upload.supported : true);
     const supportedUploads = uploads.filter(upload => upload.supported);
-    const readyUploads = uploads.filter(upload => upload.ready);
+    // uploads with blocking pre-flight errors or still under inspection cannot be sent
+    const readyUploads = uploads.filter(upload => upload.ready
+        && !preflightReports[upload.id]?.loading
+        && !hasBlockingIssues(preflightReports[upload.id]));
     const unsupportedLabels = uploads.filter(upload => upload.type === 'file' && !upload.supported).map((upload) => `${upload.baseName}.${upload?.ext?.[0] || ''}`).join(', ');
     const disabledAdd = disabled || loading || readyUploads.length === maxParallelUploads;
+    const previewUpload = previewId && uploads.find((upload) => upload.id === previewId);
     return (
         <Dropzone
             multiple
@@ -137,6 +238,12 @@ function UploadPanel({
                             <Icon glyph="plus" /><Message msgId="gnviewer.addFromUrl" />
                         </Button>}
                     </div>
+                    {presets?.length > 0 && <UploadPresetSelect
+                        presets={presets}
+                        value={selectedPreset}
+                        disabled={disabled || loading}
+                        onChange={onSelectPreset}
+                    />}
                     {uploadsList.length > 0
                         ? (
                             <ul>
@@ -145,7 +252,16 @@ function UploadPanel({
                                         <li key={upload.id}>
                                             <PendingUploadCard
                                                 data={upload}
+                                                preflight={preflightReports[upload.id]}
+                                                archive={archives[upload.id]}
+                                                onExploreArchive={exploreArchives ? handleExploreArchive : undefined}
+                                                onSelectArchiveCandidates={handleSelectArchiveCandidates}
+                                                onExtractArchive={handleExtractArchive}
+                                                onPreview={previewUploads && isUploadPreviewSupported(upload) ? setPreviewId : undefined}
                                                 progress={progress[upload.id]}
+                                                chunks={chunks[upload.id]}
+                                                resumable={upload.ready ? getResumableChunks(upload) : null}
+                                                onResume={handleResume}
                                                 loading={loading}
                                                 error={errors[upload.id]}
                                                 onCancel={onCancel}
@@ -209,6 +325,16 @@ function UploadPanel({
             >
                 {children}
             </ViewerLayout>
+            <Portal>
+                <ResizableModal
+                    title={previewUpload ? `${previewUpload.baseName}.${previewUpload.ext[0]}` : ''}
+                    show={!!previewUpload}
+                    size="lg"
+                    onClose={() => setPreviewId(null)}
+                >
+                    {previewUpload && <PendingUploadPreview upload={previewUpload} />}
+                </ResizableModal>
+            </Portal>
         </Dropzone>
     );
 }
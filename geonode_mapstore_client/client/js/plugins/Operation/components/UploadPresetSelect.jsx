@@ -0,0 +1,60 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FormGroup, ControlLabel, FormControl } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+
+/**
+ * Select of the preset applied to the resources once the upload is completed
+ * @prop {object[]} presets list of presets `{ id, label }`
+ * @prop {string} value identifier of the selected preset
+ * @prop {boolean} disabled disable the select
+ * @prop {function} onChange callback with the selected preset identifier (null if none)
+ */
+function UploadPresetSelect({
+    presets,
+    value,
+    disabled,
+    onChange
+}, context) {
+    return (
+        <FormGroup bsSize="sm" className="gn-upload-preset-select">
+            <ControlLabel><Message msgId="gnviewer.uploadPresets.label" /></ControlLabel>
+            <FormControl
+                componentClass="select"
+                disabled={disabled}
+                value={value ?? ''}
+                onChange={(event) => onChange(event.target.value || null)}
+            >
+                <option value="">{getMessageById(context.messages, 'gnviewer.uploadPresets.none')}</option>
+                {presets.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </FormControl>
+        </FormGroup>
+    );
+}
+
+UploadPresetSelect.propTypes = {
+    presets: PropTypes.array,
+    value: PropTypes.string,
+    disabled: PropTypes.bool,
+    onChange: PropTypes.func
+};
+
+UploadPresetSelect.defaultProps = {
+    presets: [],
+    onChange: () => {}
+};
+
+UploadPresetSelect.contextTypes = {
+    messages: PropTypes.object
+};
+
+export default UploadPresetSelect;
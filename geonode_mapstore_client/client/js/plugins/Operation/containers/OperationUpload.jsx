@@ -32,6 +32,8 @@ function OperationUpload({
     const {
         requests,
         uploadsToRequest,
+        getRequestUpload,
+        takeRequestUpload,
         deleteRequest
     } = useExecutionRequest({
         api: api.executionRequest,
@@ -46,6 +48,8 @@ function OperationUpload({
 
     const {
         progress,
+        chunks,
+        chunked,
         loading: uploadLoading,
         errors,
         completed,
@@ -79,7 +83,12 @@ function OperationUpload({
                 supportedFiles={api.upload.supportedFiles}
                 enableRemoteUploads={api.upload.enableRemoteUploads}
                 maxParallelUploads={api.upload.maxParallelUploads}
+                preflight={api.upload.preflight}
+                exploreArchives={api.upload.exploreArchives}
+                previewUploads={api.upload.preview}
                 progress={progress}
+                chunks={chunks}
+                chunked={chunked}
                 loading={uploadLoading}
                 errors={errors}
                 completed={completed}
@@ -107,6 +116,9 @@ function OperationUpload({
                     descriptionMsgId={descriptionMsgId}
                     requests={requests}
                     onDelete={deleteRequest}
+                    onRetry={(request) => uploadRequest([takeRequestUpload(request.exec_id)])}
+                    canRetry={(request) => !!getRequestUpload(request.exec_id)}
+                    retryDisabled={loading}
                     onReload={!loadingRequests && blocking ? handleReload : undefined}
                 />
             </UploadPanel>
@@ -18,6 +18,8 @@ const useExecutionRequest = ({
     onRefresh = () => {}
 }) => {
     const isMounted = useRef(true);
+    // uploads sent by this component by execution id, the files are kept in memory to retry failed requests
+    const cachedUploads = useRef({});
     const [requests, setRequests] = useState([]);
     const _props = useRef();
     _props.current = {
@@ -37,6 +39,12 @@ const useExecutionRequest = ({
                 .then(({ data }) => {
                     if (isMounted.current) {
                         const newRequests = data?.requests || [];
+                        // the files of the completed requests are not needed anymore
+                        newRequests
+                            .filter(({ status }) => status === 'finished')
+                            .forEach(({ exec_id: execId }) => {
+                                delete cachedUploads.current[execId];
+                            });
                         const tmpRequests = (_props.current.requests || [])
                             .filter((request) => request['@tmp']
                             && !newRequests.some(({ exec_id: execId }) => execId === request.exec_id));
@@ -60,6 +68,9 @@ const useExecutionRequest = ({
         requests,
         setRequests,
         uploadsToRequest: (uploads) => {
+            uploads.forEach(({ data, upload }) => {
+                cachedUploads.current[data.execution_id] = upload;
+            });
             setRequests(prevRequests =>[
                 ...uploads.map(({ data, upload }) => {
                     return {
@@ -73,7 +84,15 @@ const useExecutionRequest = ({
                 ...prevRequests
             ]);
         },
+        getRequestUpload: (id) => cachedUploads.current[id],
+        // the upload is removed from the cache when retried, the new request stores it again with its own execution id
+        takeRequestUpload: (id) => {
+            const upload = cachedUploads.current[id];
+            delete cachedUploads.current[id];
+            return upload;
+        },
         deleteRequest: (id) => {
+            delete cachedUploads.current[id];
             if (isMounted.current) {
                 setRequests(prevRequests => prevRequests.filter(request => request.exec_id !== id));
             }
@@ -9,6 +9,16 @@
 import { useState } from 'react';
 import axios from '@mapstore/framework/libs/ajax';
 import isFunction from 'lodash/isFunction';
+import uuidv1 from 'uuid/v1';
+import {
+    DEFAULT_CHUNK_SIZE,
+    DEFAULT_CHUNKED_UPLOAD_EXPIRATION,
+    getFileChunks,
+    getChunkedUpload,
+    setChunkedUpload,
+    removeChunkedUpload,
+    getChunkedUploadProgress
+} from '@js/utils/UploadUtils';
 
 const cancelTokens = {};
 const sources = {};
@@ -22,8 +32,18 @@ const useUpload = ({
     const [errors, setErrors] = useState({});
     const [completed, setCompleted] = useState({});
     const [progress, setProgress] = useState({});
+    const [chunks, setChunks] = useState({});
 
-    const getUploadRequestPayload = (upload) => {
+    const chunkedOptions = api?.chunked?.enabled && api.chunked.url
+        ? {
+            chunkSize: DEFAULT_CHUNK_SIZE,
+            expiration: DEFAULT_CHUNKED_UPLOAD_EXPIRATION,
+            maxRetries: 3,
+            ...api.chunked
+        }
+        : null;
+
+    const getUploadRequestPayload = (upload, chunkedUploadId) => {
         const bodyConfig = api?.body?.[upload?.type];
         const payload = Object.keys(bodyConfig).reduce((acc, key) => {
             return {
@@ -41,9 +61,15 @@ const useUpload = ({
         const formData = new FormData();
         Object.keys(payload).forEach((key) => {
             if (payload[key] !== undefined) {
-                formData.append(key, payload[key]);
+                // the content of the files has been already sent in chunks
+                formData.append(key, chunkedUploadId && payload[key] instanceof Blob
+                    ? payload[key].name
+                    : payload[key]);
             }
         });
+        if (chunkedUploadId) {
+            formData.append('upload_id', chunkedUploadId);
+        }
         return formData;
     };
 
@@ -52,11 +78,98 @@ const useUpload = ({
         setProgress((prevFiles) => ({ ...prevFiles, [uploadId]: percentCompleted }));
     };
 
+    const sendChunk = ({ file, chunk, total, chunkedUpload, config }, retries) => {
+        const formData = new FormData();
+        formData.append('upload_id', chunkedUpload.id);
+        formData.append('file_name', file.name);
+        formData.append('chunk_index', chunk.index);
+        formData.append('total_chunks', total);
+        formData.append('chunk', file.slice(chunk.start, chunk.end), file.name);
+        return axios.post(chunkedOptions.url, formData, config)
+            .catch((error) => {
+                // retry only network or server errors, a canceled request must stop the upload
+                if (!axios.isCancel(error) && retries > 0) {
+                    return sendChunk({ file, chunk, total, chunkedUpload, config }, retries - 1);
+                }
+                throw error;
+            });
+    };
+
+    const uploadChunks = (upload, cancelToken) => {
+        const { chunkSize } = chunkedOptions;
+        let chunkedUpload = getChunkedUpload(upload, chunkedOptions) || { id: uuidv1(), chunkSize, files: {} };
+        setChunkedUpload(upload, chunkedUpload);
+        const files = upload.files || {};
+        const totalBytes = Object.keys(files).reduce((sum, ext) => sum + files[ext].size, 0);
+        const pendingChunks = Object.keys(files).reduce((acc, ext) => {
+            const fileChunks = getFileChunks(files[ext], chunkSize);
+            return [
+                ...acc,
+                ...fileChunks
+                    .filter(chunk => chunk.index >= (chunkedUpload.files[ext] || 0))
+                    .map(chunk => ({ ext, chunk, total: fileChunks.length }))
+            ];
+        }, []);
+        let uploadedBytes = totalBytes - pendingChunks.reduce((sum, { chunk }) => sum + chunk.end - chunk.start, 0);
+        const updateProgress = (loaded = 0) => {
+            const percentCompleted = totalBytes ? Math.floor(((uploadedBytes + loaded) * 100) / totalBytes) : 100;
+            setProgress((prevFiles) => ({ ...prevFiles, [upload.id]: percentCompleted }));
+        };
+        setChunks((prevChunks) => ({ ...prevChunks, [upload.id]: getChunkedUploadProgress(upload, chunkedUpload, chunkSize) }));
+        updateProgress();
+        return pendingChunks.reduce((promise, { ext, chunk, total }) => promise.then(() =>
+            sendChunk({
+                file: files[ext],
+                chunk,
+                total,
+                chunkedUpload,
+                config: {
+                    onUploadProgress: (_progress) => updateProgress(Math.min(_progress.loaded, chunk.end - chunk.start)),
+                    cancelToken
+                }
+            }, chunkedOptions.maxRetries)
+                .then(() => {
+                    uploadedBytes += chunk.end - chunk.start;
+                    chunkedUpload = {
+                        ...chunkedUpload,
+                        files: {
+                            ...chunkedUpload.files,
+                            [ext]: chunk.index + 1
+                        }
+                    };
+                    setChunkedUpload(upload, chunkedUpload);
+                    setChunks((prevChunks) => ({ ...prevChunks, [upload.id]: getChunkedUploadProgress(upload, chunkedUpload, chunkSize) }));
+                    updateProgress();
+                })
+        ), Promise.resolve())
+            .then(() => chunkedUpload);
+    };
+
+    const sendUpload = (upload) => {
+        const cancelToken = sources[upload.id].token;
+        if (chunkedOptions && upload.type === 'file') {
+            return uploadChunks(upload, cancelToken)
+                .then((chunkedUpload) => axios[api.method || 'post'](api.url, getUploadRequestPayload(upload, chunkedUpload.id), { cancelToken }))
+                .then((response) => {
+                    removeChunkedUpload(upload);
+                    return response;
+                });
+        }
+        const config = {
+            onUploadProgress: onUploadProgress(upload.id),
+            cancelToken
+        };
+        const payload = getUploadRequestPayload(upload);
+        return axios[api.method || 'post'](api.url, payload, config);
+    };
+
     return {
         loading,
         errors,
         completed,
         progress,
+        chunks,
+        chunked: chunkedOptions,
         cancelRequest: (uploadIds) => {
             setProgress(prevProgress => ({
                 ...prevProgress,
@@ -69,15 +182,11 @@ const useUpload = ({
                 setLoading(true);
                 setErrors({});
                 setProgress({});
+                setChunks({});
                 axios.all(uploads.map((upload) => {
                     cancelTokens[upload.id] = axios.CancelToken;
                     sources[upload.id] = cancelTokens[upload.id].source();
-                    const config = {
-                        onUploadProgress: onUploadProgress(upload.id),
-                        cancelToken: sources[upload.id].token
-                    };
-                    const payload = getUploadRequestPayload(upload);
-                    return axios[api.method || 'post'](api.url, payload, config)
+                    return sendUpload(upload)
                         .then(({ data }) => ({ status: 'success', data, id: upload.id, upload }))
                         .catch((error) => {
                             if (axios.isCancel(error)) {
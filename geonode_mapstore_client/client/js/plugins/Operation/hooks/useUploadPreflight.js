@@ -0,0 +1,145 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import JSZip from 'jszip';
+import { getUploadFingerprint } from '@js/utils/UploadUtils';
+import { readFile } from '@js/utils/FileUtils';
+import {
+    UploadIssueLevels,
+    PREFLIGHT_TEXT_SAMPLE_SIZE,
+    PREFLIGHT_GEOPACKAGE_SAMPLE_SIZE,
+    PREFLIGHT_MAX_ZIP_SIZE,
+    PREFLIGHT_EXTENSIONS,
+    createUploadIssue,
+    parseDbfHeader,
+    getShapefileIssues,
+    parseGeoPackageLayers,
+    getGeoPackageIssues,
+    inspectGeoJSON,
+    inspectKML,
+    inspectCSV,
+    inspectZipEntries
+} from '@js/utils/UploadValidationUtils';
+
+// the dbf header contains at most 255 field descriptors of 32 bytes
+const DBF_HEADER_MAX_SIZE = 32 * 257;
+
+const readText = (file, size) => readFile(file, 'readAsText', size);
+const readArrayBuffer = (file, size) => readFile(file, 'readAsArrayBuffer', size);
+
+const inspectShapefile = ({ prj, dbf }) => Promise.all([
+    prj ? prj() : Promise.resolve(undefined),
+    dbf ? dbf() : Promise.resolve(null)
+]).then(([prjText, dbfBuffer]) => ({
+    issues: getShapefileIssues({ prj: prjText, dbfHeader: parseDbfHeader(dbfBuffer), hasDbf: !!dbf })
+}));
+
+const inspectZip = (file, supportedFiles) => {
+    if (file.size > PREFLIGHT_MAX_ZIP_SIZE) {
+        return Promise.resolve({ issues: [createUploadIssue(UploadIssueLevels.WARNING, 'notInspected')] });
+    }
+    return JSZip.loadAsync(file)
+        .then((zip) => {
+            const { issues, info } = inspectZipEntries(Object.keys(zip.files), supportedFiles);
+            if (info.datasets.length !== 1 || info.shapefiles.length !== 1) {
+                return { issues, info };
+            }
+            // inspect the components of the only shapefile of the archive
+            const getEntry = (ext) => info.entries.find((name) => name.toLowerCase() === `${info.shapefiles[0]}.${ext}`.toLowerCase());
+            const prj = getEntry('prj');
+            const dbf = getEntry('dbf');
+            return inspectShapefile({
+                prj: prj && (() => zip.file(prj).async('string')),
+                dbf: dbf && (() => zip.file(dbf).async('arraybuffer'))
+            }).then((shapefile) => ({ issues: [...issues, ...shapefile.issues], info }));
+        });
+};
+
+const inspectors = {
+    shp: ({ files }) => inspectShapefile({
+        prj: files.prj && (() => readText(files.prj)),
+        dbf: files.dbf && (() => readArrayBuffer(files.dbf, DBF_HEADER_MAX_SIZE))
+    }),
+    gpkg: ({ file }) => readArrayBuffer(file, PREFLIGHT_GEOPACKAGE_SAMPLE_SIZE)
+        .then((buffer) => {
+            const geopackage = parseGeoPackageLayers(buffer);
+            return { issues: getGeoPackageIssues(geopackage), info: { layers: geopackage.layers } };
+        }),
+    json: ({ file }) => readText(file, PREFLIGHT_TEXT_SAMPLE_SIZE)
+        .then((text) => inspectGeoJSON(text, file.size <= PREFLIGHT_TEXT_SAMPLE_SIZE)),
+    kml: ({ file }) => readText(file, PREFLIGHT_TEXT_SAMPLE_SIZE).then(inspectKML),
+    csv: ({ file }) => readText(file, PREFLIGHT_TEXT_SAMPLE_SIZE).then(inspectCSV),
+    zip: ({ file, supportedFiles }) => inspectZip(file, supportedFiles)
+};
+inspectors.geojson = inspectors.json;
+
+const inspectFileUpload = (upload, supportedFiles) => {
+    const ext = upload?.ext?.[0];
+    const inspect = inspectors[ext];
+    return inspect
+        ? inspect({ file: upload.files[ext], files: upload.files, supportedFiles })
+        : Promise.resolve({ issues: [] });
+};
+
+/**
+ * Inspect the dataset files in the browser before the upload to detect errors that would make the upload fail.
+ * The inspection reads the shapefile dbf headers and prj, the GeoPackage schema,
+ * the zip entries and a sample of GeoJSON, KML and CSV files
+ * @param {object[]} uploads list of pending uploads
+ * @param {object} options
+ * @param {boolean} options.enabled enable the inspection
+ * @param {object[]} options.supportedFiles supported file types
+ * @return {object} reports by upload id in the form `{ loading, issues, info }`
+ */
+const useUploadPreflight = (uploads, {
+    enabled,
+    supportedFiles = []
+} = {}) => {
+    const isMounted = useRef(true);
+    const [reports, setReports] = useState({});
+    const _reports = useRef();
+    _reports.current = reports;
+
+    useEffect(() => {
+        isMounted.current = true;
+        return () => {
+            isMounted.current = false;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!enabled) {
+            return;
+        }
+        const updateReport = (id, report) => {
+            if (isMounted.current) {
+                setReports((prevReports) => ({ ...prevReports, [id]: report }));
+            }
+        };
+        uploads
+            .filter((upload) => upload.type === 'file'
+                && upload.ready
+                && PREFLIGHT_EXTENSIONS.includes(upload.ext?.[0])
+                && _reports.current[upload.id]?.fingerprint !== getUploadFingerprint(upload))
+            .forEach((upload) => {
+                const fingerprint = getUploadFingerprint(upload);
+                updateReport(upload.id, { fingerprint, loading: true });
+                inspectFileUpload(upload, supportedFiles)
+                    .then((report) => updateReport(upload.id, { fingerprint, ...report }))
+                    .catch(() => updateReport(upload.id, {
+                        fingerprint,
+                        issues: [createUploadIssue(UploadIssueLevels.WARNING, 'inspectionFailed')]
+                    }));
+            });
+    }, [enabled, uploads]);
+
+    return reports;
+};
+
+export default useUploadPreflight;
@@ -0,0 +1,134 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import {
+    getCompactPermissionsByPk,
+    updateCompactPermissionsByPk,
+    updateResourceByPk
+} from '@js/api/geonode/v2';
+import { getMetadataByPk, updateMetadata } from '@js/api/geonode/v2/metadata';
+import { applyPermissionsTemplate } from '@js/utils/PermissionsTemplatesUtils';
+import {
+    UploadPresetSteps,
+    UploadPresetStatus,
+    getUploadPresetSteps,
+    applyUploadPresetMetadata,
+    getUploadPresetResult,
+    getStoredUploadPresets,
+    updateStoredUploadPresets
+} from '@js/utils/UploadPresetsUtils';
+import { getExecutionRequestResourcePks } from '@js/utils/ResourceServiceUtils';
+
+const applySteps = {
+    [UploadPresetSteps.METADATA]: (pk, preset) => getMetadataByPk(pk)
+        .then(({ metadata }) => updateMetadata(pk, applyUploadPresetMetadata(metadata, preset.metadata))),
+    [UploadPresetSteps.GROUP]: (pk, preset) => updateResourceByPk(pk, { group: preset.group }),
+    [UploadPresetSteps.PERMISSIONS]: (pk, preset) => getCompactPermissionsByPk(pk)
+        .then((compactPermissions) => updateCompactPermissionsByPk(pk,
+            applyPermissionsTemplate(compactPermissions, { permissions: preset.permissions })))
+};
+
+// steps are applied in sequence because the metadata update could override the other properties
+const applyUploadPreset = (pk, preset) => getUploadPresetSteps(preset)
+    .reduce((promise, step) => promise.then((result) => applySteps[step](pk, preset)
+        .then(() => ({ ...result, [step]: true }))
+        .catch(() => ({ ...result, [step]: false }))), Promise.resolve({}));
+
+/**
+ * Apply the upload presets to the resources created by the execution requests once they are finished.
+ * The assignments are persisted in the local storage so they are resumed after a page reload
+ * and the user is warned before leaving the page while a preset is being applied
+ * @param {object} options
+ * @param {object[]} options.presets list of available presets `{ id, label, metadata, group, permissions }`
+ * @param {object[]} options.requests list of execution requests
+ * @param {boolean} options.persist persist the assignments, it should be disabled when the requests are not stored by the server
+ * (eg: the document uploads identified by the client upload id) because they cannot be resumed after a page reload
+ * @return {object} `{ presetResults, assignPreset }` where presetResults contains the result by execution id
+ * in the form `{ presetId, label, status, failedSteps }` and assignPreset(execIds, presetId) links a preset to the requests
+ */
+const useUploadPresets = ({
+    presets = [],
+    requests = [],
+    persist = true
+}) => {
+    const isMounted = useRef(true);
+    const [presetResults, setPresetResults] = useState(() => persist ? getStoredUploadPresets() : {});
+    // requests already processed, it prevents to apply a preset twice between two renders
+    const processed = useRef({});
+    const _presetResults = useRef();
+    _presetResults.current = presetResults;
+
+    useEffect(() => {
+        isMounted.current = true;
+        return () => {
+            isMounted.current = false;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (persist) {
+            updateStoredUploadPresets(presetResults);
+        }
+    }, [presetResults]);
+
+    const running = Object.values(presetResults).some(({ status }) => status === UploadPresetStatus.RUNNING);
+    useEffect(() => {
+        // leaving the page interrupts the steps, they are applied again when the page is opened
+        const handleBeforeUnload = (event) => {
+            event.preventDefault();
+            event.returnValue = '';
+        };
+        if (running) {
+            window.addEventListener('beforeunload', handleBeforeUnload);
+        }
+        return () => {
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+        };
+    }, [running]);
+
+    useEffect(() => {
+        const updateResult = (execId, result) => {
+            if (isMounted.current) {
+                setPresetResults((prevResults) => ({ ...prevResults, [execId]: { ...prevResults[execId], ...result } }));
+            }
+        };
+        requests
+            .filter((request) => ['finished', 'failed'].includes(request.status)
+                && _presetResults.current[request.exec_id]?.status === UploadPresetStatus.PENDING
+                && !processed.current[request.exec_id])
+            .forEach((request) => {
+                processed.current[request.exec_id] = true;
+                const preset = presets.find(({ id }) => `${id}` === `${_presetResults.current[request.exec_id].presetId}`);
+                const pks = getExecutionRequestResourcePks(request);
+                if (request.status === 'failed' || !preset || !pks.length) {
+                    updateResult(request.exec_id, { status: UploadPresetStatus.FAILED, failedSteps: [] });
+                    return;
+                }
+                updateResult(request.exec_id, { status: UploadPresetStatus.RUNNING });
+                Promise.all(pks.map((pk) => applyUploadPreset(pk, preset)))
+                    .then((results) => updateResult(request.exec_id, getUploadPresetResult(results)));
+            });
+    }, [requests, presetResults]);
+
+    return {
+        presetResults,
+        assignPreset: (execIds = [], presetId) => {
+            const preset = presets.find(({ id }) => `${id}` === `${presetId}`);
+            if (!preset) {
+                return;
+            }
+            setPresetResults((prevResults) => execIds.reduce((acc, execId) => ({
+                ...acc,
+                [execId]: { presetId, label: preset.label, status: UploadPresetStatus.PENDING }
+            }), prevResults));
+        }
+    };
+};
+
+export default useUploadPresets;
@@ -40,9 +40,18 @@ import Message from '@mapstore/framework/components/I18N/Message';
  * @prop {number} api.upload.maxParallelUploads number of maximum parallel uploads
  * @prop {boolean} api.upload.enableRemoteUploads enable the remote upload button
  * @prop {array} api.upload.supportedFiles list of supported type of upload
+ * @prop {boolean} api.upload.preflight if true the dataset files are inspected in the browser before the upload and files with blocking errors cannot be sent
+ * @prop {boolean} api.upload.exploreArchives if true the zip uploads can be explored to select the datasets to extract and upload separately
+ * @prop {boolean} api.upload.preview if true the GeoJSON, KML, GPX, CSV and shapefile uploads can be previewed on a map before sending them
  * @prop {object} api.upload.body body request configuration
  * @prop {object} api.upload.body.file body request configuration for file uploads
  * @prop {object} api.upload.body.remote body request configuration for remote uploads
+ * @prop {object} api.upload.chunked configuration for resumable chunked uploads of files
+ * @prop {boolean} api.upload.chunked.enabled if true files are sent in chunks before the upload request
+ * @prop {string} api.upload.chunked.url endpoint receiving the chunks (`upload_id`, `file_name`, `chunk_index`, `total_chunks` and `chunk`), the upload request will include the same `upload_id` and the file names in place of the files
+ * @prop {number} api.upload.chunked.chunkSize size of each chunk in bytes (default 5MB)
+ * @prop {number} api.upload.chunked.maxRetries number of attempts for a failing chunk before stopping the upload (default 3)
+ * @prop {number} api.upload.chunked.expiration time in milliseconds after which an interrupted upload cannot be resumed anymore (default 24 hours)
  * @prop {object} api.executionRequest configuration for the execution requests
  * @prop {string} api.executionRequest.url execution requests endpoint
  * @prop {object} api.executionRequest.params query parameters for the request
@@ -70,6 +79,11 @@ import Message from '@mapstore/framework/components/I18N/Message';
  *                      "resource_pk": "{context.get(state('gnResourceData'), 'pk')}",
  *                      "action": "upload"
  *                  }
+ *              },
+ *              "chunked": {
+ *                  "enabled": false,
+ *                  "url": "{context.getEndpointUrl('uploads', '/chunk')}",
+ *                  "chunkSize": 5242880
  *              }
  *          },
  *          "executionRequest": {
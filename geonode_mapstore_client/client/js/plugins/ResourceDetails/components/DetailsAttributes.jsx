@@ -0,0 +1,240 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import isNil from 'lodash/isNil';
+import { Checkbox, FormControl as FormControlRB } from 'react-bootstrap';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import Text from '@mapstore/framework/components/layout/Text';
+import FlexBox from '@mapstore/framework/components/layout/FlexBox';
+import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import localizedProps from '@mapstore/framework/components/misc/enhancers/localizedProps';
+import Icon from '@js/components/Icon';
+import { getAttributeStatistics, getAttributeHistogram } from '@js/api/geonode/statistics';
+import {
+    sortAttributes,
+    updateAttribute,
+    moveAttribute,
+    isGeometryAttribute
+} from '@js/utils/DatasetAttributesUtils';
+
+const FormControl = localizedProps('placeholder')(FormControlRB);
+const ButtonWithTooltip = tooltip(Button);
+
+const NA = <Message msgId="gnhome.na" />;
+
+function AttributeHistogram({ histogram: histogramState, onLoad }) {
+    if (!histogramState) {
+        return (
+            <div>
+                <Button size="xs" onClick={onLoad}>
+                    <Message msgId="gnviewer.attributeTable.showDistinctValues" />
+                </Button>
+            </div>
+        );
+    }
+    if (histogramState.loading) {
+        return <Spinner />;
+    }
+    if (histogramState.error) {
+        return <Text fontSize="sm" className="text-danger"><Message msgId="gnviewer.attributeTable.distinctValuesError" /></Text>;
+    }
+    const histogram = histogramState.data;
+    const maxCount = Math.max(...(histogram || []).map((entry) => entry.count), 1);
+    return histogram?.length > 0 ? (
+        <div className="gn-details-attribute-histogram">
+            <Text strong fontSize="sm"><Message msgId="gnviewer.attributeTable.distinctValues" /></Text>
+            {histogram.map((entry, idx) => (
+                <div key={idx} className="gn-details-attribute-histogram-entry">
+                    <span className="gn-details-attribute-histogram-label">
+                        {entry.others
+                            ? <Message msgId="gnviewer.attributeTable.otherValues" />
+                            : isNil(entry.value) ? NA : `${entry.value}`}
+                    </span>
+                    <span className="gn-details-attribute-histogram-bar">
+                        <span style={{ width: `${(entry.count / maxCount) * 100}%` }} />
+                    </span>
+                    <span className="gn-details-attribute-histogram-count">{entry.count}</span>
+                </div>
+            ))}
+        </div>
+    ) : null;
+}
+
+function AttributeStatistics({ statistics, onLoadHistogram }) {
+    if (statistics.loading) {
+        return <Spinner />;
+    }
+    if (statistics.error) {
+        return <Text fontSize="sm" className="text-danger"><Message msgId="gnviewer.attributeTable.statisticsError" /></Text>;
+    }
+    const { type, count, nullCount, min, max } = statistics.data || {};
+    return (
+        <FlexBox column gap="sm" className="gn-details-attribute-statistics">
+            <ul>
+                <li><Message msgId="gnviewer.attributeTable.type" />: {type || NA}</li>
+                <li><Message msgId="gnviewer.attributeTable.count" />: {isNil(count) ? NA : count}</li>
+                <li><Message msgId="gnviewer.attributeTable.nullCount" />: {isNil(nullCount) ? NA : nullCount}</li>
+                {!isNil(min) ? <li><Message msgId="gnviewer.attributeTable.min" />: {min}</li> : null}
+                {!isNil(max) ? <li><Message msgId="gnviewer.attributeTable.max" />: {max}</li> : null}
+            </ul>
+            {/* the most frequent values are requested on demand because the group by is expensive on high cardinality attributes */}
+            <AttributeHistogram histogram={statistics.histogram} onLoad={onLoadHistogram} />
+        </FlexBox>
+    );
+}
+
+/**
+ * Table of the dataset attributes with inline editing of label, description, display order and visibility
+ * and per-attribute statistics requested to GeoServer, the most frequent values are requested on demand
+ * @prop {array} fields dataset attribute_set
+ * @prop {object} resource dataset resource
+ * @prop {boolean} editable enable the inline editing
+ * @prop {function} onChange callback with the updated attribute_set
+ */
+function DetailsAttributes({ fields, resource, editable, onChange }) {
+    const [statistics, setStatistics] = useState({});
+    const attributes = sortAttributes(fields);
+
+    function handleChange(pk, properties) {
+        onChange(updateAttribute(fields, pk, properties));
+    }
+
+    function handleStatistics(attribute) {
+        if (statistics[attribute.pk]) {
+            setStatistics(({ [attribute.pk]: removed, ...other }) => other);
+            return;
+        }
+        setStatistics((prev) => ({ ...prev, [attribute.pk]: { loading: true } }));
+        getAttributeStatistics(resource, attribute)
+            .then((data) => setStatistics((prev) => prev[attribute.pk] ? { ...prev, [attribute.pk]: { data } } : prev))
+            .catch(() => setStatistics((prev) => prev[attribute.pk] ? { ...prev, [attribute.pk]: { error: true } } : prev));
+    }
+
+    function updateHistogram(pk, histogram) {
+        setStatistics((prev) => prev[pk] ? { ...prev, [pk]: { ...prev[pk], histogram } } : prev);
+    }
+
+    function handleHistogram(attribute) {
+        updateHistogram(attribute.pk, { loading: true });
+        getAttributeHistogram(resource, attribute)
+            .then((data) => updateHistogram(attribute.pk, { data }))
+            .catch(() => updateHistogram(attribute.pk, { error: true }));
+    }
+
+    return (
+        <table className="table gn-details-attributes">
+            <thead>
+                <tr>
+                    {editable ? <th /> : null}
+                    <th><Message msgId="gnviewer.attributeTable.name" /></th>
+                    <th><Message msgId="gnviewer.attributeTable.label" /></th>
+                    <th><Message msgId="gnviewer.attributeTable.description" /></th>
+                    <th><Message msgId="gnviewer.attributeTable.visible" /></th>
+                    <th />
+                </tr>
+            </thead>
+            <tbody>
+                {attributes.map((attribute, idx) => {
+                    const isGeometry = isGeometryAttribute(attribute);
+                    return (
+                        <React.Fragment key={attribute.pk ?? idx}>
+                            <tr>
+                                {editable ? <td className="gn-details-attributes-order">
+                                    <ButtonWithTooltip
+                                        size="xs"
+                                        tooltipId="gnviewer.attributeTable.moveUp"
+                                        disabled={idx === 0}
+                                        onClick={() => onChange(moveAttribute(fields, attribute.pk, -1))}
+                                    >
+                                        <Icon glyph="chevron-up" />
+                                    </ButtonWithTooltip>
+                                    <ButtonWithTooltip
+                                        size="xs"
+                                        tooltipId="gnviewer.attributeTable.moveDown"
+                                        disabled={idx === attributes.length - 1}
+                                        onClick={() => onChange(moveAttribute(fields, attribute.pk, 1))}
+                                    >
+                                        <Icon glyph="chevron-down" />
+                                    </ButtonWithTooltip>
+                                </td> : null}
+                                <td>{attribute.attribute}</td>
+                                <td>
+                                    {editable
+                                        ? <FormControl
+                                            bsSize="sm"
+                                            value={attribute.attribute_label || ''}
+                                            placeholder="gnviewer.attributeTable.label"
+                                            onChange={(event) => handleChange(attribute.pk, { attribute_label: event.target.value })}
+                                        />
+                                        : attribute.attribute_label || NA}
+                                </td>
+                                <td>
+                                    {editable
+                                        ? <FormControl
+                                            bsSize="sm"
+                                            componentClass="textarea"
+                                            rows={1}
+                                            value={attribute.description || ''}
+                                            placeholder="gnviewer.attributeTable.description"
+                                            onChange={(event) => handleChange(attribute.pk, { description: event.target.value })}
+                                        />
+                                        : attribute.description || NA}
+                                </td>
+                                <td>
+                                    <Checkbox
+                                        style={{ margin: 0 }}
+                                        disabled={!editable}
+                                        checked={attribute.visible !== false}
+                                        onChange={(event) => handleChange(attribute.pk, { visible: !!event.target.checked })}
+                                    />
+                                </td>
+                                <td>
+                                    {!isGeometry
+                                        ? <ButtonWithTooltip
+                                            size="xs"
+                                            active={!!statistics[attribute.pk]}
+                                            tooltipId="gnviewer.attributeTable.showStatistics"
+                                            onClick={() => handleStatistics(attribute)}
+                                        >
+                                            <Icon glyph="bar-chart" />
+                                        </ButtonWithTooltip>
+                                        : null}
+                                </td>
+                            </tr>
+                            {statistics[attribute.pk] ? <tr className="gn-details-attributes-statistics-row">
+                                <td colSpan={editable ? 6 : 5}>
+                                    <AttributeStatistics
+                                        statistics={statistics[attribute.pk]}
+                                        onLoadHistogram={() => handleHistogram(attribute)}
+                                    />
+                                </td>
+                            </tr> : null}
+                        </React.Fragment>
+                    );
+                })}
+            </tbody>
+        </table>
+    );
+}
+
+DetailsAttributes.propTypes = {
+    fields: PropTypes.array,
+    resource: PropTypes.object,
+    editable: PropTypes.bool,
+    onChange: PropTypes.func
+};
+
+DetailsAttributes.defaultProps = {
+    fields: [],
+    onChange: () => {}
+};
+
+export default DetailsAttributes;
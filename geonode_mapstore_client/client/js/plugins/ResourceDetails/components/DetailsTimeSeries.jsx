@@ -20,6 +20,7 @@ import InfoPopover from '@mapstore/framework/components/widgets/widget/InfoPopov
 import { TIME_SERIES_PROPERTIES, TIME_ATTRIBUTE_TYPES, TIME_PRECISION_STEPS } from '@js/utils/ResourceUtils';
 import FlexBox from '@mapstore/framework/components/layout/FlexBox';
 import Text from '@mapstore/framework/components/layout/Text';
+import DetailsTimeSeriesPreview from '@js/plugins/ResourceDetails/components/DetailsTimeSeriesPreview';
 
 const TimeSeriesSettings = ({ resource, onChange }, context) => {
     const timeAttributes = (resource?.attribute_set ?? [])
@@ -146,6 +147,7 @@ const TimeSeriesSettings = ({ resource, onChange }, context) => {
                         </FormGroup>
                     </FlexBox.Fill>
                 </FlexBox>}
+                {!error && <DetailsTimeSeriesPreview resource={resource} timeseries={timeseries} />}
             </>}
         </FlexBox>
     );
@@ -0,0 +1,131 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import Text from '@mapstore/framework/components/layout/Text';
+import FlexBox from '@mapstore/framework/components/layout/FlexBox';
+import Icon from '@js/components/Icon';
+import { getAttributeTimeDomain } from '@js/api/geonode/statistics';
+import {
+    TimeSeriesPresentations,
+    TimeSeriesWarnings,
+    MAX_TIME_STEPS,
+    getTimeSeriesPreview,
+    getTimeHistogram
+} from '@js/utils/TimeSeriesUtils';
+
+const DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+const MAX_VISIBLE_STEPS = 10;
+
+const formatTime = (time) => moment.utc(time).format(DATE_FORMAT);
+
+function TimeHistogram({ histogram }) {
+    const maxCount = Math.max(...histogram.map(({ count }) => count), 1);
+    return (
+        <div className="gn-time-series-preview-histogram">
+            {histogram.map((bin, idx) => (
+                <div
+                    key={idx}
+                    className="gn-time-series-preview-histogram-bin"
+                    title={`${formatTime(bin.start)} - ${formatTime(bin.end)}: ${bin.count}`}
+                >
+                    <span style={{ height: `${(bin.count / maxCount) * 100}%` }} />
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Preview of the time dimension generated by the time series settings of a dataset
+ * @prop {object} resource dataset resource
+ * @prop {object} timeseries time series settings
+ */
+function DetailsTimeSeriesPreview({ resource, timeseries }) {
+    const [domain, setDomain] = useState({});
+    const getAttributeName = (pk) => (resource?.attribute_set || []).find((attribute) => attribute.pk === pk)?.attribute;
+    const attribute = getAttributeName(timeseries?.attribute);
+    const endAttribute = getAttributeName(timeseries?.end_attribute);
+
+    useEffect(() => {
+        if (!attribute && !endAttribute) {
+            setDomain({});
+            return () => {};
+        }
+        let canceled = false;
+        setDomain({ loading: true });
+        getAttributeTimeDomain(resource, attribute, endAttribute)
+            .then((data) => !canceled && setDomain({ data }))
+            .catch(() => !canceled && setDomain({ error: true }));
+        return () => {
+            canceled = true;
+        };
+    }, [resource?.pk, attribute, endAttribute]);
+
+    const preview = useMemo(
+        () => domain.data ? getTimeSeriesPreview(timeseries, domain.data.values, domain.data.endTime) : null,
+        [domain.data, timeseries?.presentation, timeseries?.precision_value, timeseries?.precision_step]
+    );
+    const histogram = useMemo(() => getTimeHistogram(domain.data?.values), [domain.data]);
+
+    if (!attribute && !endAttribute) {
+        return null;
+    }
+    return (
+        <FlexBox column gap="xs" className="gn-time-series-preview">
+            <Text fontSize="sm" strong><Message msgId="gnviewer.timeSeriesSetting.preview.title" /></Text>
+            {domain.loading && <Spinner />}
+            {domain.error && <Text fontSize="sm" className="text-danger"><Message msgId="gnviewer.timeSeriesSetting.preview.error" /></Text>}
+            {preview && <>
+                {preview.start !== undefined && <Text fontSize="sm">
+                    <Message
+                        msgId="gnviewer.timeSeriesSetting.preview.range"
+                        msgParams={{ start: formatTime(preview.start), end: formatTime(preview.end) }}
+                    />
+                </Text>}
+                {preview.warnings.map((warning) => (
+                    <Text key={warning} fontSize="sm" className="text-warning">
+                        <Icon glyph="exclamation-triangle" />{' '}
+                        <Message
+                            msgId={`gnviewer.timeSeriesSetting.preview.warnings.${warning}`}
+                            msgParams={{ count: warning === TimeSeriesWarnings.TOO_MANY_STEPS ? MAX_TIME_STEPS : preview.stepsCount }}
+                        />
+                    </Text>
+                ))}
+                {timeseries?.presentation === TimeSeriesPresentations.CONTINUOUS_INTERVAL && preview.warnings.length === 0 && <Text fontSize="sm">
+                    <Message msgId="gnviewer.timeSeriesSetting.preview.continuousInterval" />
+                    {' '}{timeseries.precision_value}{' '}
+                    <Message msgId={`gnviewer.timeSeriesSetting.${timeseries.precision_step}`} />
+                </Text>}
+                {preview.steps.length > 0 && <>
+                    <Text fontSize="sm"><Message msgId="gnviewer.timeSeriesSetting.preview.steps" msgParams={{ count: preview.stepsCount }} /></Text>
+                    <ul className="gn-time-series-preview-steps">
+                        {preview.steps.slice(0, MAX_VISIBLE_STEPS).map((step) => <li key={step}>{formatTime(step)}</li>)}
+                        {preview.stepsCount > MAX_VISIBLE_STEPS && <li>
+                            <Message msgId="gnviewer.timeSeriesSetting.preview.moreSteps" msgParams={{ count: preview.stepsCount - MAX_VISIBLE_STEPS }} />
+                        </li>}
+                    </ul>
+                </>}
+                {histogram.length > 0 && <>
+                    <Text fontSize="sm"><Message msgId="gnviewer.timeSeriesSetting.preview.histogram" /></Text>
+                    <TimeHistogram histogram={histogram} />
+                </>}
+            </>}
+        </FlexBox>
+    );
+}
+
+DetailsTimeSeriesPreview.propTypes = {
+    resource: PropTypes.object,
+    timeseries: PropTypes.object
+};
+
+export default DetailsTimeSeriesPreview;
@@ -6,10 +6,12 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { connect } from "react-redux";
 import { createSelector } from "reselect";
+import { saveAs } from 'file-saver';
+import { Checkbox, FormControl } from 'react-bootstrap';
 
 import BaseMap from '@mapstore/framework/components/map/BaseMap';
 import mapTypeHOC from '@mapstore/framework/components/map/enhancers/mapType';
@@ -19,17 +21,153 @@ import Button from '@mapstore/framework/components/layout/Button';
 import Icon from '@js/components/Icon';
 import Spinner from '@mapstore/framework/components/layout/Spinner';
 import Popover from "@mapstore/framework/components/styleeditor/Popover";
+import Message from '@mapstore/framework/components/I18N/Message';
+import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import SelectInfiniteScroll from '@mapstore/framework/plugins/ResourcesCatalog/components/SelectInfiniteScroll';
 import useIsMounted from "@mapstore/framework/hooks/useIsMounted";
 import { mapInfoSelector } from "@mapstore/framework/selectors/map";
 
 import { getExtent } from '@js/utils/CoordinatesUtils';
-import { getGeoLimits } from "@js/api/geonode/security";
+import {
+    getGeoLimits,
+    readGeoLimitsFile,
+    wktToGeoLimits,
+    geoJSONToGeoLimits,
+    getDatasetGeoLimitsFeatures
+} from "@js/api/geonode/security";
+import { getDatasets, getDatasetByPk } from '@js/api/geonode/v2';
 import { getResourceData, getResourceId } from "@js/selectors/resource";
 import { resourceToLayers } from '@js/utils/ResourceUtils';
+import {
+    GEO_LIMITS_FILE_ACCEPT,
+    getFeatureLabel,
+    geoLimitsToFeatureCollection,
+    getFeatureCollectionTotal
+} from '@js/utils/GeoLimitsUtils';
 
 const Map = mapTypeHOC(BaseMap);
 Map.displayName = 'Map';
 
+const ButtonWithTooltip = tooltip(Button);
+
+const loadDatasets = ({ q, page, pageSize }) => getDatasets({ q, page, pageSize })
+    .then((response) => ({
+        ...response,
+        results: (response?.resources ?? [])
+            .map((item) => ({
+                ...item,
+                selectOption: {
+                    value: item.pk,
+                    label: item.title
+                }
+            }))
+    }));
+
+function GeoLimitsWKTPanel({ onAdd, onError }) {
+    const [wkt, setWKT] = useState('');
+    function handleAdd() {
+        try {
+            const features = wktToGeoLimits(wkt);
+            if (!features.length) {
+                onError('empty');
+                return;
+            }
+            onAdd(features);
+        } catch (e) {
+            onError('invalid');
+        }
+    }
+    return (
+        <>
+            <FormControl
+                componentClass="textarea"
+                rows={4}
+                value={wkt}
+                placeholder="POLYGON((...))"
+                onChange={(event) => setWKT(event.target.value)}
+            />
+            <Button variant="primary" disabled={!wkt.trim()} onClick={handleAdd}>
+                <Message msgId="gnviewer.geoLimits.add" />
+            </Button>
+        </>
+    );
+}
+
+function GeoLimitsDatasetPanel({ onAdd, onError }) {
+    const [dataset, setDataset] = useState(null);
+    const [collection, setCollection] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    function handleSelectDataset(option) {
+        setDataset(option);
+        setCollection(null);
+        setSelected([]);
+        if (option?.value) {
+            setLoading(true);
+            getDatasetByPk(option.value)
+                .then((resource) => getDatasetGeoLimitsFeatures(resource))
+                .then((data) => {
+                    setCollection(data);
+                    setLoading(false);
+                })
+                .catch(() => {
+                    setLoading(false);
+                    onError('dataset');
+                });
+        }
+    }
+
+    function handleAdd() {
+        const features = geoJSONToGeoLimits((collection?.features || []).filter((feature, idx) => selected.includes(idx)));
+        if (!features.length) {
+            onError('empty');
+            return;
+        }
+        onAdd(features);
+    }
+
+    const features = collection?.features || [];
+    // the features are requested with a limit so only the first ones are listed for large datasets
+    const total = getFeatureCollectionTotal(collection);
+    return (
+        <>
+            <SelectInfiniteScroll
+                value={dataset}
+                placeholder="gnviewer.geoLimits.datasetPlaceholder"
+                onChange={handleSelectDataset}
+                loadOptions={loadDatasets}
+            />
+            {loading && <Spinner />}
+            {total > features.length && <div className="text-warning">
+                <Message msgId="gnviewer.geoLimits.featuresLimit" msgParams={{ count: features.length, total }} />
+            </div>}
+            {features.length > 0 && <div className="gn-geo-limits-features">
+                <Checkbox
+                    checked={selected.length === features.length}
+                    onChange={(event) => setSelected(event.target.checked ? features.map((feature, idx) => idx) : [])}
+                >
+                    <Message msgId="gnviewer.geoLimits.selectAll" />
+                </Checkbox>
+                {features.map((feature, idx) => (
+                    <Checkbox
+                        key={idx}
+                        checked={selected.includes(idx)}
+                        onChange={(event) => setSelected(event.target.checked
+                            ? [...selected, idx]
+                            : selected.filter((value) => value !== idx))}
+                    >
+                        {getFeatureLabel(feature)}
+                    </Checkbox>
+                ))}
+            </div>}
+            <Button variant="primary" disabled={!selected.length} onClick={handleAdd}>
+                <Message msgId="gnviewer.geoLimits.add" />
+            </Button>
+        </>
+    );
+}
+
 function GeoLimits({
     projection,
     layers,
@@ -44,7 +182,10 @@ function GeoLimits({
     const [features, setFeatures] = useState(featuresProp);
     const [active, setActive] = useState(false);
     const [draw, setDraw] = useState(false);
-    const [extent] = useState(getExtent({ layers, features: featuresProp }));
+    const [extent, setExtent] = useState(getExtent({ layers, features: featuresProp }));
+    const [panel, setPanel] = useState(null);
+    const [importError, setImportError] = useState(null);
+    const fileInput = useRef();
 
     useEffect(() => {
         setActive(false);
@@ -78,6 +219,35 @@ function GeoLimits({
         onRefresh();
     }
 
+    function handleImport(importedFeatures) {
+        const newFeatures = [...features, ...importedFeatures];
+        handleUpdate(newFeatures);
+        setExtent(getExtent({ features: importedFeatures }));
+        setPanel(null);
+        setImportError(null);
+    }
+
+    function handleTogglePanel(name) {
+        setPanel(panel === name ? null : name);
+        setImportError(null);
+    }
+
+    function handleFileChange(event) {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (file) {
+            setPanel(null);
+            readGeoLimitsFile(file)
+                .then(handleImport)
+                .catch((error) => setImportError(['unsupported', 'empty', 'crs'].includes(error?.message) ? error.message : 'invalid'));
+        }
+    }
+
+    function handleDownload() {
+        const collection = geoLimitsToFeatureCollection(features);
+        saveAs(new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }), 'geo_limits.geojson');
+    }
+
     return (
         <div
             className="gn-geo-limits"
@@ -160,7 +330,33 @@ function GeoLimits({
                 <Button disabled={draw} onClick={handleRefresh}>
                     <Icon glyph="refresh"/>
                 </Button>
+                <ButtonWithTooltip disabled={draw} tooltipId="gnviewer.geoLimits.importFile" onClick={() => fileInput.current.click()}>
+                    <Icon glyph="upload"/>
+                </ButtonWithTooltip>
+                <ButtonWithTooltip disabled={draw} variant={panel === 'wkt' ? 'primary' : 'default'} tooltipId="gnviewer.geoLimits.importWKT" onClick={() => handleTogglePanel('wkt')}>
+                    <Icon glyph="font"/>
+                </ButtonWithTooltip>
+                <ButtonWithTooltip disabled={draw} variant={panel === 'dataset' ? 'primary' : 'default'} tooltipId="gnviewer.geoLimits.importDataset" onClick={() => handleTogglePanel('dataset')}>
+                    <Icon glyph="database"/>
+                </ButtonWithTooltip>
+                <ButtonWithTooltip disabled={draw || !features.length} tooltipId="gnviewer.geoLimits.download" onClick={handleDownload}>
+                    <Icon glyph="download"/>
+                </ButtonWithTooltip>
+                <input
+                    ref={fileInput}
+                    type="file"
+                    accept={GEO_LIMITS_FILE_ACCEPT}
+                    style={{ display: 'none' }}
+                    onChange={handleFileChange}
+                />
             </div>
+            {(panel || importError) && <div className="gn-geo-limits-panel">
+                {panel === 'wkt' && <GeoLimitsWKTPanel onAdd={handleImport} onError={setImportError} />}
+                {panel === 'dataset' && <GeoLimitsDatasetPanel onAdd={handleImport} onError={setImportError} />}
+                {importError && <div className="text-danger">
+                    <Message msgId={`gnviewer.geoLimits.errors.${importError}`} />
+                </div>}
+            </div>}
             {loading && <div className="gn-geo-limits-loader">
                 <Spinner />
             </div>}
@@ -0,0 +1,206 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { createSelector } from 'reselect';
+import { FormControl as FormControlRB, InputGroup } from 'react-bootstrap';
+import { userSelector } from '@mapstore/framework/selectors/security';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import FlexBox from '@mapstore/framework/components/layout/FlexBox';
+import Text from '@mapstore/framework/components/layout/Text';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Portal from '@mapstore/framework/components/misc/Portal';
+import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import localizedProps from '@mapstore/framework/components/misc/enhancers/localizedProps';
+import Icon from '@js/components/Icon';
+import usePermissionsTemplates from '@js/hooks/usePermissionsTemplates';
+import { getPermissionsChanges, ResourceChangeSections } from '@js/utils/ResourceChangesUtils';
+import {
+    createPermissionsTemplate,
+    applyPermissionsTemplate,
+    upsertPermissionsTemplate,
+    removePermissionsTemplate
+} from '@js/utils/PermissionsTemplatesUtils';
+
+const FormControl = localizedProps('placeholder')(FormControlRB);
+const ButtonWithTooltip = tooltip(Button);
+
+function PermissionsTemplateDiff({ changes }) {
+    if (!changes.length) {
+        return <p><Message msgId="gnviewer.permissionsTemplates.noChanges" /></p>;
+    }
+    return (
+        <ul className="gn-permissions-templates-diff">
+            {changes.map((change) => (
+                <li key={change.id}>
+                    <span className="gn-permissions-templates-diff-label">{change.label}</span>
+                    {change.section === ResourceChangeSections.GEO_LIMITS
+                        ? <Message msgId="gnviewer.reviewChanges.geoLimitsChanged" />
+                        : <span>
+                            <Message msgId={`gnviewer.reviewChanges.types.${change.type}`} />
+                            {change.previous || change.current
+                                ? ` (${change.previous || '-'} → ${change.current || '-'})`
+                                : null}
+                        </span>}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * Tools to save the current permissions as a named template and apply a template to the resource.
+ * Templates defined in `geoNodeSettings.permissionsTemplates` of the localConfig are shared by the instance,
+ * the ones saved by the user are stored in the browser.
+ * The changes introduced by a template are shown before applying it
+ * @prop {object} compactPermissions current compact permissions
+ * @prop {object} user current user
+ * @prop {function} onChange callback with the updated compact permissions
+ */
+function PermissionsTemplates({
+    compactPermissions,
+    user,
+    onChange
+}) {
+    const { templates, userTemplates, setUserTemplates } = usePermissionsTemplates(user);
+    const [selectedId, setSelectedId] = useState('');
+    const [label, setLabel] = useState(null);
+    const [preview, setPreview] = useState(null);
+
+    const selected = templates.find(({ id }) => id === selectedId);
+
+    function handleSave() {
+        const template = createPermissionsTemplate(label.trim(), compactPermissions);
+        setUserTemplates(upsertPermissionsTemplate(userTemplates, template));
+        setSelectedId(template.id);
+        setLabel(null);
+    }
+
+    function handlePreview() {
+        const applied = applyPermissionsTemplate(compactPermissions, selected);
+        setPreview({
+            compactPermissions: applied,
+            changes: getPermissionsChanges(compactPermissions, applied)
+        });
+    }
+
+    function handleApply() {
+        onChange(preview.compactPermissions);
+        setPreview(null);
+    }
+
+    function handleRemove() {
+        setUserTemplates(removePermissionsTemplate(userTemplates, selectedId));
+        setSelectedId('');
+    }
+
+    return (
+        <FlexBox column gap="xs" className="gn-permissions-templates">
+            <Text fontSize="sm" strong><Message msgId="gnviewer.permissionsTemplates.title" /></Text>
+            <FlexBox gap="xs" centerChildrenVertically>
+                <FlexBox.Fill>
+                    <FormControl
+                        componentClass="select"
+                        bsSize="sm"
+                        value={selectedId}
+                        onChange={(event) => setSelectedId(event.target.value)}
+                    >
+                        <option value="" />
+                        {templates.map((template) => (
+                            <option key={template.id} value={template.id}>{template.label}</option>
+                        ))}
+                    </FormControl>
+                </FlexBox.Fill>
+                <ButtonWithTooltip
+                    size="sm"
+                    disabled={!selected || !compactPermissions}
+                    tooltipId="gnviewer.permissionsTemplates.apply"
+                    onClick={handlePreview}
+                >
+                    <Icon glyph="check" />
+                </ButtonWithTooltip>
+                <ButtonWithTooltip
+                    size="sm"
+                    disabled={!compactPermissions}
+                    tooltipId="gnviewer.permissionsTemplates.save"
+                    onClick={() => setLabel(selected && !selected.instance ? selected.label : '')}
+                >
+                    <Icon glyph="floppy-o" />
+                </ButtonWithTooltip>
+                <ButtonWithTooltip
+                    size="sm"
+                    disabled={!selected || selected.instance}
+                    tooltipId="gnviewer.permissionsTemplates.remove"
+                    onClick={handleRemove}
+                >
+                    <Icon glyph="trash" />
+                </ButtonWithTooltip>
+            </FlexBox>
+            {label !== null && (
+                <InputGroup bsSize="sm">
+                    <FormControl
+                        value={label}
+                        placeholder="gnviewer.permissionsTemplates.namePlaceholder"
+                        onChange={(event) => setLabel(event.target.value)}
+                    />
+                    <InputGroup.Button>
+                        <Button size="sm" variant="primary" disabled={!label.trim()} onClick={handleSave}>
+                            <Message msgId="gnviewer.permissionsTemplates.save" />
+                        </Button>
+                        <Button size="sm" onClick={() => setLabel(null)}>
+                            <Message msgId="gnviewer.permissionsTemplates.cancel" />
+                        </Button>
+                    </InputGroup.Button>
+                </InputGroup>
+            )}
+            <Portal>
+                <ResizableModal
+                    title={<Message msgId="gnviewer.permissionsTemplates.applyTitle" msgParams={{ name: selected?.label || '' }} />}
+                    show={!!preview}
+                    fitContent
+                    clickOutEnabled={false}
+                    modalClassName="gn-simple-dialog"
+                    buttons={[
+                        {
+                            text: <Message msgId="gnviewer.permissionsTemplates.cancel" />,
+                            onClick: () => setPreview(null)
+                        },
+                        {
+                            text: <Message msgId="gnviewer.permissionsTemplates.apply" />,
+                            bsStyle: 'primary',
+                            disabled: !preview?.changes?.length,
+                            onClick: handleApply
+                        }
+                    ]}
+                    onClose={() => setPreview(null)}
+                >
+                    <div className="gn-permissions-templates-body">
+                        {preview && <PermissionsTemplateDiff changes={preview.changes} />}
+                    </div>
+                </ResizableModal>
+            </Portal>
+        </FlexBox>
+    );
+}
+
+PermissionsTemplates.propTypes = {
+    compactPermissions: PropTypes.object,
+    user: PropTypes.object,
+    onChange: PropTypes.func
+};
+
+PermissionsTemplates.defaultProps = {
+    onChange: () => {}
+};
+
+export default connect(
+    createSelector([userSelector], (user) => ({ user }))
+)(PermissionsTemplates);
@@ -33,6 +33,7 @@ import {
     ResourceTypes
 } from "@js/utils/ResourceUtils";
 import GeoLimits from "./GeoLimits";
+import PermissionsTemplates from "./PermissionsTemplates";
 import FlexBox from '@mapstore/framework/components/layout/FlexBox';
 import Text from '@mapstore/framework/components/layout/Text';
 import Message from '@mapstore/framework/components/I18N/Message';
@@ -120,6 +121,10 @@ const Permissions = ({
             <Text strong>
                 <Message msgId={"gnviewer.permissions"} />
             </Text>
+            <PermissionsTemplates
+                compactPermissions={compactPermissions}
+                onChange={onChangePermissions}
+            />
             <PermissionsComponent
                 editing
                 compactPermissions={permissionsCompactToLists(compactPermissions)}
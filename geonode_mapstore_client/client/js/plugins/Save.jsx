@@ -17,20 +17,48 @@ import Button from '@mapstore/framework/components/layout/Button';
 import Spinner from '@mapstore/framework/components/layout/Spinner';
 import { isLoggedIn } from '@mapstore/framework/selectors/security';
 import controls from '@mapstore/framework/reducers/controls';
+import { setControlProperty } from '@mapstore/framework/actions/controls';
 import gnresource from '@js/reducers/gnresource';
 import gnsave from '@js/reducers/gnsave';
 import gnsaveEpics from '@js/epics/gnsave';
-import { saveDirectContent } from '@js/actions/gnsave';
+import { saveDirectContent, revertResourceChange, resolveSaveConflict, clearSave } from '@js/actions/gnsave';
 import {
     isNewResource,
     canEditResource,
-    getResourceDirtyState
+    getResourceDirtyState,
+    getResourceChanges,
+    getResourceConflictMerge
 } from '@js/selectors/resource';
 import { getCurrentResourcePermissionsLoading } from '@js/selectors/resourceservice';
 import { withRouter } from 'react-router';
 import withPrompt from '@js/plugins/save/withPrompt';
+import ReviewChangesModal from '@js/plugins/save/ReviewChangesModal';
+import SaveConflictModal from '@js/plugins/save/SaveConflictModal';
 
 function Save(props) {
+    return (<>
+        <ReviewChangesModal
+            show={!!props.reviewChanges && !props.saving}
+            changes={props.changes}
+            loading={props.loading}
+            onRevert={props.onRevert}
+            onSave={() => {
+                props.onClose();
+                props.onSave();
+            }}
+            onClose={props.onClose}
+        />
+        <SaveConflictModal
+            conflict={props.conflict}
+            merge={props.merge}
+            onResolve={props.onResolveConflict}
+            onClose={props.onCloseConflict}
+        />
+        <SaveLoader saving={props.saving} />
+    </>);
+}
+
+function SaveLoader(props) {
     return props.saving ? (<div
         style={{ position: 'absolute', width: '100%',
             height: '100%', backgroundColor: 'rgba(255, 255, 255, 0.75)',
@@ -42,10 +70,28 @@ function Save(props) {
 
 const SavePlugin = connect(
     createSelector([
-        state => state?.gnsave?.saving
-    ], (saving) => ({
-        saving
-    }))
+        state => state?.gnsave?.saving,
+        state => state?.controls?.reviewChanges?.enabled,
+        getCurrentResourcePermissionsLoading,
+        // changes are computed only while the review dialog is open
+        state => state?.controls?.reviewChanges?.enabled ? getResourceChanges(state) : [],
+        state => state?.gnsave?.conflict,
+        getResourceConflictMerge
+    ], (saving, reviewChanges, loading, changes, conflict, merge) => ({
+        saving,
+        reviewChanges,
+        loading,
+        changes,
+        conflict,
+        merge
+    })),
+    {
+        onRevert: revertResourceChange,
+        onSave: saveDirectContent,
+        onClose: setControlProperty.bind(null, 'reviewChanges', 'enabled', false),
+        onResolveConflict: resolveSaveConflict,
+        onCloseConflict: clearSave
+    }
 )(Save);
 
 function SaveButton({
@@ -111,7 +157,7 @@ const saveConnector = connect(
         })
     ),
     {
-        onClick: saveDirectContent
+        onClick: setControlProperty.bind(null, 'reviewChanges', 'enabled', true)
     }
 );
 
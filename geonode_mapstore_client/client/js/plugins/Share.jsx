@@ -17,7 +17,9 @@ import { setControlProperty } from '@mapstore/framework/actions/controls';
 import Message from '@mapstore/framework/components/I18N/Message';
 import controls from '@mapstore/framework/reducers/controls';
 import Button from '@mapstore/framework/components/layout/Button';
-import { mapInfoSelector } from '@mapstore/framework/selectors/map';
+import { mapInfoSelector, mapSelector } from '@mapstore/framework/selectors/map';
+import { layersSelector } from '@mapstore/framework/selectors/layers';
+import { sectionsSelector } from '@mapstore/framework/selectors/geostory';
 import OverlayContainer from '@js/components/OverlayContainer';
 import {
     isNewResource,
@@ -43,7 +45,10 @@ function Share({
     resourceType,
     embedUrl,
     downloadUrl,
-    pageUrl
+    pageUrl,
+    mapView,
+    layers,
+    sections
 }) {
     return (
         <OverlayContainer
@@ -59,7 +64,14 @@ function Share({
                 </div>
                 <div className="gn-share-panel-body">
                     <SharePageLink value={pageUrl} label={<Message msgId="gnviewer.thisPage" />} />
-                    {embedUrl && <ShareEmbedLink embedUrl={embedUrl} label={<Message msgId={`gnviewer.embed${resourceType}`} />} />}
+                    {embedUrl && <ShareEmbedLink
+                        embedUrl={embedUrl}
+                        label={<Message msgId={`gnviewer.embed${resourceType}`} />}
+                        resourceType={resourceType}
+                        mapView={['map', 'dataset'].includes(resourceType) ? mapView : undefined}
+                        layers={resourceType === 'map' ? layers : undefined}
+                        sections={resourceType === 'geostory' ? sections : undefined}
+                    />}
                     {(resourceType === 'document' && !!downloadUrl) && <SharePageLink value={downloadUrl} label={<Message msgId={`gnviewer.directLink`} />} />}
                 </div>
             </section>
@@ -83,9 +95,15 @@ const SharePlugin = connect(
     createSelector([
         state => state?.controls?.rightOverlay?.enabled === 'Share',
         getResourceData,
-        getViewedResourceType
-    ], (enabled, resource, type) => ({
+        getViewedResourceType,
+        mapSelector,
+        layersSelector,
+        sectionsSelector
+    ], (enabled, resource, type, map, layers, sections) => ({
         enabled,
+        mapView: map ? { center: map.center, zoom: map.zoom } : undefined,
+        layers,
+        sections,
         embedUrl: getEmbedUrl(resource),
         resourceType: type,
         downloadUrl: getDownloadUrlInfo(resource)?.url,
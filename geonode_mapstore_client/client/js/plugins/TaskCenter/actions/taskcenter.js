@@ -0,0 +1,45 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export const START_TASKS_POLLING = 'GEONODE:START_TASKS_POLLING';
+export const STOP_TASKS_POLLING = 'GEONODE:STOP_TASKS_POLLING';
+export const UPDATE_TASKS = 'GEONODE:UPDATE_TASKS';
+export const DISMISS_TASK = 'GEONODE:DISMISS_TASK';
+export const RETRY_TASK = 'GEONODE:RETRY_TASK';
+export const RETRY_TASK_COMPLETE = 'GEONODE:RETRY_TASK_COMPLETE';
+
+export const startTasksPolling = (refreshTime, params, maxAge) => ({
+    type: START_TASKS_POLLING,
+    refreshTime,
+    params,
+    maxAge
+});
+
+export const stopTasksPolling = () => ({
+    type: STOP_TASKS_POLLING
+});
+
+export const updateTasks = (tasks) => ({
+    type: UPDATE_TASKS,
+    tasks
+});
+
+export const dismissTask = (task) => ({
+    type: DISMISS_TASK,
+    task
+});
+
+export const retryTask = (task) => ({
+    type: RETRY_TASK,
+    task
+});
+
+export const retryTaskComplete = (task) => ({
+    type: RETRY_TASK_COMPLETE,
+    task
+});
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+import { Glyphicon } from 'react-bootstrap';
+import Button from '@mapstore/framework/components/layout/Button';
+import Spinner from '@mapstore/framework/components/layout/Spinner';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Icon from '@js/components/Icon';
+import { getUploadErrorMessageFromCode, parseExecutionRequestLog } from '@js/utils/ErrorUtils';
+import {
+    ProcessStatus,
+    getExecutionProcessType,
+    isExecutionRetryable
+} from '@js/utils/ResourceServiceUtils';
+
+const DATE_FORMAT = 'MMMM Do YYYY, h:mm:ss a';
+
+const isTaskRunning = (task) => [ProcessStatus.READY, ProcessStatus.RUNNING].includes(task.status);
+
+const getTaskError = (task) => {
+    const [error] = task?.output_params?.errors || [];
+    if (error) {
+        return typeof error === 'string' ? error : JSON.stringify(error);
+    }
+    return parseExecutionRequestLog(task?.log)[0]?.message;
+};
+
+function TaskStatus({ task }) {
+    if (isTaskRunning(task)) {
+        return <Spinner />;
+    }
+    if (task.status === ProcessStatus.FAILED) {
+        const error = getTaskError(task);
+        return (
+            <span className="gn-task-center-failed" title={error}>
+                <Icon glyph="exclamation" />{' '}
+                {error || <Message msgId="gnviewer.taskCenter.failed" />}
+            </span>
+        );
+    }
+    return <Icon glyph="check" />;
+}
+
+function TaskDetails({ task }) {
+    const errors = task?.output_params?.errors;
+    return (
+        <div className="gn-task-center-details">
+            <ul>
+                <li><Message msgId="gnviewer.taskCenter.created" />: {moment(task.created).format(DATE_FORMAT)}</li>
+                {task.last_updated && <li><Message msgId="gnviewer.taskCenter.lastUpdated" />: {moment(task.last_updated).format(DATE_FORMAT)}</li>}
+                {task.finished && <li><Message msgId="gnviewer.taskCenter.finished" />: {moment(task.finished).format(DATE_FORMAT)}</li>}
+                {task.step && <li><Message msgId="gnviewer.taskCenter.step" />: {task.step}</li>}
+            </ul>
+            {task.status === ProcessStatus.FAILED && task.log
+                ? <div className="text-danger">{getUploadErrorMessageFromCode(null, task.log)}</div>
+                : null}
+            {Array.isArray(errors) && errors.length > 0
+                ? <ul className="text-danger">{errors.map((error, idx) => <li key={idx}>{typeof error === 'string' ? error : JSON.stringify(error)}</li>)}</ul>
+                : null}
+            {task.log
+                ? <pre>{task.log}</pre>
+                : <Message msgId="gnviewer.taskCenter.noLog" />}
+        </div>
+    );
+}
+
+/**
+ * List of execution requests with logs and actions to retry or dismiss them
+ * @prop {array} tasks list of execution requests
+ * @prop {array} retrying list of execution ids currently being retried
+ * @prop {function} onClose callback to close the panel
+ * @prop {function} onDismiss callback to dismiss a completed task
+ * @prop {function} onRetry callback to submit again a failed task
+ */
+function TaskCenterPanel({
+    tasks,
+    retrying,
+    onClose,
+    onDismiss,
+    onRetry
+}) {
+    const [expanded, setExpanded] = useState([]);
+    function handleExpand(execId) {
+        setExpanded(prevExpanded => prevExpanded.includes(execId)
+            ? prevExpanded.filter(id => id !== execId)
+            : [...prevExpanded, execId]);
+    }
+    return (
+        <section className="gn-task-center-panel">
+            <div className="gn-task-center-panel-head">
+                <h2><Message msgId="gnviewer.taskCenter.title" /></h2>
+                <Button className="square-button" onClick={() => onClose()}>
+                    <Glyphicon glyph="1-close" />
+                </Button>
+            </div>
+            <div className="gn-task-center-panel-body">
+                {tasks.length === 0
+                    ? <div className="gn-task-center-empty"><Message msgId="gnviewer.taskCenter.noTasks" /></div>
+                    : <ul>
+                        {tasks.map((task) => {
+                            const isExpanded = expanded.includes(task.exec_id);
+                            const processType = getExecutionProcessType(task);
+                            return (
+                                <li key={task.exec_id} className={task.status === ProcessStatus.FAILED ? 'danger' : ''}>
+                                    <div className="gn-task-center-task">
+                                        <Button size="xs" onClick={() => handleExpand(task.exec_id)}>
+                                            <Icon glyph={isExpanded ? 'chevron-down' : 'chevron-right'} />
+                                        </Button>
+                                        <div className="gn-task-center-task-info">
+                                            <div className="gn-task-center-task-name">{task.name || task.func_name}</div>
+                                            <small>
+                                                {processType ? <><Message msgId={`gnviewer.taskCenter.types.${processType}`} />{' - '}</> : null}
+                                                {moment(task.created).format(DATE_FORMAT)}
+                                            </small>
+                                        </div>
+                                        <TaskStatus task={task} />
+                                        {isExecutionRetryable(task)
+                                            ? <Button size="xs" disabled={retrying.includes(task.exec_id)} onClick={() => onRetry(task)}>
+                                                {retrying.includes(task.exec_id) ? <Spinner /> : <Icon glyph="refresh" />}
+                                            </Button>
+                                            : null}
+                                        {!isTaskRunning(task)
+                                            ? <Button size="xs" onClick={() => onDismiss(task)}>
+                                                <Icon glyph="trash" />
+                                            </Button>
+                                            : null}
+                                    </div>
+                                    {isExpanded ? <TaskDetails task={task} /> : null}
+                                </li>
+                            );
+                        })}
+                    </ul>}
+            </div>
+        </section>
+    );
+}
+
+TaskCenterPanel.propTypes = {
+    tasks: PropTypes.array,
+    retrying: PropTypes.array,
+    onClose: PropTypes.func,
+    onDismiss: PropTypes.func,
+    onRetry: PropTypes.func
+};
+
+TaskCenterPanel.defaultProps = {
+    tasks: [],
+    retrying: [],
+    onClose: () => {},
+    onDismiss: () => {},
+    onRetry: () => {}
+};
+
+export default TaskCenterPanel;
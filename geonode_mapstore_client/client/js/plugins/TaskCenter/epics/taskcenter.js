@@ -0,0 +1,118 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Observable } from 'rxjs';
+import {
+    START_TASKS_POLLING,
+    STOP_TASKS_POLLING,
+    UPDATE_TASKS,
+    DISMISS_TASK,
+    RETRY_TASK,
+    updateTasks,
+    dismissTask,
+    retryTaskComplete
+} from '../actions/taskcenter';
+import {
+    getExecutionRequests,
+    deleteExecutionRequest,
+    getResourceByPk,
+    updateCompactPermissionsByPk
+} from '@js/api/geonode/v2';
+import { processResources } from '@js/actions/gnresource';
+import { startAsyncProcess } from '@js/actions/resourceservice';
+import { getCurrentProcesses } from '@js/selectors/resourceservice';
+import {
+    ProcessStatus,
+    ProcessTypes,
+    UPLOAD_PROCESS_TYPE,
+    getExecutionProcessType,
+    getExecutionResourcePk
+} from '@js/utils/ResourceServiceUtils';
+import { error as errorNotification } from '@mapstore/framework/actions/notifications';
+
+export const gnPollTasks = (action$) =>
+    action$.ofType(START_TASKS_POLLING)
+        .switchMap((action) =>
+            Observable.timer(0, action.refreshTime)
+                .exhaustMap(() =>
+                    Observable.defer(() => getExecutionRequests(action.params, { maxAge: action.maxAge }))
+                        .map((tasks) => updateTasks(tasks))
+                        .catch(() => Observable.empty())
+                )
+                .takeUntil(action$.ofType(STOP_TASKS_POLLING))
+        );
+
+// resume the monitoring of processes started before a page reload
+// so the resource service can update the related resources when they complete
+export const gnMonitorRunningTasks = (action$, store) =>
+    action$.ofType(UPDATE_TASKS)
+        .switchMap((action) => {
+            const processes = getCurrentProcesses(store.getState());
+            const runningTasks = action.tasks.filter((task) => {
+                const processType = getExecutionProcessType(task);
+                const pk = getExecutionResourcePk(task);
+                return !!task.status_url
+                    && pk !== undefined
+                    && [ProcessStatus.READY, ProcessStatus.RUNNING].includes(task.status)
+                    && ![undefined, UPLOAD_PROCESS_TYPE].includes(processType)
+                    && !processes.some(process => `${process?.resource?.pk}` === `${pk}` && process?.processType === processType);
+            });
+            if (!runningTasks.length) {
+                return Observable.empty();
+            }
+            return Observable.of(...runningTasks.map((task) => startAsyncProcess({
+                resource: { pk: getExecutionResourcePk(task) },
+                output: task,
+                processType: getExecutionProcessType(task)
+            })));
+        });
+
+export const gnDismissTask = (action$) =>
+    action$.ofType(DISMISS_TASK)
+        .mergeMap((action) =>
+            Observable.defer(() => deleteExecutionRequest(action.task.exec_id))
+                .switchMap(() => Observable.empty())
+                .catch(() => Observable.empty())
+        );
+
+const retryExecution = (task) => {
+    const processType = getExecutionProcessType(task);
+    const pk = getExecutionResourcePk(task);
+    if (processType === ProcessTypes.PERMISSIONS_RESOURCE) {
+        return updateCompactPermissionsByPk(pk, task.input_params.permissions)
+            .then((output) => [startAsyncProcess({ resource: { pk }, output, processType })]);
+    }
+    return getResourceByPk(pk)
+        .then((resource) => [processResources(processType, [resource])]);
+};
+
+export const gnRetryTask = (action$) =>
+    action$.ofType(RETRY_TASK)
+        .mergeMap((action) =>
+            Observable.defer(() => retryExecution(action.task))
+                .switchMap((actions) => Observable.of(
+                    ...actions,
+                    // the failed execution is replaced by the new one
+                    dismissTask(action.task),
+                    retryTaskComplete(action.task)
+                ))
+                .catch(() => Observable.of(
+                    retryTaskComplete(action.task),
+                    errorNotification({
+                        title: 'gnviewer.taskCenter.retryErrorTitle',
+                        message: 'gnviewer.taskCenter.retryErrorMessage'
+                    })
+                ))
+        );
+
+export default {
+    gnPollTasks,
+    gnMonitorRunningTasks,
+    gnDismissTask,
+    gnRetryTask
+};
@@ -0,0 +1,188 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect } from 'react';
+import { connect } from 'react-redux';
+import { createSelector } from 'reselect';
+import { Badge } from 'react-bootstrap';
+import { createPlugin } from '@mapstore/framework/utils/PluginsUtils';
+import { setControlProperty } from '@mapstore/framework/actions/controls';
+import controls from '@mapstore/framework/reducers/controls';
+import { isLoggedIn } from '@mapstore/framework/selectors/security';
+import Button from '@mapstore/framework/components/layout/Button';
+import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import OverlayContainer from '@js/components/OverlayContainer';
+import Icon from '@js/components/Icon';
+import {
+    startTasksPolling,
+    stopTasksPolling,
+    dismissTask,
+    retryTask
+} from './actions/taskcenter';
+import taskcenter from './reducers/taskcenter';
+import epics from './epics/taskcenter';
+import TaskCenterPanel from './components/TaskCenterPanel';
+import {
+    DEFAULT_TASKS_MAX_AGE,
+    getRecentTasks,
+    getRunningTasksCount,
+    getFailedTasksCount
+} from './selectors/taskcenter';
+
+const ButtonWithTooltip = tooltip(Button);
+
+/**
+* @module TaskCenter
+*/
+
+/**
+ * Lists the running and recently completed execution requests of the current user
+ * (upload, copy, delete, permissions and linked resources removal) with logs and actions to retry or dismiss them.
+ * The list is requested to the server so it is restored after a page reload.
+ * @name TaskCenter
+ * @prop {number} refreshTime interval in milliseconds between each request of the execution list (default 5000)
+ * @prop {number} maxAge time in milliseconds a completed execution remains listed and counted in the button badge (default 24 hours)
+ * @prop {object} params additional query parameters for the execution requests endpoint
+ * @example
+ * {
+ *  "name": "TaskCenter",
+ *  "cfg": {
+ *      "refreshTime": 5000,
+ *      "maxAge": 86400000
+ *  }
+ * }
+ */
+function TaskCenter({
+    enabled,
+    authenticated,
+    tasks,
+    retrying,
+    refreshTime,
+    maxAge,
+    params,
+    onStart,
+    onStop,
+    onClose,
+    onDismiss,
+    onRetry
+}) {
+
+    useEffect(() => {
+        if (authenticated) {
+            onStart(refreshTime, params, maxAge);
+        }
+        return () => {
+            if (authenticated) {
+                onStop();
+            }
+        };
+    }, [authenticated, refreshTime, maxAge]);
+
+    return (
+        <OverlayContainer
+            enabled={enabled}
+            className="gn-overlay-wrapper"
+        >
+            <TaskCenterPanel
+                tasks={tasks}
+                retrying={retrying}
+                onClose={onClose}
+                onDismiss={onDismiss}
+                onRetry={onRetry}
+            />
+        </OverlayContainer>
+    );
+}
+
+TaskCenter.defaultProps = {
+    tasks: [],
+    retrying: [],
+    refreshTime: 5000,
+    maxAge: DEFAULT_TASKS_MAX_AGE
+};
+
+const TaskCenterPlugin = connect(
+    createSelector([
+        state => state?.controls?.rightOverlay?.enabled === 'TaskCenter',
+        isLoggedIn,
+        getRecentTasks,
+        state => state?.taskcenter?.retrying
+    ], (enabled, authenticated, tasks, retrying) => ({
+        enabled,
+        authenticated,
+        tasks,
+        retrying
+    })),
+    {
+        onStart: startTasksPolling,
+        onStop: stopTasksPolling,
+        onClose: setControlProperty.bind(null, 'rightOverlay', 'enabled', false),
+        onDismiss: dismissTask,
+        onRetry: retryTask
+    }
+)(TaskCenter);
+
+function TaskCenterButton({
+    authenticated,
+    running,
+    failed,
+    variant,
+    size,
+    onClick
+}) {
+    if (!authenticated) {
+        return null;
+    }
+    return (
+        <ButtonWithTooltip
+            variant={variant}
+            size={size}
+            tooltipId="gnviewer.taskCenter.title"
+            tooltipPosition="left"
+            className="gn-task-center-button"
+            onClick={() => onClick()}
+        >
+            <Icon glyph="tasks" />
+            {running > 0 || failed > 0
+                ? <Badge className={failed > 0 ? 'gn-task-center-badge-failed' : ''}>{running || failed}</Badge>
+                : null}
+        </ButtonWithTooltip>
+    );
+}
+
+const ConnectedTaskCenterButton = connect(
+    createSelector([
+        isLoggedIn,
+        getRunningTasksCount,
+        getFailedTasksCount
+    ], (authenticated, running, failed) => ({
+        authenticated,
+        running,
+        failed
+    })),
+    {
+        onClick: setControlProperty.bind(null, 'rightOverlay', 'enabled', 'TaskCenter')
+    }
+)(TaskCenterButton);
+
+export default createPlugin('TaskCenter', {
+    component: TaskCenterPlugin,
+    containers: {
+        ActionNavbar: {
+            name: 'TaskCenter',
+            Component: ConnectedTaskCenterButton,
+            target: 'right-menu',
+            priority: 5
+        }
+    },
+    epics,
+    reducers: {
+        taskcenter,
+        controls
+    }
+});
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+    START_TASKS_POLLING,
+    UPDATE_TASKS,
+    DISMISS_TASK,
+    RETRY_TASK,
+    RETRY_TASK_COMPLETE
+} from '../actions/taskcenter';
+
+const defaultState = {
+    tasks: [],
+    dismissed: [],
+    retrying: []
+};
+
+function taskcenter(state = defaultState, action) {
+    switch (action.type) {
+    case START_TASKS_POLLING: {
+        return {
+            ...state,
+            maxAge: action.maxAge
+        };
+    }
+    case UPDATE_TASKS: {
+        return {
+            ...state,
+            // keep hidden the dismissed tasks until the server removes them
+            tasks: action.tasks.filter(task => !state.dismissed.includes(task.exec_id)),
+            dismissed: state.dismissed.filter(execId => action.tasks.some(task => task.exec_id === execId))
+        };
+    }
+    case DISMISS_TASK: {
+        return {
+            ...state,
+            tasks: state.tasks.filter(task => task.exec_id !== action.task.exec_id),
+            dismissed: [...state.dismissed, action.task.exec_id]
+        };
+    }
+    case RETRY_TASK: {
+        return {
+            ...state,
+            retrying: [...state.retrying, action.task.exec_id]
+        };
+    }
+    case RETRY_TASK_COMPLETE: {
+        return {
+            ...state,
+            retrying: state.retrying.filter(execId => execId !== action.task.exec_id)
+        };
+    }
+    default:
+        return state;
+    }
+}
+
+export default taskcenter;
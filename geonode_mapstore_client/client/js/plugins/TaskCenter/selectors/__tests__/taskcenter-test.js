@@ -0,0 +1,44 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    isRecentTask,
+    getRecentTasks,
+    getRunningTasksCount,
+    getFailedTasksCount
+} from '../taskcenter';
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+describe('taskcenter selectors', () => {
+    it('isRecentTask', () => {
+        expect(isRecentTask({ status: 'running', created: hoursAgo(48) }, HOUR)).toBe(true);
+        expect(isRecentTask({ status: 'failed', finished: hoursAgo(2) }, HOUR)).toBe(false);
+        expect(isRecentTask({ status: 'failed', finished: hoursAgo(2) })).toBe(true);
+        expect(isRecentTask({ status: 'finished' }, HOUR)).toBe(true);
+    });
+    it('badge counts use the same max age of the panel', () => {
+        const state = {
+            taskcenter: {
+                maxAge: HOUR,
+                tasks: [
+                    { exec_id: 1, status: 'running', created: hoursAgo(2) },
+                    { exec_id: 2, status: 'failed', finished: hoursAgo(2) },
+                    { exec_id: 3, status: 'failed', finished: hoursAgo(0.5) },
+                    { exec_id: 4, status: 'finished', finished: hoursAgo(0.5) }
+                ]
+            }
+        };
+        expect(getRecentTasks(state).map(({ exec_id: execId }) => execId)).toEqual([1, 3, 4]);
+        expect(getRunningTasksCount(state)).toBe(1);
+        expect(getFailedTasksCount(state)).toBe(1);
+        expect(getFailedTasksCount({ taskcenter: { ...state.taskcenter, maxAge: undefined } })).toBe(2);
+    });
+});
@@ -0,0 +1,40 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { createSelector } from 'reselect';
+import { ProcessStatus } from '@js/utils/ResourceServiceUtils';
+
+export const DEFAULT_TASKS_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const isRunningTask = (task) => [ProcessStatus.READY, ProcessStatus.RUNNING].includes(task.status);
+
+/**
+ * Check if a task should be listed, running tasks are always listed
+ * while the completed ones only until they are older than the max age
+ * @param {object} task execution request
+ * @param {number} maxAge time in milliseconds a completed execution remains listed
+ * @return {boolean} true if the task is recent
+ */
+export const isRecentTask = (task, maxAge = DEFAULT_TASKS_MAX_AGE) => {
+    if (isRunningTask(task)) {
+        return true;
+    }
+    const date = task.finished || task.last_updated || task.created;
+    return !date || (Date.now() - new Date(date).getTime()) <= maxAge;
+};
+
+export const getTasksMaxAge = (state) => state?.taskcenter?.maxAge ?? DEFAULT_TASKS_MAX_AGE;
+
+export const getRecentTasks = createSelector([
+    state => state?.taskcenter?.tasks,
+    getTasksMaxAge
+], (tasks, maxAge) => (tasks || []).filter(task => isRecentTask(task, maxAge)));
+
+export const getRunningTasksCount = (state) => getRecentTasks(state).filter(isRunningTask).length;
+
+export const getFailedTasksCount = (state) => getRecentTasks(state).filter(task => task.status === ProcessStatus.FAILED).length;
@@ -17,8 +17,38 @@ import UploadDocument from "@js/routes/UploadDocument";
  * @prop {object} cfg.editMetadata flag to show edit metadata button of the resource
  * @prop {object} cfg.viewResourceLabelId label translation string for the resource button
  * @prop {object} cfg.editMetadataLabelId label translation string for the metadata button
+ * @prop {object[]} cfg.presets list of upload presets selectable in the upload panel, the selected preset is applied to the uploaded resources once the upload is completed.
+ * Each preset has an `id`, a `label` and optionally:
+ * - `metadata` default values of the metadata instance (eg. category, keywords, license and regions), only empty values are replaced and lists are merged
+ * - `group` group assigned to the resources
+ * - `permissions` compact permissions `{ users, groups, organizations }` replacing the current ones, the owner is preserved
  * @name UploadResource
  * @memberof plugins
+ * @example
+ * {
+ *  "name": "UploadResource",
+ *  "cfg": {
+ *      "resourceType": "dataset",
+ *      "presets": [
+ *          {
+ *              "id": "field-survey",
+ *              "label": "Field survey",
+ *              "metadata": {
+ *                  "category": { "id": "environment" },
+ *                  "hkeywords": ["field survey"],
+ *                  "license": { "id": "1" },
+ *                  "regions": [{ "id": "105" }]
+ *              },
+ *              "group": { "pk": 2 },
+ *              "permissions": {
+ *                  "users": [],
+ *                  "organizations": [],
+ *                  "groups": [{ "id": 2, "permissions": "edit" }]
+ *              }
+ *          }
+ *      ]
+ *  }
+ * }
  */
 const UploadResource = ({ resourceType, ...uploadConfig }) => {
     const Component =  resourceType === "dataset" ? UploadDataset : UploadDocument;
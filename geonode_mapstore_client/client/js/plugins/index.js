@@ -227,6 +227,10 @@ export const plugins = {
         'Share',
         () => import(/* webpackChunkName: 'plugins/share-plugin' */ '@js/plugins/Share')
     ),
+    TaskCenterPlugin: toModulePlugin(
+        'TaskCenter',
+        () => import(/* webpackChunkName: 'plugins/task-center-plugin' */ '@js/plugins/TaskCenter')
+    ),
     IdentifyPlugin: toModulePlugin(
         'Identify',
         () => import(/* webpackChunkName: 'plugins/identify-plugin' */ '@mapstore/framework/plugins/Identify')
@@ -400,6 +404,10 @@ export const plugins = {
         'DeleteResource',
         () => import(/* webpackChunkName: 'plugins/delete-resource-plugin' */ '@js/plugins/DeleteResource')
     ),
+    BatchOperationsPlugin: toModulePlugin(
+        'BatchOperations',
+        () => import(/* webpackChunkName: 'plugins/batch-operations-plugin' */ '@js/plugins/BatchOperations')
+    ),
     DownloadResourcePlugin: toModulePlugin(
         'DownloadResource',
         () => import(/* webpackChunkName: 'plugins/download-resource-plugin' */ '@js/plugins/DownloadResource')
@@ -467,6 +475,10 @@ export const plugins = {
     UploadResourcePlugin: toModulePlugin(
         'UploadResource',
         () => import(/* webpackChunkName: 'plugins/upload-operation' */ '@js/plugins/UploadResource')
+    ),
+    CreateDatasetPlugin: toModulePlugin(
+        'CreateDataset',
+        () => import(/* webpackChunkName: 'plugins/create-dataset' */ '@js/plugins/CreateDataset')
     )
 };
 
@@ -0,0 +1,173 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import isNil from 'lodash/isNil';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Portal from '@mapstore/framework/components/misc/Portal';
+import Message from '@mapstore/framework/components/I18N/Message';
+import Button from '@mapstore/framework/components/layout/Button';
+import tooltip from '@mapstore/framework/components/misc/enhancers/tooltip';
+import Icon from '@js/components/Icon';
+import { RESOURCE_MANAGEMENT_PROPERTIES } from '@js/utils/ResourceUtils';
+import { ResourceChangeSections, ResourceChangeTypes } from '@js/utils/ResourceChangesUtils';
+
+const ButtonWithTooltip = tooltip(Button);
+
+const MAX_VALUE_LENGTH = 80;
+
+const sectionsOrder = [
+    ResourceChangeSections.METADATA,
+    ResourceChangeSections.PERMISSIONS,
+    ResourceChangeSections.GEO_LIMITS,
+    ResourceChangeSections.LAYERS,
+    ResourceChangeSections.STYLES,
+    ResourceChangeSections.TIME_SERIES,
+    ResourceChangeSections.ATTRIBUTES,
+    ResourceChangeSections.LINKED_RESOURCES,
+    ResourceChangeSections.DATA
+];
+
+const formatValue = (value) => {
+    if (isNil(value) || value === '') {
+        return <Message msgId="gnviewer.reviewChanges.emptyValue" />;
+    }
+    if (typeof value === 'boolean') {
+        return <Message msgId={value ? 'gnviewer.reviewChanges.true' : 'gnviewer.reviewChanges.false'} />;
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+    return text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH)}...` : text;
+};
+
+function ChangeLabel({ change }) {
+    switch (change.section) {
+    case ResourceChangeSections.METADATA:
+        return <Message msgId={RESOURCE_MANAGEMENT_PROPERTIES[change.key]?.labelId || `gnviewer.${change.key}`} />;
+    case ResourceChangeSections.TIME_SERIES:
+    case ResourceChangeSections.DATA:
+        return <span>{change.key}</span>;
+    default:
+        return <span>{change.key === 'order' ? <Message msgId="gnviewer.reviewChanges.layersOrder" /> : change.label || change.key}</span>;
+    }
+}
+
+function ChangeValue({ change }) {
+    if (change.section === ResourceChangeSections.DATA) {
+        return <Message msgId="gnviewer.reviewChanges.dataChanged" />;
+    }
+    if (change.section === ResourceChangeSections.GEO_LIMITS) {
+        return <Message msgId="gnviewer.reviewChanges.geoLimitsChanged" />;
+    }
+    if (change.section === ResourceChangeSections.LINKED_RESOURCES
+    || (change.section === ResourceChangeSections.LAYERS && change.type !== ResourceChangeTypes.CHANGED)) {
+        return <Message msgId={`gnviewer.reviewChanges.types.${change.type}`} />;
+    }
+    if (change.keys) {
+        return <span>{change.keys.join(', ')}</span>;
+    }
+    return (
+        <span>
+            <del>{formatValue(change.previous)}</del>
+            {' '}<Icon glyph="arrow-right" />{' '}
+            <ins>{formatValue(change.current)}</ins>
+        </span>
+    );
+}
+
+/**
+ * Dialog listing the pending changes of a resource grouped by section
+ * @prop {boolean} show show the dialog
+ * @prop {array} changes list of changes, see `utils/ResourceChangesUtils.getResourceChanges`
+ * @prop {boolean} loading disable the save action
+ * @prop {function} onRevert callback to revert a single change
+ * @prop {function} onSave callback to save the resource
+ * @prop {function} onClose callback to close the dialog
+ */
+function ReviewChangesModal({
+    show,
+    changes,
+    loading,
+    onRevert,
+    onSave,
+    onClose
+}) {
+    return (
+        <Portal>
+            <ResizableModal
+                title={<Message msgId="gnviewer.reviewChanges.title" />}
+                show={show}
+                fitContent
+                clickOutEnabled={false}
+                modalClassName="gn-simple-dialog gn-review-changes"
+                buttons={[
+                    {
+                        text: <Message msgId="gnviewer.reviewChanges.cancel" />,
+                        onClick: () => onClose()
+                    },
+                    {
+                        text: <Message msgId="gnviewer.save" />,
+                        bsStyle: 'primary',
+                        disabled: loading,
+                        onClick: () => onSave()
+                    }
+                ]}
+                onClose={() => onClose()}
+            >
+                <div className="gn-review-changes-body">
+                    {changes.length === 0
+                        ? <div className="gn-review-changes-empty"><Message msgId="gnviewer.reviewChanges.noChanges" /></div>
+                        : sectionsOrder
+                            .filter((section) => changes.some((change) => change.section === section))
+                            .map((section) => (
+                                <div key={section} className="gn-review-changes-section">
+                                    <h4><Message msgId={`gnviewer.reviewChanges.sections.${section}`} /></h4>
+                                    <ul>
+                                        {changes
+                                            .filter((change) => change.section === section)
+                                            .map((change) => (
+                                                <li key={change.id} className={`gn-review-changes-${change.type}`}>
+                                                    <div className="gn-review-changes-label"><ChangeLabel change={change} /></div>
+                                                    <div className="gn-review-changes-value"><ChangeValue change={change} /></div>
+                                                    {change.revertable
+                                                        ? <ButtonWithTooltip
+                                                            size="xs"
+                                                            tooltipId="gnviewer.reviewChanges.revert"
+                                                            onClick={() => onRevert(change)}
+                                                        >
+                                                            <Icon glyph="undo" />
+                                                        </ButtonWithTooltip>
+                                                        : null}
+                                                </li>
+                                            ))}
+                                    </ul>
+                                </div>
+                            ))}
+                </div>
+            </ResizableModal>
+        </Portal>
+    );
+}
+
+ReviewChangesModal.propTypes = {
+    show: PropTypes.bool,
+    changes: PropTypes.array,
+    loading: PropTypes.bool,
+    onRevert: PropTypes.func,
+    onSave: PropTypes.func,
+    onClose: PropTypes.func
+};
+
+ReviewChangesModal.defaultProps = {
+    changes: [],
+    onRevert: () => {},
+    onSave: () => {},
+    onClose: () => {}
+};
+
+export default ReviewChangesModal;
@@ -0,0 +1,171 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import moment from 'moment';
+import isNil from 'lodash/isNil';
+import { Radio, Alert } from 'react-bootstrap';
+import ResizableModal from '@mapstore/framework/components/misc/ResizableModal';
+import Portal from '@mapstore/framework/components/misc/Portal';
+import Message from '@mapstore/framework/components/I18N/Message';
+import { RESOURCE_MANAGEMENT_PROPERTIES } from '@js/utils/ResourceUtils';
+import { ResourceChangeSections } from '@js/utils/ResourceChangesUtils';
+
+const DATE_FORMAT = 'MMMM Do YYYY, h:mm:ss a';
+const MAX_VALUE_LENGTH = 80;
+
+const formatValue = (value, conflict) => {
+    if (conflict.section === ResourceChangeSections.LAYERS) {
+        return isNil(value)
+            ? <Message msgId="gnviewer.saveConflict.layerRemoved" />
+            : <Message msgId="gnviewer.saveConflict.layerChanged" />;
+    }
+    if (isNil(value) || value === '') {
+        return <Message msgId="gnviewer.reviewChanges.emptyValue" />;
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+    return text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH)}...` : text;
+};
+
+function ConflictLabel({ conflict }) {
+    if (conflict.section === ResourceChangeSections.METADATA) {
+        return <Message msgId={RESOURCE_MANAGEMENT_PROPERTIES[conflict.key]?.labelId || `gnviewer.${conflict.key}`} />;
+    }
+    return <span>{conflict.label || conflict.key}</span>;
+}
+
+/**
+ * Dialog shown when the server copy of a resource has been updated after it has been loaded
+ * @prop {object} conflict server copy of the resource `{ resource, data }`
+ * @prop {object} merge three-way merge result, see `utils/ResourceChangesUtils.getResourceMerge`
+ * @prop {function} onResolve callback to resolve the conflict with one of the `overwrite`, `reload` or `merge` strategies
+ * @prop {function} onClose callback to close the dialog without saving
+ */
+function SaveConflictModal({
+    conflict,
+    merge,
+    onResolve,
+    onClose
+}) {
+    const [merging, setMerging] = useState(false);
+    const [choices, setChoices] = useState({});
+
+    useEffect(() => {
+        setMerging(false);
+        setChoices({});
+    }, [conflict]);
+
+    const conflicts = merge?.conflicts || [];
+    const lastUpdated = conflict?.resource?.last_updated;
+
+    return (
+        <Portal>
+            <ResizableModal
+                title={<Message msgId="gnviewer.saveConflict.title" />}
+                show={!!conflict}
+                fitContent
+                clickOutEnabled={false}
+                modalClassName="gn-simple-dialog gn-save-conflict"
+                buttons={merging
+                    ? [
+                        {
+                            text: <Message msgId="gnviewer.saveConflict.back" />,
+                            onClick: () => setMerging(false)
+                        },
+                        {
+                            text: <Message msgId="gnviewer.saveConflict.mergeAndSave" />,
+                            bsStyle: 'primary',
+                            onClick: () => onResolve('merge', choices)
+                        }
+                    ]
+                    : [
+                        {
+                            text: <Message msgId="gnviewer.saveConflict.reload" />,
+                            onClick: () => onResolve('reload')
+                        },
+                        {
+                            text: <Message msgId="gnviewer.saveConflict.merge" />,
+                            disabled: !merge,
+                            onClick: () => setMerging(true)
+                        },
+                        {
+                            text: <Message msgId="gnviewer.saveConflict.overwrite" />,
+                            bsStyle: 'danger',
+                            onClick: () => onResolve('overwrite')
+                        }
+                    ]}
+                onClose={() => onClose()}
+            >
+                <div className="gn-save-conflict-body">
+                    {!merging
+                        ? <>
+                            <p><Message msgId="gnviewer.saveConflict.description" msgParams={{ date: lastUpdated ? moment(lastUpdated).format(DATE_FORMAT) : '' }} /></p>
+                            <ul>
+                                <li><strong><Message msgId="gnviewer.saveConflict.reload" /></strong>: <Message msgId="gnviewer.saveConflict.reloadDescription" /></li>
+                                <li><strong><Message msgId="gnviewer.saveConflict.merge" /></strong>: <Message msgId="gnviewer.saveConflict.mergeDescription" /></li>
+                                <li><strong><Message msgId="gnviewer.saveConflict.overwrite" /></strong>: <Message msgId="gnviewer.saveConflict.overwriteDescription" /></li>
+                            </ul>
+                        </>
+                        : <>
+                            {conflicts.length === 0
+                                ? <Alert bsStyle="success"><Message msgId="gnviewer.saveConflict.noConflicts" /></Alert>
+                                : <Alert bsStyle="warning"><Message msgId="gnviewer.saveConflict.conflicts" msgParams={{ count: conflicts.length }} /></Alert>}
+                            {conflicts.length > 0 && (
+                                <table className="table">
+                                    <thead>
+                                        <tr>
+                                            <th />
+                                            <th><Message msgId="gnviewer.saveConflict.localVersion" /></th>
+                                            <th><Message msgId="gnviewer.saveConflict.remoteVersion" /></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {conflicts.map((entry) => {
+                                            const choice = choices[entry.id] || 'local';
+                                            return (
+                                                <tr key={entry.id}>
+                                                    <td><ConflictLabel conflict={entry} /></td>
+                                                    {['local', 'remote'].map((version) => (
+                                                        <td key={version}>
+                                                            <Radio
+                                                                name={entry.id}
+                                                                checked={choice === version}
+                                                                onChange={() => setChoices({ ...choices, [entry.id]: version })}
+                                                            >
+                                                                {formatValue(entry[version], entry)}
+                                                            </Radio>
+                                                        </td>
+                                                    ))}
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            )}
+                            <small><Message msgId="gnviewer.saveConflict.mergeInfo" /></small>
+                        </>}
+                </div>
+            </ResizableModal>
+        </Portal>
+    );
+}
+
+SaveConflictModal.propTypes = {
+    conflict: PropTypes.object,
+    merge: PropTypes.object,
+    onResolve: PropTypes.func,
+    onClose: PropTypes.func
+};
+
+SaveConflictModal.defaultProps = {
+    onResolve: () => {},
+    onClose: () => {}
+};
+
+export default SaveConflictModal;
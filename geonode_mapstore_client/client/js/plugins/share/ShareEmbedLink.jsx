@@ -6,33 +6,216 @@
  * LICENSE file in the root directory of this source tree.
  */
 import React, { useState } from 'react';
-import { Checkbox } from 'react-bootstrap';
+import PropTypes from 'prop-types';
+import { Checkbox, FormControl, FormGroup, ControlLabel } from 'react-bootstrap';
+import isString from 'lodash/isString';
 import SharePageLink from './SharePageLink';
 import Message from '@mapstore/framework/components/I18N/Message';
+import { getMessageById } from '@mapstore/framework/utils/LocaleUtils';
+import Button from '@mapstore/framework/components/layout/Button';
+import FlexBox from '@mapstore/framework/components/layout/FlexBox';
+import Icon from '@js/components/Icon';
+import {
+    DEFAULT_EMBED_OPTIONS,
+    EMBED_ASPECT_RATIOS,
+    EMBED_HIDDEN_COMPONENTS,
+    EmbedColorSchemes,
+    EmbedSizeModes,
+    getEmbedParams,
+    getEmbedSnippet,
+    getEmbedUrlWithParams
+} from '@js/utils/EmbedUtils';
 
+const getLayerTitle = ({ title, name }) => (isString(title) ? title : title?.default) || name;
+
+function EmbedPreview({ src, options }) {
+    const [ratioWidth, ratioHeight] = options.sizeMode === EmbedSizeModes.RESPONSIVE
+        ? options.aspectRatio.split(':').map(Number)
+        : [options.width || DEFAULT_EMBED_OPTIONS.width, options.height || DEFAULT_EMBED_OPTIONS.height];
+    return (
+        <div
+            className="gn-share-embed-preview"
+            style={options.sizeMode !== EmbedSizeModes.RESPONSIVE ? { maxWidth: ratioWidth } : undefined}
+        >
+            <div style={{ paddingBottom: `${ratioHeight / ratioWidth * 100}%` }}>
+                <iframe src={src} allowFullScreen={options.allowFullscreen} frameBorder="0" />
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Embed builder of the Share panel, it generates the iframe snippet with the parameters supported by the embed viewers
+ * @prop {string} embedUrl embed url of the resource
+ * @prop {node} label label of the snippet
+ * @prop {string} resourceType type of the resource
+ * @prop {object} mapView current view of the map `{ center, zoom }`, available for maps and datasets
+ * @prop {object[]} layers layers of the map, available for maps
+ * @prop {object[]} sections sections of the geostory, available for geostories
+ */
 function ShareEmbedLink({
     embedUrl,
-    label
-}) {
-    const [includeFullscreen, setIncludeFullscreen] = useState(false);
-    const getEmbedSnippet = () => {
-        return [
-            '<iframe',
-            includeFullscreen ? 'allow="fullscreen"' : '',
-            'width="560"',
-            'height="315"',
-            `src="${embedUrl}${includeFullscreen ? '?allowFullscreen=true' : ''}"`,
-            'frameborder="0"',
-            '></iframe>'
-        ].filter(value => value).join(' ');
-    };
+    label,
+    resourceType,
+    mapView,
+    layers,
+    sections
+}, context) {
+    const [options, setOptions] = useState(DEFAULT_EMBED_OPTIONS);
+    const [expanded, setExpanded] = useState(false);
+    const [showPreview, setShowPreview] = useState(false);
+    const [useMapView, setUseMapView] = useState(false);
+    const [visibleLayers, setVisibleLayers] = useState(null);
+    const [section, setSection] = useState('');
+
+    const hiddenComponents = EMBED_HIDDEN_COMPONENTS[resourceType] || [];
+    const mapLayers = (layers || []).filter((layer) => layer.group !== 'background');
+    const updateOption = (key, value) => setOptions({ ...options, [key]: value });
+    const toggleHiddenComponent = (id, checked) => updateOption('hiddenComponents', checked
+        ? [...options.hiddenComponents, id]
+        : options.hiddenComponents.filter((entry) => entry !== id));
+    const toggleLayer = (id, checked) => setVisibleLayers(checked
+        ? [...visibleLayers, id]
+        : visibleLayers.filter((entry) => entry !== id));
+
+    const src = getEmbedUrlWithParams(embedUrl, getEmbedParams({
+        ...options,
+        ...(useMapView && mapView?.center && { center: mapView.center, zoom: mapView.zoom }),
+        ...(visibleLayers && { layers: visibleLayers }),
+        ...(section && { section })
+    }, resourceType));
+
     return (
-        <SharePageLink value={getEmbedSnippet()} label={label} >
-            <Checkbox checked={includeFullscreen} onChange={(event) => setIncludeFullscreen(!!event.target.checked )}>
+        <SharePageLink value={getEmbedSnippet(src, options)} label={label} >
+            <Checkbox checked={options.allowFullscreen} onChange={(event) => updateOption('allowFullscreen', !!event.target.checked)}>
                 <Message msgId="gnviewer.includeFullscreen" />
             </Checkbox>
+            <FlexBox gap="xs">
+                <Button size="sm" onClick={() => setExpanded(!expanded)}>
+                    <Icon glyph="cog" />{' '}<Message msgId="gnviewer.embedBuilder.customize" />
+                </Button>
+                <Button size="sm" onClick={() => setShowPreview(!showPreview)}>
+                    <Icon glyph={showPreview ? 'eye-slash' : 'eye'} />{' '}<Message msgId={showPreview ? 'gnviewer.embedBuilder.hidePreview' : 'gnviewer.embedBuilder.showPreview'} />
+                </Button>
+            </FlexBox>
+            {expanded && <div className="gn-share-embed-builder">
+                <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.embedBuilder.size" /></ControlLabel>
+                    <FlexBox gap="xs" centerChildrenVertically>
+                        <FormControl
+                            componentClass="select"
+                            value={options.sizeMode}
+                            onChange={(event) => updateOption('sizeMode', event.target.value)}
+                        >
+                            {Object.values(EmbedSizeModes).map((sizeMode) => (
+                                <option key={sizeMode} value={sizeMode}>
+                                    {getMessageById(context.messages, `gnviewer.embedBuilder.sizeModes.${sizeMode}`)}
+                                </option>
+                            ))}
+                        </FormControl>
+                        {options.sizeMode === EmbedSizeModes.RESPONSIVE
+                            ? <FormControl
+                                componentClass="select"
+                                value={options.aspectRatio}
+                                onChange={(event) => updateOption('aspectRatio', event.target.value)}
+                            >
+                                {EMBED_ASPECT_RATIOS.map((ratio) => <option key={ratio} value={ratio}>{ratio}</option>)}
+                            </FormControl>
+                            : <>
+                                <FormControl
+                                    type="number"
+                                    min={1}
+                                    value={options.width}
+                                    onChange={(event) => updateOption('width', Number(event.target.value) || '')}
+                                />
+                                <span>x</span>
+                                <FormControl
+                                    type="number"
+                                    min={1}
+                                    value={options.height}
+                                    onChange={(event) => updateOption('height', Number(event.target.value) || '')}
+                                />
+                            </>}
+                    </FlexBox>
+                </FormGroup>
+                <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.embedBuilder.colorScheme" /></ControlLabel>
+                    <FormControl
+                        componentClass="select"
+                        value={options.colorScheme}
+                        onChange={(event) => updateOption('colorScheme', event.target.value)}
+                    >
+                        {Object.values(EmbedColorSchemes).map((colorScheme) => (
+                            <option key={colorScheme} value={colorScheme}>
+                                {getMessageById(context.messages, `gnviewer.embedBuilder.colorSchemes.${colorScheme}`)}
+                            </option>
+                        ))}
+                    </FormControl>
+                </FormGroup>
+                {mapView?.center && <Checkbox checked={useMapView} onChange={(event) => setUseMapView(!!event.target.checked)}>
+                    <Message msgId="gnviewer.embedBuilder.useMapView" />
+                </Checkbox>}
+                {mapLayers.length > 0 && <>
+                    <Checkbox
+                        checked={!!visibleLayers}
+                        onChange={(event) => setVisibleLayers(event.target.checked
+                            ? mapLayers.filter(({ visibility }) => visibility !== false).map(({ id }) => id)
+                            : null)}
+                    >
+                        <Message msgId="gnviewer.embedBuilder.customLayers" />
+                    </Checkbox>
+                    {visibleLayers && <div className="gn-share-embed-builder-list">
+                        {mapLayers.map((layer) => (
+                            <Checkbox
+                                key={layer.id}
+                                checked={visibleLayers.includes(layer.id)}
+                                onChange={(event) => toggleLayer(layer.id, !!event.target.checked)}
+                            >
+                                {getLayerTitle(layer)}
+                            </Checkbox>
+                        ))}
+                    </div>}
+                </>}
+                {sections?.length > 0 && <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.embedBuilder.section" /></ControlLabel>
+                    <FormControl
+                        componentClass="select"
+                        value={section}
+                        onChange={(event) => setSection(event.target.value)}
+                    >
+                        <option value="" />
+                        {sections.map(({ id, title }, idx) => <option key={id} value={id}>{title || `${idx + 1}`}</option>)}
+                    </FormControl>
+                </FormGroup>}
+                {hiddenComponents.length > 0 && <FormGroup bsSize="sm">
+                    <ControlLabel><Message msgId="gnviewer.embedBuilder.hiddenComponents" /></ControlLabel>
+                    {hiddenComponents.map(({ id }) => (
+                        <Checkbox
+                            key={id}
+                            checked={options.hiddenComponents.includes(id)}
+                            onChange={(event) => toggleHiddenComponent(id, !!event.target.checked)}
+                        >
+                            <Message msgId={`gnviewer.embedBuilder.components.${id}`} />
+                        </Checkbox>
+                    ))}
+                </FormGroup>}
+            </div>}
+            {showPreview && <EmbedPreview src={src} options={options} />}
         </SharePageLink>
     );
 }
 
+ShareEmbedLink.propTypes = {
+    embedUrl: PropTypes.string,
+    label: PropTypes.node,
+    resourceType: PropTypes.string,
+    mapView: PropTypes.object,
+    layers: PropTypes.array,
+    sections: PropTypes.array
+};
+
+ShareEmbedLink.contextTypes = {
+    messages: PropTypes.object
+};
+
 export default ShareEmbedLink;
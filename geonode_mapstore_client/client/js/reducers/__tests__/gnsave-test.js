@@ -13,7 +13,9 @@ import {
     saveSuccess,
     saveError,
     clearSave,
-    saveDirectContent
+    saveDirectContent,
+    setSaveConflict,
+    resolveSaveConflict
 } from '@js/actions/gnsave';
 
 describe('gnsave reducer', () => {
@@ -56,4 +58,16 @@ describe('gnsave reducer', () => {
         }, clearSave());
         expect(state).toEqual({});
     });
+    it('should test setSaveConflict', () => {
+        const conflict = { resource: { pk: 1 } };
+        const state = gnsave({ saving: true }, setSaveConflict(conflict));
+        expect(state).toEqual({
+            conflict,
+            saving: false
+        });
+    });
+    it('should test resolveSaveConflict', () => {
+        const state = gnsave({ conflict: {}, saving: false }, resolveSaveConflict('overwrite'));
+        expect(state).toEqual({});
+    });
 });
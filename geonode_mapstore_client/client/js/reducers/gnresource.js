@@ -37,7 +37,8 @@ import {
     SET_DEFAULT_VIEWER_PLUGINS,
     SET_SELECTED_LAYER,
     UPDATE_LAYER_DATASET,
-    SET_SELECTED_LAYER_DATASET
+    SET_SELECTED_LAYER_DATASET,
+    SET_RESOURCE_VERSION
 } from '@js/actions/gnresource';
 import {
     cleanCompactPermissions,
@@ -224,6 +225,16 @@ function gnresource(state = defaultState, action) {
             };
         }
         return state;
+    case SET_RESOURCE_VERSION:
+        return state.initialResource
+            ? {
+                ...state,
+                initialResource: {
+                    ...state.initialResource,
+                    last_updated: action.lastUpdated
+                }
+            }
+            : state;
     case SET_RESOURCE_EXTENT:
         return {
             ...state,
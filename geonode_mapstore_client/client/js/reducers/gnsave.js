@@ -11,7 +11,9 @@ import {
     SAVE_SUCCESS,
     SAVE_ERROR,
     CLEAR_SAVE,
-    SAVE_DIRECT_CONTENT
+    SAVE_DIRECT_CONTENT,
+    SET_SAVE_CONFLICT,
+    RESOLVE_SAVE_CONFLICT
 } from '@js/actions/gnsave';
 
 import {
@@ -51,6 +53,13 @@ function gnsave(state = defaultState, action) {
             saving: false
         };
     }
+    case SET_SAVE_CONFLICT: {
+        return {
+            conflict: action.conflict,
+            saving: false
+        };
+    }
+    case RESOLVE_SAVE_CONFLICT:
     case CLEAR_SAVE: {
         return {};
     }
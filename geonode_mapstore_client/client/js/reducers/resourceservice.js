@@ -35,7 +35,11 @@ function resourceservice(state = defaultState, action) {
                         && process?.processType === action.processType
                     )
                 ),
-                ...action.resources.map((resource) => ({ resource, processType: action.processType }))
+                ...action.resources.map((resource) => ({
+                    resource,
+                    processType: action.processType,
+                    ...(action.options?.batchId && { batchId: action.options.batchId })
+                }))
             ]
         };
     }
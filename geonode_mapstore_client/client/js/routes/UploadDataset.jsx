@@ -14,6 +14,7 @@ import UploadPanel from '@js/plugins/Operation/components/UploadPanel';
 import ExecutionRequestTable from '@js/plugins/Operation/components/ExecutionRequestTable';
 import useUpload from '@js/plugins/Operation/hooks/useUpload';
 import useExecutionRequest from '@js/plugins/Operation/hooks/useExecutionRequest';
+import useUploadPresets from '@js/plugins/Operation/hooks/useUploadPresets';
 import {
     getUploadMainFile,
     getUploadProperty,
@@ -32,6 +33,8 @@ function UploadDataset({
     uploadConfig
 }) {
 
+    const { presets, ...tableConfig } = uploadConfig || {};
+
     const api = {
         upload: {
             url: getEndpointUrl(UPLOADS, '/upload'),
@@ -59,10 +62,13 @@ function UploadDataset({
     };
 
     const [forceRequests, setForceRequests] = useState(0);
+    const [selectedPreset, setSelectedPreset] = useState(null);
 
     const {
         requests,
         uploadsToRequest,
+        getRequestUpload,
+        takeRequestUpload,
         deleteRequest
     } = useExecutionRequest({
         api: api.executionRequest,
@@ -71,6 +77,11 @@ function UploadDataset({
         onRefresh: () => {}
     });
 
+    const {
+        presetResults,
+        assignPreset
+    } = useUploadPresets({ presets, requests });
+
     const {
         progress,
         loading: uploadLoading,
@@ -82,12 +93,16 @@ function UploadDataset({
         api: api.upload,
         onComplete: (responses, successfulUploads) => {
             uploadsToRequest(successfulUploads);
+            assignPreset(successfulUploads.map(({ data }) => data.execution_id), selectedPreset);
             setForceRequests(prevForceRequests => prevForceRequests + 1);
         }
     });
     return (
         <UploadPanel
             enableRemoteUploads
+            preflight
+            exploreArchives
+            previewUploads
             supportedFiles={getSupportedFilesByResourceType('dataset', { actions: ['upload'] })}
             maxParallelUploads={getMaxParallelUploads()}
             maxAllowedSize={getMaxAllowedSizeByResourceType('dataset')}
@@ -107,6 +122,9 @@ function UploadDataset({
                 { value: '3dtiles', label: '3D Tiles' }
             ]}
             remoteTypeErrorMessageId="gnviewer.unsupportedUrlServiceType"
+            presets={presets}
+            selectedPreset={selectedPreset}
+            onSelectPreset={setSelectedPreset}
         >
             <ExecutionRequestTable
                 iconName="database"
@@ -114,7 +132,11 @@ function UploadDataset({
                 descriptionMsgId="gnviewer.dragAndDropFile"
                 requests={requests}
                 onDelete={deleteRequest}
-                {...uploadConfig}
+                onRetry={(request) => uploadRequest([takeRequestUpload(request.exec_id)])}
+                canRetry={(request) => !!getRequestUpload(request.exec_id)}
+                retryDisabled={uploadLoading}
+                presetResults={presetResults}
+                {...tableConfig}
             />
         </UploadPanel>
     );
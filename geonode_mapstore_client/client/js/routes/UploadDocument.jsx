@@ -13,6 +13,7 @@ import { createSelector } from 'reselect';
 import UploadPanel from '@js/plugins/Operation/components/UploadPanel';
 import ExecutionRequestTable from '@js/plugins/Operation/components/ExecutionRequestTable';
 import useUpload from '@js/plugins/Operation/hooks/useUpload';
+import useUploadPresets from '@js/plugins/Operation/hooks/useUploadPresets';
 import {
     getUploadMainFile,
     getUploadProperty,
@@ -25,7 +26,14 @@ import {
 
 function UploadDocument({uploadConfig}) {
 
+    const { presets, ...tableConfig } = uploadConfig || {};
     const [requests, setRequests] = useState([]);
+    const [selectedPreset, setSelectedPreset] = useState(null);
+
+    const {
+        presetResults,
+        assignPreset
+    } = useUploadPresets({ presets, requests, persist: false });
 
     const api = {
         upload: {
@@ -72,6 +80,7 @@ function UploadDocument({uploadConfig}) {
                 }),
                 ...prevRequests
             ]);
+            assignPreset(successfulUploads.map(({ upload }) => upload.id), selectedPreset);
         }
     });
 
@@ -95,6 +104,9 @@ function UploadDocument({uploadConfig}) {
             isRemoteTypesDisabled={(data) => {
                 return !data?.validation?.isValidRemoteUrl || hasExtensionInUrl(data);
             }}
+            presets={presets}
+            selectedPreset={selectedPreset}
+            onSelectPreset={setSelectedPreset}
         >
             <ExecutionRequestTable
                 iconName="file"
@@ -104,7 +116,8 @@ function UploadDocument({uploadConfig}) {
                 onDelete={(deleteId) => {
                     setRequests(prevRequests => prevRequests.filter(request => request.exec_id !== deleteId));
                 }}
-                {...uploadConfig}
+                presetResults={presetResults}
+                {...tableConfig}
             />
         </UploadPanel>
     );
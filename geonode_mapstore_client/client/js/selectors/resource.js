@@ -29,6 +29,7 @@ import isNil from 'lodash/isNil';
 import { generateContextResource } from '@mapstore/framework/selectors/contextcreator';
 import { layerSettingSelector, getSelectedLayer as getSelectedNode } from '@mapstore/framework/selectors/layers';
 import { saveLayer } from '@mapstore/framework/utils/LayersUtils';
+import { getResourceChanges as computeResourceChanges, getResourceMerge } from '@js/utils/ResourceChangesUtils';
 
 const RESOURCE_MANAGEMENT_PROPERTIES_KEYS = Object.keys(RESOURCE_MANAGEMENT_PROPERTIES);
 
@@ -336,7 +337,7 @@ export const getResourceDirtyState = (state) => {
     const resourceType = state?.gnresource?.type;
     let metadataKeys = ['title', 'abstract', 'data', 'extent', 'group', ...RESOURCE_MANAGEMENT_PROPERTIES_KEYS];
     if (resourceType === ResourceTypes.DATASET) {
-        metadataKeys = metadataKeys.concat('timeseries');
+        metadataKeys = metadataKeys.concat('timeseries', 'attribute_set');
     }
     const { data: initialData = {}, ...resource } = pick(state?.gnresource?.initialResource || {}, metadataKeys);
     const { compactPermissions, geoLimits } = getPermissionsPayload(state);
@@ -360,6 +361,59 @@ export const getResourceDirtyState = (state) => {
         : null;
 };
 
+/**
+ * Get the list of changes applied to the current resource since it has been loaded
+ * @param {Object} state App state
+ * @returns {Array} list of changes, see `utils/ResourceChangesUtils.getResourceChanges`
+ */
+export const getResourceChanges = (state) => {
+    const dirtyState = getResourceDirtyState(state);
+    if (!dirtyState) {
+        return [];
+    }
+    const resourceType = state?.gnresource?.type;
+    const initialResource = state?.gnresource?.initialResource;
+    const selectedLayer = getSelectedNode(state);
+    const isDatasetStyleChanged = resourceType === ResourceTypes.DATASET
+        && !isEmpty(selectedLayer?.availableStyles) && !isEmpty(selectedLayer?.style)
+        && selectedLayer.style !== selectedLayer.availableStyles[0].name;
+    return computeResourceChanges({
+        resourceType,
+        initialResource,
+        resource: state?.gnresource?.data,
+        initialCompactPermissions: state?.gnresource?.initialCompactPermissions,
+        compactPermissions: state?.gnresource?.compactPermissions,
+        initialData: initialResource?.data,
+        data: dirtyState.data,
+        initialLayer: getSelectedLayer(state),
+        style: isDatasetStyleChanged
+            ? { layerId: selectedLayer.id, previous: selectedLayer.availableStyles[0].name, current: selectedLayer.style }
+            : undefined
+    });
+};
+
+/**
+ * Get the three-way merge between the loaded resource, the local changes and the server copy stored after a save conflict
+ * @param {Object} state App state
+ * @returns {Object} merge result, see `utils/ResourceChangesUtils.getResourceMerge`, or null without a save conflict
+ */
+export const getResourceConflictMerge = (state) => {
+    const conflict = state?.gnsave?.conflict;
+    if (!conflict) {
+        return null;
+    }
+    const initialResource = state?.gnresource?.initialResource;
+    return getResourceMerge({
+        resourceType: state?.gnresource?.type,
+        base: initialResource,
+        local: state?.gnresource?.data,
+        remote: conflict.resource,
+        baseData: initialResource?.data,
+        localData: JSON.parse(JSON.stringify(getDataPayload(state) || {})),
+        remoteData: conflict.data
+    });
+};
+
 /**
  * Get geonode resources from within a Geostory
  * @param {Object} state App state
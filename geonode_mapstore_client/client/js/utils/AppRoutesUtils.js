@@ -13,6 +13,7 @@ export const appRouteComponentTypes = {
     CATALOGUE: 'CatalogueRoute',
     DATASET_UPLOAD: 'UploadDatasetRoute',
     DOCUMENT_UPLOAD: 'UploadDocumentRoute',
+    DATASET_CREATE: 'CreateDatasetRoute',
     COMPONENTS: 'ComponentsRoute',
     MAP_VIEWER: 'MapViewerRoute'
 };
@@ -50,7 +51,9 @@ export const DASHBOARD_ROUTES = [{
 export const DOCUMENT_ROUTES = [{
     name: 'document_embed',
     path: [
-        '/'
+        '/',
+        // deep link to a page of a pdf document
+        '/page=:page'
     ],
     pageConfig: {
         resourceType: ResourceTypes.DOCUMENT
@@ -193,5 +196,12 @@ export const CATALOGUE_ROUTES = [
         component: appRouteComponentTypes.DOCUMENT_UPLOAD,
         protectedRoute: true,
         hash: "#/upload/document"
+    },
+    {
+        name: 'create_dataset',
+        path: ['/create/dataset'],
+        component: appRouteComponentTypes.DATASET_CREATE,
+        protectedRoute: true,
+        hash: "#/create/dataset"
     }
 ];
@@ -36,6 +36,8 @@ import { setViewer } from '@mapstore/framework/utils/MapInfoUtils';
 import { setObservableConfig } from 'recompose';
 import rxjsConfig from 'recompose/rxjsObservableConfig';
 import { getGeoNodeConfig, getGeoNodeLocalConfig } from "@js/utils/APIUtils";
+import { parseEmbedQuery, getEmbedColorSchemeClassName, removeHiddenPlugins } from "@js/utils/EmbedUtils";
+import { setupEmbedBridge } from "@js/utils/EmbedBridgeUtils";
 setObservableConfig(rxjsConfig);
 
 let actionListeners = {};
@@ -171,7 +173,8 @@ let apiPluginsConfig;
 export function setupConfiguration({
     localConfig,
     user,
-    resourcesTotalCount
+    resourcesTotalCount,
+    enableEmbedBridge
 }) {
     const { query } = url.parse(window.location.href, true);
     // set the extensions path before get the localConfig
@@ -319,6 +322,12 @@ export function setupConfiguration({
         window.onInitMapStoreAPI(window.MapStoreAPI, geoNodePageConfig);
     }
 
+    // color scheme requested by the embed builder
+    const colorSchemeClassName = getEmbedColorSchemeClassName(parseEmbedQuery(query).colorScheme);
+    if (colorSchemeClassName) {
+        document.body.classList.add(colorSchemeClassName);
+    }
+
     return setupLocale(getLanguageKey(geoNodePageConfig.languageCode))
         .then(() => ({
             query,
@@ -338,6 +347,12 @@ export function setupConfiguration({
                             listener.call(null, act);
                         });
                 });
+                // allow the pages embedding the viewer to communicate with it
+                if (enableEmbedBridge && geoNodePageConfig.isEmbed) {
+                    setupEmbedBridge(store, {
+                        allowedOrigins: localConfig.geoNodeSettings?.embedAllowedOrigins
+                    });
+                }
             },
             configEpics: {
                 gnMapStoreApiEpic: actionTrigger.epic
@@ -352,9 +367,10 @@ export const getPluginsConfigOverride = (pluginsConfig) => isFunction(apiPlugins
         : pluginsConfig;
 
 /* this function adds plugin based on the current query, used mainly for embed pages*/
+/* plugins listed in the hide parameter are removed from the configuration */
 export const addQueryPlugins = (pluginsConfig, query) => {
     if (isArray(pluginsConfig)) {
-        return [
+        return removeHiddenPlugins([
             ...(query?.allowFullscreen === 'true'
                 ? [{
                     mandatory: true, // needed for custom viewers
@@ -382,7 +398,7 @@ export const addQueryPlugins = (pluginsConfig, query) => {
                     }
                 }] : []),
             ...pluginsConfig
-        ];
+        ], parseEmbedQuery(query).hide);
     }
     return pluginsConfig;
 };
@@ -0,0 +1,182 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isArray from 'lodash/isArray';
+import isEqual from 'lodash/isEqual';
+import isNil from 'lodash/isNil';
+import isObject from 'lodash/isObject';
+import uniq from 'lodash/uniq';
+import uniqWith from 'lodash/uniqWith';
+import castArray from 'lodash/castArray';
+import { formatMetadataValue } from '@js/utils/MetadataImportUtils';
+
+/**
+* @module utils/BulkMetadataUtils
+*/
+
+export const BulkMetadataOperations = {
+    REPLACE: 'replace',
+    APPEND: 'append',
+    REMOVE: 'remove'
+};
+
+const isArraySchema = (schema) => castArray(schema?.type || []).includes('array');
+
+const isEmptyValue = (value) => isNil(value) || value === '' || (isArray(value) && !value.length);
+
+// entries of thesauri and code lists are compared by id
+const getItemKey = (item) => isObject(item) && !isArray(item) && !isNil(item.id)
+    ? `${item.id}`
+    : JSON.stringify(item);
+
+const getEmptyValue = (schema) => {
+    const types = castArray(schema?.type || []);
+    if (types.includes('null')) {
+        return null;
+    }
+    return types.includes('string') ? '' : undefined;
+};
+
+/**
+ * Get the metadata properties that can be edited on multiple resources
+ * @param {object} schema metadata json schema
+ * @param {object} uiSchema metadata ui schema
+ * @return {object[]} list of `{ key, title, schema, operations }`
+ */
+export const getBulkMetadataProperties = (schema, uiSchema) =>
+    Object.keys(schema?.properties || {})
+        .filter((key) => {
+            const property = schema.properties[key];
+            const options = uiSchema?.[key]?.['ui:options'] || {};
+            return !property.readOnly
+                && (uiSchema?.[key]?.['ui:widget'] || options.widget) !== 'hidden';
+        })
+        .map((key) => {
+            const property = schema.properties[key];
+            return {
+                key,
+                title: property.title || key,
+                schema: property,
+                operations: isArraySchema(property)
+                    ? [BulkMetadataOperations.REPLACE, BulkMetadataOperations.APPEND, BulkMetadataOperations.REMOVE]
+                    : [BulkMetadataOperations.REPLACE, BulkMetadataOperations.REMOVE]
+            };
+        });
+
+/**
+ * Compare the values of the metadata properties across multiple resources
+ * @param {object[]} metadataList list of metadata
+ * @param {string[]} keys metadata properties to compare
+ * @return {object} an entry `{ values, differs }` for each property where values is the list of distinct formatted values
+ */
+export const getMetadataDifferences = (metadataList = [], keys = []) =>
+    keys.reduce((acc, key) => {
+        const values = uniqWith(metadataList
+            .map((metadata) => isEmptyValue(metadata?.[key]) ? null : metadata[key]), isEqual);
+        return {
+            ...acc,
+            [key]: {
+                values: values.map(formatMetadataValue),
+                differs: values.length > 1
+            }
+        };
+    }, {});
+
+/**
+ * Check if an operation is complete, the append and remove operations require a value
+ * @param {object} operation `{ key, operation, value }`
+ * @return {boolean} true if the operation can be applied
+ */
+export const isValidBulkMetadataOperation = (operation) =>
+    !!operation?.key
+    && Object.values(BulkMetadataOperations).includes(operation.operation)
+    && (operation.operation === BulkMetadataOperations.REPLACE || !isEmptyValue(operation.value));
+
+/**
+ * Apply an operation to a metadata value:
+ * - `replace` sets the value of the operation
+ * - `append` adds the missing items of the operation value to a list
+ * - `remove` removes the items of the operation value from a list or clears the value when it is equal to the operation value
+ * @param {any} value current value
+ * @param {object} operation `{ operation, value }`
+ * @param {object} schema json schema of the property
+ * @return {any} updated value
+ */
+export const applyBulkMetadataOperation = (value, { operation, value: operationValue }, schema) => {
+    const isList = isArraySchema(schema);
+    switch (operation) {
+    case BulkMetadataOperations.REPLACE:
+        return operationValue;
+    case BulkMetadataOperations.APPEND: {
+        if (!isList) {
+            return value;
+        }
+        const currentItems = castArray(value ?? []);
+        const currentKeys = currentItems.map(getItemKey);
+        return [
+            ...currentItems,
+            ...uniqWith(castArray(operationValue ?? []), isEqual).filter((item) => !currentKeys.includes(getItemKey(item)))
+        ];
+    }
+    case BulkMetadataOperations.REMOVE: {
+        if (isList) {
+            const removedKeys = castArray(operationValue ?? []).map(getItemKey);
+            return castArray(value ?? []).filter((item) => !removedKeys.includes(getItemKey(item)));
+        }
+        return !isEmptyValue(value) && getItemKey(value) === getItemKey(operationValue)
+            ? getEmptyValue(schema)
+            : value;
+    }
+    default:
+        return value;
+    }
+};
+
+/**
+ * Apply a list of operations to the metadata of a resource
+ * @param {object} metadata metadata of the resource
+ * @param {object[]} operations list of `{ key, operation, value }`
+ * @param {object} schema metadata json schema
+ * @return {object} updated metadata
+ */
+export const applyBulkMetadataOperations = (metadata = {}, operations = [], schema = {}) =>
+    operations
+        .filter(isValidBulkMetadataOperation)
+        .reduce((acc, operation) => ({
+            ...acc,
+            [operation.key]: applyBulkMetadataOperation(acc[operation.key], operation, schema?.properties?.[operation.key])
+        }), metadata);
+
+/**
+ * Compute the changes of the operations without applying them (dry run)
+ * @param {object[]} entries list of `{ resource, metadata, error }`
+ * @param {object[]} operations list of `{ key, operation, value }`
+ * @param {object} schema metadata json schema
+ * @return {object[]} list of `{ resource, error, changes }` where changes contains `{ key, title, currentValue, newValue }`
+ */
+export const getBulkMetadataChanges = (entries = [], operations = [], schema = {}) => {
+    const keys = uniq(operations.filter(isValidBulkMetadataOperation).map(({ key }) => key));
+    return entries.map(({ resource, metadata, error }) => {
+        if (error) {
+            return { resource, error, changes: [] };
+        }
+        const updatedMetadata = applyBulkMetadataOperations(metadata, operations, schema);
+        return {
+            resource,
+            changes: keys
+                .filter((key) => !(isEmptyValue(metadata?.[key]) && isEmptyValue(updatedMetadata[key]))
+                    && !isEqual(metadata?.[key], updatedMetadata[key]))
+                .map((key) => ({
+                    key,
+                    title: schema?.properties?.[key]?.title || key,
+                    currentValue: formatMetadataValue(metadata?.[key]),
+                    newValue: formatMetadataValue(updatedMetadata[key])
+                }))
+        };
+    });
+};
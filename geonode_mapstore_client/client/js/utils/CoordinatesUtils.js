@@ -164,3 +164,43 @@ export const getAdjustedExtent = (bounds, source = "EPSG:4326", dest = "EPSG:385
     }
     return adjustedExtent;
 };
+
+/**
+ * Collect the positions of a GeoJSON geometry, including the ones of geometry collections
+ * @param {object} geometry GeoJSON geometry
+ * @param {array[]} positions list where the positions are added
+ * @return {array[]} list of positions
+ */
+export const getGeometryPositions = (geometry, positions = []) => {
+    if (geometry?.type === 'GeometryCollection') {
+        (geometry.geometries || []).forEach((entry) => getGeometryPositions(entry, positions));
+        return positions;
+    }
+    const walk = (coordinates) => {
+        if (typeof coordinates?.[0] === 'number') {
+            positions.push(coordinates);
+        } else {
+            (coordinates || []).forEach(walk);
+        }
+    };
+    walk(geometry?.coordinates);
+    return positions;
+};
+
+/**
+ * Get the extent of a list of GeoJSON features, the positions are compared one by one so large lists are supported
+ * @param {object[]} features list of GeoJSON features
+ * @return {number[]} extent `[minx, miny, maxx, maxy]` or null if the features have no coordinates
+ */
+export const getFeaturesExtent = (features = []) => {
+    const positions = features
+        .reduce((acc, { geometry } = {}) => geometry ? getGeometryPositions(geometry, acc) : acc, []);
+    return positions.length
+        ? positions.reduce(([minx, miny, maxx, maxy], [x, y]) => [
+            Math.min(minx, x),
+            Math.min(miny, y),
+            Math.max(maxx, x),
+            Math.max(maxy, y)
+        ], [Infinity, Infinity, -Infinity, -Infinity])
+        : null;
+};
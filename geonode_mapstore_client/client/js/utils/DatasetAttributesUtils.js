@@ -0,0 +1,184 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+import orderBy from 'lodash/orderBy';
+import pick from 'lodash/pick';
+import isEqual from 'lodash/isEqual';
+
+/**
+* @module utils/DatasetAttributesUtils
+*/
+
+// properties of an attribute that can be edited by the user
+export const EDITABLE_ATTRIBUTE_PROPERTIES = ['attribute_label', 'description', 'display_order', 'visible'];
+
+export const NUMERIC_ATTRIBUTE_TYPES = [
+    'xsd:int',
+    'xsd:integer',
+    'xsd:long',
+    'xsd:short',
+    'xsd:byte',
+    'xsd:double',
+    'xsd:float',
+    'xsd:decimal'
+];
+
+/**
+ * Check if an attribute has a numeric type
+ * @param {object} attribute attribute of the dataset attribute_set
+ * @return {boolean} true if numeric
+ */
+export const isNumericAttribute = (attribute) => NUMERIC_ATTRIBUTE_TYPES.includes(attribute?.attribute_type);
+
+/**
+ * Check if an attribute is a geometry attribute
+ * @param {object} attribute attribute of the dataset attribute_set
+ * @return {boolean} true if geometry
+ */
+export const isGeometryAttribute = (attribute) => (attribute?.attribute_type || '').includes('gml:');
+
+/**
+ * Sort the attributes by display order
+ * @param {object[]} attributeSet dataset attribute_set
+ * @return {object[]} sorted attributes
+ */
+export const sortAttributes = (attributeSet = []) => orderBy(
+    attributeSet,
+    [({ display_order: displayOrder }) => isNil(displayOrder) ? Infinity : displayOrder, 'pk'],
+    ['asc', 'asc']
+);
+
+/**
+ * Update the editable properties of an attribute
+ * @param {object[]} attributeSet dataset attribute_set
+ * @param {number} pk attribute primary key
+ * @param {object} properties properties to update
+ * @return {object[]} updated attribute_set
+ */
+export const updateAttribute = (attributeSet = [], pk, properties) => attributeSet
+    .map((attribute) => attribute.pk === pk
+        ? { ...attribute, ...properties }
+        : attribute);
+
+/**
+ * Move an attribute up or down in the display order, the display order of all attributes is normalized
+ * @param {object[]} attributeSet dataset attribute_set
+ * @param {number} pk attribute primary key
+ * @param {number} offset -1 to move the attribute up, 1 to move it down
+ * @return {object[]} updated attribute_set
+ */
+export const moveAttribute = (attributeSet = [], pk, offset) => {
+    const sorted = sortAttributes(attributeSet);
+    const index = sorted.findIndex((attribute) => attribute.pk === pk);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= sorted.length) {
+        return attributeSet;
+    }
+    const moved = [...sorted];
+    moved.splice(index, 1);
+    moved.splice(newIndex, 0, sorted[index]);
+    // the original order of the list is preserved to avoid unexpected changes of the attribute_set
+    return attributeSet.map((attribute) => ({
+        ...attribute,
+        display_order: moved.findIndex(({ pk: movedPk }) => movedPk === attribute.pk) + 1
+    }));
+};
+
+/**
+ * Get the attributes with modified editable properties to send in the dataset update request
+ * @param {object[]} initialAttributeSet attribute_set of the saved dataset
+ * @param {object[]} attributeSet current attribute_set
+ * @return {object[]} list of changed attributes with pk and editable properties, null if there are no changes
+ */
+export const getAttributeSetPayload = (initialAttributeSet = [], attributeSet) => {
+    if (!attributeSet) {
+        return null;
+    }
+    const changed = attributeSet
+        .filter((attribute) => {
+            const initialAttribute = initialAttributeSet.find(({ pk }) => pk === attribute.pk);
+            return !isEqual(
+                pick(initialAttribute, EDITABLE_ATTRIBUTE_PROPERTIES),
+                pick(attribute, EDITABLE_ATTRIBUTE_PROPERTIES)
+            );
+        })
+        .map((attribute) => pick(attribute, ['pk', ...EDITABLE_ATTRIBUTE_PROPERTIES]));
+    return changed.length ? changed : null;
+};
+
+/**
+ * Get the body of a GeoServer WPS gs:Aggregate request
+ * @param {object} options
+ * @param {string} options.typeName name of the layer
+ * @param {string} options.attribute aggregation attribute
+ * @param {string[]} options.functions list of aggregate functions (eg. Count, Min, Max)
+ * @param {boolean} options.groupBy group the results by the aggregation attribute
+ * @return {string} xml body
+ */
+export const getAggregateRequestBody = ({ typeName, attribute, functions = [], groupBy }) => {
+    const literalInput = (identifier, value) => `<wps:Input><ows:Identifier>${identifier}</ows:Identifier><wps:Data><wps:LiteralData>${value}</wps:LiteralData></wps:Data></wps:Input>`;
+    return '<?xml version="1.0" encoding="UTF-8"?>'
+        + '<wps:Execute version="1.0.0" service="WPS" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns="http://www.opengis.net/wps/1.0.0" xmlns:wfs="http://www.opengis.net/wfs" xmlns:wps="http://www.opengis.net/wps/1.0.0" xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:ogc="http://www.opengis.net/ogc" xmlns:xlink="http://www.w3.org/1999/xlink">'
+        + '<ows:Identifier>gs:Aggregate</ows:Identifier>'
+        + '<wps:DataInputs>'
+        + '<wps:Input><ows:Identifier>features</ows:Identifier>'
+        + '<wps:Reference mimeType="text/xml" xlink:href="http://geoserver/wfs" method="POST"><wps:Body>'
+        + `<wfs:GetFeature service="WFS" version="1.0.0" outputFormat="GML2"><wfs:Query typeName="${typeName}"/></wfs:GetFeature>`
+        + '</wps:Body></wps:Reference></wps:Input>'
+        + literalInput('aggregationAttribute', attribute)
+        + functions.map((func) => literalInput('function', func)).join('')
+        + literalInput('singlePass', 'false')
+        + (groupBy ? literalInput('groupByAttributes', attribute) : '')
+        + '</wps:DataInputs>'
+        + '<wps:ResponseForm><wps:RawDataOutput mimeType="application/json"><ows:Identifier>result</ows:Identifier></wps:RawDataOutput></wps:ResponseForm>'
+        + '</wps:Execute>';
+};
+
+/**
+ * Convert the response of a gs:Aggregate request in an object
+ * @param {object} response json response of the gs:Aggregate request
+ * @return {object} aggregate values by function name in lower case (eg. `{ count: 10, min: 1, max: 5 }`)
+ */
+export const parseAggregateResponse = (response) => {
+    const functions = response?.AggregationFunctions || [];
+    const values = response?.AggregationResults?.[0] || [];
+    return functions.reduce((acc, func, idx) => ({
+        ...acc,
+        [func.toLowerCase()]: values[idx]
+    }), {});
+};
+
+/**
+ * Convert the response of a grouped gs:Aggregate Count request in a list of distinct values
+ * @param {object} response json response of the gs:Aggregate request
+ * @param {number} maxItems max number of values returned, the remaining values are summed in a single entry
+ * @return {object[]} list of `{ value, count }` sorted by count, the entry of remaining values has `others: true`
+ */
+export const parseHistogramResponse = (response, maxItems = 10) => {
+    const entries = orderBy(
+        (response?.AggregationResults || []).map(([value, count]) => ({ value, count })),
+        ['count'],
+        ['desc']
+    );
+    if (entries.length <= maxItems) {
+        return entries;
+    }
+    const others = entries.slice(maxItems).reduce((sum, { count }) => sum + count, 0);
+    return [...entries.slice(0, maxItems), { others: true, count: others }];
+};
+
+/**
+ * Extract the number of matched features from a WFS GetFeature response with resultType=hits
+ * @param {string} response xml response
+ * @return {number} number of features or undefined if not available
+ */
+export const parseHitsResponse = (response) => {
+    const match = `${response || ''}`.match(/number(?:Matched|OfFeatures)="(\d+)"/);
+    return match ? parseFloat(match[1]) : undefined;
+};
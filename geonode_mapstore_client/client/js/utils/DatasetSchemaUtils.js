@@ -0,0 +1,157 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+import countBy from 'lodash/countBy';
+
+/**
+* @module utils/DatasetSchemaUtils
+*/
+
+export const DatasetGeometryTypes = [
+    'Point',
+    'LineString',
+    'Polygon',
+    'MultiPoint',
+    'MultiLineString',
+    'MultiPolygon'
+];
+
+export const DatasetAttributeTypes = {
+    STRING: 'string',
+    INTEGER: 'integer',
+    FLOAT: 'float',
+    DATE: 'date'
+};
+
+export const DEFAULT_DATASET_CRS = ['EPSG:4326', 'EPSG:3857'];
+
+// names used by the geometry and the identifier columns of the created table
+const RESERVED_ATTRIBUTE_NAMES = ['fid', 'geom', 'the_geom'];
+const ATTRIBUTE_NAME_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const NUMERIC_TYPES = [DatasetAttributeTypes.INTEGER, DatasetAttributeTypes.FLOAT];
+
+const isEmptyValue = (value) => isNil(value) || value === '';
+
+/**
+ * Check if an attribute type supports a list of allowed values
+ * @param {string} type attribute type
+ * @return {boolean}
+ */
+export const supportsAttributeOptions = (type) => [DatasetAttributeTypes.STRING, ...NUMERIC_TYPES].includes(type);
+
+/**
+ * Check if an attribute type supports a range of values
+ * @param {string} type attribute type
+ * @return {boolean}
+ */
+export const supportsAttributeRange = (type) => NUMERIC_TYPES.includes(type);
+
+/**
+ * Get the allowed values of an attribute, empty entries are excluded
+ * @param {string[]} options list of values
+ * @return {string[]}
+ */
+export const getAttributeOptions = (options = []) => options
+    .map((value) => `${value}`.trim())
+    .filter((value) => value !== '');
+
+/**
+ * Create a new attribute entry of the dataset schema
+ * @param {object} attribute properties of the attribute
+ * @return {object} attribute `{ name, type, nullable, options, range }`
+ */
+export const createDatasetAttribute = (attribute) => ({
+    name: '',
+    type: DatasetAttributeTypes.STRING,
+    nullable: true,
+    options: [],
+    range: {},
+    ...attribute
+});
+
+const parseAttributeValue = (type, value) => NUMERIC_TYPES.includes(type) ? Number(value) : value;
+
+const isValidAttributeValue = (type, value) => {
+    if (type === DatasetAttributeTypes.INTEGER) {
+        return Number.isInteger(Number(value));
+    }
+    if (type === DatasetAttributeTypes.FLOAT) {
+        return !isNaN(Number(value));
+    }
+    return true;
+};
+
+/**
+ * Validate the schema of a new dataset
+ * @param {object} schema dataset schema `{ title, geometryType, crs, attributes }`
+ * @return {object[]} list of errors `{ id, index }` where index is the position of the invalid attribute, if any
+ */
+export const validateDatasetSchema = (schema = {}) => {
+    const attributes = schema.attributes || [];
+    const namesCount = countBy(attributes.map(({ name }) => (name || '').toLowerCase()));
+    const attributeErrors = attributes.reduce((acc, attribute, index) => {
+        const { name, type, options = [], range = {} } = attribute;
+        const lowerCaseName = (name || '').toLowerCase();
+        const errors = [
+            ...(!name ? ['missingAttributeName'] : []),
+            ...(name && !ATTRIBUTE_NAME_REGEX.test(name) ? ['invalidAttributeName'] : []),
+            ...(RESERVED_ATTRIBUTE_NAMES.includes(lowerCaseName) ? ['reservedAttributeName'] : []),
+            ...(name && namesCount[lowerCaseName] > 1 ? ['duplicatedAttributeName'] : []),
+            ...(!Object.values(DatasetAttributeTypes).includes(type) ? ['invalidAttributeType'] : []),
+            ...(supportsAttributeOptions(type) && getAttributeOptions(options).some((value) => !isValidAttributeValue(type, value)) ? ['invalidAttributeOptions'] : []),
+            ...(supportsAttributeRange(type) && (
+                [range.min, range.max].some((value) => !isEmptyValue(value) && !isValidAttributeValue(type, value))
+                || !isEmptyValue(range.min) && !isEmptyValue(range.max) && Number(range.min) > Number(range.max)
+            ) ? ['invalidAttributeRange'] : [])
+        ];
+        return [...acc, ...errors.map((id) => ({ id, index }))];
+    }, []);
+    return [
+        ...(!schema.title ? [{ id: 'missingTitle' }] : []),
+        ...(!DatasetGeometryTypes.includes(schema.geometryType) ? [{ id: 'invalidGeometryType' }] : []),
+        ...(!schema.crs ? [{ id: 'missingCrs' }] : []),
+        ...attributeErrors
+    ];
+};
+
+/**
+ * Convert the schema of a new dataset to the body of the create request
+ * @param {object} schema dataset schema `{ title, geometryType, crs, attributes }`
+ * @return {object} body of the request
+ */
+export const getCreateDatasetBody = (schema) => ({
+    action: 'create',
+    title: schema.title,
+    geom: schema.geometryType,
+    srid: schema.crs,
+    attributes: JSON.stringify((schema.attributes || []).reduce((acc, { name, type, nullable, options = [], range = {} }) => {
+        const allowedValues = getAttributeOptions(options);
+        const hasOptions = supportsAttributeOptions(type) && allowedValues.length > 0;
+        const hasRange = supportsAttributeRange(type) && (!isEmptyValue(range.min) || !isEmptyValue(range.max));
+        return {
+            ...acc,
+            [name]: {
+                type,
+                nullable: !!nullable,
+                ...((hasOptions || hasRange) && {
+                    restrictions: {
+                        ...(hasOptions && { options: allowedValues.map((value) => parseAttributeValue(type, value)) }),
+                        ...(hasRange && {
+                            range: {
+                                ...(!isEmptyValue(range.min) && { min: Number(range.min) }),
+                                ...(!isEmptyValue(range.max) && { max: Number(range.max) })
+                            }
+                        })
+                    }
+                })
+            }
+        };
+    }, {}))
+});
@@ -0,0 +1,329 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isArray from 'lodash/isArray';
+import isNil from 'lodash/isNil';
+import isObject from 'lodash/isObject';
+import isString from 'lodash/isString';
+import { zoomToExtent, CHANGE_MAP_VIEW } from '@mapstore/framework/actions/map';
+import { changeLayerProperties } from '@mapstore/framework/actions/layers';
+import { setCurrentTime } from '@mapstore/framework/actions/dimension';
+import { updateAdditionalLayer, removeAdditionalLayer } from '@mapstore/framework/actions/additionallayers';
+import { LOAD_FEATURE_INFO } from '@mapstore/framework/actions/mapInfo';
+import { scrollToContent, UPDATE_CURRENT_PAGE } from '@mapstore/framework/actions/geostory';
+
+/**
+* @module utils/EmbedBridgeUtils
+*/
+
+export const EMBED_BRIDGE_PROTOCOL = 'geonode-embed';
+export const EMBED_BRIDGE_VERSION = 1;
+export const EMBED_BRIDGE_HIGHLIGHT_LAYER_ID = 'gn-embed-bridge-highlight';
+
+export const EmbedBridgeMessageTypes = {
+    CONNECT: 'connect',
+    COMMAND: 'command',
+    RESPONSE: 'response',
+    EVENT: 'event'
+};
+
+export const EmbedBridgeCommands = {
+    ZOOM_TO_EXTENT: 'zoomToExtent',
+    TOGGLE_LAYER: 'toggleLayer',
+    SET_TIME: 'setTime',
+    HIGHLIGHT_FEATURE: 'highlightFeature',
+    GO_TO_SECTION: 'goToSection'
+};
+
+export const EmbedBridgeEvents = {
+    READY: 'ready',
+    MAP_MOVED: 'mapMoved',
+    FEATURE_CLICKED: 'featureClicked',
+    SECTION_CHANGED: 'sectionChanged'
+};
+
+const HIGHLIGHT_STYLE = {
+    color: '#f2f200',
+    weight: 3,
+    opacity: 1,
+    fillColor: '#f2f200',
+    fillOpacity: 0.3,
+    radius: 8
+};
+
+/**
+ * Check if an origin is included in the list of the allowed origins,
+ * an entry could be `*` to allow all the origins or contain a wildcard for the subdomains, eg: `https://*.example.com`
+ * @param {string} origin origin of the message
+ * @param {string[]} allowedOrigins list of the allowed origins
+ * @return {boolean} true if the origin is allowed
+ */
+export const isAllowedOrigin = (origin, allowedOrigins = []) => {
+    if (!origin || origin === 'null') {
+        return false;
+    }
+    return allowedOrigins.some((allowedOrigin) => {
+        if (allowedOrigin === '*' || allowedOrigin === origin) {
+            return true;
+        }
+        if (allowedOrigin.includes('*.')) {
+            const [protocol, domain] = allowedOrigin.split('*.');
+            return origin.indexOf(protocol) === 0 && origin.slice(protocol.length).endsWith(`.${domain}`);
+        }
+        return false;
+    });
+};
+
+/**
+ * Create a message of the embed bridge protocol
+ * @param {string} type one of `EmbedBridgeMessageTypes` values
+ * @param {object} properties additional properties of the message
+ * @return {object} message
+ */
+export const createBridgeMessage = (type, properties = {}) => ({
+    ...properties,
+    protocol: EMBED_BRIDGE_PROTOCOL,
+    version: EMBED_BRIDGE_VERSION,
+    type
+});
+
+/**
+ * Validate a message received by the embed bridge
+ * @param {object} data data of the message event
+ * @return {object} the message or null if it does not belong to the protocol
+ */
+export const parseBridgeMessage = (data) => {
+    if (!isObject(data) || data.protocol !== EMBED_BRIDGE_PROTOCOL || !isString(data.type)) {
+        return null;
+    }
+    return data;
+};
+
+const getCoordinates = (geometry) => {
+    if (!geometry) {
+        return [];
+    }
+    if (geometry.type === 'GeometryCollection') {
+        return (geometry.geometries || []).reduce((acc, entry) => [...acc, ...getCoordinates(entry)], []);
+    }
+    const flatten = (coordinates) => isArray(coordinates?.[0])
+        ? coordinates.reduce((acc, entry) => [...acc, ...flatten(entry)], [])
+        : [coordinates];
+    return flatten(geometry.coordinates || []);
+};
+
+/**
+ * Get the extent of a GeoJSON feature
+ * @param {object} feature GeoJSON feature
+ * @return {number[]} extent `[minx, miny, maxx, maxy]` or null if the feature has no coordinates
+ */
+export const getFeatureExtent = (feature) => {
+    const coordinates = getCoordinates(feature?.geometry).filter((coords) => coords.length >= 2);
+    if (!coordinates.length) {
+        return null;
+    }
+    const xs = coordinates.map(([x]) => x);
+    const ys = coordinates.map(([, y]) => y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+const isValidExtent = (extent) => isArray(extent) && extent.length === 4 && extent.every((value) => !isNaN(parseFloat(value)));
+
+const commandToActions = {
+    [EmbedBridgeCommands.ZOOM_TO_EXTENT]: ({ extent, crs = 'EPSG:4326', maxZoom }) => {
+        if (!isValidExtent(extent)) {
+            throw new Error('extent must be an array of four numbers');
+        }
+        return [zoomToExtent(extent.map(parseFloat), crs, maxZoom)];
+    },
+    [EmbedBridgeCommands.TOGGLE_LAYER]: ({ layerId, layerName, visible }, state) => {
+        const layer = (state?.layers?.flat || [])
+            .find(({ id, name }) => layerId ? id === layerId : name === layerName);
+        if (!layer) {
+            throw new Error('layer not found');
+        }
+        return [changeLayerProperties(layer.id, { visibility: isNil(visible) ? !layer.visibility : !!visible })];
+    },
+    [EmbedBridgeCommands.SET_TIME]: ({ time }) => {
+        if (!time || isNaN(new Date(time).getTime())) {
+            throw new Error('time must be a valid ISO 8601 date');
+        }
+        return [setCurrentTime(new Date(time).toISOString())];
+    },
+    [EmbedBridgeCommands.HIGHLIGHT_FEATURE]: ({ feature, zoom }) => {
+        if (!feature) {
+            return [removeAdditionalLayer({ id: EMBED_BRIDGE_HIGHLIGHT_LAYER_ID })];
+        }
+        const extent = getFeatureExtent(feature);
+        if (!extent) {
+            throw new Error('feature must be a GeoJSON feature with a geometry');
+        }
+        return [
+            updateAdditionalLayer(EMBED_BRIDGE_HIGHLIGHT_LAYER_ID, EMBED_BRIDGE_PROTOCOL, 'overlay', {
+                id: EMBED_BRIDGE_HIGHLIGHT_LAYER_ID,
+                type: 'vector',
+                name: EMBED_BRIDGE_HIGHLIGHT_LAYER_ID,
+                visibility: true,
+                features: [{ type: 'Feature', properties: {}, ...feature }],
+                style: HIGHLIGHT_STYLE
+            }),
+            ...(zoom ? [zoomToExtent(extent, 'EPSG:4326')] : [])
+        ];
+    },
+    [EmbedBridgeCommands.GO_TO_SECTION]: ({ sectionId }) => {
+        if (!sectionId) {
+            throw new Error('sectionId is required');
+        }
+        return [scrollToContent(sectionId, { block: 'start', behavior: 'smooth' })];
+    }
+};
+
+/**
+ * Get the actions to dispatch for a command of the embed bridge,
+ * all the coordinates of the commands are expressed in EPSG:4326 if not specified differently
+ * @param {string} command one of `EmbedBridgeCommands` values
+ * @param {object} payload parameters of the command
+ * @param {object} state current state of the application
+ * @return {object[]} list of actions
+ * @throws {Error} when the command is not supported or the payload is not valid
+ */
+export const getCommandActions = (command, payload, state) => {
+    const toActions = commandToActions[command];
+    if (!toActions) {
+        throw new Error(`unsupported command ${command}`);
+    }
+    return toActions(payload || {}, state);
+};
+
+const actionToEvent = {
+    [CHANGE_MAP_VIEW]: ({ center, zoom, bbox, projection }) => ({
+        event: EmbedBridgeEvents.MAP_MOVED,
+        payload: { center, zoom, bbox, projection }
+    }),
+    [LOAD_FEATURE_INFO]: ({ data, layer }) => data?.features?.length
+        ? {
+            event: EmbedBridgeEvents.FEATURE_CLICKED,
+            payload: { layerId: layer?.id, layerName: layer?.name, features: data.features }
+        }
+        : null,
+    [UPDATE_CURRENT_PAGE]: ({ sectionId }) => sectionId
+        ? {
+            event: EmbedBridgeEvents.SECTION_CHANGED,
+            payload: { sectionId }
+        }
+        : null
+};
+
+/**
+ * Get the embed bridge event related to an action
+ * @param {object} action dispatched action
+ * @return {object} `{ event, payload }` or null if the action has no related event
+ */
+export const getActionEvent = (action) => {
+    const toEvent = actionToEvent[action?.type];
+    return toEvent ? toEvent(action) : null;
+};
+
+/**
+ * Listen to the commands sent with `postMessage` by the page embedding the viewer and notify it about the viewer events.
+ * The embedding page receives the events only after sending a `connect` message or when its origin is the referrer of the viewer page.
+ * See `static/mapstore/embed/gn-embed-client.js` for a client implementation.
+ * @param {object} store redux store of the application
+ * @param {object} options
+ * @param {string[]} options.allowedOrigins list of origins allowed to communicate with the viewer
+ * @param {object} options.target the embedding window, default `window.parent`
+ * @param {object} options.source the viewer window, default `window`
+ * @param {string} options.referrer referrer of the viewer page, default `document.referrer`
+ * @return {function} function to remove the listeners
+ */
+export const setupEmbedBridge = (store, {
+    allowedOrigins = [],
+    target = window.parent,
+    source = window,
+    referrer = document.referrer
+} = {}) => {
+    if (!target || target === source || !allowedOrigins?.length) {
+        return () => {};
+    }
+    let connectedOrigins = [];
+    let enabled = true;
+
+    const connect = (origin) => {
+        if (!connectedOrigins.includes(origin)) {
+            connectedOrigins = [...connectedOrigins, origin];
+        }
+        target.postMessage(createBridgeMessage(EmbedBridgeMessageTypes.EVENT, {
+            event: EmbedBridgeEvents.READY,
+            payload: {
+                commands: Object.values(EmbedBridgeCommands),
+                events: Object.values(EmbedBridgeEvents)
+            }
+        }), origin);
+    };
+
+    const handleMessage = (event) => {
+        if (event.source !== target || !isAllowedOrigin(event.origin, allowedOrigins)) {
+            return;
+        }
+        const message = parseBridgeMessage(event.data);
+        if (!message) {
+            return;
+        }
+        if (message.type === EmbedBridgeMessageTypes.CONNECT) {
+            connect(event.origin);
+            return;
+        }
+        if (message.type !== EmbedBridgeMessageTypes.COMMAND) {
+            return;
+        }
+        const respond = (properties) => target.postMessage(createBridgeMessage(EmbedBridgeMessageTypes.RESPONSE, {
+            id: message.id,
+            command: message.command,
+            ...properties
+        }), event.origin);
+        if (message.version !== EMBED_BRIDGE_VERSION) {
+            respond({ success: false, error: `unsupported version ${message.version}` });
+            return;
+        }
+        try {
+            getCommandActions(message.command, message.payload, store.getState())
+                .forEach((action) => store.dispatch(action));
+            respond({ success: true });
+        } catch (e) {
+            respond({ success: false, error: e.message });
+        }
+    };
+
+    source.addEventListener('message', handleMessage);
+    store.addActionListener((action) => {
+        // the action is wrapped when the redux dev tools are enabled
+        const act = action.type === 'PERFORM_ACTION' && action.action || action;
+        const bridgeEvent = enabled && connectedOrigins.length && getActionEvent(act);
+        if (bridgeEvent) {
+            const message = createBridgeMessage(EmbedBridgeMessageTypes.EVENT, bridgeEvent);
+            connectedOrigins.forEach((origin) => target.postMessage(message, origin));
+        }
+    });
+
+    // notify the embedding page when it is known from the referrer
+    let referrerOrigin;
+    try {
+        referrerOrigin = referrer ? new URL(referrer).origin : null;
+    } catch (e) {
+        referrerOrigin = null;
+    }
+    if (isAllowedOrigin(referrerOrigin, allowedOrigins)) {
+        connect(referrerOrigin);
+    }
+
+    return () => {
+        enabled = false;
+        connectedOrigins = [];
+        source.removeEventListener('message', handleMessage);
+    };
+};
@@ -0,0 +1,202 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+import isEmpty from 'lodash/isEmpty';
+
+/**
+* @module utils/EmbedUtils
+*/
+
+export const EmbedSizeModes = {
+    FIXED: 'fixed',
+    RESPONSIVE: 'responsive'
+};
+
+export const EmbedColorSchemes = {
+    LIGHT: 'light',
+    DARK: 'dark'
+};
+
+export const DEFAULT_EMBED_OPTIONS = {
+    sizeMode: EmbedSizeModes.FIXED,
+    width: 560,
+    height: 315,
+    aspectRatio: '16:9',
+    allowFullscreen: false,
+    colorScheme: EmbedColorSchemes.LIGHT,
+    hiddenComponents: []
+};
+
+export const EMBED_ASPECT_RATIOS = ['16:9', '4:3', '1:1'];
+
+// ui components that can be hidden in the embed viewer by resource type,
+// each component lists the names of the plugins removed from the embed configuration
+const MAP_EMBED_COMPONENTS = [
+    { id: 'identify', plugins: ['Identify'] },
+    { id: 'zoom', plugins: ['ZoomIn', 'ZoomOut', 'ZoomAll'] },
+    { id: 'toc', plugins: ['TOC', 'DrawerMenu'] },
+    { id: 'timeline', plugins: ['Timeline', 'Playback'] },
+    { id: 'footer', plugins: ['MapFooter'] }
+];
+
+export const EMBED_HIDDEN_COMPONENTS = {
+    map: MAP_EMBED_COMPONENTS,
+    dataset: MAP_EMBED_COMPONENTS,
+    geostory: [
+        { id: 'navigation', plugins: ['GeoStoryNavigation'] }
+    ],
+    dashboard: []
+};
+
+const COLOR_SCHEME_CLASS_PREFIX = 'gn-embed-color-scheme-';
+
+const toList = (value) => isNil(value) || value === ''
+    ? []
+    : `${value}`.split(',').map((entry) => entry.trim()).filter((entry) => entry);
+
+const round = (value, decimals) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Get the url parameters of the embed viewer from the builder options
+ * @param {object} options embed builder options
+ * @param {boolean} options.allowFullscreen add the fullscreen button
+ * @param {string} options.colorScheme one of `EmbedColorSchemes` values
+ * @param {string[]} options.hiddenComponents identifiers of hidden components, see `EMBED_HIDDEN_COMPONENTS`
+ * @param {object} options.center initial center of the map `{ x, y }` in EPSG:4326
+ * @param {number} options.zoom initial zoom of the map
+ * @param {string[]} options.layers identifiers of the visible layers of the map
+ * @param {string} options.section identifier of the initial section of the geostory
+ * @param {string} resourceType type of the embedded resource
+ * @return {object} url parameters
+ */
+export const getEmbedParams = (options = {}, resourceType) => {
+    const hide = (EMBED_HIDDEN_COMPONENTS[resourceType] || [])
+        .filter(({ id }) => (options.hiddenComponents || []).includes(id))
+        .reduce((acc, { plugins }) => [...acc, ...plugins], []);
+    return {
+        ...(options.allowFullscreen && { allowFullscreen: 'true' }),
+        ...(options.colorScheme && options.colorScheme !== EmbedColorSchemes.LIGHT && { colorScheme: options.colorScheme }),
+        ...(hide.length && { hide: hide.join(',') }),
+        ...(options.center && { center: `${round(options.center.x, 6)},${round(options.center.y, 6)}` }),
+        ...(!isNil(options.zoom) && { zoom: `${round(options.zoom, 2)}` }),
+        ...(options.layers && { layers: options.layers.join(',') }),
+        ...(options.section && { section: options.section })
+    };
+};
+
+/**
+ * Append the embed parameters to the embed url of a resource
+ * @param {string} embedUrl embed url of the resource
+ * @param {object} params url parameters, see `getEmbedParams`
+ * @return {string} embed url with parameters
+ */
+export const getEmbedUrlWithParams = (embedUrl, params = {}) => {
+    if (!embedUrl || isEmpty(params)) {
+        return embedUrl;
+    }
+    const [path, hash] = embedUrl.split('#');
+    const query = Object.keys(params)
+        .map((key) => `${key}=${encodeURIComponent(params[key])}`)
+        .join('&');
+    return `${path}${path.includes('?') ? '&' : '?'}${query}${hash !== undefined ? `#${hash}` : ''}`;
+};
+
+/**
+ * Create the html snippet to embed a resource
+ * @param {string} src url of the iframe
+ * @param {object} options embed builder options `{ sizeMode, width, height, aspectRatio, allowFullscreen }`
+ * @return {string} html snippet
+ */
+export const getEmbedSnippet = (src, options = {}) => {
+    const iframeAttributes = (style) => [
+        '<iframe',
+        options.allowFullscreen ? 'allow="fullscreen"' : '',
+        style,
+        `src="${src}"`,
+        'frameborder="0"',
+        '></iframe>'
+    ].filter(value => value).join(' ');
+    if (options.sizeMode === EmbedSizeModes.RESPONSIVE) {
+        const [ratioWidth, ratioHeight] = (options.aspectRatio || DEFAULT_EMBED_OPTIONS.aspectRatio).split(':').map(Number);
+        const padding = round(ratioHeight / ratioWidth * 100, 4);
+        return `<div style="position:relative;width:100%;height:0;padding-bottom:${padding}%;">${
+            iframeAttributes('style="position:absolute;top:0;left:0;width:100%;height:100%;"')
+        }</div>`;
+    }
+    return iframeAttributes(`width="${options.width || DEFAULT_EMBED_OPTIONS.width}" height="${options.height || DEFAULT_EMBED_OPTIONS.height}"`);
+};
+
+/**
+ * Parse the embed parameters from the query of the embed page
+ * @param {object} query parsed query of the page url
+ * @return {object} embed parameters `{ hide, colorScheme, center, zoom, layers, section }`, only valid values are included
+ */
+export const parseEmbedQuery = (query = {}) => {
+    const [x, y] = toList(query.center).map(Number);
+    const zoom = Number(query.zoom);
+    const hide = toList(query.hide);
+    const layers = isNil(query.layers) ? null : toList(query.layers);
+    return {
+        ...(hide.length && { hide }),
+        ...(Object.values(EmbedColorSchemes).includes(query.colorScheme) && { colorScheme: query.colorScheme }),
+        ...(isFinite(x) && isFinite(y) && !isNil(query.center) && { center: { x, y, crs: 'EPSG:4326' } }),
+        ...(query.zoom !== undefined && query.zoom !== '' && isFinite(zoom) && { zoom }),
+        ...(layers && { layers }),
+        ...(query.section && { section: query.section })
+    };
+};
+
+/**
+ * Get the class name to apply to the page for a color scheme
+ * @param {string} colorScheme one of `EmbedColorSchemes` values
+ * @return {string} class name or null for the default color scheme
+ */
+export const getEmbedColorSchemeClassName = (colorScheme) => colorScheme && colorScheme !== EmbedColorSchemes.LIGHT
+    ? `${COLOR_SCHEME_CLASS_PREFIX}${colorScheme}`
+    : null;
+
+/**
+ * Remove the plugins hidden by the embed parameters from a plugins configuration
+ * @param {object[]} pluginsConfig list of plugins configuration
+ * @param {string[]} hide names of plugins to remove
+ * @return {object[]} filtered list of plugins configuration
+ */
+export const removeHiddenPlugins = (pluginsConfig, hide = []) => hide.length
+    ? pluginsConfig.filter((plugin) => !hide.includes(plugin?.name ?? plugin))
+    : pluginsConfig;
+
+/**
+ * Apply the embed parameters to a map configuration: the initial view and the visibility of the layers.
+ * Background layers are never changed
+ * @param {object} mapConfig map configuration
+ * @param {object} embedParams parsed embed parameters, see `parseEmbedQuery`
+ * @return {object} updated map configuration
+ */
+export const applyEmbedMapParams = (mapConfig, embedParams = {}) => {
+    const { center, zoom, layers } = embedParams;
+    if (!mapConfig?.map || (!center && isNil(zoom) && !layers)) {
+        return mapConfig;
+    }
+    return {
+        ...mapConfig,
+        map: {
+            ...mapConfig.map,
+            ...(center && { center }),
+            ...(!isNil(zoom) && { zoom }),
+            ...(layers && {
+                layers: (mapConfig.map.layers || []).map((layer) => layer.group === 'background'
+                    ? layer
+                    : { ...layer, visibility: layers.includes(layer.id) })
+            })
+        }
+    };
+};
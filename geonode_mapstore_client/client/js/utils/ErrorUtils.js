@@ -24,3 +24,49 @@ export const getUploadErrorMessageFromCode = (code, log) => {
         return 'invalidUploadMessageErrorTooltip';
     }
 };
+
+const ERROR_DETAIL_REGEX = /ErrorDetail\(string=(['"])([\s\S]*?)\1,\s*code=(['"])([\s\S]*?)\3\)/g;
+
+const toLogEntries = (value, key) => {
+    if (value === null || value === undefined || value === '') {
+        return [];
+    }
+    if (Array.isArray(value)) {
+        return value.reduce((acc, entry) => [...acc, ...toLogEntries(entry, key)], []);
+    }
+    if (typeof value === 'object') {
+        if (value.message || value.string) {
+            return [{ message: `${value.message || value.string}`, ...(value.code && { code: value.code }), ...(key && { field: key }) }];
+        }
+        return Object.keys(value).reduce((acc, entryKey) => [...acc, ...toLogEntries(value[entryKey], entryKey)], []);
+    }
+    return [{ message: `${value}`, ...(key && { field: key }) }];
+};
+
+/**
+ * Parse the log of an execution request in a list of entries.
+ * The log could be a JSON, a serialized list of validation errors (ErrorDetail) or plain text
+ * @param {string|object} log log of the execution request
+ * @return {object[]} list of entries `{ message, code, field }`
+ */
+export const parseExecutionRequestLog = (log) => {
+    if (!log) {
+        return [];
+    }
+    if (typeof log !== 'string') {
+        return toLogEntries(log);
+    }
+    try {
+        return toLogEntries(JSON.parse(log));
+    } catch (e) {
+        const details = [...log.matchAll(ERROR_DETAIL_REGEX)]
+            .map((match) => ({ message: match[2], code: match[4] }));
+        if (details.length) {
+            return details;
+        }
+        return log.split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line)
+            .map((message) => ({ message }));
+    }
+};
@@ -1,6 +1,8 @@
 import axios from '@mapstore/framework/libs/ajax';
 import isEmpty from "lodash/isEmpty";
 import trim from 'lodash/trim';
+import JSZip from 'jszip';
+import shp from 'shpjs';
 /**
 * @module utils/FileUtils
 */
@@ -133,3 +135,40 @@ export const parseCSVToArray = (response) => {
     const delimiter = detectCSVDelimiter(response);
     return response?.split('\n')?.map(row => row?.split(delimiter)) ?? [];
 };
+
+/**
+ * Read the content of a file in the browser
+ * @param {File|Blob} file file to read
+ * @param {string} method method of the FileReader, `readAsText` (default) or `readAsArrayBuffer`
+ * @param {number} size number of bytes to read from the beginning of the file, the whole file is read when missing
+ * @return {promise} content of the file
+ */
+export const readFile = (file, method = 'readAsText', size) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](size ? file.slice(0, size) : file);
+});
+
+/**
+ * Read the features of a zipped shapefile.
+ * shpjs reprojects the features to EPSG:4326 when the .prj file is available
+ * @param {File} file zip archive
+ * @return {promise} a feature collection or a list of feature collections when the archive contains multiple shapefiles
+ */
+export const readShapefileArchive = (file) => readFile(file, 'readAsArrayBuffer').then((buffer) => shp(buffer));
+
+/**
+ * Create a zip archive from a list of files, duplicated names get a numeric suffix
+ * @param {object[]} files list of `{ name, blob }`
+ * @return {promise} blob of the zip archive
+ */
+export const createZipArchive = (files = []) => {
+    const zip = new JSZip();
+    files.reduce((names, { name, blob }) => {
+        const count = names[name] || 0;
+        zip.file(count ? `${name}_${count}` : name, blob);
+        return { ...names, [name]: count + 1 };
+    }, {});
+    return zip.generateAsync({ type: 'blob' });
+};
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isString from 'lodash/isString';
+import isNumber from 'lodash/isNumber';
+import { isWGS84 } from '@js/utils/UploadValidationUtils';
+
+/**
+* @module utils/GeoLimitsUtils
+*/
+
+export const GeoLimitsFileFormats = {
+    GEOJSON: 'geojson',
+    KML: 'kml',
+    SHAPEFILE: 'shapefile',
+    WKT: 'wkt'
+};
+
+const FILE_EXTENSIONS = {
+    json: GeoLimitsFileFormats.GEOJSON,
+    geojson: GeoLimitsFileFormats.GEOJSON,
+    kml: GeoLimitsFileFormats.KML,
+    zip: GeoLimitsFileFormats.SHAPEFILE,
+    wkt: GeoLimitsFileFormats.WKT,
+    txt: GeoLimitsFileFormats.WKT
+};
+
+// accepted file extensions of the geo limits import input
+export const GEO_LIMITS_FILE_ACCEPT = Object.keys(FILE_EXTENSIONS).map((ext) => `.${ext}`).join(',');
+
+/**
+ * Detect the format of a geo limits file from its name
+ * @param {string} fileName name of the file
+ * @return {string} one of the `GeoLimitsFileFormats` values or null if not supported
+ */
+export const getGeoLimitsFileFormat = (fileName = '') => {
+    const ext = fileName.split('.').pop().toLowerCase();
+    return fileName.includes('.') ? FILE_EXTENSIONS[ext] || null : null;
+};
+
+/**
+ * Extract the coordinates of all the polygons of a GeoJSON object, multi polygons are split in single polygons
+ * and the other geometry types are ignored because geo limits support only polygonal areas
+ * @param {object|object[]} geojson a GeoJSON FeatureCollection, Feature, Geometry or a list of them
+ * @return {array[]} list of polygon coordinates
+ */
+export const getPolygonsCoordinates = (geojson) => {
+    if (!geojson) {
+        return [];
+    }
+    if (Array.isArray(geojson)) {
+        return geojson.reduce((acc, entry) => [...acc, ...getPolygonsCoordinates(entry)], []);
+    }
+    switch (geojson.type) {
+    case 'FeatureCollection':
+        return getPolygonsCoordinates(geojson.features);
+    case 'Feature':
+        return getPolygonsCoordinates(geojson.geometry);
+    case 'GeometryCollection':
+        return getPolygonsCoordinates(geojson.geometries);
+    case 'Polygon':
+        return [geojson.coordinates];
+    case 'MultiPolygon':
+        return geojson.coordinates;
+    default:
+        return [];
+    }
+};
+
+/**
+ * Get the projection declared by the legacy `crs` member of a GeoJSON object when it is not WGS84
+ * @param {object} geojson GeoJSON object
+ * @return {string} projection code in the `EPSG:code` form when possible, null for missing or WGS84 crs
+ */
+export const getGeoJSONProjection = (geojson) => {
+    const name = geojson?.crs?.properties?.name;
+    if (!name || isWGS84(name)) {
+        return null;
+    }
+    const [, code] = `${name}`.match(/EPSG:+(?:[\d.]*:)?(\d+)$/i) || [];
+    return code ? `EPSG:${code}` : name;
+};
+
+/**
+ * Get the total number of features matched by a WFS GetFeature request
+ * @param {object} collection GeoJSON FeatureCollection returned by the WFS service
+ * @return {number} `numberMatched` or `totalFeatures` of the response, undefined if not available
+ */
+export const getFeatureCollectionTotal = (collection) => {
+    const total = collection?.numberMatched ?? collection?.totalFeatures;
+    return isNumber(total) ? total : undefined;
+};
+
+/**
+ * Get a readable label for a feature using the first string property
+ * @param {object} feature GeoJSON feature
+ * @return {string} label of the feature
+ */
+export const getFeatureLabel = (feature) => {
+    const value = Object.values(feature?.properties || {}).find((property) => isString(property) && property);
+    return value || `${feature?.id ?? ''}`;
+};
+
+/**
+ * Convert the geo limits features in a GeoJSON FeatureCollection to export
+ * @param {object[]} features geo limits features
+ * @return {object} GeoJSON FeatureCollection
+ */
+export const geoLimitsToFeatureCollection = (features = []) => ({
+    type: 'FeatureCollection',
+    features: getPolygonsCoordinates(features).map((coordinates) => ({
+        type: 'Feature',
+        properties: {},
+        geometry: {
+            type: 'Polygon',
+            coordinates
+        }
+    }))
+});
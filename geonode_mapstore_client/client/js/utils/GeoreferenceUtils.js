@@ -0,0 +1,139 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isEmpty from 'lodash/isEmpty';
+import { imageExtensions } from '@js/utils/FileUtils';
+
+/**
+* @module utils/GeoreferenceUtils
+*/
+
+export const MIN_CONTROL_POINTS = 3;
+
+/**
+ * Check if a resource is an image document
+ * @param {object} resource resource object
+ * @return {boolean} true if the resource is an image document
+ */
+export const isImageDocument = (resource) =>
+    resource?.resource_type === 'document'
+    && (resource?.subtype === 'image' || imageExtensions.includes(`${resource?.extension}`.toLowerCase()));
+
+/**
+ * Get the control points with both the image and the map coordinates
+ * @param {object[]} controlPoints list of `{ pixel: [x, y], coords: [lon, lat] }`
+ * @return {object[]} complete control points
+ */
+export const getCompleteControlPoints = (controlPoints = []) =>
+    controlPoints.filter(({ pixel, coords }) => !isEmpty(pixel) && !isEmpty(coords));
+
+// least squares fit of `value = scale * coordinate + offset`
+const fitScaleAndOffset = (pairs) => {
+    const count = pairs.length;
+    const { sumX, sumY, sumXX, sumXY } = pairs.reduce((acc, [x, y]) => ({
+        sumX: acc.sumX + x,
+        sumY: acc.sumY + y,
+        sumXX: acc.sumXX + x * x,
+        sumXY: acc.sumXY + x * y
+    }), { sumX: 0, sumY: 0, sumXX: 0, sumXY: 0 });
+    const det = count * sumXX - sumX * sumX;
+    if (Math.abs(det) < 1e-12) {
+        return null;
+    }
+    const scale = (count * sumXY - sumX * sumY) / det;
+    return [scale, (sumY - scale * sumX) / count];
+};
+
+/**
+ * Compute the transform from image pixels to map coordinates with the least squares method.
+ * The transform is limited to scale and translation, without rotation and shear,
+ * because the image overlays are stretched over their bbox
+ * @param {object[]} controlPoints list of `{ pixel: [x, y], coords: [lon, lat] }`
+ * @return {number[]} affine transform `[a, 0, c, 0, e, f]` where `lon = a * x + c` and `lat = e * y + f`,
+ * null if there are not enough control points or if they share the same image column or row
+ */
+export const getAffineTransform = (controlPoints = []) => {
+    const points = getCompleteControlPoints(controlPoints);
+    if (points.length < MIN_CONTROL_POINTS) {
+        return null;
+    }
+    const lonParams = fitScaleAndOffset(points.map(({ pixel: [x], coords: [lon] }) => [x, lon]));
+    const latParams = fitScaleAndOffset(points.map(({ pixel: [, y], coords: [, lat] }) => [y, lat]));
+    return lonParams && latParams ? [lonParams[0], 0, lonParams[1], 0, latParams[0], latParams[1]] : null;
+};
+
+/**
+ * Apply an affine transform to image pixel coordinates
+ * @param {number[]} transform affine transform `[a, b, c, d, e, f]`
+ * @param {number[]} pixel image coordinates `[x, y]`
+ * @return {number[]} map coordinates `[lon, lat]`
+ */
+export const applyAffineTransform = ([a, b, c, d, e, f], [x, y]) => [
+    a * x + b * y + c,
+    d * x + e * y + f
+];
+
+/**
+ * Get the root mean square error of the control points for an affine transform
+ * @param {number[]} transform affine transform `[a, b, c, d, e, f]`
+ * @param {object[]} controlPoints list of `{ pixel: [x, y], coords: [lon, lat] }`
+ * @return {number} error in map units
+ */
+export const getTransformError = (transform, controlPoints = []) => {
+    const points = getCompleteControlPoints(controlPoints);
+    if (!transform || !points.length) {
+        return null;
+    }
+    const squaredErrors = points.map(({ pixel, coords }) => {
+        const [lon, lat] = applyAffineTransform(transform, pixel);
+        return Math.pow(lon - coords[0], 2) + Math.pow(lat - coords[1], 2);
+    });
+    return Math.sqrt(squaredErrors.reduce((sum, value) => sum + value, 0) / points.length);
+};
+
+/**
+ * Get the extent covered by an image with an affine transform
+ * @param {number[]} transform affine transform `[a, b, c, d, e, f]`
+ * @param {number} width image width in pixels
+ * @param {number} height image height in pixels
+ * @return {number[]} extent `[minx, miny, maxx, maxy]`
+ */
+export const getImageExtent = (transform, width, height) => {
+    const corners = [[0, 0], [width, 0], [width, height], [0, height]]
+        .map((pixel) => applyAffineTransform(transform, pixel));
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+/**
+ * Get the payload to save the georeference of an image document
+ * @param {object} options
+ * @param {number[]} options.transform affine transform `[a, b, c, d, e, f]`
+ * @param {object[]} options.controlPoints list of `{ pixel: [x, y], coords: [lon, lat] }`
+ * @param {number} options.width image width in pixels
+ * @param {number} options.height image height in pixels
+ * @param {object} options.data current data of the document
+ * @return {object} body of the document update request
+ */
+export const getGeoreferencePayload = ({ transform, controlPoints, width, height, data }) => ({
+    extent: {
+        coords: getImageExtent(transform, width, height),
+        srid: 'EPSG:4326'
+    },
+    data: {
+        ...data,
+        georeference: {
+            crs: 'EPSG:4326',
+            transform,
+            width,
+            height,
+            controlPoints: getCompleteControlPoints(controlPoints)
+        }
+    }
+});
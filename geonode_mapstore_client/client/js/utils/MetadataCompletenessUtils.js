@@ -0,0 +1,218 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import get from 'lodash/get';
+import has from 'lodash/has';
+import isArray from 'lodash/isArray';
+import isNil from 'lodash/isNil';
+import isObject from 'lodash/isObject';
+import isString from 'lodash/isString';
+import castArray from 'lodash/castArray';
+import { getConfigProp } from '@mapstore/framework/utils/ConfigUtils';
+
+/**
+* @module utils/MetadataCompletenessUtils
+*/
+
+export const CompletenessRuleTypes = {
+    EXISTS: 'exists',
+    MIN_LENGTH: 'minLength',
+    MIN_ITEMS: 'minItems'
+};
+
+/**
+ * Default rules used to compute the metadata completeness score.
+ * Each rule has the following properties:
+ * - `id` identifier of the rule
+ * - `labelId` or `label` description of the rule, the `value` is passed as message parameter
+ * - `weight` weight of the rule in the score, default 1
+ * - `type` one of `CompletenessRuleTypes` values
+ * - `value` minimum length or number of items for the `minLength` and `minItems` types
+ * - `field` property (or list of properties) of the metadata editor form
+ * - `resourcePath` path (or list of paths) of the resource returned by the catalog api
+ * When a list of properties is provided the rule is satisfied if at least one of them is valid.
+ * The same rules are used by the server to sort and filter the catalog (see `geonode_mapstore_client/filters.py`)
+ */
+export const DEFAULT_COMPLETENESS_RULES = [
+    {
+        id: 'title',
+        labelId: 'gnviewer.completeness.rules.title',
+        weight: 1,
+        type: CompletenessRuleTypes.MIN_LENGTH,
+        value: 10,
+        field: 'title',
+        resourcePath: 'title'
+    },
+    {
+        id: 'abstract',
+        labelId: 'gnviewer.completeness.rules.abstract',
+        weight: 3,
+        type: CompletenessRuleTypes.MIN_LENGTH,
+        value: 100,
+        field: 'abstract',
+        resourcePath: 'raw_abstract'
+    },
+    {
+        id: 'keywords',
+        labelId: 'gnviewer.completeness.rules.keywords',
+        weight: 2,
+        type: CompletenessRuleTypes.MIN_ITEMS,
+        value: 3,
+        field: ['hkeywords', 'keywords'],
+        resourcePath: 'keywords'
+    },
+    {
+        id: 'category',
+        labelId: 'gnviewer.completeness.rules.category',
+        weight: 1,
+        type: CompletenessRuleTypes.EXISTS,
+        field: 'category',
+        resourcePath: 'category'
+    },
+    {
+        id: 'license',
+        labelId: 'gnviewer.completeness.rules.license',
+        weight: 1,
+        type: CompletenessRuleTypes.EXISTS,
+        field: 'license',
+        resourcePath: 'license'
+    },
+    {
+        id: 'temporalExtent',
+        labelId: 'gnviewer.completeness.rules.temporalExtent',
+        weight: 1,
+        type: CompletenessRuleTypes.EXISTS,
+        field: ['temporal_extent_start', 'temporal_extent_end'],
+        resourcePath: ['temporal_extent_start', 'temporal_extent_end']
+    }
+];
+
+/**
+ * Get the completeness rules from the `metadataCompletenessRules` property of localConfig,
+ * populated with the `MAPSTORE_METADATA_COMPLETENESS_RULES` setting
+ * @return {object[]} list of rules, `DEFAULT_COMPLETENESS_RULES` if not configured
+ */
+export const getMetadataCompletenessRules = () =>
+    getConfigProp('metadataCompletenessRules') || DEFAULT_COMPLETENESS_RULES;
+
+const stripHTML = (value) => `${value}`.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').trim();
+
+const hasValue = (value) => {
+    if (isNil(value) || value === '') {
+        return false;
+    }
+    if (isArray(value)) {
+        return value.length > 0;
+    }
+    if (isObject(value)) {
+        // entries of thesauri and code lists, eg: { id, label }
+        return 'id' in value ? hasValue(value.id) : Object.keys(value).length > 0;
+    }
+    return !isString(value) || stripHTML(value).length > 0;
+};
+
+const isValidValue = (value, { type, value: ruleValue = 0 }) => {
+    switch (type) {
+    case CompletenessRuleTypes.MIN_LENGTH:
+        return isString(value) && stripHTML(value).length >= ruleValue;
+    case CompletenessRuleTypes.MIN_ITEMS:
+        return isArray(value) && value.filter(hasValue).length >= ruleValue;
+    default:
+        return hasValue(value);
+    }
+};
+
+/**
+ * Check if a rule is satisfied by the data
+ * @param {object} data metadata or resource
+ * @param {object} rule completeness rule
+ * @param {string} pathKey property of the rule containing the paths to check, `field` or `resourcePath`
+ * @return {boolean} true if the rule is satisfied
+ */
+export const isCompletenessRuleSatisfied = (data, rule, pathKey = 'field') =>
+    castArray(rule?.[pathKey] || [])
+        .some((path) => isValidValue(get(data, path), rule));
+
+/**
+ * Compute the completeness score of a metadata record as weighted percentage of satisfied rules
+ * @param {object} data metadata of the editor or resource of the catalog api
+ * @param {object[]} rules completeness rules
+ * @param {string} pathKey property of the rules containing the paths to check, `field` for the metadata editor or `resourcePath` for the catalog resources
+ * @return {object} `{ score, missing }` where score is a number between 0 and 100 and missing the list of not satisfied rules
+ */
+export const getCompletenessScore = (data, rules = DEFAULT_COMPLETENESS_RULES, pathKey = 'field') => {
+    const validRules = rules.filter((rule) => rule?.[pathKey]);
+    const { total, satisfied, missing } = validRules.reduce((acc, rule) => {
+        const weight = rule.weight ?? 1;
+        const valid = isCompletenessRuleSatisfied(data, rule, pathKey);
+        return {
+            total: acc.total + weight,
+            satisfied: acc.satisfied + (valid ? weight : 0),
+            missing: valid ? acc.missing : [...acc.missing, rule]
+        };
+    }, { total: 0, satisfied: 0, missing: [] });
+    return {
+        score: total > 0 ? Math.round(satisfied / total * 100) : 100,
+        missing
+    };
+};
+
+/**
+ * Get the bootstrap style of the completeness score
+ * @param {number} score completeness score
+ * @return {string} `danger`, `warning` or `success`
+ */
+export const getCompletenessStyle = (score) => {
+    if (score < 50) {
+        return 'danger';
+    }
+    return score < 80 ? 'warning' : 'success';
+};
+
+export const COMPLETENESS_SCORE_PROPERTY = 'metadata_completeness';
+export const COMPLETENESS_SORT_PARAM = 'completeness_sort';
+
+const isCompletenessSort = (value) => `${value}`.replace(/^-/, '') === COMPLETENESS_SCORE_PROPERTY;
+
+/**
+ * Get the sort parameters of a catalog request.
+ * The completeness score is not a field of the resources so its sort is requested with the `completeness_sort` parameter (`asc` or `desc`)
+ * @param {string|string[]} sort sort of the catalog
+ * @return {object} `sort` and `completeness_sort` parameters of the api request
+ */
+export const getCompletenessSortParams = (sort) => {
+    const sortValues = castArray(sort || []);
+    const completenessSort = sortValues.find(isCompletenessSort);
+    const otherSort = sortValues.filter((value) => !isCompletenessSort(value));
+    return {
+        ...(otherSort.length > 0 && { sort: otherSort }),
+        ...(completenessSort && { [COMPLETENESS_SORT_PARAM]: completenessSort.indexOf('-') === 0 ? 'desc' : 'asc' })
+    };
+};
+
+/**
+ * Add the completeness score to the resources of the catalog.
+ * The score is unknown, and not added, when the catalog api does not return any of the paths of a rule
+ * (the fields are listed in the `catalog_list` api preset, see `MAPSTORE_CATALOG_EXTRA_FIELDS` setting)
+ * @param {object[]} resources resources returned by the catalog api
+ * @param {object[]} rules completeness rules
+ * @return {object[]} resources with the `metadata_completeness` property
+ */
+export const addCompletenessToResources = (resources = [], rules = getMetadataCompletenessRules()) =>
+    resources.map((resource) => {
+        const unknown = rules
+            .filter((rule) => rule?.resourcePath)
+            .some((rule) => !castArray(rule.resourcePath).some((path) => has(resource, path)));
+        if (unknown) {
+            return resource;
+        }
+        return {
+            ...resource,
+            [COMPLETENESS_SCORE_PROPERTY]: getCompletenessScore(resource, rules, 'resourcePath').score
+        };
+    });
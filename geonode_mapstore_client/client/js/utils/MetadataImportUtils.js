@@ -0,0 +1,328 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isArray from 'lodash/isArray';
+import isEmpty from 'lodash/isEmpty';
+import isEqual from 'lodash/isEqual';
+import isNil from 'lodash/isNil';
+import isObject from 'lodash/isObject';
+import uniq from 'lodash/uniq';
+import castArray from 'lodash/castArray';
+
+/**
+* @module utils/MetadataImportUtils
+*/
+
+export const MetadataImportFormats = {
+    ISO_19139: 'iso19139',
+    ISO_19115_3: 'iso19115-3',
+    DUBLIN_CORE: 'dublincore'
+};
+
+const GMD_NAMESPACE = 'http://www.isotc211.org/2005/gmd';
+const MDB_NAMESPACE_PREFIX = 'http://standards.iso.org/iso/19115/-3/mdb';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+const DCTERMS_NAMESPACE = 'http://purl.org/dc/terms/';
+
+// candidate properties of the metadata schema for each imported value
+const SCHEMA_PROPERTIES = {
+    title: ['title'],
+    'abstract': ['abstract'],
+    purpose: ['purpose'],
+    date: ['date'],
+    dateType: ['date_type'],
+    edition: ['edition'],
+    language: ['language'],
+    keywords: ['hkeywords', 'keywords'],
+    category: ['category'],
+    constraints: ['constraints_other'],
+    supplementalInformation: ['supplemental_information'],
+    lineage: ['data_quality_statement'],
+    maintenanceFrequency: ['maintenance_frequency'],
+    spatialRepresentationType: ['spatial_representation_type'],
+    temporalExtentStart: ['temporal_extent_start'],
+    temporalExtentEnd: ['temporal_extent_end'],
+    attribution: ['attribution']
+};
+
+// ISO 639-1 codes used by Dublin Core records mapped to the ISO 639-2 codes
+const LANGUAGE_CODES = {
+    en: ['eng'],
+    it: ['ita'],
+    fr: ['fre', 'fra'],
+    de: ['ger', 'deu'],
+    es: ['spa'],
+    pt: ['por'],
+    nl: ['dut', 'nld']
+};
+
+const getChildrenByName = (element, localName) =>
+    element ? [...element.getElementsByTagNameNS('*', localName)] : [];
+
+// find the first descendant matching the sequence of local names
+const findElement = (element, path) => path.reduce((parent, localName) => getChildrenByName(parent, localName)[0], element);
+
+const getElementText = (element) => {
+    if (!element) {
+        return null;
+    }
+    const codeListValue = element.getAttribute && element.getAttribute('codeListValue');
+    if (codeListValue) {
+        return codeListValue.trim();
+    }
+    const textElement = ['CharacterString', 'Anchor', 'Date', 'DateTime', 'Decimal', 'Integer']
+        .map((localName) => getChildrenByName(element, localName)[0])
+        .find((entry) => entry);
+    const codeElement = [...(element.children || [])].find((child) => child.getAttribute && child.getAttribute('codeListValue'));
+    if (!textElement && codeElement) {
+        return getElementText(codeElement);
+    }
+    const text = (textElement || element).textContent?.trim();
+    return text || null;
+};
+
+const getText = (element, path) => getElementText(findElement(element, path));
+
+const getTexts = (element, localName) =>
+    uniq(getChildrenByName(element, localName).map(getElementText).filter((value) => value));
+
+/**
+ * Detect the format of a metadata xml document
+ * @param {Document} doc xml document
+ * @return {string} one of `MetadataImportFormats` values or null if not supported
+ */
+export const detectMetadataFormat = (doc) => {
+    const metadataElement = getChildrenByName(doc, 'MD_Metadata')[0];
+    if (metadataElement) {
+        if (metadataElement.namespaceURI === GMD_NAMESPACE) {
+            return MetadataImportFormats.ISO_19139;
+        }
+        if ((metadataElement.namespaceURI || '').indexOf(MDB_NAMESPACE_PREFIX) === 0) {
+            return MetadataImportFormats.ISO_19115_3;
+        }
+    }
+    if (doc?.getElementsByTagNameNS(DC_NAMESPACE, 'title')?.length) {
+        return MetadataImportFormats.DUBLIN_CORE;
+    }
+    return null;
+};
+
+const parseISOMetadata = (doc) => {
+    const metadataElement = getChildrenByName(doc, 'MD_Metadata')[0];
+    const identification = getChildrenByName(metadataElement, 'MD_DataIdentification')[0]
+        || getChildrenByName(metadataElement, 'SV_ServiceIdentification')[0];
+    const citation = findElement(identification, ['citation', 'CI_Citation']);
+    const citationDate = findElement(citation, ['date', 'CI_Date']);
+    // the language of the metadata is the fallback for the language of the resource
+    const language = getText(identification, ['language'])
+        || getText(identification, ['defaultLocale', 'language'])
+        || getText(metadataElement, ['language'])
+        || getText(metadataElement, ['defaultLocale', 'language']);
+    return {
+        title: getText(citation, ['title']),
+        'abstract': getText(identification, ['abstract']),
+        purpose: getText(identification, ['purpose']),
+        date: getText(citationDate, ['date']),
+        dateType: getText(citationDate, ['dateType']),
+        edition: getText(citation, ['edition']),
+        language,
+        keywords: getTexts(identification, 'keyword'),
+        category: getText(identification, ['topicCategory']),
+        constraints: getText(identification, ['resourceConstraints', 'otherConstraints'])
+            || getText(identification, ['resourceConstraints', 'useLimitation']),
+        supplementalInformation: getText(identification, ['supplementalInformation']),
+        lineage: getText(metadataElement, ['LI_Lineage', 'statement']),
+        maintenanceFrequency: getText(identification, ['maintenanceAndUpdateFrequency']),
+        spatialRepresentationType: getText(identification, ['spatialRepresentationType']),
+        temporalExtentStart: getText(identification, ['TimePeriod', 'beginPosition']),
+        temporalExtentEnd: getText(identification, ['TimePeriod', 'endPosition']),
+        attribution: getText(identification, ['credit'])
+    };
+};
+
+const parseDublinCoreMetadata = (doc) => {
+    const getDCText = (localName, namespace = DC_NAMESPACE) =>
+        doc.getElementsByTagNameNS(namespace, localName)[0]?.textContent?.trim() || undefined;
+    const temporal = (getDCText('temporal', DCTERMS_NAMESPACE) || '').split('/');
+    return {
+        title: getDCText('title'),
+        'abstract': getDCText('abstract', DCTERMS_NAMESPACE) || getDCText('description'),
+        date: getDCText('date'),
+        language: getDCText('language'),
+        keywords: uniq([...doc.getElementsByTagNameNS(DC_NAMESPACE, 'subject')]
+            .map((element) => element.textContent?.trim())
+            .filter((value) => value)),
+        constraints: getDCText('rights'),
+        attribution: getDCText('creator'),
+        temporalExtentStart: temporal[0] || undefined,
+        temporalExtentEnd: temporal[1] || undefined
+    };
+};
+
+/**
+ * Parse a metadata xml document in ISO 19139, ISO 19115-3 or Dublin Core format
+ * @param {string} text content of the xml file
+ * @return {object} `{ format, values }` where values contains the imported metadata
+ * @throws {Error} when the file is not a valid xml or the format is not supported
+ */
+export const parseMetadataXML = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('invalidXML');
+    }
+    const format = detectMetadataFormat(doc);
+    if (!format) {
+        throw new Error('unsupportedFormat');
+    }
+    const values = format === MetadataImportFormats.DUBLIN_CORE
+        ? parseDublinCoreMetadata(doc)
+        : parseISOMetadata(doc);
+    return {
+        format,
+        values: Object.fromEntries(Object.entries(values).filter(([, value]) => !isNil(value) && !isEmpty(value)))
+    };
+};
+
+// allowed values of a schema property, undefined if all the values are allowed
+const getAllowedValues = (schema = {}) => {
+    if (schema.enum) {
+        return schema.enum;
+    }
+    const options = schema.oneOf || schema.anyOf;
+    return options
+        ? options.map((option) => option.const ?? option.enum?.[0]).filter((value) => !isNil(value))
+        : undefined;
+};
+
+const toStringValue = (value, schema, key) => {
+    const candidates = key === 'language'
+        ? [value, ...(LANGUAGE_CODES[`${value}`.toLowerCase().split('-')[0]] || [])]
+        : [value];
+    const allowedValues = getAllowedValues(schema);
+    const validValue = allowedValues
+        ? candidates.find((candidate) => allowedValues.includes(candidate))
+        : candidates[0];
+    if (isNil(validValue)) {
+        return null;
+    }
+    if (schema.format === 'date-time' || schema.format === 'date') {
+        const date = new Date(validValue);
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        return schema.format === 'date' ? date.toISOString().split('T')[0] : date.toISOString();
+    }
+    return `${validValue}`;
+};
+
+// properties of an object describing an entry of a thesaurus or of a code list, eg: { id, label }
+const toObjectValue = (value, schema) => {
+    const properties = schema?.properties || {};
+    if (!properties.id) {
+        return null;
+    }
+    return {
+        id: `${value}`,
+        ...(properties.label && { label: `${value}` })
+    };
+};
+
+const toSchemaValue = (value, schema = {}, key) => {
+    const types = castArray(schema.type || []);
+    if (types.includes('array')) {
+        const values = castArray(value)
+            .map((entry) => toSchemaValue(entry, schema.items || {}, key))
+            .filter((entry) => !isNil(entry));
+        return values.length ? values : null;
+    }
+    if (isArray(value)) {
+        return toSchemaValue(value.join(', '), schema, key);
+    }
+    if (types.includes('object')) {
+        return toObjectValue(value, schema);
+    }
+    if (types.includes('string') || !types.length) {
+        return toStringValue(value, schema, key);
+    }
+    return null;
+};
+
+/**
+ * Map the imported metadata values onto the properties of the metadata json schema,
+ * the values not supported by the schema are ignored
+ * @param {object} values imported values returned by `parseMetadataXML`
+ * @param {object} schema metadata json schema
+ * @return {object} metadata properties
+ */
+export const metadataValuesToSchema = (values = {}, schema = {}) => {
+    const properties = schema?.properties || {};
+    return Object.keys(SCHEMA_PROPERTIES).reduce((acc, key) => {
+        if (isNil(values[key])) {
+            return acc;
+        }
+        const property = SCHEMA_PROPERTIES[key].find((name) => properties[name]);
+        if (!property || properties[property].readOnly) {
+            return acc;
+        }
+        const value = toSchemaValue(values[key], properties[property], key);
+        return isNil(value) ? acc : { ...acc, [property]: value };
+    }, {});
+};
+
+/**
+ * Format a metadata value to be displayed as text
+ * @param {any} value metadata value
+ * @return {string} text of the value, the label is used for the entries of thesauri and code lists
+ */
+export const formatMetadataValue = (value) => {
+    if (isNil(value) || value === '') {
+        return '';
+    }
+    if (isArray(value)) {
+        return value.map(formatMetadataValue).join(', ');
+    }
+    if (isObject(value)) {
+        return `${value.label ?? value.name ?? value.id ?? JSON.stringify(value)}`;
+    }
+    return `${value}`;
+};
+
+/**
+ * Compare the imported metadata with the current one to preview the changes
+ * @param {object} metadata current metadata
+ * @param {object} importedMetadata metadata properties returned by `metadataValuesToSchema`
+ * @param {object} schema metadata json schema
+ * @return {object[]} list of `{ key, title, currentValue, newValue, overwrite }` of the changed properties
+ */
+export const getMetadataImportChanges = (metadata = {}, importedMetadata = {}, schema = {}) =>
+    Object.keys(importedMetadata)
+        .filter((key) => !isEqual(metadata[key], importedMetadata[key]))
+        .map((key) => {
+            const currentValue = formatMetadataValue(metadata[key]);
+            return {
+                key,
+                title: schema?.properties?.[key]?.title || key,
+                currentValue,
+                newValue: formatMetadataValue(importedMetadata[key]),
+                overwrite: !!currentValue
+            };
+        });
+
+/**
+ * Merge the selected imported properties in the metadata
+ * @param {object} metadata current metadata
+ * @param {object} importedMetadata metadata properties returned by `metadataValuesToSchema`
+ * @param {string[]} keys properties to merge
+ * @return {object} updated metadata
+ */
+export const mergeImportedMetadata = (metadata = {}, importedMetadata = {}, keys = []) => ({
+    ...metadata,
+    ...Object.fromEntries(keys
+        .filter((key) => importedMetadata[key] !== undefined)
+        .map((key) => [key, importedMetadata[key]]))
+});
@@ -0,0 +1,120 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+
+/**
+* @module utils/PdfUtils
+*/
+
+export const PDF_ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+export const PDF_DEFAULT_ZOOM = 1;
+export const PDF_THUMBNAIL_SCALE = 0.2;
+
+/**
+ * Load the pdf.js library and its worker
+ * @return {promise} pdf.js library
+ */
+export const loadPdfJs = () =>
+    Promise.all([
+        import('pdfjs-dist/build/pdf'),
+        // the worker entry exposes the worker as a global variable
+        // so pdf.js can use it without additional loader configuration
+        import('pdfjs-dist/build/pdf.worker.entry')
+    ]).then(([pdfjs]) => pdfjs);
+
+/**
+ * Load a pdf document
+ * @param {string} src url of the pdf file
+ * @return {promise} pdf.js document
+ */
+export const loadPdfDocument = (src) =>
+    loadPdfJs().then((pdfjs) => pdfjs.getDocument(src).promise);
+
+/**
+ * Get the page requested with a deep link in the form `#page=N`
+ * @param {string} url url or hash containing the page parameter
+ * @return {number} page number or null if not available
+ */
+export const getPdfPageFromUrl = (url) => {
+    const [, page] = `${url ?? ''}`.match(/#(?:.*[#&/])?page=(\d+)/) || [];
+    return isNil(page) ? null : parseFloat(page);
+};
+
+/**
+ * Limit a page number to the available pages of a document
+ * @param {number} page page number
+ * @param {number} numPages number of pages in the document
+ * @return {number} valid page number
+ */
+export const clampPdfPage = (page, numPages) => {
+    const pageNumber = Math.round(Number(page));
+    if (isNaN(pageNumber) || pageNumber < 1) {
+        return 1;
+    }
+    return numPages ? Math.min(pageNumber, numPages) : pageNumber;
+};
+
+/**
+ * Get the next zoom level
+ * @param {number} zoom current zoom
+ * @param {number} direction 1 to zoom in and -1 to zoom out
+ * @return {number} next zoom level
+ */
+export const getNextPdfZoom = (zoom, direction) => {
+    if (direction > 0) {
+        return PDF_ZOOM_LEVELS.find((level) => level > zoom) ?? PDF_ZOOM_LEVELS[PDF_ZOOM_LEVELS.length - 1];
+    }
+    return [...PDF_ZOOM_LEVELS].reverse().find((level) => level < zoom) ?? PDF_ZOOM_LEVELS[0];
+};
+
+/**
+ * Get the text of a page from the pdf.js text content
+ * @param {object} textContent pdf.js text content of a page
+ * @return {string} text of the page
+ */
+export const getPdfPageText = (textContent) =>
+    (textContent?.items || []).map(({ str }) => str).join(' ');
+
+/**
+ * Search a text in the pages of a document
+ * @param {string[]} pagesText list of the text of each page
+ * @param {string} search searched text
+ * @return {object[]} list of `{ page, count }` of the pages containing the text
+ */
+export const searchPdfPages = (pagesText = [], search) => {
+    const searchText = `${search ?? ''}`.trim().toLowerCase();
+    if (!searchText) {
+        return [];
+    }
+    return pagesText
+        .map((text, idx) => ({
+            page: idx + 1,
+            count: `${text ?? ''}`.toLowerCase().split(searchText).length - 1
+        }))
+        .filter(({ count }) => count > 0);
+};
+
+/**
+ * Resolve the page number targeted by a link annotation
+ * @param {object} pdf pdf.js document
+ * @param {string|array} dest destination of the link annotation
+ * @return {promise} page number or null if not resolved
+ */
+export const resolvePdfDestinationPage = (pdf, dest) =>
+    Promise.resolve(typeof dest === 'string' ? pdf.getDestination(dest) : dest)
+        .then((explicitDest) => {
+            const [ref] = explicitDest || [];
+            if (isNil(ref)) {
+                return null;
+            }
+            // the reference could be a page index instead of an object reference
+            return (Number.isInteger(ref) ? Promise.resolve(ref) : pdf.getPageIndex(ref))
+                .then((pageIndex) => pageIndex + 1);
+        })
+        .catch(() => null);
@@ -0,0 +1,102 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+* @module utils/PermissionsTemplatesUtils
+*/
+
+export const PERMISSIONS_TEMPLATES_STORAGE_KEY = 'geonode.permissionsTemplates';
+
+const ENTRY_TYPES = ['users', 'groups', 'organizations'];
+const OWNER_PERMISSIONS = 'owner';
+const NONE_PERMISSIONS = 'none';
+
+/**
+ * Get the local storage key of the permissions templates of a user
+ * @param {object} user current user
+ * @return {string} local storage key
+ */
+export const getPermissionsTemplatesStorageKey = (user) => `${PERMISSIONS_TEMPLATES_STORAGE_KEY}.${user?.pk ?? user?.name ?? 'anonymous'}`;
+
+const isOwnerEntry = (entry) => entry?.permissions === OWNER_PERMISSIONS;
+
+// remove the properties used only by the permissions editor, the geo limits are stored only when loaded
+const cleanTemplateEntry = ({ geoLimitsLoading, isGeoLimitsChanged, features, ...entry }) => ({
+    ...entry,
+    ...(features?.length && { features })
+});
+
+/**
+ * Create a permissions template from the current compact permissions, owner entries are excluded
+ * @param {string} label name of the template
+ * @param {object} compactPermissions compact permissions `{ users, groups, organizations }`
+ * @return {object} template `{ id, label, permissions }`
+ */
+export const createPermissionsTemplate = (label, compactPermissions = {}) => ({
+    id: `${Date.now()}`,
+    label,
+    permissions: ENTRY_TYPES.reduce((acc, type) => ({
+        ...acc,
+        [type]: (compactPermissions?.[type] || [])
+            .filter((entry) => !isOwnerEntry(entry))
+            .map(cleanTemplateEntry)
+    }), {})
+});
+
+/**
+ * Apply a permissions template to the compact permissions of a resource.
+ * Owner entries of the resource are preserved, all the other entries are replaced by the template ones.
+ * Groups not included in the template are kept without permissions because the default groups cannot be removed.
+ * Geo limits are updated only for the template entries that define them
+ * @param {object} compactPermissions current compact permissions
+ * @param {object} template permissions template `{ label, permissions }`
+ * @return {object} updated compact permissions
+ */
+export const applyPermissionsTemplate = (compactPermissions = {}, template) => ENTRY_TYPES.reduce((acc, type) => {
+    const entries = compactPermissions?.[type] || [];
+    const templateEntries = template?.permissions?.[type] || [];
+    const owners = entries.filter(isOwnerEntry);
+    const applied = templateEntries
+        .filter((entry) => !isOwnerEntry(entry) && !owners.some(({ id }) => id === entry.id))
+        .map(({ features, ...entry }) => {
+            const current = entries.find(({ id }) => id === entry.id);
+            return {
+                ...current,
+                ...entry,
+                ...(features && { features, isGeoLimitsChanged: true })
+            };
+        });
+    const cleared = type === 'groups'
+        ? entries
+            .filter((entry) => !isOwnerEntry(entry) && !templateEntries.some(({ id }) => id === entry.id))
+            .map((entry) => ({ ...entry, permissions: NONE_PERMISSIONS }))
+        : [];
+    return {
+        ...acc,
+        [type]: [...owners, ...applied, ...cleared]
+    };
+}, {});
+
+/**
+ * Add or replace a template in a list of templates, templates with the same label are replaced
+ * @param {object[]} templates list of templates
+ * @param {object} template template to add
+ * @return {object[]} updated list of templates sorted by label
+ */
+export const upsertPermissionsTemplate = (templates = [], template) => [
+    ...templates.filter(({ label }) => label !== template.label),
+    template
+].sort((a, b) => a.label.localeCompare(b.label));
+
+/**
+ * Remove a template from a list of templates
+ * @param {object[]} templates list of templates
+ * @param {string} id identifier of the template
+ * @return {object[]} updated list of templates
+ */
+export const removePermissionsTemplate = (templates = [], id) => templates.filter((template) => template.id !== id);
@@ -0,0 +1,512 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isEqual from 'lodash/isEqual';
+import isEmpty from 'lodash/isEmpty';
+import isNil from 'lodash/isNil';
+import omit from 'lodash/omit';
+import uniq from 'lodash/uniq';
+import { ResourceTypes, RESOURCE_MANAGEMENT_PROPERTIES, TIME_SERIES_PROPERTIES } from '@js/utils/ResourceUtils';
+import { EDITABLE_ATTRIBUTE_PROPERTIES } from '@js/utils/DatasetAttributesUtils';
+
+/**
+* @module utils/ResourceChangesUtils
+*/
+
+export const ResourceChangeSections = {
+    METADATA: 'metadata',
+    PERMISSIONS: 'permissions',
+    GEO_LIMITS: 'geoLimits',
+    LAYERS: 'layers',
+    STYLES: 'styles',
+    TIME_SERIES: 'timeseries',
+    ATTRIBUTES: 'attributes',
+    LINKED_RESOURCES: 'linkedResources',
+    DATA: 'data'
+};
+
+export const ResourceChangeTypes = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed'
+};
+
+const METADATA_KEYS = ['title', 'abstract', 'group', 'extent', ...Object.keys(RESOURCE_MANAGEMENT_PROPERTIES)];
+const PERMISSIONS_ENTRY_TYPES = ['users', 'groups', 'organizations'];
+// properties changed by the map interaction or by the layer requests that are not part of the user changes
+const LAYER_OMIT_KEYS = ['extraParams', 'getFeatureInfo', 'store', 'capability', 'extendedParams', 'availableStyles', 'center', 'zoom', 'bbox'];
+
+// null, undefined and empty values are considered equal as well as missing boolean values and false
+const isValueEqual = (previous, current) => {
+    if ((isNil(previous) || previous === '') && (isNil(current) || current === '')) {
+        return true;
+    }
+    if (typeof previous === 'boolean' || typeof current === 'boolean') {
+        return !!previous === !!current;
+    }
+    if (typeof previous === 'object' && typeof current === 'object' && isEmpty(previous) && isEmpty(current)) {
+        return true;
+    }
+    return isEqual(previous, current);
+};
+
+const getChangedKeys = (previous = {}, current = {}, keys) =>
+    (keys || uniq([...Object.keys(previous), ...Object.keys(current)]))
+        .filter((key) => !isValueEqual(previous?.[key], current?.[key]));
+
+const createChange = (section, key, type, properties) => ({
+    id: `${section}:${key}`,
+    section,
+    key,
+    type,
+    revertable: true,
+    ...properties
+});
+
+const getPermissionsEntryLabel = (entry) => entry?.username || entry?.title || entry?.name || `${entry?.id}`;
+
+function getMetadataChanges(initialResource, resource) {
+    return getChangedKeys(initialResource, resource, METADATA_KEYS)
+        .map((key) => createChange(ResourceChangeSections.METADATA, key, ResourceChangeTypes.CHANGED, {
+            previous: initialResource[key],
+            current: resource[key]
+        }));
+}
+
+function getTimeSeriesChanges(initialTimeSeries = {}, timeSeries = {}) {
+    return getChangedKeys(initialTimeSeries || {}, timeSeries || {}, ['has_time', ...TIME_SERIES_PROPERTIES])
+        .map((key) => createChange(ResourceChangeSections.TIME_SERIES, key, ResourceChangeTypes.CHANGED, {
+            previous: initialTimeSeries?.[key],
+            current: timeSeries?.[key]
+        }));
+}
+
+function getAttributesChanges(initialAttributeSet, attributeSet) {
+    if (!initialAttributeSet || !attributeSet) {
+        return [];
+    }
+    return attributeSet.reduce((changes, attribute) => {
+        const initialAttribute = initialAttributeSet.find(({ pk }) => pk === attribute.pk);
+        const keys = getChangedKeys(initialAttribute, attribute, EDITABLE_ATTRIBUTE_PROPERTIES);
+        return keys.length
+            ? [...changes, createChange(ResourceChangeSections.ATTRIBUTES, attribute.pk, ResourceChangeTypes.CHANGED, {
+                label: attribute.attribute,
+                keys,
+                previous: keys.reduce((acc, key) => ({ ...acc, [key]: initialAttribute?.[key] }), {}),
+                current: keys.reduce((acc, key) => ({ ...acc, [key]: attribute[key] }), {})
+            })]
+            : changes;
+    }, []);
+}
+
+/**
+ * Compute the list of changes between two compact permissions objects, including the geo limits changes
+ * @param {object} initialCompactPermissions compact permissions used as reference
+ * @param {object} compactPermissions updated compact permissions
+ * @return {object[]} list of changes of the permissions and geoLimits sections
+ */
+export function getPermissionsChanges(initialCompactPermissions, compactPermissions) {
+    if (!initialCompactPermissions || !compactPermissions) {
+        return [];
+    }
+    return PERMISSIONS_ENTRY_TYPES.reduce((acc, entryType) => {
+        const initialEntries = initialCompactPermissions[entryType] || [];
+        const entries = compactPermissions[entryType] || [];
+        const ids = uniq([...initialEntries, ...entries].map(({ id }) => id));
+        return [
+            ...acc,
+            ...ids.reduce((changes, id) => {
+                const initialEntry = initialEntries.find((entry) => entry.id === id);
+                const entry = entries.find((item) => item.id === id);
+                const key = `${entryType}:${id}`;
+                const properties = {
+                    entryType,
+                    label: getPermissionsEntryLabel(entry || initialEntry),
+                    previous: initialEntry?.permissions,
+                    current: entry?.permissions
+                };
+                if (!initialEntry) {
+                    return [...changes, createChange(ResourceChangeSections.PERMISSIONS, key, ResourceChangeTypes.ADDED, properties)];
+                }
+                if (!entry) {
+                    return [...changes, createChange(ResourceChangeSections.PERMISSIONS, key, ResourceChangeTypes.REMOVED, properties)];
+                }
+                const permissionsChanges = initialEntry.permissions !== entry.permissions
+                    ? [createChange(ResourceChangeSections.PERMISSIONS, key, ResourceChangeTypes.CHANGED, properties)]
+                    : [];
+                const geoLimitsChanges = entry.isGeoLimitsChanged
+                    ? [createChange(ResourceChangeSections.GEO_LIMITS, key, ResourceChangeTypes.CHANGED, {
+                        entryType,
+                        label: properties.label,
+                        current: entry.features
+                    })]
+                    : [];
+                return [...changes, ...permissionsChanges, ...geoLimitsChanges];
+            }, [])
+        ];
+    }, []);
+}
+
+const cleanLayer = (layer) => omit(layer, LAYER_OMIT_KEYS);
+
+const getLayerLabel = (layer) => layer?.title?.default || layer?.title || layer?.name || layer?.id;
+
+function getMapLayersChanges(initialLayers = [], layers = []) {
+    const ids = uniq([...initialLayers, ...layers].map(({ id }) => id));
+    const layersChanges = ids.reduce((acc, id) => {
+        const initialLayer = initialLayers.find((layer) => layer.id === id);
+        const layer = layers.find((item) => item.id === id);
+        if (!initialLayer) {
+            return [...acc, createChange(ResourceChangeSections.LAYERS, id, ResourceChangeTypes.ADDED, {
+                label: getLayerLabel(layer),
+                current: layer
+            })];
+        }
+        if (!layer) {
+            return [...acc, createChange(ResourceChangeSections.LAYERS, id, ResourceChangeTypes.REMOVED, {
+                label: getLayerLabel(initialLayer),
+                previous: initialLayer
+            })];
+        }
+        const changedKeys = getChangedKeys(cleanLayer(initialLayer), cleanLayer(layer));
+        const styleChanges = changedKeys.includes('style')
+            ? [createChange(ResourceChangeSections.STYLES, id, ResourceChangeTypes.CHANGED, {
+                label: getLayerLabel(layer),
+                previous: initialLayer.style,
+                current: layer.style
+            })]
+            : [];
+        const propertiesKeys = changedKeys.filter((key) => key !== 'style');
+        const propertiesChanges = propertiesKeys.length > 0
+            ? [createChange(ResourceChangeSections.LAYERS, id, ResourceChangeTypes.CHANGED, {
+                label: getLayerLabel(layer),
+                keys: propertiesKeys,
+                previous: propertiesKeys.reduce((previous, key) => ({ ...previous, [key]: initialLayer[key] }), {}),
+                current: propertiesKeys.reduce((current, key) => ({ ...current, [key]: layer[key] }), {})
+            })]
+            : [];
+        return [...acc, ...propertiesChanges, ...styleChanges];
+    }, []);
+    const sharedIds = ids.filter((id) => initialLayers.some((layer) => layer.id === id) && layers.some((layer) => layer.id === id));
+    const initialOrder = initialLayers.filter(({ id }) => sharedIds.includes(id)).map(({ id }) => id);
+    const order = layers.filter(({ id }) => sharedIds.includes(id)).map(({ id }) => id);
+    const orderChanges = !isEqual(initialOrder, order)
+        ? [createChange(ResourceChangeSections.LAYERS, 'order', ResourceChangeTypes.CHANGED, {
+            previous: initialOrder,
+            current: order,
+            revertable: false
+        })]
+        : [];
+    return [...layersChanges, ...orderChanges];
+}
+
+const getLayersDatasetPks = (layers = []) => uniq(layers
+    .map((layer) => layer?.extendedParams?.pk)
+    .filter((pk) => !isNil(pk))
+    .map((pk) => `${pk}`));
+
+function getMapLinkedResourcesChanges(initialLayers = [], layers = []) {
+    const initialPks = getLayersDatasetPks(initialLayers);
+    const pks = getLayersDatasetPks(layers);
+    return [
+        ...pks.filter((pk) => !initialPks.includes(pk))
+            .map((pk) => createChange(ResourceChangeSections.LINKED_RESOURCES, pk, ResourceChangeTypes.ADDED, {
+                label: getLayerLabel(layers.find((layer) => `${layer?.extendedParams?.pk}` === pk)),
+                current: pk,
+                revertable: false
+            })),
+        ...initialPks.filter((pk) => !pks.includes(pk))
+            .map((pk) => createChange(ResourceChangeSections.LINKED_RESOURCES, pk, ResourceChangeTypes.REMOVED, {
+                label: getLayerLabel(initialLayers.find((layer) => `${layer?.extendedParams?.pk}` === pk)),
+                previous: pk,
+                revertable: false
+            }))
+    ];
+}
+
+function getDatasetSettingsChanges(initialLayer = {}, layer = {}) {
+    return getChangedKeys(
+        omit(initialLayer, ['style', 'fields']),
+        omit(layer, ['style', 'fields']),
+        Object.keys(omit(layer, ['style', 'fields']))
+    )
+        .filter((key) => !isNil(initialLayer[key]) || !isNil(layer[key]))
+        .map((key) => createChange(ResourceChangeSections.LAYERS, key, ResourceChangeTypes.CHANGED, {
+            previous: initialLayer[key],
+            current: layer[key]
+        }));
+}
+
+/**
+ * Compute the list of changes applied to a resource since it has been loaded
+ * @param {object} options
+ * @param {string} options.resourceType type of the resource
+ * @param {object} options.initialResource resource as loaded from the server
+ * @param {object} options.resource current resource properties
+ * @param {object} options.initialCompactPermissions compact permissions as loaded from the server
+ * @param {object} options.compactPermissions current compact permissions
+ * @param {object} options.initialData initial configuration of the resource (map, dataset layer, ...)
+ * @param {object} options.data current configuration of the resource, only available when changed
+ * @param {object} options.initialLayer initial dataset layer, used only for dataset resources
+ * @param {object} options.style initial and current style of the dataset layer `{ layerId, previous, current }`
+ * @return {object[]} list of changes `{ id, section, key, type, previous, current, revertable }`
+ */
+export function getResourceChanges({
+    resourceType,
+    initialResource,
+    resource,
+    initialCompactPermissions,
+    compactPermissions,
+    initialData,
+    data,
+    initialLayer,
+    style
+}) {
+    if (!initialResource || !resource) {
+        return [];
+    }
+    const metadataChanges = getMetadataChanges(initialResource, resource);
+    const timeSeriesChanges = resourceType === ResourceTypes.DATASET
+        ? getTimeSeriesChanges(initialResource.timeseries, resource.timeseries)
+        : [];
+    const attributesChanges = resourceType === ResourceTypes.DATASET
+        ? getAttributesChanges(initialResource.attribute_set, resource.attribute_set)
+        : [];
+    const permissionsChanges = getPermissionsChanges(initialCompactPermissions, compactPermissions);
+    const styleChanges = style && !isValueEqual(style.previous, style.current)
+        ? [createChange(ResourceChangeSections.STYLES, style.layerId, ResourceChangeTypes.CHANGED, {
+            previous: style.previous,
+            current: style.current
+        })]
+        : [];
+    let dataChanges = [];
+    if (data) {
+        if (resourceType === ResourceTypes.MAP) {
+            const initialLayers = initialData?.map?.layers || [];
+            const layers = data?.map?.layers || [];
+            dataChanges = [
+                ...getMapLayersChanges(initialLayers, layers),
+                ...getMapLinkedResourcesChanges(initialLayers, layers)
+            ];
+        } else if (resourceType === ResourceTypes.DATASET) {
+            const initialLayerData = { ...initialLayer, ...initialData };
+            dataChanges = [
+                ...getDatasetSettingsChanges(initialLayerData, data),
+                ...(!isEqual(initialLayerData.fields, data.fields) && data.fields
+                    ? [createChange(ResourceChangeSections.LAYERS, 'fields', ResourceChangeTypes.CHANGED, {
+                        previous: initialLayerData.fields,
+                        current: data.fields
+                    })]
+                    : [])
+            ];
+        }
+        // fallback for resources with a configuration that cannot be described with a list of changes (geostory, dashboard, ...)
+        if (dataChanges.length === 0 && styleChanges.length === 0) {
+            dataChanges = [createChange(ResourceChangeSections.DATA, resourceType, ResourceChangeTypes.CHANGED, {
+                revertable: false
+            })];
+        }
+    }
+    return [
+        ...metadataChanges,
+        ...permissionsChanges,
+        ...dataChanges,
+        ...styleChanges,
+        ...timeSeriesChanges,
+        ...attributesChanges
+    ];
+}
+
+/**
+ * Restore the initial value of a permissions or geo limits entry inside the compact permissions
+ * @param {object} compactPermissions current compact permissions
+ * @param {object} initialCompactPermissions compact permissions as loaded from the server
+ * @param {object} change a change of the permissions or geoLimits section
+ * @return {object} updated compact permissions
+ */
+export function revertCompactPermissionsChange(compactPermissions = {}, initialCompactPermissions = {}, change) {
+    const { entryType } = change || {};
+    if (!PERMISSIONS_ENTRY_TYPES.includes(entryType)) {
+        return compactPermissions;
+    }
+    const id = change.key.replace(`${entryType}:`, '');
+    const isEntry = (entry) => `${entry.id}` === id;
+    const entries = compactPermissions[entryType] || [];
+    const initialEntry = (initialCompactPermissions[entryType] || []).find(isEntry);
+    let updatedEntries = entries;
+    if (change.section === ResourceChangeSections.GEO_LIMITS) {
+        updatedEntries = entries.map((entry) => isEntry(entry) ? omit(entry, ['features', 'isGeoLimitsChanged']) : entry);
+    } else if (change.type === ResourceChangeTypes.ADDED) {
+        updatedEntries = entries.filter((entry) => !isEntry(entry));
+    } else if (change.type === ResourceChangeTypes.REMOVED) {
+        updatedEntries = initialEntry ? [...entries, initialEntry] : entries;
+    } else {
+        updatedEntries = entries.map((entry) => isEntry(entry) ? { ...entry, permissions: initialEntry?.permissions } : entry);
+    }
+    return {
+        ...compactPermissions,
+        [entryType]: updatedEntries
+    };
+}
+
+/**
+ * Check if the server copy of a resource has been updated after it has been loaded
+ * @param {object} initialResource resource as loaded from the server
+ * @param {object} serverResource resource as currently stored on the server
+ * @return {boolean} true if the two copies have a different `last_updated` value
+ */
+export function isResourceVersionChanged(initialResource, serverResource) {
+    const initialVersion = initialResource?.last_updated;
+    const serverVersion = serverResource?.last_updated;
+    if (!initialVersion || !serverVersion) {
+        return false;
+    }
+    const initialTime = new Date(initialVersion).getTime();
+    const serverTime = new Date(serverVersion).getTime();
+    return isNaN(initialTime) || isNaN(serverTime)
+        ? initialVersion !== serverVersion
+        : initialTime !== serverTime;
+}
+
+const isLayerEqual = (layerA, layerB) => getChangedKeys(cleanLayer(layerA), cleanLayer(layerB)).length === 0;
+
+const createConflict = (section, key, properties) => ({
+    id: `${section}:${key}`,
+    section,
+    key,
+    ...properties
+});
+
+// values contains only the properties updated on the server that can be applied to the local copy
+function mergeMetadata(base = {}, local = {}, remote = {}) {
+    return METADATA_KEYS.reduce((acc, key) => {
+        if (isValueEqual(local[key], remote[key]) || isValueEqual(base[key], remote[key])) {
+            return acc;
+        }
+        if (isValueEqual(base[key], local[key])) {
+            return { ...acc, values: { ...acc.values, [key]: remote[key] } };
+        }
+        return {
+            ...acc,
+            conflicts: [...acc.conflicts, createConflict(ResourceChangeSections.METADATA, key, {
+                base: base[key],
+                local: local[key],
+                remote: remote[key]
+            })]
+        };
+    }, { values: {}, conflicts: [] });
+}
+
+function mergeLayerEntry(baseLayer, localLayer, remoteLayer) {
+    if (!baseLayer) {
+        if (localLayer && remoteLayer && !isLayerEqual(localLayer, remoteLayer)) {
+            return { conflict: true };
+        }
+        return { layer: localLayer || remoteLayer };
+    }
+    if (!localLayer && !remoteLayer) {
+        return { layer: null };
+    }
+    if (!localLayer) {
+        return isLayerEqual(baseLayer, remoteLayer) ? { layer: null } : { conflict: true };
+    }
+    if (!remoteLayer) {
+        return isLayerEqual(baseLayer, localLayer) ? { layer: null } : { conflict: true };
+    }
+    if (isLayerEqual(baseLayer, localLayer)) {
+        return { layer: remoteLayer };
+    }
+    if (isLayerEqual(baseLayer, remoteLayer) || isLayerEqual(localLayer, remoteLayer)) {
+        return { layer: localLayer };
+    }
+    return { conflict: true };
+}
+
+function mergeLayers(baseLayers = [], localLayers = [], remoteLayers = []) {
+    // the local order is preserved and layers added on the server are placed after their previous layer
+    const order = remoteLayers.reduce((acc, { id }, idx) => {
+        if (acc.includes(id)) {
+            return acc;
+        }
+        const previousId = remoteLayers[idx - 1]?.id;
+        const previousIdx = previousId ? acc.indexOf(previousId) : -1;
+        return [...acc.slice(0, previousIdx + 1), id, ...acc.slice(previousIdx + 1)];
+    }, localLayers.map(({ id }) => id));
+    const ids = [...order, ...baseLayers.map(({ id }) => id).filter((id) => !order.includes(id))];
+    return ids.reduce((acc, id) => {
+        const baseLayer = baseLayers.find((layer) => layer.id === id);
+        const localLayer = localLayers.find((layer) => layer.id === id);
+        const remoteLayer = remoteLayers.find((layer) => layer.id === id);
+        const { layer, conflict } = mergeLayerEntry(baseLayer, localLayer, remoteLayer);
+        if (conflict) {
+            const entry = createConflict(ResourceChangeSections.LAYERS, id, {
+                label: getLayerLabel(localLayer || remoteLayer || baseLayer),
+                base: baseLayer,
+                local: localLayer,
+                remote: remoteLayer
+            });
+            return { ...acc, items: [...acc.items, { id, conflict: entry.id }], conflicts: [...acc.conflicts, entry] };
+        }
+        return { ...acc, items: [...acc.items, { id, layer }] };
+    }, { items: [], conflicts: [] });
+}
+
+/**
+ * Compute a three-way merge between the resource as loaded (base), the local changes and the server copy (remote).
+ * Metadata and map layers are merged, other configurations keep the local version
+ * @param {object} options
+ * @param {string} options.resourceType type of the resource
+ * @param {object} options.base resource as loaded from the server
+ * @param {object} options.local current resource properties
+ * @param {object} options.remote resource as currently stored on the server
+ * @param {object} options.baseData initial configuration of the resource
+ * @param {object} options.localData current configuration of the resource
+ * @param {object} options.remoteData configuration of the resource currently stored on the server
+ * @return {object} merge result `{ metadata, layers, conflicts }` where conflicts is the list of entries `{ id, section, key, base, local, remote }`
+ */
+export function getResourceMerge({
+    resourceType,
+    base,
+    local,
+    remote,
+    baseData,
+    localData,
+    remoteData
+}) {
+    const metadata = mergeMetadata(base, local, remote);
+    const layers = resourceType === ResourceTypes.MAP && localData?.map && remoteData?.map
+        ? mergeLayers(baseData?.map?.layers, localData.map.layers, remoteData.map.layers)
+        : null;
+    return {
+        metadata,
+        layers,
+        conflicts: [...metadata.conflicts, ...(layers?.conflicts || [])]
+    };
+}
+
+/**
+ * Apply the selected version to each conflict of a merge result
+ * @param {object} merge merge result returned by `getResourceMerge`
+ * @param {object} choices selected version for each conflict id, one of `local` or `remote` (default `local`)
+ * @return {object} merged values `{ metadata, layers }`, layers is null when the resource has not a map configuration
+ */
+export function resolveResourceMerge(merge, choices = {}) {
+    const getChoice = (conflict) => conflict[choices[conflict.id] === 'remote' ? 'remote' : 'local'];
+    const metadata = merge.metadata.conflicts.reduce((acc, conflict) => ({
+        ...acc,
+        [conflict.key]: getChoice(conflict)
+    }), merge.metadata.values);
+    const layers = merge.layers
+        ? merge.layers.items
+            .map(({ layer, conflict }) => conflict
+                ? getChoice(merge.layers.conflicts.find(({ id }) => id === conflict))
+                : layer)
+            .filter((layer) => !!layer)
+        : null;
+    return { metadata, layers };
+}
@@ -7,13 +7,20 @@
 */
 
 import flatten from 'lodash/flatten';
+import isNil from 'lodash/isNil';
 
 export const ProcessTypes = {
     DELETE_RESOURCE: 'deleteResource',
     COPY_RESOURCE: 'copyResource',
     PERMISSIONS_RESOURCE: 'permissionsResource',
     REMOVE_LINKED_RESOURCE: "removeLinkedResource",
-    LINK_RESOURCE: "linkResource"
+    LINK_RESOURCE: "linkResource",
+    FAVORITE_RESOURCE: 'favoriteResource',
+    GROUP_RESOURCE: 'groupResource',
+    ADVERTISED_RESOURCE: 'advertisedResource',
+    FEATURED_RESOURCE: 'featuredResource',
+    DOWNLOAD_METADATA: 'downloadMetadata',
+    UPDATE_METADATA: 'updateMetadata'
 };
 
 export const ProcessStatus = {
@@ -26,7 +33,116 @@ export const ProcessStatus = {
 export const ProcessInterval = {
     [ProcessTypes.DELETE_RESOURCE]: 5000,
     [ProcessTypes.COPY_RESOURCE]: 1000,
-    [ProcessTypes.PERMISSIONS_RESOURCE]: 1000
+    [ProcessTypes.PERMISSIONS_RESOURCE]: 1000,
+    [ProcessTypes.REMOVE_LINKED_RESOURCE]: 5000
+};
+
+// execution requests created by the upload process are identified by the action input param
+export const UPLOAD_PROCESS_TYPE = 'upload';
+const uploadActions = ['upload', 'import', 'replace', 'append', 'upsert'];
+
+// func_name returned by the server or stored by the client for each process type
+const processTypesByFuncName = {
+    'copy': ProcessTypes.COPY_RESOURCE,
+    'delete': ProcessTypes.DELETE_RESOURCE,
+    'set_permissions': ProcessTypes.PERMISSIONS_RESOURCE,
+    [ProcessTypes.COPY_RESOURCE]: ProcessTypes.COPY_RESOURCE,
+    [ProcessTypes.DELETE_RESOURCE]: ProcessTypes.DELETE_RESOURCE,
+    [ProcessTypes.PERMISSIONS_RESOURCE]: ProcessTypes.PERMISSIONS_RESOURCE,
+    [ProcessTypes.REMOVE_LINKED_RESOURCE]: ProcessTypes.REMOVE_LINKED_RESOURCE
+};
+
+/**
+ * Detect the process type of an execution request
+ * @param {object} execution execution request
+ * @return {string} one of the ProcessTypes values, `upload` or undefined if unknown
+ */
+export const getExecutionProcessType = (execution) => {
+    const action = execution?.action || execution?.input_params?.action;
+    if (uploadActions.includes(action)) {
+        return UPLOAD_PROCESS_TYPE;
+    }
+    return processTypesByFuncName[execution?.func_name];
+};
+
+/**
+ * Get the pk of the resource related to an execution request
+ * @param {object} execution execution request
+ * @return {number|string} resource pk
+ */
+export const getExecutionResourcePk = (execution) => {
+    return execution?.geonode_resource
+        ?? execution?.input_params?.resource_pk
+        ?? execution?.input_params?.instance;
+};
+
+/**
+ * Get the identifiers of the resources created by an execution request
+ * @param {object} request execution request
+ * @return {number[]} list of resource pks
+ */
+export const getExecutionRequestResourcePks = (request) => (request?.output_params?.resources || [])
+    .map((resource) => {
+        if (!isNil(resource?.id)) {
+            return Number(resource.id);
+        }
+        const match = (resource?.detail_url || '').match(/\/(\d+)\/?(\?.*)?$/);
+        return match ? Number(match[1]) : null;
+    })
+    .filter((pk) => !isNil(pk) && !isNaN(pk));
+
+/**
+ * Check if a failed execution request could be submitted again with the same inputs
+ * @param {object} execution execution request
+ * @return {boolean} true if the execution can be retried
+ */
+export const isExecutionRetryable = (execution) => {
+    if (execution?.status !== ProcessStatus.FAILED || getExecutionResourcePk(execution) === undefined) {
+        return false;
+    }
+    const processType = getExecutionProcessType(execution);
+    if (processType === ProcessTypes.PERMISSIONS_RESOURCE) {
+        return !!execution?.input_params?.permissions;
+    }
+    return [
+        ProcessTypes.COPY_RESOURCE,
+        ProcessTypes.DELETE_RESOURCE,
+        ProcessTypes.REMOVE_LINKED_RESOURCE
+    ].includes(processType);
+};
+
+// celery states stored by the importer for each task of the execution
+const executionTaskStatus = {
+    'SUCCESS': ProcessStatus.FINISHED,
+    'FAILURE': ProcessStatus.FAILED,
+    'REVOKED': ProcessStatus.FAILED,
+    'PENDING': ProcessStatus.READY,
+    'RECEIVED': ProcessStatus.READY,
+    'STARTED': ProcessStatus.RUNNING,
+    'RETRY': ProcessStatus.RUNNING
+};
+
+const getExecutionTaskStatus = (status) => executionTaskStatus[`${status}`.toUpperCase()] || `${status}`.toLowerCase();
+
+/**
+ * Get the steps of an execution request with their status.
+ * The status of each task is available in the `tasks` property, otherwise only the current step is returned
+ * @param {object} execution execution request
+ * @return {object[]} list of steps `{ name, status }` where status is one of the ProcessStatus values
+ */
+export const getExecutionSteps = (execution) => {
+    const tasks = execution?.tasks;
+    if (Array.isArray(tasks)) {
+        return tasks
+            .map((task) => ({ name: task?.name ?? task?.task ?? task?.step, status: getExecutionTaskStatus(task?.status) }))
+            .filter(({ name }) => name);
+    }
+    if (tasks && typeof tasks === 'object') {
+        return Object.keys(tasks).map((name) => ({ name, status: getExecutionTaskStatus(tasks[name]) }));
+    }
+    return execution?.step
+        ? [{ name: execution.step, status: execution.status }]
+        : [];
 };
 
 export const actionButtons = {
@@ -50,19 +166,61 @@ export const extractExecutionsFromResources = (resources, username) => {
         ));
     return flatten(processingResources.map((resource) => {
         return resource.executions
-            .filter(({
-                func_name: funcName,
-                status_url: statusUrl,
-                user
-            }) =>
-                funcName === 'copy'
-                && statusUrl && user && user === username
+            .filter((execution) =>
+                execution.status_url && execution.user && execution.user === username
+                && ![undefined, UPLOAD_PROCESS_TYPE].includes(getExecutionProcessType(execution))
             ).map((output) => {
                 return {
                     resource,
                     output,
-                    processType: ProcessTypes.COPY_RESOURCE
+                    processType: getExecutionProcessType(output)
                 };
             });
     }));
 };
+
+/**
+ * Check if a process of the resource service completed with an error
+ * @param {object} process process of the resource service
+ * @return {boolean} true if the process failed
+ */
+export const isProcessFailed = (process) => {
+    return !!(process?.error || process?.output?.error || process?.output?.status === ProcessStatus.FAILED);
+};
+
+/**
+ * Compute the aggregate progress of a batch operation started with `processResources`
+ * @param {array} processes list of processes of the resource service
+ * @param {object} batch batch operation with `id` and `resources` properties
+ * @return {object} summary with total, completed, succeeded and failed count, the progress percentage and the per-resource results
+ */
+export const getBatchOperationSummary = (processes = [], batch) => {
+    const resources = batch?.resources || [];
+    const results = resources.map((resource) => {
+        const process = processes.find((proc) =>
+            proc?.batchId === batch.id
+            && proc?.resource?.pk === resource.pk
+        );
+        const completed = !!process?.completed;
+        const failed = completed && isProcessFailed(process);
+        return {
+            resource,
+            completed,
+            failed,
+            error: failed
+                ? process?.error || process?.output?.error || process?.output?.log
+                : undefined
+        };
+    });
+    const total = results.length;
+    const completed = results.filter(result => result.completed).length;
+    const failed = results.filter(result => result.failed).length;
+    return {
+        total,
+        completed,
+        succeeded: completed - failed,
+        failed,
+        progress: total > 0 ? Math.round(completed / total * 100) : 0,
+        results
+    };
+};
@@ -8,15 +8,21 @@
 
 import uuid from 'uuid';
 import url from 'url';
-import { isEmpty, uniqBy, omit, orderBy, isString, isObject } from 'lodash';
+import { isEmpty, uniqBy, omit, omitBy, pick, isNil, orderBy, isString, isObject } from 'lodash';
 
 import { isImageServerUrl } from '@mapstore/framework/utils/ArcGISUtils';
 import { getConfigProp, convertFromLegacy, normalizeConfig } from '@mapstore/framework/utils/ConfigUtils';
 import { excludeGoogleBackground, extractTileMatrixFromSources, ServerTypes } from '@mapstore/framework/utils/LayersUtils';
+import {
+    textSearch as wmtsTextSearch,
+    getCatalogRecords as getWMTSCatalogRecords,
+    getLayerFromRecord as getWMTSLayerFromRecord
+} from '@mapstore/framework/api/catalog/WMTS';
 
 import { getGeoNodeLocalConfig, parseDevHostname } from '@js/utils/APIUtils';
 import { ProcessTypes, ProcessStatus } from '@js/utils/ResourceServiceUtils';
 import { determineResourceType } from '@js/utils/FileUtils';
+import { isImageDocument } from '@js/utils/GeoreferenceUtils';
 
 /**
 * @module utils/ResourceUtils
@@ -126,25 +132,198 @@ export const getDimensions = ({links, has_time: hasTime} = {}) => {
     return dimensions;
 };
 
+/**
+* Layer types available to display a dataset.
+* OGC API Features is not supported, the datasets exposing only the `OGC:API-Features` link are displayed with the wms fallback
+*/
+export const DatasetLayerTypes = {
+    WMS: 'wms',
+    WMTS: 'wmts',
+    VECTOR_TILES: 'vectortiles',
+    COG: 'cog',
+    OGC_API_TILES: 'ogcapi-tiles'
+};
+
+export const VECTOR_TILE_FORMAT = 'application/vnd.mapbox-vector-tile';
+
+const findLinkUrl = (links = [], linkType) => (links.find(({ link_type: type }) => type === linkType) || {}).url;
+
+// tile matrix sets of the default gridsets published by the GeoServer integrated GeoWebCache
+const getGeoServerTileMatrixSets = () => {
+    const gridSets = [
+        { id: 'EPSG:900913', crs: 'EPSG:900913', levels: 31, scaleDenominator: 559082264.0287178, topLeftCorner: '-2.003750834E7 2.0037508E7', width: 1 },
+        { id: 'EPSG:4326', crs: 'EPSG:4326', levels: 22, scaleDenominator: 279541132.0143589, topLeftCorner: '90.0 -180.0', width: 2 }
+    ];
+    return gridSets.reduce((acc, { id, crs, levels, scaleDenominator, topLeftCorner, width }) => ({
+        ...acc,
+        [id]: {
+            crs,
+            tileMatrixSet: {
+                'ows:Identifier': id,
+                'ows:SupportedCRS': `urn:ogc:def:crs:EPSG::${crs.split(':')[1]}`,
+                TileMatrix: [...Array(levels).keys()].map((level) => ({
+                    'ows:Identifier': `${id}:${level}`,
+                    ScaleDenominator: scaleDenominator / Math.pow(2, level),
+                    TopLeftCorner: topLeftCorner,
+                    TileWidth: 256,
+                    TileHeight: 256,
+                    MatrixWidth: width * Math.pow(2, level),
+                    MatrixHeight: Math.pow(2, level)
+                }))
+            }
+        }
+    }), {});
+};
+
+const getVectorLayerProperties = (resource) => {
+    const { links = [], featureinfo_custom_template: template } = resource;
+    const wfsUrl = findLinkUrl(links, 'OGC:WFS');
+    const fields = datasetAttributeSetToFields(resource);
+    return {
+        ...(wfsUrl && {
+            search: {
+                type: 'wfs',
+                url: wfsUrl
+            }
+        }),
+        ...(template && {
+            featureInfo: {
+                format: FEATURE_INFO_FORMAT,
+                template
+            }
+        }),
+        ...(fields && { fields })
+    };
+};
+
+const getWMSLayerConfig = (resource, layer, options = {}) => {
+    const { alternate, links = [], sourcetype, data: layerSettings } = resource;
+    const wmsUrl = findLinkUrl(links, 'OGC:WMS');
+    const dimensions = getDimensions(resource);
+    const params = wmsUrl && url.parse(wmsUrl, true).query;
+    const {
+        defaultLayerFormat = 'image/png',
+        defaultTileSize = 512
+    } = getConfigProp('geoNodeSettings') || {};
+    return {
+        ...layer,
+        type: 'wms',
+        name: alternate,
+        url: wmsUrl || '',
+        format: options.format || defaultLayerFormat,
+        ...getVectorLayerProperties(resource),
+        ...(layer.bbox ? {} : { bboxError: true }),
+        style: layer.extendedParams?.defaultStyle?.name || '',
+        tileSize: defaultTileSize,
+        ...(params && { params }),
+        ...(dimensions.length > 0 && ({ dimensions })),
+        ...(sourcetype === SOURCE_TYPES.REMOTE && !wmsUrl.includes('/geoserver/') && {
+            serverType: ServerTypes.NO_VENDOR
+        }),
+        ...layerSettings
+    };
+};
+
+const isGeoServerDataset = ({ links = [], sourcetype }) => sourcetype !== SOURCE_TYPES.REMOTE
+    && (findLinkUrl(links, 'OGC:WMS') || '').includes('/geoserver/');
+
+const isCOGLink = ({ link_type: linkType, extension, mime = '', name = '' }) => ['original', 'data'].includes(linkType)
+    && (extension === 'cog' || mime.includes('cloud-optimized') || /\bcog\b/i.test(name));
+
+// properties shared by all the layer types: the missing extent error and the layer settings stored in the resource data
+const withDatasetLayerSettings = (resource, layer) => ({
+    ...(layer.bbox ? {} : { bboxError: true }),
+    ...layer,
+    ...resource.data
+});
+
+// layer configurations by type, they return null when the resource does not expose the needed links
+const datasetLayerBuilders = {
+    [DatasetLayerTypes.WMS]: (resource, layer) => findLinkUrl(resource.links, 'OGC:WMS')
+        ? getWMSLayerConfig(resource, layer)
+        : null,
+    [DatasetLayerTypes.WMTS]: (resource, layer) => {
+        const wmtsUrl = findLinkUrl(resource.links, 'OGC:WMTS');
+        if (!wmtsUrl) {
+            return null;
+        }
+        const { defaultLayerFormat = 'image/png' } = getConfigProp('geoNodeSettings') || {};
+        const dimensions = getDimensions(resource);
+        return withDatasetLayerSettings(resource, {
+            ...layer,
+            type: 'wmts',
+            name: resource.alternate,
+            url: wmtsUrl,
+            format: defaultLayerFormat,
+            requestEncoding: 'KVP',
+            style: layer.extendedParams?.defaultStyle?.name || '',
+            // the gridsets of the remote services are read from the capabilities by resolveDatasetLayerConfig
+            ...(isGeoServerDataset(resource)
+                ? { availableTileMatrixSets: getGeoServerTileMatrixSets() }
+                : { capabilitiesURL: wmtsUrl }),
+            ...getVectorLayerProperties(resource),
+            ...(dimensions.length > 0 && ({ dimensions }))
+        });
+    },
+    [DatasetLayerTypes.VECTOR_TILES]: (resource, layer) => ['vector', 'vector_time'].includes(resource.subtype) && isGeoServerDataset(resource)
+        ? getWMSLayerConfig(resource, layer, { format: VECTOR_TILE_FORMAT })
+        : null,
+    [DatasetLayerTypes.COG]: (resource, layer) => {
+        const { url: cogUrl } = resource.subtype === 'raster' && (resource.links || []).find(isCOGLink) || {};
+        if (!cogUrl) {
+            return null;
+        }
+        return withDatasetLayerSettings(resource, {
+            ...layer,
+            type: 'cog',
+            url: cogUrl,
+            sources: [{ url: cogUrl }]
+        });
+    },
+    [DatasetLayerTypes.OGC_API_TILES]: (resource, layer) => {
+        const tilesUrl = resource.sourcetype === SOURCE_TYPES.REMOTE && findLinkUrl(resource.links, 'OGC:API-Tiles');
+        if (!tilesUrl) {
+            return null;
+        }
+        return withDatasetLayerSettings(resource, {
+            ...layer,
+            type: 'tileprovider',
+            provider: 'custom',
+            url: tilesUrl.includes('{z}')
+                ? tilesUrl
+                : `${tilesUrl.replace(/\/$/, '')}/map/tiles/WebMercatorQuad/{z}/{y}/{x}`
+        });
+    }
+};
+
+/**
+* Get the ordered list of preferred layer types used to display a dataset.
+* The list is configured with the `datasetLayerTypes` property of `geoNodeSettings`
+* @return {string[]} list of `DatasetLayerTypes` values
+*/
+export const getDatasetLayerTypes = () => {
+    const { datasetLayerTypes } = getConfigProp('geoNodeSettings') || {};
+    return datasetLayerTypes?.length ? datasetLayerTypes : [DatasetLayerTypes.WMS];
+};
+
 /**
 * convert resource layer configuration to a mapstore layer object
 * @param {object} resource geonode layer resource
+* @param {object} options optional configuration
+* @param {string[]} options.layerTypes ordered list of preferred layer types of datasets, default the `getDatasetLayerTypes` ones
 * @return {object}
 */
-export const resourceToLayerConfig = (resource) => {
+export const resourceToLayerConfig = (resource, { layerTypes = getDatasetLayerTypes() } = {}) => {
 
     const {
         alternate,
         links = [],
-        featureinfo_custom_template: template,
         title,
         perms,
         pk,
         default_style: defaultStyle,
         ptype,
-        subtype,
-        sourcetype,
-        data: layerSettings
+        subtype
     } = resource;
 
     const bbox = getExtentFromResource(resource);
@@ -178,6 +357,22 @@ export const resourceToLayerConfig = (resource) => {
         };
     }
 
+    // georeferenced image documents are added as image overlays
+    // the document pk is not stored as `pk` because the layers with a pk are handled as datasets
+    if (isImageDocument(resource)) {
+        return {
+            id: uuid(),
+            type: 'image',
+            title,
+            url: parseDevHostname(resource.href || ''),
+            ...(bbox && { bbox }),
+            visibility: true,
+            extendedParams: {
+                documentPk: pk
+            }
+        };
+    }
+
     switch (ptype) {
     case GXP_PTYPES.REST_MAP:
     case GXP_PTYPES.REST_IMG: {
@@ -198,54 +393,55 @@ export const resourceToLayerConfig = (resource) => {
         };
     }
     default:
-        const { url: wfsUrl } = links.find(({ link_type: linkType }) => linkType === 'OGC:WFS') || {};
-        const { url: wmsUrl } = links.find(({ link_type: linkType }) => linkType === 'OGC:WMS') || {};
-
-        const dimensions = getDimensions(resource);
-
-        const params = wmsUrl && url.parse(wmsUrl, true).query;
-        const {
-            defaultLayerFormat = 'image/png',
-            defaultTileSize = 512
-        } = getConfigProp('geoNodeSettings') || {};
-        const fields = datasetAttributeSetToFields(resource);
-        return {
+        const layer = {
             perms,
             id: uuid(),
             pk,
-            type: 'wms',
-            name: alternate,
-            url: wmsUrl || '',
-            format: defaultLayerFormat,
-            ...(wfsUrl && {
-                search: {
-                    type: 'wfs',
-                    url: wfsUrl
-                }
-            }),
-            ...(bbox ? { bbox } : { bboxError: true }),
-            ...(template && {
-                featureInfo: {
-                    format: FEATURE_INFO_FORMAT,
-                    template
-                }
-            }),
-            style: defaultStyleParams?.defaultStyle?.name || '',
+            ...(bbox && { bbox }),
             title,
-            tileSize: defaultTileSize,
             visibility: true,
-            ...(params && { params }),
-            ...(dimensions.length > 0 && ({ dimensions })),
-            extendedParams,
-            ...(fields && { fields }),
-            ...(sourcetype === SOURCE_TYPES.REMOTE && !wmsUrl.includes('/geoserver/') && {
-                serverType: ServerTypes.NO_VENDOR
-            }),
-            ...layerSettings
+            extendedParams
         };
+        const preferredLayer = layerTypes
+            .reduce((acc, type) => acc || datasetLayerBuilders[type]?.(resource, layer) || null, null);
+        // the wms layer is the fallback when none of the preferred types is available
+        return preferredLayer || getWMSLayerConfig(resource, layer);
     }
 };
 
+const WMTS_CAPABILITIES_PROPERTIES = ['url', 'requestEncoding', 'format', 'style', 'tileMatrixSet', 'matrixIds', 'availableTileMatrixSets', 'allowedSRS'];
+
+/**
+* Complete the layer configuration of a dataset with the information available only in the capabilities of the service,
+* currently the tile matrix sets of the remote wmts services. The wms layer is returned when the capabilities cannot be read
+* @param {object} resource geonode dataset resource
+* @param {object} layer layer configuration returned by `resourceToLayerConfig`
+* @return {Promise} promise resolving the layer configuration
+*/
+export const resolveDatasetLayerConfig = (resource, layer) => {
+    if (layer?.type !== DatasetLayerTypes.WMTS || layer.availableTileMatrixSets) {
+        return Promise.resolve(layer);
+    }
+    const getWMSLayer = () => ({
+        ...resourceToLayerConfig(resource, { layerTypes: [DatasetLayerTypes.WMS] }),
+        id: layer.id
+    });
+    return wmtsTextSearch(layer.capabilitiesURL, 1, 1, layer.name)
+        .then((result) => getWMTSCatalogRecords(result, { url: layer.capabilitiesURL }))
+        .then((records) => {
+            const record = (records || []).find(({ identifier }) => identifier === layer.name);
+            return record ? getWMTSLayerFromRecord(record) : null;
+        })
+        .then((capabilitiesLayer) => capabilitiesLayer?.availableTileMatrixSets
+            ? {
+                ...layer,
+                ...omitBy(pick(capabilitiesLayer, WMTS_CAPABILITIES_PROPERTIES), isNil),
+                ...resource.data
+            }
+            : getWMSLayer())
+        .catch(() => getWMSLayer());
+};
+
 function updateUrlQueryParameter(requestUrl = '', query) {
     const parsedUrl = url.parse(requestUrl, true);
     return url.format({
@@ -710,6 +906,35 @@ export const canCopyResource = (resource, user) => {
     return (canAdd && canCopy) ? true : false;
 };
 
+/*
+* Util to check if the user is allowed to apply a process of the resource service to a resource
+* it is used to filter the resources of a batch operation
+*/
+export const canProcessResource = (processType, resource, user) => {
+    const perms = resource?.perms || [];
+    switch (processType) {
+    case ProcessTypes.DELETE_RESOURCE:
+        return perms.includes('delete_resourcebase');
+    case ProcessTypes.COPY_RESOURCE:
+        return canCopyResource(resource, user);
+    case ProcessTypes.FAVORITE_RESOURCE:
+        return !!user;
+    case ProcessTypes.GROUP_RESOURCE:
+    case ProcessTypes.ADVERTISED_RESOURCE:
+        return perms.includes('change_resourcebase');
+    case ProcessTypes.FEATURED_RESOURCE:
+        return perms.includes('feature_resourcebase');
+    case ProcessTypes.PERMISSIONS_RESOURCE:
+        return perms.includes('change_resourcebase_permissions');
+    case ProcessTypes.DOWNLOAD_METADATA:
+        return true;
+    case ProcessTypes.UPDATE_METADATA:
+        return perms.includes('change_resourcebase_metadata');
+    default:
+        return false;
+    }
+};
+
 export const parseUploadResponse = (upload) => {
     return orderBy(uniqBy([...upload], 'id'), 'create_date', 'desc');
 };
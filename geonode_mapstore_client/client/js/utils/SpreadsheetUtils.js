@@ -0,0 +1,173 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+
+/**
+* @module utils/SpreadsheetUtils
+*/
+
+export const SortDirections = {
+    ASC: 'ASC',
+    DESC: 'DESC',
+    NONE: 'NONE'
+};
+
+export const SPREADSHEET_CHART_MAX_ROWS = 50;
+// points rendered on the map, the extent includes all the rows
+export const SPREADSHEET_MAP_MAX_POINTS = 5000;
+
+const X_COLUMN_NAMES = ['x', 'lon', 'lng', 'long', 'longitude'];
+const Y_COLUMN_NAMES = ['y', 'lat', 'latitude'];
+
+const isNumericValue = (value) => !isNil(value) && `${value}`.trim() !== '' && !isNaN(Number(value));
+
+const toSearchableValue = (value) => `${value ?? ''}`.toLowerCase();
+
+/**
+ * Convert the rows of a sheet to a table, the first rows are used as header
+ * @param {array[]} data list of rows, each row is a list of cell values
+ * @param {number} headerRows number of rows used as header, their values are joined to compose the column names
+ * @return {object} `{ columns, rows }` where columns is a list of `{ key, name }`
+ */
+export const getSheetTable = (data = [], headerRows = 1) => {
+    const header = data.slice(0, headerRows);
+    const rows = data.slice(headerRows);
+    const columnsCount = Math.max(0, ...data.map((row) => row?.length || 0));
+    const columns = [...Array(columnsCount).keys()].map((key) => ({
+        key,
+        name: header
+            .map((row) => row?.[key])
+            .filter((value) => !isNil(value) && `${value}`.trim() !== '')
+            .join(' ') || `${key + 1}`
+    }));
+    return { columns, rows };
+};
+
+/**
+ * Filter the rows of a table with a full-text search and filters by column
+ * @param {array[]} rows list of rows
+ * @param {object} options
+ * @param {string} options.search text searched in all the cells of a row
+ * @param {object} options.filters text searched in a specific column, in the form `{ [columnKey]: text }`
+ * @return {array[]} filtered rows
+ */
+export const filterSpreadsheetRows = (rows = [], { search, filters = {} } = {}) => {
+    const searchText = toSearchableValue(search).trim();
+    const columnFilters = Object.keys(filters)
+        .map((key) => [key, toSearchableValue(filters[key]).trim()])
+        .filter(([, text]) => text !== '');
+    if (!searchText && !columnFilters.length) {
+        return rows;
+    }
+    return rows.filter((row) =>
+        (!searchText || row.some((value) => toSearchableValue(value).includes(searchText)))
+        && columnFilters.every(([key, text]) => toSearchableValue(row[key]).includes(text))
+    );
+};
+
+const compareValues = (a, b) => {
+    if (isNumericValue(a) && isNumericValue(b)) {
+        return Number(a) - Number(b);
+    }
+    return toSearchableValue(a).localeCompare(toSearchableValue(b));
+};
+
+/**
+ * Sort the rows of a table by column, numeric values are compared as numbers
+ * @param {array[]} rows list of rows
+ * @param {number} key column key
+ * @param {string} direction one of `SortDirections` values
+ * @return {array[]} sorted rows
+ */
+export const sortSpreadsheetRows = (rows = [], key, direction) => {
+    if (isNil(key) || !direction || direction === SortDirections.NONE) {
+        return rows;
+    }
+    const sign = direction === SortDirections.DESC ? -1 : 1;
+    return [...rows].sort((a, b) => sign * compareValues(a[key], b[key]));
+};
+
+/**
+ * Detect the columns containing the longitude and latitude of the rows
+ * @param {object[]} columns list of columns `{ key, name }`
+ * @param {array[]} rows list of rows
+ * @return {object} `{ x, y }` keys of the coordinate columns or null if not found
+ */
+export const detectCoordinateColumns = (columns = [], rows = []) => {
+    const findColumn = (names) => columns.find(({ name }) => names.includes(`${name}`.trim().toLowerCase()));
+    const xColumn = findColumn(X_COLUMN_NAMES);
+    const yColumn = findColumn(Y_COLUMN_NAMES);
+    if (!xColumn || !yColumn) {
+        return null;
+    }
+    const hasValidCoordinates = rows.some((row) => isNumericValue(row[xColumn.key])
+        && isNumericValue(row[yColumn.key])
+        && Math.abs(Number(row[xColumn.key])) <= 180
+        && Math.abs(Number(row[yColumn.key])) <= 90);
+    return hasValidCoordinates ? { x: xColumn.key, y: yColumn.key } : null;
+};
+
+/**
+ * Convert the rows of a table to point features, rows without valid coordinates are excluded
+ * @param {array[]} rows list of rows
+ * @param {object[]} columns list of columns `{ key, name }`
+ * @param {object} coordinates keys of the coordinate columns `{ x, y }`
+ * @return {object} feature collection
+ */
+export const rowsToFeatureCollection = (rows = [], columns = [], { x, y } = {}) => ({
+    type: 'FeatureCollection',
+    features: rows
+        .filter((row) => isNumericValue(row[x]) && isNumericValue(row[y]))
+        .map((row, idx) => ({
+            type: 'Feature',
+            id: idx,
+            geometry: {
+                type: 'Point',
+                coordinates: [Number(row[x]), Number(row[y])]
+            },
+            properties: columns.reduce((acc, { key, name }) => {
+                acc[name] = row[key];
+                return acc;
+            }, {})
+        }))
+});
+
+/**
+ * Get the columns containing only numeric values
+ * @param {object[]} columns list of columns `{ key, name }`
+ * @param {array[]} rows list of rows
+ * @return {object[]} numeric columns
+ */
+export const getNumericColumns = (columns = [], rows = []) => columns
+    .filter(({ key }) => {
+        const values = rows.map((row) => row[key]).filter((value) => !isNil(value) && `${value}`.trim() !== '');
+        return values.length > 0 && values.every(isNumericValue);
+    });
+
+/**
+ * Get the data of a chart from the rows of a table
+ * @param {array[]} rows list of rows
+ * @param {object} options
+ * @param {number} options.labelKey key of the column used for the labels
+ * @param {number[]} options.valueKeys keys of the columns used for the values
+ * @param {number} options.maxRows max number of rows included in the chart
+ * @return {object[]} list of `{ label, values }`
+ */
+export const getSpreadsheetChartData = (rows = [], { labelKey, valueKeys = [], maxRows = SPREADSHEET_CHART_MAX_ROWS } = {}) => {
+    if (!valueKeys.length) {
+        return [];
+    }
+    return rows
+        .filter((row) => valueKeys.some((key) => isNumericValue(row[key])))
+        .slice(0, maxRows)
+        .map((row, idx) => ({
+            label: isNil(labelKey) ? `${idx + 1}` : `${row[labelKey] ?? ''}`,
+            values: valueKeys.map((key) => isNumericValue(row[key]) ? Number(row[key]) : 0)
+        }));
+};
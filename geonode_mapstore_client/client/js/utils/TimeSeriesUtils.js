@@ -0,0 +1,193 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+import orderBy from 'lodash/orderBy';
+
+/**
+* @module utils/TimeSeriesUtils
+*/
+
+export const TimeSeriesPresentations = {
+    LIST: 'LIST',
+    DISCRETE_INTERVAL: 'DISCRETE_INTERVAL',
+    CONTINUOUS_INTERVAL: 'CONTINUOUS_INTERVAL'
+};
+
+export const TimeSeriesWarnings = {
+    NO_DATA: 'noData',
+    MISSING_PRECISION: 'missingPrecision',
+    SINGLE_STEP: 'singleStep',
+    TOO_MANY_STEPS: 'tooManySteps',
+    EMPTY_STEPS: 'emptySteps'
+};
+
+// max number of time steps computed for the preview, a time dimension with more steps is considered too dense
+export const MAX_TIME_STEPS = 1000;
+// ratio of steps without features above which the precision is considered too fine
+const EMPTY_STEPS_RATIO = 0.5;
+
+const addUTCDateMethods = {
+    years: (date, value) => date.setUTCFullYear(date.getUTCFullYear() + value),
+    months: (date, value) => date.setUTCMonth(date.getUTCMonth() + value),
+    days: (date, value) => date.setUTCDate(date.getUTCDate() + value),
+    hours: (date, value) => date.setUTCHours(date.getUTCHours() + value),
+    minutes: (date, value) => date.setUTCMinutes(date.getUTCMinutes() + value),
+    seconds: (date, value) => date.setUTCSeconds(date.getUTCSeconds() + value)
+};
+
+/**
+ * Parse a time value returned by GeoServer, numbers between 0 and 9999 are considered years
+ * @param {string|number} value time value
+ * @return {number} time in milliseconds or null if not valid
+ */
+export const parseTimeValue = (value) => {
+    if (isNil(value) || value === '') {
+        return null;
+    }
+    if (typeof value === 'number' || /^\d{1,4}$/.test(`${value}`)) {
+        const number = Number(value);
+        return number >= 0 && number <= 9999
+            ? Date.UTC(number, 0, 1)
+            : number;
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+};
+
+/**
+ * Add a time step to a time value
+ * @param {number} time time in milliseconds
+ * @param {number} value number of units to add
+ * @param {string} step unit of the step, one of `years`, `months`, `days`, `hours`, `minutes` or `seconds`
+ * @return {number} time in milliseconds
+ */
+export const addTimeStep = (time, value, step) => {
+    const date = new Date(time);
+    (addUTCDateMethods[step] || addUTCDateMethods.seconds)(date, value);
+    return date.getTime();
+};
+
+/**
+ * Convert the response of a gs:Aggregate Count request grouped by a time attribute in a list of time values
+ * @param {object} response json response of the gs:Aggregate request
+ * @return {object[]} list of `{ time, count }` sorted by time, values that cannot be parsed are excluded
+ */
+export const parseTimeDomainResponse = (response) => orderBy(
+    (response?.AggregationResults || [])
+        .map(([value, count]) => ({ time: parseTimeValue(value), count }))
+        .filter(({ time }) => !isNil(time)),
+    ['time'],
+    ['asc']
+);
+
+/**
+ * Group the time values in a fixed number of bins of the same size
+ * @param {object[]} values list of `{ time, count }` sorted by time
+ * @param {number} size number of bins
+ * @return {object[]} list of `{ start, end, count }`
+ */
+export const getTimeHistogram = (values = [], size = 20) => {
+    if (!values.length) {
+        return [];
+    }
+    const start = values[0].time;
+    const end = values[values.length - 1].time;
+    const binsCount = start === end ? 1 : size;
+    const binSize = (end - start) / binsCount;
+    const bins = [...Array(binsCount).keys()].map((idx) => ({
+        start: start + idx * binSize,
+        end: idx === binsCount - 1 ? end : start + (idx + 1) * binSize,
+        count: 0
+    }));
+    values.forEach(({ time, count }) => {
+        const idx = binSize ? Math.min(Math.floor((time - start) / binSize), binsCount - 1) : 0;
+        bins[idx].count += count;
+    });
+    return bins;
+};
+
+// the steps are generated up to one more than the limit only to detect that the limit is exceeded
+function getIntervalSteps(start, end, precisionValue, precisionStep) {
+    const steps = [start];
+    let time = start;
+    while (time < end && steps.length <= MAX_TIME_STEPS) {
+        time = addTimeStep(time, precisionValue, precisionStep);
+        steps.push(time);
+    }
+    return steps;
+}
+
+function countEmptySteps(steps, values) {
+    let valueIdx = 0;
+    return steps.slice(0, -1).reduce((emptySteps, stepStart, idx) => {
+        const stepEnd = steps[idx + 1];
+        while (valueIdx < values.length && values[valueIdx].time < stepStart) {
+            valueIdx++;
+        }
+        return valueIdx < values.length && values[valueIdx].time < stepEnd
+            ? emptySteps
+            : emptySteps + 1;
+    }, 0);
+}
+
+/**
+ * Compute a preview of the time dimension generated by a time series configuration
+ * @param {object} timeseries time series configuration `{ presentation, precision_value, precision_step }`
+ * @param {object[]} values list of `{ time, count }` sorted by time, see `parseTimeDomainResponse`
+ * @param {number} endTime max time of the end attribute, if configured
+ * @return {object} preview `{ start, end, steps, stepsCount, warnings }`, `steps` are not computed for continuous intervals
+ * and `stepsCount` is undefined when the intervals exceed `MAX_TIME_STEPS` because the generation of the steps is interrupted
+ */
+export const getTimeSeriesPreview = (timeseries = {}, values = [], endTime) => {
+    if (!values.length) {
+        return { steps: [], stepsCount: 0, warnings: [TimeSeriesWarnings.NO_DATA] };
+    }
+    const start = values[0].time;
+    const end = Math.max(values[values.length - 1].time, endTime ?? -Infinity);
+    const {
+        presentation = TimeSeriesPresentations.LIST,
+        precision_value: precisionValue,
+        precision_step: precisionStep
+    } = timeseries;
+    if (presentation === TimeSeriesPresentations.LIST) {
+        const steps = values.slice(0, MAX_TIME_STEPS).map(({ time }) => time);
+        return {
+            start,
+            end,
+            steps,
+            stepsCount: values.length,
+            warnings: [
+                ...(values.length === 1 ? [TimeSeriesWarnings.SINGLE_STEP] : []),
+                ...(values.length > MAX_TIME_STEPS ? [TimeSeriesWarnings.TOO_MANY_STEPS] : [])
+            ]
+        };
+    }
+    if (!(precisionValue > 0) || !precisionStep) {
+        return { start, end, steps: [], stepsCount: 0, warnings: [TimeSeriesWarnings.MISSING_PRECISION] };
+    }
+    if (presentation === TimeSeriesPresentations.CONTINUOUS_INTERVAL) {
+        return { start, end, steps: [], stepsCount: 0, warnings: [] };
+    }
+    const steps = getIntervalSteps(start, end, precisionValue, precisionStep);
+    if (steps.length > MAX_TIME_STEPS) {
+        return { start, end, steps: [], stepsCount: undefined, warnings: [TimeSeriesWarnings.TOO_MANY_STEPS] };
+    }
+    const intervalsCount = steps.length - 1;
+    const emptySteps = intervalsCount > 0 ? countEmptySteps(steps, values) : 0;
+    return {
+        start,
+        end,
+        steps,
+        stepsCount: steps.length,
+        warnings: [
+            ...(steps.length === 1 ? [TimeSeriesWarnings.SINGLE_STEP] : []),
+            ...(intervalsCount > 0 && emptySteps / intervalsCount > EMPTY_STEPS_RATIO ? [TimeSeriesWarnings.EMPTY_STEPS] : [])
+        ]
+    };
+};
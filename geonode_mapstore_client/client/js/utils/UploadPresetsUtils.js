@@ -0,0 +1,148 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import isNil from 'lodash/isNil';
+import isEmpty from 'lodash/isEmpty';
+import isObject from 'lodash/isObject';
+import isEqual from 'lodash/isEqual';
+import uniqWith from 'lodash/uniqWith';
+
+/**
+* @module utils/UploadPresetsUtils
+*/
+
+export const UploadPresetSteps = {
+    METADATA: 'metadata',
+    GROUP: 'group',
+    PERMISSIONS: 'permissions'
+};
+
+export const UploadPresetStatus = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    FINISHED: 'finished',
+    FAILED: 'failed'
+};
+
+export const UPLOAD_PRESETS_STORAGE_KEY = 'gnUploadPresets';
+export const DEFAULT_UPLOAD_PRESETS_EXPIRATION = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the steps needed to apply an upload preset
+ * @param {object} preset upload preset `{ metadata, group, permissions }`
+ * @return {string[]} list of `UploadPresetSteps` values
+ */
+export const getUploadPresetSteps = (preset) => [
+    ...(!isEmpty(preset?.metadata) ? [UploadPresetSteps.METADATA] : []),
+    ...(preset?.group ? [UploadPresetSteps.GROUP] : []),
+    ...(!isEmpty(preset?.permissions) ? [UploadPresetSteps.PERMISSIONS] : [])
+];
+
+const isEmptyValue = (value) => isNil(value)
+    || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (isObject(value) && !Array.isArray(value) && isEmpty(value))
+    // select values of the metadata schema are objects with an empty identifier when not set
+    || (isObject(value) && !Array.isArray(value) && 'id' in value && isEmptyValue(value.id));
+
+/**
+ * Apply the default metadata values of a preset to the metadata of a resource.
+ * Only empty values are replaced while lists (eg. keywords and regions) are merged with the current entries
+ * @param {object} metadata current metadata instance
+ * @param {object} presetMetadata default metadata values of the preset, in the format of the metadata instance
+ * @return {object} updated metadata instance
+ */
+export const applyUploadPresetMetadata = (metadata = {}, presetMetadata = {}) => Object.keys(presetMetadata)
+    .reduce((acc, key) => {
+        const value = acc[key];
+        const presetValue = presetMetadata[key];
+        if (isEmptyValue(value)) {
+            return { ...acc, [key]: presetValue };
+        }
+        if (Array.isArray(value) && Array.isArray(presetValue)) {
+            return { ...acc, [key]: uniqWith([...value, ...presetValue], isEqual) };
+        }
+        return acc;
+    }, metadata);
+
+/**
+ * Get the status of a preset applied to the resources of an execution request
+ * @param {object[]} results list of results by resource, each result contains the outcome of the steps `{ [step]: boolean }`
+ * @return {object} `{ status, failedSteps }`
+ */
+export const getUploadPresetResult = (results = []) => {
+    const failedSteps = Object.values(UploadPresetSteps)
+        .filter((step) => results.some((result) => result?.[step] === false));
+    return {
+        status: failedSteps.length || !results.length ? UploadPresetStatus.FAILED : UploadPresetStatus.FINISHED,
+        failedSteps
+    };
+};
+
+const isUploadPresetIncomplete = (result) => [UploadPresetStatus.PENDING, UploadPresetStatus.RUNNING].includes(result?.status);
+
+const readStoredUploadPresets = (expiration) => {
+    try {
+        const storedPresets = JSON.parse(window.localStorage.getItem(UPLOAD_PRESETS_STORAGE_KEY)) || {};
+        return Object.keys(storedPresets)
+            .filter((execId) => (Date.now() - storedPresets[execId].updated) <= expiration)
+            .reduce((acc, execId) => ({ ...acc, [execId]: storedPresets[execId] }), {});
+    } catch (e) {
+        return {};
+    }
+};
+
+const writeStoredUploadPresets = (storedPresets) => {
+    try {
+        window.localStorage.setItem(UPLOAD_PRESETS_STORAGE_KEY, JSON.stringify(storedPresets));
+    } catch (e) {
+        // storage could be full or disabled, the presets will not be applied after a page reload
+    }
+};
+
+/**
+ * Get the persisted presets assigned to execution requests and not yet applied.
+ * The presets interrupted while running are restored as pending so they are applied again
+ * @param {number} expiration time in milliseconds after which a stored assignment is discarded
+ * @return {object} preset results by execution id in the form `{ presetId, label, status }`
+ */
+export const getStoredUploadPresets = (expiration = DEFAULT_UPLOAD_PRESETS_EXPIRATION) => {
+    const storedPresets = readStoredUploadPresets(expiration);
+    return Object.keys(storedPresets)
+        .reduce((acc, execId) => ({
+            ...acc,
+            [execId]: {
+                presetId: storedPresets[execId].presetId,
+                label: storedPresets[execId].label,
+                status: UploadPresetStatus.PENDING
+            }
+        }), {});
+};
+
+/**
+ * Persist the presets assigned to execution requests, the completed ones are removed from the storage
+ * @param {object} presetResults preset results by execution id in the form `{ presetId, label, status }`
+ * @param {number} expiration time in milliseconds after which a stored assignment is discarded
+ */
+export const updateStoredUploadPresets = (presetResults = {}, expiration = DEFAULT_UPLOAD_PRESETS_EXPIRATION) => {
+    writeStoredUploadPresets(Object.keys(presetResults)
+        .reduce((acc, execId) => {
+            const { [execId]: storedPreset, ...storedPresets } = acc;
+            const result = presetResults[execId];
+            return isUploadPresetIncomplete(result)
+                ? {
+                    ...storedPresets,
+                    [execId]: {
+                        presetId: result.presetId,
+                        label: result.label,
+                        updated: storedPreset?.updated ?? Date.now()
+                    }
+                }
+                : storedPresets;
+        }, readStoredUploadPresets(expiration)));
+};
@@ -0,0 +1,190 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import uniq from 'lodash/uniq';
+import wk from 'wellknown';
+import GeoJSON from 'ol/format/GeoJSON';
+import KML from 'ol/format/KML';
+import GPX from 'ol/format/GPX';
+import shp from 'shpjs';
+import {
+    UploadIssueLevels,
+    createUploadIssue,
+    inspectCSV,
+    splitCSVLine
+} from '@js/utils/UploadValidationUtils';
+import { readFile, readShapefileArchive } from '@js/utils/FileUtils';
+import { getFeaturesExtent } from '@js/utils/CoordinatesUtils';
+
+/**
+* @module utils/UploadPreviewUtils
+*/
+
+export const PREVIEW_EXTENSIONS = ['json', 'geojson', 'kml', 'gpx', 'csv', 'shp', 'zip'];
+// files are fully parsed in the browser so bigger files are not previewed
+export const PREVIEW_MAX_FILE_SIZE = 50 * 1024 * 1024;
+export const PREVIEW_MAX_FEATURES = 5000;
+export const PREVIEW_TABLE_ROWS = 50;
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+const geoJSONFormat = new GeoJSON();
+
+/**
+ * Check if a pending upload can be previewed on the map
+ * @param {object} upload pending upload
+ * @return {boolean} true if the main file of the upload can be parsed in the browser
+ */
+export const isUploadPreviewSupported = (upload) => {
+    const ext = upload?.ext?.[0];
+    return upload?.type === 'file'
+        && !!upload.supported
+        && PREVIEW_EXTENSIONS.includes(ext)
+        && !!upload.files?.[ext];
+};
+
+/**
+ * Normalize a GeoJSON object or a list of them in a FeatureCollection
+ * @param {object|object[]} geojson a GeoJSON FeatureCollection, Feature, Geometry or a list of them
+ * @return {object} GeoJSON FeatureCollection
+ */
+export const toFeatureCollection = (geojson) => {
+    const getFeatures = (entry) => {
+        if (Array.isArray(entry)) {
+            return entry.reduce((acc, item) => [...acc, ...getFeatures(item)], []);
+        }
+        if (entry?.type === 'FeatureCollection') {
+            return (entry.features || []).map((feature) => ({ ...feature, properties: feature?.properties || {} }));
+        }
+        if (entry?.type === 'Feature') {
+            return [{ ...entry, properties: entry.properties || {} }];
+        }
+        if (GEOMETRY_TYPES.includes(entry?.type)) {
+            return [{ type: 'Feature', properties: {}, geometry: entry }];
+        }
+        return [];
+    };
+    return {
+        type: 'FeatureCollection',
+        features: getFeatures(geojson)
+    };
+};
+
+const parseWKT = (value = '') => {
+    try {
+        return wk.parse(value.replace(/^\s*SRID=\d+;\s*/i, ''));
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Convert the content of a CSV file in a FeatureCollection using the coordinates or the WKT column
+ * detected by `inspectCSV`
+ * @param {string} text content of the CSV file
+ * @return {object} GeoJSON FeatureCollection, features without valid coordinates have a null geometry
+ */
+export const csvToFeatureCollection = (text = '') => {
+    const { info } = inspectCSV(text);
+    const { delimiter, columns = [], latitude, longitude, wkt } = info;
+    const lines = text.split(/\r?\n/).filter((line) => line.trim());
+    const features = lines.slice(1).map((line) => {
+        const values = splitCSVLine(line, delimiter);
+        const getValue = (column) => values[columns.indexOf(column)];
+        const properties = columns.reduce((acc, column, idx) => column === wkt
+            ? acc
+            : { ...acc, [column]: values[idx] }, {});
+        if (latitude && longitude) {
+            const x = parseFloat(getValue(longitude));
+            const y = parseFloat(getValue(latitude));
+            return {
+                type: 'Feature',
+                properties,
+                geometry: isFinite(x) && isFinite(y) ? { type: 'Point', coordinates: [x, y] } : null
+            };
+        }
+        return {
+            type: 'Feature',
+            properties,
+            geometry: wkt ? parseWKT(getValue(wkt)) : null
+        };
+    });
+    return { type: 'FeatureCollection', features };
+};
+
+/**
+ * Summarize the content of a parsed upload and detect the errors visible only after reading the features,
+ * such as empty files or coordinates outside the EPSG:4326 range caused by a missing or wrong projection
+ * @param {object} featureCollection GeoJSON FeatureCollection in EPSG:4326
+ * @return {object} `{ featuresCount, geometryTypes, attributes, extent, issues }`, extent is null when the coordinates are not valid
+ */
+export const getUploadPreviewSummary = (featureCollection) => {
+    const features = featureCollection?.features || [];
+    const geometries = features.map(({ geometry }) => geometry).filter((geometry) => geometry);
+    const extent = getFeaturesExtent(features);
+    const outOfRange = !!extent && (extent[0] < -180 || extent[2] > 180 || extent[1] < -90 || extent[3] > 90);
+    const missingGeometries = features.length - geometries.length;
+    return {
+        featuresCount: features.length,
+        geometryTypes: uniq(geometries.map(({ type }) => type)),
+        attributes: uniq(features
+            .slice(0, PREVIEW_TABLE_ROWS)
+            .reduce((acc, { properties }) => [...acc, ...Object.keys(properties || {})], [])),
+        extent: outOfRange ? null : extent,
+        issues: [
+            ...(features.length === 0 ? [createUploadIssue(UploadIssueLevels.ERROR, 'noFeatures')] : []),
+            ...(features.length > 0 && geometries.length === 0 ? [createUploadIssue(UploadIssueLevels.ERROR, 'noGeometries')] : []),
+            ...(geometries.length > 0 && missingGeometries > 0
+                ? [createUploadIssue(UploadIssueLevels.WARNING, 'missingGeometries', { count: missingGeometries })]
+                : []),
+            ...(outOfRange ? [createUploadIssue(UploadIssueLevels.ERROR, 'outOfRangeCoordinates', { extent: extent.map((value) => Math.round(value)).join(', ') })] : [])
+        ]
+    };
+};
+
+const readText = (file) => readFile(file, 'readAsText');
+const readArrayBuffer = (file) => readFile(file, 'readAsArrayBuffer');
+
+const olFormatReader = (Format) => ({ file }) => readText(file)
+    .then((text) => geoJSONFormat.writeFeaturesObject(new Format().readFeatures(text)));
+
+const readers = {
+    json: ({ file }) => readText(file).then((text) => JSON.parse(text)),
+    kml: olFormatReader(KML),
+    gpx: olFormatReader(GPX),
+    csv: ({ file }) => readText(file).then(csvToFeatureCollection),
+    shp: ({ files }) => Promise.all([
+        readArrayBuffer(files.shp),
+        files.dbf ? readArrayBuffer(files.dbf) : Promise.resolve(null),
+        files.prj ? readText(files.prj) : Promise.resolve(undefined),
+        files.cpg ? readText(files.cpg) : Promise.resolve(undefined)
+    ]).then(([shpBuffer, dbfBuffer, prj, cpg]) => shp.combine([
+        shp.parseShp(shpBuffer, prj),
+        dbfBuffer ? shp.parseDbf(dbfBuffer, cpg) : []
+    ])),
+    zip: ({ file }) => readShapefileArchive(file)
+};
+readers.geojson = readers.json;
+
+/**
+ * Read the features of a pending upload in the browser
+ * @param {object} upload pending upload, see `isUploadPreviewSupported`
+ * @return {promise} GeoJSON FeatureCollection in EPSG:4326, the promise is rejected for not supported or too big files
+ */
+export const readUploadPreview = (upload) => {
+    const ext = upload?.ext?.[0];
+    const file = upload?.files?.[ext];
+    const read = readers[ext];
+    if (!read || !file) {
+        return Promise.reject(new Error('unsupported'));
+    }
+    if (file.size > PREVIEW_MAX_FILE_SIZE) {
+        return Promise.reject(new Error('tooLarge'));
+    }
+    return read({ file, files: upload.files }).then(toFeatureCollection);
+};
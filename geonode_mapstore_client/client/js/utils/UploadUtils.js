@@ -10,6 +10,8 @@ import isNil from "lodash/isNil";
 import { isValidURL } from "@mapstore/framework/utils/URLUtils";
 import { getFileNameAndExtensionFromUrl } from "@js/utils/FileUtils";
 import { getConfigProp } from '@mapstore/framework/utils/ConfigUtils';
+import JSZip from 'jszip';
+import { PREFLIGHT_MAX_ZIP_SIZE } from '@js/utils/UploadValidationUtils';
 
 export const hasExtensionInUrl = (remoteResource) => {
     const { url: remoteUrl } = remoteResource || {};
@@ -124,6 +126,94 @@ export const validateFileResourceUploads = (uploads = [], { supportedFiles = []
     });
 };
 
+// style and metadata files attached to the datasets found in an archive
+export const ARCHIVE_SIDECAR_EXTENSIONS = ['sld', 'xml'];
+
+const getArchiveEntryParts = (path) => {
+    const name = path.split('/').pop();
+    const nameParts = name.split('.');
+    const ext = nameParts.pop().toLowerCase();
+    return {
+        ext,
+        name: nameParts.join('.'),
+        baseName: `${path.slice(0, path.length - name.length)}${nameParts.join('.')}`
+    };
+};
+
+const isArchiveSidecar = (upload) => !upload.ready && upload.ext.every(ext => ARCHIVE_SIDECAR_EXTENSIONS.includes(ext));
+
+/**
+ * Group the entries of an archive in candidate datasets using the same rules of the file uploads.
+ * Style and metadata files not grouped by base name (eg. `roads.shp.xml` or `roads_style.sld`) are attached
+ * to the candidate with the longest matching base name in the same folder
+ * @param {string[]} paths paths of the archive entries
+ * @param {object} options
+ * @param {object[]} options.supportedFiles supported file types
+ * @return {object[]} list of candidates in the form `{ id, baseName, ext, files, supported, ready, missingExtensions }` where files contains the entry paths by extension
+ */
+export const getArchiveUploadCandidates = (paths = [], { supportedFiles = [] } = {}) => {
+    const entries = paths
+        .filter((path) => !path.endsWith('/') && !/(^|\/)(__MACOSX|\.)/.test(path) && path.split('/').pop().includes('.'))
+        .map((path) => {
+            const { ext, baseName } = getArchiveEntryParts(path);
+            return { id: path, type: 'file', file: path, ext, baseName };
+        });
+    const uploads = validateFileResourceUploads(parseFileResourceUploads([], entries, { supportedFiles }), { supportedFiles });
+    const sidecars = uploads.filter(isArchiveSidecar);
+    const candidates = uploads.filter((upload) => !isArchiveSidecar(upload));
+    return sidecars.reduce((acc, sidecar) => {
+        const candidate = acc
+            .filter((entry) => entry.ready
+                && [`${entry.baseName}.`, `${entry.baseName}_`, `${entry.baseName}-`].some((prefix) => sidecar.baseName.startsWith(prefix))
+                && entry.baseName.lastIndexOf('/') === sidecar.baseName.lastIndexOf('/'))
+            .sort((a, b) => b.baseName.length - a.baseName.length)[0];
+        const supportedType = candidate && supportedFiles
+            .find((type) => candidate.ext.every((ext) => getSupportedTypeExt(type).includes(ext)));
+        const ext = sidecar.ext.filter((sidecarExt) => !candidate?.ext.includes(sidecarExt)
+            && getSupportedTypeExt(supportedType).includes(sidecarExt));
+        if (!candidate || !ext.length) {
+            return acc;
+        }
+        return acc.map((entry) => entry.id === candidate.id
+            ? {
+                ...entry,
+                ext: [...entry.ext, ...ext],
+                files: ext.reduce((files, sidecarExt) => ({ ...files, [sidecarExt]: sidecar.files[sidecarExt] }), entry.files)
+            }
+            : entry);
+    }, candidates);
+};
+
+/**
+ * Read the content of a zip archive, the archives bigger than `PREFLIGHT_MAX_ZIP_SIZE` are rejected
+ * with a `tooLarge` error because they need to be fully loaded in memory
+ * @param {File} file zip file
+ * @return {promise} JSZip instance
+ */
+export const readUploadArchive = (file) => file?.size > PREFLIGHT_MAX_ZIP_SIZE
+    ? Promise.reject(new Error('tooLarge'))
+    : JSZip.loadAsync(file);
+
+/**
+ * Extract the files of the selected archive candidates, files are renamed with the base name of the candidate
+ * so the sidecar files match the main file
+ * @param {object} zip JSZip instance
+ * @param {object[]} candidates candidates to extract, see `getArchiveUploadCandidates`
+ * @return {promise} list of file uploads without identifier in the form `{ type, baseName, ext, files, supported }`
+ */
+export const extractArchiveUploads = (zip, candidates = []) => Promise.all(candidates.map((candidate) => {
+    const { name } = getArchiveEntryParts(candidate.files[candidate.ext[0]]);
+    return Promise.all(candidate.ext.map((ext) => zip.file(candidate.files[ext]).async('blob')
+        .then((blob) => [ext, new File([blob], `${name}.${ext}`)])))
+        .then((files) => ({
+            type: 'file',
+            baseName: name,
+            ext: candidate.ext,
+            files: files.reduce((acc, [ext, file]) => ({ ...acc, [ext]: file }), {}),
+            supported: true
+        }));
+}));
+
 export const validateRemoteResourceUploads = (uploads = [], { remoteTypes } = {}) => {
     const remoteUrls = uploads.map((upload) => upload.type === 'remote' ? (upload.url || '') : null);
     return uploads.map((upload, idx) => {
@@ -212,3 +302,113 @@ export const getSupportedFilesByResourceType = (resourceType, { actions } = {})
         .flat()
         .filter(supportedType => actions ? supportedType.actions.some(value => actions.includes(value)) : true);
 };
+
+export const CHUNKED_UPLOADS_STORAGE_KEY = 'gnChunkedUploads';
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+export const DEFAULT_CHUNKED_UPLOAD_EXPIRATION = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute an identifier for a file upload based on the properties of the selected files
+ * so the same upload can be recognized after a page reload
+ * @param {object} upload file upload entry
+ * @return {string} upload fingerprint
+ */
+export const getUploadFingerprint = (upload) => {
+    const files = upload?.files || {};
+    return Object.keys(files)
+        .sort()
+        .map((ext) => `${ext}:${files[ext]?.name}:${files[ext]?.size}:${files[ext]?.lastModified}`)
+        .join('|');
+};
+
+/**
+ * Split a file in a list of byte ranges
+ * @param {File} file file to split
+ * @param {number} chunkSize size of each chunk in bytes
+ * @return {array} list of chunks in the form `{ index, start, end }`
+ */
+export const getFileChunks = (file, chunkSize = DEFAULT_CHUNK_SIZE) => {
+    const size = file?.size || 0;
+    const total = Math.max(Math.ceil(size / chunkSize), 1);
+    return [...Array(total).keys()].map((index) => ({
+        index,
+        start: index * chunkSize,
+        end: Math.min((index + 1) * chunkSize, size)
+    }));
+};
+
+const readChunkedUploads = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(CHUNKED_UPLOADS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const writeChunkedUploads = (chunkedUploads) => {
+    try {
+        window.localStorage.setItem(CHUNKED_UPLOADS_STORAGE_KEY, JSON.stringify(chunkedUploads));
+    } catch (e) {
+        // storage could be full or disabled, the upload will restart from the beginning
+    }
+};
+
+/**
+ * Get the persisted state of a chunked upload
+ * @param {object} upload file upload entry
+ * @param {object} options
+ * @param {number} options.chunkSize expected chunk size, a stored state with a different size is discarded
+ * @param {number} options.expiration time in milliseconds after which a stored state is discarded
+ * @return {object} stored state in the form `{ id, chunkSize, updated, files: { [ext]: completedChunks } }`
+ */
+export const getChunkedUpload = (upload, { chunkSize = DEFAULT_CHUNK_SIZE, expiration = DEFAULT_CHUNKED_UPLOAD_EXPIRATION } = {}) => {
+    const chunkedUpload = readChunkedUploads()[getUploadFingerprint(upload)];
+    if (!chunkedUpload
+        || chunkedUpload.chunkSize !== chunkSize
+        || (Date.now() - chunkedUpload.updated) > expiration) {
+        return null;
+    }
+    return chunkedUpload;
+};
+
+/**
+ * Persist the state of a chunked upload
+ * @param {object} upload file upload entry
+ * @param {object} chunkedUpload state to store
+ */
+export const setChunkedUpload = (upload, chunkedUpload) => {
+    writeChunkedUploads({
+        ...readChunkedUploads(),
+        [getUploadFingerprint(upload)]: {
+            ...chunkedUpload,
+            updated: Date.now()
+        }
+    });
+};
+
+/**
+ * Remove the persisted state of a chunked upload
+ * @param {object} upload file upload entry
+ */
+export const removeChunkedUpload = (upload) => {
+    const { [getUploadFingerprint(upload)]: removed, ...chunkedUploads } = readChunkedUploads();
+    writeChunkedUploads(chunkedUploads);
+};
+
+/**
+ * Count completed and total chunks of a file upload
+ * @param {object} upload file upload entry
+ * @param {object} chunkedUpload stored state of the chunked upload
+ * @param {number} chunkSize size of each chunk in bytes
+ * @return {object} chunks count in the form `{ completed, total }`
+ */
+export const getChunkedUploadProgress = (upload, chunkedUpload, chunkSize = DEFAULT_CHUNK_SIZE) => {
+    const files = upload?.files || {};
+    return Object.keys(files).reduce((acc, ext) => {
+        const total = getFileChunks(files[ext], chunkSize).length;
+        return {
+            completed: acc.completed + Math.min(chunkedUpload?.files?.[ext] || 0, total),
+            total: acc.total + total
+        };
+    }, { completed: 0, total: 0 });
+};
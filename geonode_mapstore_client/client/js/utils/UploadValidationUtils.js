@@ -0,0 +1,327 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import uniq from 'lodash/uniq';
+
+/**
+* @module utils/UploadValidationUtils
+*/
+
+export const UploadIssueLevels = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+// max number of bytes read to sniff the content of text files and the schema of GeoPackages
+export const PREFLIGHT_TEXT_SAMPLE_SIZE = 2 * 1024 * 1024;
+export const PREFLIGHT_GEOPACKAGE_SAMPLE_SIZE = 4 * 1024 * 1024;
+// archives bigger than this size are not inspected because they need to be fully loaded in memory
+export const PREFLIGHT_MAX_ZIP_SIZE = 100 * 1024 * 1024;
+
+export const PREFLIGHT_EXTENSIONS = ['shp', 'gpkg', 'zip', 'json', 'geojson', 'kml', 'csv'];
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+const KML_GEOMETRY_TAGS = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Track', 'MultiTrack'];
+const WGS84_CRS_NAMES = ['EPSG:4326', 'urn:ogc:def:crs:OGC:1.3:CRS84', 'urn:ogc:def:crs:OGC::CRS84', 'urn:ogc:def:crs:EPSG::4326', 'CRS84'];
+const LATITUDE_COLUMNS = ['lat', 'latitude', 'y', 'ycoord', 'y_coord'];
+const LONGITUDE_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x', 'xcoord', 'x_coord'];
+const WKT_COLUMNS = ['wkt', 'geom', 'geometry', 'the_geom', 'wkb_geometry'];
+const WKT_VALUE_REGEX = /^\s*"?\s*(SRID=\d+;\s*)?(POINT|MULTIPOINT|LINESTRING|MULTILINESTRING|POLYGON|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*(Z|M|ZM)?\s*\(/i;
+const PRJ_REGEX = /^\s*(PROJCS|GEOGCS|GEOCCS|COMPD_CS|PROJCRS|GEOGCRS|GEODCRS|BOUNDCRS|COMPOUNDCRS|PROJECTEDCRS|GEOGRAPHICCRS)\s*\[/i;
+const SQLITE_HEADER = 'SQLite format 3';
+// application_id of GeoPackage files ('GPKG' and 'GP10', 'GP11' for older versions)
+const GEOPACKAGE_APPLICATION_IDS = [0x47504B47, 0x47503130, 0x47503131];
+const GEOPACKAGE_GEOMETRY_TYPES = ['GEOMETRY', 'POINT', 'LINESTRING', 'POLYGON', 'MULTIPOINT', 'MULTILINESTRING', 'MULTIPOLYGON', 'GEOMETRYCOLLECTION', 'CURVEPOLYGON', 'MULTISURFACE', 'MULTICURVE'];
+
+/**
+ * Create an issue of the pre-flight report
+ * @param {string} level one of `UploadIssueLevels` values
+ * @param {string} id identifier of the issue, used as message id
+ * @param {object} params message parameters
+ * @return {object} issue `{ level, id, params }`
+ */
+export const createUploadIssue = (level, id, params) => ({ level, id, ...(params && { params }) });
+
+const error = (id, params) => createUploadIssue(UploadIssueLevels.ERROR, id, params);
+const warning = (id, params) => createUploadIssue(UploadIssueLevels.WARNING, id, params);
+
+const decodeLatin1 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let text = '';
+    // decode in blocks to avoid exceeding the max number of arguments
+    for (let i = 0; i < bytes.length; i += 8192) {
+        text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return text;
+};
+
+/**
+ * Parse the header of a dBASE file (.dbf) of a shapefile
+ * @param {ArrayBuffer} buffer content of the file, at least the header bytes
+ * @return {object} header `{ recordsCount, fields }` where fields is a list of `{ name, type, length }`, null if not valid
+ */
+export const parseDbfHeader = (buffer) => {
+    if (!buffer || buffer.byteLength < 32) {
+        return null;
+    }
+    const view = new DataView(buffer);
+    const recordsCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    if (headerLength < 33) {
+        return null;
+    }
+    const fields = [];
+    for (let offset = 32; offset + 32 <= Math.min(headerLength, buffer.byteLength) && view.getUint8(offset) !== 0x0D; offset += 32) {
+        const name = decodeLatin1(buffer.slice(offset, offset + 11)).replace(/\0[\s\S]*$/, '').trim();
+        fields.push({
+            name,
+            type: String.fromCharCode(view.getUint8(offset + 11)),
+            length: view.getUint8(offset + 16)
+        });
+    }
+    return { recordsCount, fields };
+};
+
+/**
+ * Check if the content of a .prj file is a WKT coordinate reference system
+ * @param {string} text content of the .prj file
+ * @return {boolean} true if the projection is usable
+ */
+export const isValidPrj = (text) => {
+    if (!text || !PRJ_REGEX.test(text)) {
+        return false;
+    }
+    const opened = (text.match(/[[(]/g) || []).length;
+    const closed = (text.match(/[\])]/g) || []).length;
+    return opened === closed;
+};
+
+/**
+ * Get the pre-flight issues of a shapefile
+ * @param {object} shapefile shapefile components
+ * @param {string} shapefile.prj content of the .prj file, undefined if missing
+ * @param {object} shapefile.dbfHeader parsed header of the .dbf file, see `parseDbfHeader`
+ * @param {boolean} shapefile.hasDbf true if the .dbf file is available
+ * @return {object[]} list of issues
+ */
+export const getShapefileIssues = ({ prj, dbfHeader, hasDbf = true } = {}) => {
+    const fieldNames = (dbfHeader?.fields || []).map(({ name }) => name.toLowerCase());
+    const duplicatedFields = uniq(fieldNames.filter((name, idx) => fieldNames.indexOf(name) !== idx));
+    return [
+        ...(prj === undefined ? [error('missingPrj')] : []),
+        ...(prj !== undefined && !isValidPrj(prj) ? [error('invalidPrj')] : []),
+        ...(hasDbf && !dbfHeader ? [error('invalidDbf')] : []),
+        ...(dbfHeader && dbfHeader.recordsCount === 0 ? [warning('noFeatures')] : []),
+        ...(dbfHeader && dbfHeader.fields.length === 0 ? [warning('noAttributes')] : []),
+        ...(duplicatedFields.length ? [warning('duplicatedAttributes', { names: duplicatedFields.join(', ') })] : [])
+    ];
+};
+
+/**
+ * List the feature tables of a GeoPackage reading the table definitions stored in the SQLite schema.
+ * Only the initial part of the file is usually needed because the schema is stored at the beginning of the database
+ * @param {ArrayBuffer} buffer initial bytes of the GeoPackage file
+ * @return {object} `{ valid, layers }` where valid is false for files that are not GeoPackages
+ */
+export const parseGeoPackageLayers = (buffer) => {
+    if (!buffer || buffer.byteLength < 100 || decodeLatin1(buffer.slice(0, 15)) !== SQLITE_HEADER) {
+        return { valid: false, layers: [] };
+    }
+    const applicationId = new DataView(buffer).getUint32(68, false);
+    const text = decodeLatin1(buffer);
+    const tableRegex = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:"([^"]+)"|'([^']+)'|`([^`]+)`|\[([^\]]+)\]|([\w.]+))\s*\(/gi;
+    // a geometry type must follow a column name to exclude columns named as geometry types
+    const geometryRegex = new RegExp(`[\\w"'\`\\]]\\s+(${GEOPACKAGE_GEOMETRY_TYPES.join('|')})(\\s|,|\\))`, 'i');
+    const layers = [];
+    let match = tableRegex.exec(text);
+    while (match) {
+        const name = match.slice(1, 6).find((value) => value !== undefined);
+        // schema records are not delimited but the sql text cannot contain null characters
+        const definition = text.substr(tableRegex.lastIndex, 4096).split(/\0|CREATE\s/i)[0];
+        if (!/^(gpkg|rtree|sqlite)_/i.test(name) && geometryRegex.test(definition) && !layers.includes(name)) {
+            layers.push(name);
+        }
+        match = tableRegex.exec(text);
+    }
+    return {
+        valid: GEOPACKAGE_APPLICATION_IDS.includes(applicationId) || /gpkg_contents/i.test(text),
+        layers
+    };
+};
+
+/**
+ * Get the pre-flight issues of a GeoPackage
+ * @param {object} geopackage parsed GeoPackage, see `parseGeoPackageLayers`
+ * @return {object[]} list of issues
+ */
+export const getGeoPackageIssues = ({ valid, layers = [] } = {}) => [
+    ...(!valid ? [error('invalidGeoPackage')] : []),
+    ...(valid && layers.length === 0 ? [error('noLayers')] : []),
+    ...(layers.length > 1 ? [warning('multipleLayers', { count: layers.length, names: layers.join(', ') })] : [])
+];
+
+/**
+ * Check if a crs name refers to WGS84 longitude and latitude coordinates
+ * @param {string} crsName name of the crs, eg: `EPSG:4326` or `urn:ogc:def:crs:OGC:1.3:CRS84`
+ * @return {boolean} true for the WGS84 names
+ */
+export const isWGS84 = (crsName) => WGS84_CRS_NAMES.some((name) => name.toLowerCase() === `${crsName}`.toLowerCase());
+
+/**
+ * Inspect the content of a GeoJSON file, when the text is only a sample of the file the JSON is not validated
+ * @param {string} text content of the file
+ * @param {boolean} complete true if the text is the full content of the file
+ * @return {object} `{ issues, info }` where info contains `geometryTypes`, `crs` and `featuresCount` when available
+ */
+export const inspectGeoJSON = (text = '', complete = true) => {
+    let featuresCount;
+    if (complete) {
+        try {
+            const json = JSON.parse(text);
+            featuresCount = json?.type === 'FeatureCollection'
+                ? (json.features || []).length
+                : json?.type === 'Feature' ? 1 : 0;
+        } catch (e) {
+            return { issues: [error('invalidJSON')], info: {} };
+        }
+    }
+    const geometryTypes = uniq((text.match(new RegExp(`"type"\\s*:\\s*"(${GEOMETRY_TYPES.join('|')})"`, 'g')) || [])
+        .map((entry) => entry.replace(/^.*"([^"]+)"$/, '$1')));
+    const crs = (text.match(/"crs"\s*:\s*\{[^{}]*"properties"\s*:\s*\{[^{}]*"name"\s*:\s*"([^"]+)"/) || [])[1];
+    const pointTypes = geometryTypes.filter((type) => /Point/.test(type)).length;
+    const lineTypes = geometryTypes.filter((type) => /LineString/.test(type)).length;
+    const polygonTypes = geometryTypes.filter((type) => /Polygon/.test(type)).length;
+    return {
+        issues: [
+            ...(featuresCount === 0 || (!complete && geometryTypes.length === 0) ? [error('noFeatures')] : []),
+            ...(featuresCount > 0 && geometryTypes.length === 0 ? [error('noGeometries')] : []),
+            ...([pointTypes, lineTypes, polygonTypes].filter((count) => count > 0).length > 1 || geometryTypes.includes('GeometryCollection')
+                ? [warning('mixedGeometryTypes', { types: geometryTypes.join(', ') })]
+                : []),
+            ...(crs && !isWGS84(crs) ? [warning('customCrs', { crs })] : [])
+        ],
+        info: { geometryTypes, crs, featuresCount }
+    };
+};
+
+/**
+ * Inspect the content of a KML file
+ * @param {string} text content or initial sample of the file
+ * @return {object} `{ issues, info }` where info contains `geometryTypes` and `featuresCount`
+ */
+export const inspectKML = (text = '') => {
+    if (!/<kml[\s>]/i.test(text)) {
+        return { issues: [error('invalidKML')], info: {} };
+    }
+    const featuresCount = (text.match(/<Placemark[\s>]/g) || []).length;
+    const geometryTypes = KML_GEOMETRY_TAGS.filter((tag) => new RegExp(`<(\\w+:)?${tag}[\\s>]`).test(text));
+    const simpleTypes = geometryTypes.filter((type) => !['MultiGeometry', 'LinearRing', 'MultiTrack'].includes(type));
+    return {
+        issues: [
+            ...(featuresCount === 0 ? [error('noFeatures')] : []),
+            ...(featuresCount > 0 && geometryTypes.length === 0 ? [error('noGeometries')] : []),
+            ...(simpleTypes.length > 1 || geometryTypes.includes('MultiGeometry')
+                ? [warning('mixedGeometryTypes', { types: geometryTypes.join(', ') })]
+                : []),
+            ...(/<NetworkLink[\s>]/.test(text) ? [warning('networkLinks')] : [])
+        ],
+        info: { geometryTypes, featuresCount }
+    };
+};
+
+/**
+ * Split a line of a CSV file in values, delimiters inside double quotes are ignored
+ * @param {string} line line of the CSV file
+ * @param {string} delimiter values delimiter
+ * @return {string[]} list of trimmed values
+ */
+export const splitCSVLine = (line, delimiter) => {
+    const values = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === delimiter && !quoted) {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current);
+    return values.map((value) => value.trim());
+};
+
+/**
+ * Inspect the initial lines of a CSV file to detect the columns with coordinates or WKT geometries
+ * @param {string} text content or initial sample of the file
+ * @return {object} `{ issues, info }` where info contains `delimiter`, `columns`, `latitude`, `longitude` and `wkt` column names
+ */
+export const inspectCSV = (text = '') => {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim());
+    if (!lines.length) {
+        return { issues: [error('noFeatures')], info: {} };
+    }
+    const delimiter = [',', ';', '\t', '|']
+        .map((entry) => ({ entry, count: splitCSVLine(lines[0], entry).length }))
+        .sort((a, b) => b.count - a.count)[0].entry;
+    const columns = splitCSVLine(lines[0], delimiter);
+    const row = lines[1] ? splitCSVLine(lines[1], delimiter) : [];
+    const findColumn = (names) => columns.find((column) => names.includes(column.toLowerCase()));
+    const latitude = findColumn(LATITUDE_COLUMNS);
+    const longitude = findColumn(LONGITUDE_COLUMNS);
+    const wkt = findColumn(WKT_COLUMNS) || columns.find((column, idx) => WKT_VALUE_REGEX.test(row[idx] || ''));
+    const hasCoordinates = !!(latitude && longitude);
+    const invalidCoordinates = hasCoordinates && row.length > 0
+        && [latitude, longitude].some((column) => isNaN(parseFloat(row[columns.indexOf(column)])));
+    return {
+        issues: [
+            ...(!hasCoordinates && !wkt ? [error('missingCoordinates')] : []),
+            ...(lines.length < 2 ? [warning('noFeatures')] : []),
+            ...(invalidCoordinates ? [warning('invalidCoordinates', { latitude, longitude })] : [])
+        ],
+        info: { delimiter, columns, latitude, longitude, wkt }
+    };
+};
+
+/**
+ * Inspect the list of entries of a zip archive
+ * @param {string[]} names paths of the files included in the archive
+ * @param {object[]} supportedFiles supported file types, see `getSupportedFilesByResourceType`
+ * @return {object} `{ issues, info }` where info contains the `entries` and the `shapefiles` base names
+ */
+export const inspectZipEntries = (names = [], supportedFiles = []) => {
+    const entries = names.filter((name) => !name.endsWith('/') && !/(^|\/)(__MACOSX|\.)/.test(name));
+    const getExt = (name) => name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    const getBaseName = (name) => name.replace(/\.[^./]+$/, '');
+    const mainExtensions = supportedFiles
+        .map((supportedType) => supportedType.required_ext?.[0])
+        .filter((ext) => ext && ext !== 'zip');
+    const shapefiles = uniq(entries.filter((name) => getExt(name) === 'shp').map(getBaseName));
+    const incompleteShapefiles = shapefiles.filter((baseName) =>
+        ['dbf', 'shx'].some((ext) => !entries.some((name) => getBaseName(name) === baseName && getExt(name) === ext)));
+    const datasets = entries.filter((name) => mainExtensions.includes(getExt(name)));
+    return {
+        issues: [
+            ...(entries.length === 0 ? [error('emptyArchive')] : []),
+            ...(entries.length > 0 && datasets.length === 0 ? [error('noSupportedFiles')] : []),
+            ...(incompleteShapefiles.length ? [error('incompleteShapefiles', { names: incompleteShapefiles.join(', ') })] : []),
+            ...(datasets.length > 1 ? [warning('multipleDatasets', { count: datasets.length, names: datasets.join(', ') })] : [])
+        ],
+        info: { entries, shapefiles, datasets }
+    };
+};
+
+/**
+ * Check if a pre-flight report contains blocking errors
+ * @param {object} report pre-flight report `{ issues }`
+ * @return {boolean} true if the upload should not be sent
+ */
+export const hasBlockingIssues = (report) => (report?.issues || []).some(({ level }) => level === UploadIssueLevels.ERROR);
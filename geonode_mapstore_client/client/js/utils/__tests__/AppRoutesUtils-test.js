@@ -20,6 +20,7 @@ describe('Test App Routes Utils', () => {
             CATALOGUE: 'CatalogueRoute',
             DATASET_UPLOAD: 'UploadDatasetRoute',
             DOCUMENT_UPLOAD: 'UploadDocumentRoute',
+            DATASET_CREATE: 'CreateDatasetRoute',
             COMPONENTS: 'ComponentsRoute',
             MAP_VIEWER: 'MapViewerRoute'
         });
@@ -39,7 +40,7 @@ describe('Test App Routes Utils', () => {
 
     it('test document route', () => {
         const documentRoute = routeUtils.DOCUMENT_ROUTES[0];
-        expect(documentRoute.path).toEqual(['/']);
+        expect(documentRoute.path).toEqual(['/', '/page=:page']);
         expect(documentRoute.name).toEqual('document_embed');
     });
 
@@ -70,7 +71,8 @@ describe('Test App Routes Utils', () => {
             mapViewerRoute,
             catalogueRoute,
             uploadDatasetRoute,
-            uploadDocumentRoute
+            uploadDocumentRoute,
+            createDatasetRoute
         ] = routeUtils.CATALOGUE_ROUTES;
         expect(metadataRoute.path).toEqual(['/metadata/:pk']);
         expect(metadataRoute.name).toEqual('metadata');
@@ -100,5 +102,7 @@ describe('Test App Routes Utils', () => {
         expect(uploadDatasetRoute.name).toEqual('upload_dataset');
         expect(uploadDocumentRoute.path).toEqual(['/upload/document']);
         expect(uploadDocumentRoute.name).toEqual('upload_document');
+        expect(createDatasetRoute.path).toEqual(['/create/dataset']);
+        expect(createDatasetRoute.name).toEqual('create_dataset');
     });
 });
@@ -38,5 +38,6 @@ describe('Test AppUtils', () => {
                 ]
             }
         }, { name: 'Map' }] );
+        expect(addQueryPlugins([{ name: 'Map' }, { name: 'ZoomIn' }, { name: 'ZoomOut' }], { hide: 'ZoomIn,ZoomOut' })).toEqual([{ name: 'Map' }]);
     });
 });
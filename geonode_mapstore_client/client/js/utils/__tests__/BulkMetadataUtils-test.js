@@ -0,0 +1,109 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    BulkMetadataOperations,
+    getBulkMetadataProperties,
+    getMetadataDifferences,
+    isValidBulkMetadataOperation,
+    applyBulkMetadataOperation,
+    applyBulkMetadataOperations,
+    getBulkMetadataChanges
+} from '../BulkMetadataUtils';
+
+const schema = {
+    type: 'object',
+    properties: {
+        pk: { type: 'string', readOnly: true },
+        uuid: { type: 'string' },
+        license: {
+            type: 'object',
+            title: 'License',
+            properties: { id: { type: 'string' }, label: { type: 'string' } }
+        },
+        hkeywords: {
+            type: 'array',
+            title: 'Keywords',
+            items: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' } } }
+        },
+        attribution: { type: ['string', 'null'], title: 'Attribution' }
+    }
+};
+
+const uiSchema = {
+    uuid: { 'ui:widget': 'hidden' }
+};
+
+describe('Test Bulk Metadata Utils', () => {
+    it('getBulkMetadataProperties', () => {
+        const properties = getBulkMetadataProperties(schema, uiSchema);
+        expect(properties.map(({ key }) => key)).toEqual(['license', 'hkeywords', 'attribution']);
+        expect(properties[0].operations).toEqual(['replace', 'remove']);
+        expect(properties[1].operations).toEqual(['replace', 'append', 'remove']);
+        expect(getBulkMetadataProperties()).toEqual([]);
+    });
+    it('getMetadataDifferences', () => {
+        const differences = getMetadataDifferences([
+            { license: { id: 'cc-by', label: 'CC BY' }, hkeywords: [], attribution: 'Org' },
+            { license: { id: 'cc-by', label: 'CC BY' }, attribution: 'Other org' }
+        ], ['license', 'hkeywords', 'attribution']);
+        expect(differences.license).toEqual({ values: ['CC BY'], differs: false });
+        expect(differences.hkeywords).toEqual({ values: [''], differs: false });
+        expect(differences.attribution).toEqual({ values: ['Org', 'Other org'], differs: true });
+    });
+    it('isValidBulkMetadataOperation', () => {
+        expect(isValidBulkMetadataOperation({ key: 'attribution', operation: 'replace' })).toBe(true);
+        expect(isValidBulkMetadataOperation({ key: 'hkeywords', operation: 'append', value: [] })).toBe(false);
+        expect(isValidBulkMetadataOperation({ key: 'hkeywords', operation: 'remove', value: [{ id: 'a' }] })).toBe(true);
+        expect(isValidBulkMetadataOperation({ key: 'hkeywords', operation: 'other', value: [{ id: 'a' }] })).toBe(false);
+        expect(isValidBulkMetadataOperation({ operation: 'replace' })).toBe(false);
+    });
+    it('applyBulkMetadataOperation', () => {
+        const keywordsSchema = schema.properties.hkeywords;
+        expect(applyBulkMetadataOperation(
+            [{ id: 'a', label: 'A' }],
+            { operation: BulkMetadataOperations.APPEND, value: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }] },
+            keywordsSchema
+        )).toEqual([{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }]);
+        expect(applyBulkMetadataOperation(
+            [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }],
+            { operation: BulkMetadataOperations.REMOVE, value: [{ id: 'a' }] },
+            keywordsSchema
+        )).toEqual([{ id: 'b', label: 'B' }]);
+        expect(applyBulkMetadataOperation('Org', { operation: BulkMetadataOperations.REMOVE, value: 'Org' }, schema.properties.attribution)).toBe(null);
+        expect(applyBulkMetadataOperation('Org', { operation: BulkMetadataOperations.REMOVE, value: 'Other' }, schema.properties.attribution)).toBe('Org');
+        expect(applyBulkMetadataOperation({ id: 'cc-by' }, { operation: BulkMetadataOperations.REMOVE, value: { id: 'cc-by', label: 'CC BY' } }, schema.properties.license)).toBe(undefined);
+        expect(applyBulkMetadataOperation('Org', { operation: BulkMetadataOperations.APPEND, value: 'Other' }, schema.properties.attribution)).toBe('Org');
+        expect(applyBulkMetadataOperation('Org', { operation: BulkMetadataOperations.REPLACE, value: 'Other' }, schema.properties.attribution)).toBe('Other');
+    });
+    it('applyBulkMetadataOperations', () => {
+        const metadata = { title: 'Title', attribution: 'Org', hkeywords: [{ id: 'a' }] };
+        expect(applyBulkMetadataOperations(metadata, [
+            { key: 'attribution', operation: 'replace', value: 'Other' },
+            { key: 'hkeywords', operation: 'append', value: [{ id: 'b' }] },
+            { key: 'license', operation: 'remove' }
+        ], schema)).toEqual({ title: 'Title', attribution: 'Other', hkeywords: [{ id: 'a' }, { id: 'b' }] });
+    });
+    it('getBulkMetadataChanges', () => {
+        const changes = getBulkMetadataChanges([
+            { resource: { pk: 1 }, metadata: { attribution: 'Org', hkeywords: [{ id: 'a', label: 'A' }] } },
+            { resource: { pk: 2 }, metadata: { attribution: 'Other', hkeywords: [] } },
+            { resource: { pk: 3 }, error: 'Not found' }
+        ], [
+            { key: 'hkeywords', operation: 'remove', value: [{ id: 'a' }] },
+            { key: 'attribution', operation: 'remove', value: 'Org' }
+        ], schema);
+        expect(changes[0].changes).toEqual([
+            { key: 'hkeywords', title: 'Keywords', currentValue: 'A', newValue: '' },
+            { key: 'attribution', title: 'Attribution', currentValue: 'Org', newValue: '' }
+        ]);
+        expect(changes[1].changes).toEqual([]);
+        expect(changes[2]).toEqual({ resource: { pk: 3 }, error: 'Not found', changes: [] });
+    });
+});
@@ -11,7 +11,8 @@ import expect from 'expect';
 import {
     bboxToExtent,
     getExtent,
-    getAdjustedExtent
+    getAdjustedExtent,
+    getFeaturesExtent
 } from '../CoordinatesUtils';
 
 describe('Test Coordinates Utils', () => {
@@ -46,4 +47,16 @@ describe('Test Coordinates Utils', () => {
         expect(getAdjustedExtent(bounds, "EPSG:4326", "EPSG:2145")).toEqual(bounds);
         expect(getAdjustedExtent([])).toEqual([]);
     });
+    it('getFeaturesExtent', () => {
+        const point = (x, y) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [x, y] } });
+        expect(getFeaturesExtent([point(12.5, 41.9), point(9.19, 45.46), { type: 'Feature', geometry: null }])).toEqual([9.19, 41.9, 12.5, 45.46]);
+        expect(getFeaturesExtent([{
+            type: 'Feature',
+            geometry: { type: 'GeometryCollection', geometries: [{ type: 'LineString', coordinates: [[0, 0], [1, 2]] }] }
+        }])).toEqual([0, 0, 1, 2]);
+        expect(getFeaturesExtent([])).toBe(null);
+        // large lists are supported
+        const features = [...Array(200000).keys()].map((idx) => point(idx, -idx));
+        expect(getFeaturesExtent(features)).toEqual([0, -199999, 199999, 0]);
+    });
 });
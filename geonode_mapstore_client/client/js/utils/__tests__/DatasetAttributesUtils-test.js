@@ -0,0 +1,100 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    isNumericAttribute,
+    isGeometryAttribute,
+    sortAttributes,
+    updateAttribute,
+    moveAttribute,
+    getAttributeSetPayload,
+    getAggregateRequestBody,
+    parseAggregateResponse,
+    parseHistogramResponse,
+    parseHitsResponse
+} from '../DatasetAttributesUtils';
+
+const ATTRIBUTE_SET = [
+    { pk: 3, attribute: 'name', attribute_type: 'xsd:string', display_order: 2 },
+    { pk: 1, attribute: 'the_geom', attribute_type: 'gml:MultiPolygonPropertyType', display_order: 1 },
+    { pk: 2, attribute: 'population', attribute_type: 'xsd:int', display_order: 3 },
+    { pk: 4, attribute: 'code', attribute_type: 'xsd:string' }
+];
+
+describe('Test Dataset Attributes Utils', () => {
+    it('isNumericAttribute and isGeometryAttribute', () => {
+        expect(isNumericAttribute(ATTRIBUTE_SET[2])).toBe(true);
+        expect(isNumericAttribute(ATTRIBUTE_SET[0])).toBe(false);
+        expect(isGeometryAttribute(ATTRIBUTE_SET[1])).toBe(true);
+        expect(isGeometryAttribute(ATTRIBUTE_SET[0])).toBe(false);
+        expect(isGeometryAttribute()).toBe(false);
+    });
+    it('sortAttributes', () => {
+        expect(sortAttributes(ATTRIBUTE_SET).map(({ pk }) => pk)).toEqual([1, 3, 2, 4]);
+        expect(sortAttributes()).toEqual([]);
+    });
+    it('updateAttribute', () => {
+        const attributeSet = updateAttribute(ATTRIBUTE_SET, 3, { attribute_label: 'Name', visible: false });
+        expect(attributeSet[0]).toEqual({ ...ATTRIBUTE_SET[0], attribute_label: 'Name', visible: false });
+        expect(attributeSet[1]).toBe(ATTRIBUTE_SET[1]);
+    });
+    it('moveAttribute', () => {
+        expect(moveAttribute(ATTRIBUTE_SET, 2, -1).map(({ pk, display_order: displayOrder }) => [pk, displayOrder])).toEqual([
+            [3, 3], [1, 1], [2, 2], [4, 4]
+        ]);
+        expect(moveAttribute(ATTRIBUTE_SET, 1, -1)).toBe(ATTRIBUTE_SET);
+        expect(moveAttribute(ATTRIBUTE_SET, 4, 1)).toBe(ATTRIBUTE_SET);
+    });
+    it('getAttributeSetPayload', () => {
+        expect(getAttributeSetPayload(ATTRIBUTE_SET)).toBe(null);
+        expect(getAttributeSetPayload(ATTRIBUTE_SET, ATTRIBUTE_SET)).toBe(null);
+        expect(getAttributeSetPayload(ATTRIBUTE_SET, updateAttribute(ATTRIBUTE_SET, 3, { description: 'Place name' }))).toEqual([
+            { pk: 3, description: 'Place name', display_order: 2 }
+        ]);
+    });
+    it('getAggregateRequestBody', () => {
+        const body = getAggregateRequestBody({ typeName: 'geonode:places', attribute: 'population', functions: ['Min', 'Max'] });
+        expect(body).toContain('<ows:Identifier>gs:Aggregate</ows:Identifier>');
+        expect(body).toContain('<wfs:Query typeName="geonode:places"/>');
+        expect(body).toContain('<wps:LiteralData>Min</wps:LiteralData>');
+        expect(body).toContain('<wps:LiteralData>Max</wps:LiteralData>');
+        expect(body).toNotContain('groupByAttributes');
+        expect(getAggregateRequestBody({ typeName: 'geonode:places', attribute: 'name', functions: ['Count'], groupBy: true }))
+            .toContain('<ows:Identifier>groupByAttributes</ows:Identifier>');
+    });
+    it('parseAggregateResponse', () => {
+        expect(parseAggregateResponse({
+            AggregationAttribute: 'population',
+            AggregationFunctions: ['Count', 'Min', 'Max'],
+            AggregationResults: [[10, 5, 500]]
+        })).toEqual({ count: 10, min: 5, max: 500 });
+        expect(parseAggregateResponse()).toEqual({});
+    });
+    it('parseHistogramResponse', () => {
+        const response = {
+            AggregationResults: [['a', 1], ['b', 5], ['c', 3], ['d', 2]]
+        };
+        expect(parseHistogramResponse(response)).toEqual([
+            { value: 'b', count: 5 },
+            { value: 'c', count: 3 },
+            { value: 'd', count: 2 },
+            { value: 'a', count: 1 }
+        ]);
+        expect(parseHistogramResponse(response, 2)).toEqual([
+            { value: 'b', count: 5 },
+            { value: 'c', count: 3 },
+            { others: true, count: 3 }
+        ]);
+    });
+    it('parseHitsResponse', () => {
+        expect(parseHitsResponse('<wfs:FeatureCollection numberOfFeatures="12" timeStamp="2026-01-01T00:00:00Z"/>')).toBe(12);
+        expect(parseHitsResponse('<wfs:FeatureCollection numberMatched="3" numberReturned="0"/>')).toBe(3);
+        expect(parseHitsResponse('')).toBe(undefined);
+    });
+});
@@ -0,0 +1,85 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    getAttributeOptions,
+    createDatasetAttribute,
+    validateDatasetSchema,
+    getCreateDatasetBody
+} from '../DatasetSchemaUtils';
+
+describe('Test Dataset Schema Utils', () => {
+    it('getAttributeOptions', () => {
+        expect(getAttributeOptions()).toEqual([]);
+        expect(getAttributeOptions(['oak', ' pine ', '', 1])).toEqual(['oak', 'pine', '1']);
+    });
+    it('createDatasetAttribute', () => {
+        expect(createDatasetAttribute()).toEqual({ name: '', type: 'string', nullable: true, options: [], range: {} });
+        expect(createDatasetAttribute({ name: 'height', type: 'float' }).type).toBe('float');
+    });
+    it('validateDatasetSchema', () => {
+        expect(validateDatasetSchema()).toEqual([
+            { id: 'missingTitle' },
+            { id: 'invalidGeometryType' },
+            { id: 'missingCrs' }
+        ]);
+        expect(validateDatasetSchema({
+            title: 'Trees',
+            geometryType: 'Point',
+            crs: 'EPSG:4326',
+            attributes: [
+                createDatasetAttribute({ name: 'species' }),
+                createDatasetAttribute({ name: 'height', type: 'float', range: { min: 0, max: 120 } }),
+                createDatasetAttribute({ name: 'status', type: 'integer', options: ['1', '2'] })
+            ]
+        })).toEqual([]);
+        expect(validateDatasetSchema({
+            title: 'Trees',
+            geometryType: 'Point',
+            crs: 'EPSG:4326',
+            attributes: [
+                createDatasetAttribute({ name: '' }),
+                createDatasetAttribute({ name: '1st name' }),
+                createDatasetAttribute({ name: 'the_geom' }),
+                createDatasetAttribute({ name: 'code' }),
+                createDatasetAttribute({ name: 'CODE', type: 'integer', options: ['1.5'] }),
+                createDatasetAttribute({ name: 'height', type: 'float', range: { min: 10, max: 5 } })
+            ]
+        })).toEqual([
+            { id: 'missingAttributeName', index: 0 },
+            { id: 'invalidAttributeName', index: 1 },
+            { id: 'reservedAttributeName', index: 2 },
+            { id: 'duplicatedAttributeName', index: 3 },
+            { id: 'duplicatedAttributeName', index: 4 },
+            { id: 'invalidAttributeOptions', index: 4 },
+            { id: 'invalidAttributeRange', index: 5 }
+        ]);
+    });
+    it('getCreateDatasetBody', () => {
+        const body = getCreateDatasetBody({
+            title: 'Trees',
+            geometryType: 'Point',
+            crs: 'EPSG:4326',
+            attributes: [
+                createDatasetAttribute({ name: 'species', nullable: false, options: ['oak', ' pine', ''] }),
+                createDatasetAttribute({ name: 'height', type: 'float', range: { min: '0', max: '' } }),
+                createDatasetAttribute({ name: 'planted', type: 'date', options: ['2020-01-01'] })
+            ]
+        });
+        expect(body.action).toBe('create');
+        expect(body.title).toBe('Trees');
+        expect(body.geom).toBe('Point');
+        expect(body.srid).toBe('EPSG:4326');
+        expect(JSON.parse(body.attributes)).toEqual({
+            species: { type: 'string', nullable: false, restrictions: { options: ['oak', 'pine'] } },
+            height: { type: 'float', nullable: true, restrictions: { range: { min: 0 } } },
+            planted: { type: 'date', nullable: true }
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import { ZOOM_TO_EXTENT, CHANGE_MAP_VIEW } from '@mapstore/framework/actions/map';
+import { CHANGE_LAYER_PROPERTIES } from '@mapstore/framework/actions/layers';
+import { UPDATE_ADDITIONAL_LAYER, REMOVE_ADDITIONAL_LAYER } from '@mapstore/framework/actions/additionallayers';
+import { LOAD_FEATURE_INFO } from '@mapstore/framework/actions/mapInfo';
+import { UPDATE_CURRENT_PAGE } from '@mapstore/framework/actions/geostory';
+import {
+    isAllowedOrigin,
+    createBridgeMessage,
+    parseBridgeMessage,
+    getFeatureExtent,
+    getCommandActions,
+    getActionEvent,
+    setupEmbedBridge,
+    EmbedBridgeCommands,
+    EmbedBridgeEvents
+} from '../EmbedBridgeUtils';
+
+describe('Test Embed Bridge Utils', () => {
+    it('isAllowedOrigin', () => {
+        expect(isAllowedOrigin('https://example.com', [])).toBe(false);
+        expect(isAllowedOrigin('https://example.com', ['*'])).toBe(true);
+        expect(isAllowedOrigin('null', ['*'])).toBe(false);
+        expect(isAllowedOrigin('https://example.com', ['https://example.com'])).toBe(true);
+        expect(isAllowedOrigin('http://example.com', ['https://example.com'])).toBe(false);
+        expect(isAllowedOrigin('https://maps.example.com', ['https://*.example.com'])).toBe(true);
+        expect(isAllowedOrigin('https://maps.other.com', ['https://*.example.com'])).toBe(false);
+    });
+    it('createBridgeMessage and parseBridgeMessage', () => {
+        const message = createBridgeMessage('event', { event: 'ready' });
+        expect(message.protocol).toBe('geonode-embed');
+        expect(message.version).toBe(1);
+        expect(parseBridgeMessage(message)).toBe(message);
+        expect(parseBridgeMessage('message')).toBe(null);
+        expect(parseBridgeMessage({ protocol: 'other', type: 'command' })).toBe(null);
+    });
+    it('getFeatureExtent', () => {
+        expect(getFeatureExtent({ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] } })).toEqual([1, 2, 1, 2]);
+        expect(getFeatureExtent({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 5], [0, 0]]] }
+        })).toEqual([0, 0, 10, 5]);
+        expect(getFeatureExtent({ type: 'Feature', geometry: null })).toBe(null);
+    });
+    it('getCommandActions', () => {
+        expect(getCommandActions(EmbedBridgeCommands.ZOOM_TO_EXTENT, { extent: [-10, -10, 10, 10] })[0].type).toBe(ZOOM_TO_EXTENT);
+        expect(() => getCommandActions(EmbedBridgeCommands.ZOOM_TO_EXTENT, { extent: [0, 0] })).toThrow();
+        const state = { layers: { flat: [{ id: 'layer01', name: 'workspace:layer', visibility: true }] } };
+        const [toggle] = getCommandActions(EmbedBridgeCommands.TOGGLE_LAYER, { layerName: 'workspace:layer' }, state);
+        expect(toggle.type).toBe(CHANGE_LAYER_PROPERTIES);
+        expect(toggle.newProperties.visibility).toBe(false);
+        expect(() => getCommandActions(EmbedBridgeCommands.TOGGLE_LAYER, { layerId: 'missing' }, state)).toThrow();
+        expect(() => getCommandActions(EmbedBridgeCommands.SET_TIME, { time: 'date' })).toThrow();
+        const highlight = getCommandActions(EmbedBridgeCommands.HIGHLIGHT_FEATURE, {
+            feature: { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] } },
+            zoom: true
+        });
+        expect(highlight.map(({ type }) => type)).toEqual([UPDATE_ADDITIONAL_LAYER, ZOOM_TO_EXTENT]);
+        expect(getCommandActions(EmbedBridgeCommands.HIGHLIGHT_FEATURE, { feature: null })[0].type).toBe(REMOVE_ADDITIONAL_LAYER);
+        expect(() => getCommandActions('unknown')).toThrow();
+    });
+    it('getActionEvent', () => {
+        expect(getActionEvent({ type: CHANGE_MAP_VIEW, zoom: 4 }).event).toBe(EmbedBridgeEvents.MAP_MOVED);
+        expect(getActionEvent({ type: LOAD_FEATURE_INFO, data: { features: [] } })).toBe(null);
+        expect(getActionEvent({
+            type: LOAD_FEATURE_INFO,
+            layer: { id: 'layer01' },
+            data: { features: [{ type: 'Feature' }] }
+        }).payload.layerId).toBe('layer01');
+        expect(getActionEvent({ type: UPDATE_CURRENT_PAGE, sectionId: 'section01' }).payload).toEqual({ sectionId: 'section01' });
+        expect(getActionEvent({ type: 'OTHER' })).toBe(null);
+    });
+    it('setupEmbedBridge', () => {
+        const posted = [];
+        let messageListener;
+        let actionListener;
+        const dispatched = [];
+        const target = { postMessage: (message, origin) => posted.push({ message, origin }) };
+        const source = {
+            addEventListener: (type, listener) => { messageListener = listener; },
+            removeEventListener: () => { messageListener = undefined; }
+        };
+        const store = {
+            getState: () => ({}),
+            dispatch: (action) => dispatched.push(action),
+            addActionListener: (listener) => { actionListener = listener; }
+        };
+        const remove = setupEmbedBridge(store, {
+            allowedOrigins: ['https://example.com'],
+            target,
+            source,
+            referrer: ''
+        });
+        messageListener({ source: target, origin: 'https://other.com', data: createBridgeMessage('connect') });
+        expect(posted.length).toBe(0);
+        messageListener({ source: target, origin: 'https://example.com', data: createBridgeMessage('connect') });
+        expect(posted[0].message.event).toBe(EmbedBridgeEvents.READY);
+        expect(posted[0].origin).toBe('https://example.com');
+        messageListener({
+            source: target,
+            origin: 'https://example.com',
+            data: createBridgeMessage('command', { id: 1, command: EmbedBridgeCommands.ZOOM_TO_EXTENT, payload: { extent: [0, 0, 1, 1] } })
+        });
+        expect(dispatched[0].type).toBe(ZOOM_TO_EXTENT);
+        expect(posted[1].message).toInclude({ type: 'response', id: 1, success: true });
+        actionListener({ type: CHANGE_MAP_VIEW, zoom: 3 });
+        expect(posted[2].message.event).toBe(EmbedBridgeEvents.MAP_MOVED);
+        remove();
+        expect(messageListener).toBe(undefined);
+    });
+});
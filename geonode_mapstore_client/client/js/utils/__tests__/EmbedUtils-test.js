@@ -0,0 +1,119 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    EmbedSizeModes,
+    getEmbedParams,
+    getEmbedUrlWithParams,
+    getEmbedSnippet,
+    parseEmbedQuery,
+    getEmbedColorSchemeClassName,
+    removeHiddenPlugins,
+    applyEmbedMapParams
+} from '../EmbedUtils';
+
+describe('Test EmbedUtils', () => {
+    it('getEmbedParams', () => {
+        expect(getEmbedParams({}, 'map')).toEqual({});
+        expect(getEmbedParams({
+            allowFullscreen: true,
+            colorScheme: 'dark',
+            hiddenComponents: ['zoom', 'navigation'],
+            center: { x: 10.1234567, y: 43.7654321 },
+            zoom: 5.123,
+            layers: ['layer-01', 'layer-02']
+        }, 'map')).toEqual({
+            allowFullscreen: 'true',
+            colorScheme: 'dark',
+            hide: 'ZoomIn,ZoomOut,ZoomAll',
+            center: '10.123457,43.765432',
+            zoom: '5.12',
+            layers: 'layer-01,layer-02'
+        });
+        expect(getEmbedParams({ colorScheme: 'light', hiddenComponents: ['navigation'], section: 'section-01' }, 'geostory')).toEqual({
+            hide: 'GeoStoryNavigation',
+            section: 'section-01'
+        });
+    });
+    it('getEmbedUrlWithParams', () => {
+        expect(getEmbedUrlWithParams('/maps/1/embed', {})).toBe('/maps/1/embed');
+        expect(getEmbedUrlWithParams('/maps/1/embed', { layers: 'a,b', zoom: '3' })).toBe('/maps/1/embed?layers=a%2Cb&zoom=3');
+        expect(getEmbedUrlWithParams('/maps/1/embed?config=custom#/', { zoom: '3' })).toBe('/maps/1/embed?config=custom&zoom=3#/');
+    });
+    it('getEmbedSnippet', () => {
+        expect(getEmbedSnippet('/maps/1/embed', {})).toBe('<iframe width="560" height="315" src="/maps/1/embed" frameborder="0" ></iframe>');
+        expect(getEmbedSnippet('/maps/1/embed', { width: 800, height: 600, allowFullscreen: true }))
+            .toBe('<iframe allow="fullscreen" width="800" height="600" src="/maps/1/embed" frameborder="0" ></iframe>');
+        expect(getEmbedSnippet('/maps/1/embed', { sizeMode: EmbedSizeModes.RESPONSIVE, aspectRatio: '4:3' }))
+            .toBe('<div style="position:relative;width:100%;height:0;padding-bottom:75%;">'
+                + '<iframe style="position:absolute;top:0;left:0;width:100%;height:100%;" src="/maps/1/embed" frameborder="0" ></iframe>'
+                + '</div>');
+    });
+    it('parseEmbedQuery', () => {
+        expect(parseEmbedQuery()).toEqual({});
+        expect(parseEmbedQuery({ center: 'a,b', zoom: '', colorScheme: 'unknown', hide: '' })).toEqual({});
+        expect(parseEmbedQuery({
+            center: '10.5,43.2',
+            zoom: '4',
+            layers: 'layer-01, layer-02',
+            hide: 'ZoomIn,ZoomOut',
+            colorScheme: 'dark',
+            section: 'section-01'
+        })).toEqual({
+            center: { x: 10.5, y: 43.2, crs: 'EPSG:4326' },
+            zoom: 4,
+            layers: ['layer-01', 'layer-02'],
+            hide: ['ZoomIn', 'ZoomOut'],
+            colorScheme: 'dark',
+            section: 'section-01'
+        });
+        expect(parseEmbedQuery({ layers: '' })).toEqual({ layers: [] });
+    });
+    it('getEmbedColorSchemeClassName', () => {
+        expect(getEmbedColorSchemeClassName()).toBe(null);
+        expect(getEmbedColorSchemeClassName('light')).toBe(null);
+        expect(getEmbedColorSchemeClassName('dark')).toBe('gn-embed-color-scheme-dark');
+    });
+    it('removeHiddenPlugins', () => {
+        const pluginsConfig = [{ name: 'Map' }, { name: 'ZoomIn' }, 'ZoomOut'];
+        expect(removeHiddenPlugins(pluginsConfig)).toBe(pluginsConfig);
+        expect(removeHiddenPlugins(pluginsConfig, ['ZoomIn', 'ZoomOut'])).toEqual([{ name: 'Map' }]);
+    });
+    it('applyEmbedMapParams', () => {
+        const mapConfig = {
+            version: 2,
+            map: {
+                center: { x: 0, y: 0, crs: 'EPSG:4326' },
+                zoom: 1,
+                layers: [
+                    { id: 'osm', group: 'background', visibility: true },
+                    { id: 'layer-01', visibility: true },
+                    { id: 'layer-02', visibility: false }
+                ]
+            }
+        };
+        expect(applyEmbedMapParams(mapConfig, {})).toBe(mapConfig);
+        expect(applyEmbedMapParams(mapConfig, {
+            center: { x: 10, y: 43, crs: 'EPSG:4326' },
+            zoom: 6,
+            layers: ['layer-02']
+        })).toEqual({
+            version: 2,
+            map: {
+                center: { x: 10, y: 43, crs: 'EPSG:4326' },
+                zoom: 6,
+                layers: [
+                    { id: 'osm', group: 'background', visibility: true },
+                    { id: 'layer-01', visibility: false },
+                    { id: 'layer-02', visibility: true }
+                ]
+            }
+        });
+    });
+});
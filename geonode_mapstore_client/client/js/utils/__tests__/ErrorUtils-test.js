@@ -8,7 +8,7 @@
  */
 
 import expect from 'expect';
-import { getUploadErrorMessageFromCode } from '../ErrorUtils';
+import { getUploadErrorMessageFromCode, parseExecutionRequestLog } from '../ErrorUtils';
 
 describe('Test error utilities', () => {
     it('should test getUploadErrorMessageFromCode', () => {
@@ -17,4 +17,20 @@ describe('Test error utilities', () => {
         expect(getUploadErrorMessageFromCode('upload_exception')).toEqual('invalidUploadMessageErrorTooltip');
         expect(getUploadErrorMessageFromCode()).toEqual('invalidUploadMessageErrorTooltip');
     });
+    it('should test parseExecutionRequestLog', () => {
+        expect(parseExecutionRequestLog()).toEqual([]);
+        expect(parseExecutionRequestLog("[ErrorDetail(string='The file is not valid', code='invalid'), ErrorDetail(string=\"Missing 'prj'\", code='missing')]")).toEqual([
+            { message: 'The file is not valid', code: 'invalid' },
+            { message: "Missing 'prj'", code: 'missing' }
+        ]);
+        expect(parseExecutionRequestLog('{"base_file": ["Invalid file"], "detail": {"message": "Upload failed", "code": "upload_exception"}}')).toEqual([
+            { message: 'Invalid file', field: 'base_file' },
+            { message: 'Upload failed', code: 'upload_exception', field: 'detail' }
+        ]);
+        expect(parseExecutionRequestLog('Traceback:\n  line 1\n\nValueError: wrong srid')).toEqual([
+            { message: 'Traceback:' },
+            { message: 'line 1' },
+            { message: 'ValueError: wrong srid' }
+        ]);
+    });
 });
@@ -1,11 +1,14 @@
 import expect from 'expect';
+import JSZip from 'jszip';
 import {
+    createZipArchive,
     detectCSVDelimiter,
     determineResourceType,
     getFileNameAndExtensionFromUrl,
     getFileNameParts,
     getFilenameFromContentDispositionHeader,
-    parseCSVToArray
+    parseCSVToArray,
+    readFile
 } from '@js/utils/FileUtils';
 
 describe('FileUtils', () => {
@@ -140,5 +143,31 @@ describe('FileUtils', () => {
             expect(parseCSVToArray(input)).toEqual([]);
         });
     });
+    it('createZipArchive', (done) => {
+        createZipArchive([
+            { name: 'metadata.xml', blob: new Blob(['<a/>']) },
+            { name: 'metadata.xml', blob: new Blob(['<b/>']) }
+        ])
+            .then((blob) => JSZip.loadAsync(blob))
+            .then((zip) => {
+                expect(Object.keys(zip.files)).toEqual(['metadata.xml', 'metadata.xml_1']);
+                done();
+            })
+            .catch(done);
+    });
+    it('readFile', (done) => {
+        const file = new Blob(['header\nrow']);
+        Promise.all([
+            readFile(file),
+            readFile(file, 'readAsText', 6),
+            readFile(file, 'readAsArrayBuffer')
+        ])
+            .then(([text, sample, buffer]) => {
+                expect(text).toBe('header\nrow');
+                expect(sample).toBe('header');
+                expect(buffer.byteLength).toBe(10);
+                done();
+            })
+            .catch(done);
+    });
 });
-
@@ -0,0 +1,78 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    GeoLimitsFileFormats,
+    GEO_LIMITS_FILE_ACCEPT,
+    getGeoLimitsFileFormat,
+    getPolygonsCoordinates,
+    getFeatureLabel,
+    geoLimitsToFeatureCollection,
+    getGeoJSONProjection,
+    getFeatureCollectionTotal
+} from '../GeoLimitsUtils';
+
+const POLYGON = [[[0, 0], [1, 0], [1, 1], [0, 0]]];
+const POLYGON_2 = [[[2, 2], [3, 2], [3, 3], [2, 2]]];
+
+describe('Test Geo Limits Utils', () => {
+    it('getGeoLimitsFileFormat', () => {
+        expect(getGeoLimitsFileFormat('limits.geojson')).toBe(GeoLimitsFileFormats.GEOJSON);
+        expect(getGeoLimitsFileFormat('limits.JSON')).toBe(GeoLimitsFileFormats.GEOJSON);
+        expect(getGeoLimitsFileFormat('limits.kml')).toBe(GeoLimitsFileFormats.KML);
+        expect(getGeoLimitsFileFormat('limits.zip')).toBe(GeoLimitsFileFormats.SHAPEFILE);
+        expect(getGeoLimitsFileFormat('limits.wkt')).toBe(GeoLimitsFileFormats.WKT);
+        expect(getGeoLimitsFileFormat('limits.gpkg')).toBe(null);
+        expect(getGeoLimitsFileFormat('kml')).toBe(null);
+        expect(getGeoLimitsFileFormat()).toBe(null);
+        expect(GEO_LIMITS_FILE_ACCEPT).toBe('.json,.geojson,.kml,.zip,.wkt,.txt');
+    });
+    it('getPolygonsCoordinates', () => {
+        expect(getPolygonsCoordinates({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: POLYGON } },
+                { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+                { type: 'Feature', properties: {}, geometry: null }
+            ]
+        })).toEqual([POLYGON]);
+        expect(getPolygonsCoordinates([
+            { type: 'MultiPolygon', coordinates: [POLYGON, POLYGON_2] },
+            { type: 'GeometryCollection', geometries: [{ type: 'Polygon', coordinates: POLYGON }] }
+        ])).toEqual([POLYGON, POLYGON_2, POLYGON]);
+        expect(getPolygonsCoordinates()).toEqual([]);
+    });
+    it('getFeatureLabel', () => {
+        expect(getFeatureLabel({ id: 'regions.1', properties: { code: 1, name: 'Region', description: 'Text' } })).toBe('Region');
+        expect(getFeatureLabel({ id: 'regions.1', properties: { code: 1 } })).toBe('regions.1');
+    });
+    it('geoLimitsToFeatureCollection', () => {
+        expect(geoLimitsToFeatureCollection([
+            { type: 'Feature', id: 'a', properties: { id: 'a' }, geometry: { type: 'Polygon', coordinates: POLYGON } }
+        ])).toEqual({
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: POLYGON } }]
+        });
+    });
+    it('getGeoJSONProjection', () => {
+        const withCrs = (name) => ({ type: 'FeatureCollection', crs: { type: 'name', properties: { name } }, features: [] });
+        expect(getGeoJSONProjection({ type: 'FeatureCollection', features: [] })).toBe(null);
+        expect(getGeoJSONProjection(withCrs('urn:ogc:def:crs:OGC:1.3:CRS84'))).toBe(null);
+        expect(getGeoJSONProjection(withCrs('EPSG:4326'))).toBe(null);
+        expect(getGeoJSONProjection(withCrs('urn:ogc:def:crs:EPSG::3857'))).toBe('EPSG:3857');
+        expect(getGeoJSONProjection(withCrs('EPSG:32632'))).toBe('EPSG:32632');
+        expect(getGeoJSONProjection(withCrs('custom'))).toBe('custom');
+    });
+    it('getFeatureCollectionTotal', () => {
+        expect(getFeatureCollectionTotal({ features: [], numberMatched: 250 })).toBe(250);
+        expect(getFeatureCollectionTotal({ features: [], totalFeatures: 120 })).toBe(120);
+        expect(getFeatureCollectionTotal({ features: [], totalFeatures: 'unknown' })).toBe(undefined);
+        expect(getFeatureCollectionTotal(null)).toBe(undefined);
+    });
+});
@@ -0,0 +1,69 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    isImageDocument,
+    getCompleteControlPoints,
+    getAffineTransform,
+    applyAffineTransform,
+    getTransformError,
+    getImageExtent,
+    getGeoreferencePayload
+} from '../GeoreferenceUtils';
+
+const controlPoints = [
+    { pixel: [0, 0], coords: [10, 50] },
+    { pixel: [100, 0], coords: [11, 50] },
+    { pixel: [0, 200], coords: [10, 48] },
+    { pixel: [100, 200], coords: [11, 48] },
+    { pixel: [50, 50] }
+];
+
+describe('Test Georeference Utils', () => {
+    it('isImageDocument', () => {
+        expect(isImageDocument({ resource_type: 'document', subtype: 'image' })).toBe(true);
+        expect(isImageDocument({ resource_type: 'document', extension: 'PNG' })).toBe(true);
+        expect(isImageDocument({ resource_type: 'document', extension: 'pdf' })).toBe(false);
+        expect(isImageDocument({ resource_type: 'dataset', extension: 'png' })).toBe(false);
+    });
+    it('getCompleteControlPoints', () => {
+        expect(getCompleteControlPoints(controlPoints).length).toBe(4);
+    });
+    it('getAffineTransform', () => {
+        expect(getAffineTransform(controlPoints.slice(0, 2))).toBe(null);
+        expect(getAffineTransform([
+            { pixel: [0, 0], coords: [0, 0] },
+            { pixel: [0, 1], coords: [1, 1] },
+            { pixel: [0, 2], coords: [2, 2] }
+        ])).toBe(null);
+        // rotation and shear are not part of the transform
+        const rotated = getAffineTransform([
+            { pixel: [0, 0], coords: [10, 50] },
+            { pixel: [100, 0], coords: [11, 50.1] },
+            { pixel: [0, 200], coords: [9.9, 48] }
+        ]);
+        expect(rotated[1]).toBe(0);
+        expect(rotated[3]).toBe(0);
+        const transform = getAffineTransform(controlPoints);
+        const [lon, lat] = applyAffineTransform(transform, [50, 100]);
+        expect(Math.round(lon * 1000) / 1000).toBe(10.5);
+        expect(Math.round(lat * 1000) / 1000).toBe(49);
+        expect(getTransformError(transform, controlPoints)).toBeLessThan(1e-6);
+        expect(getTransformError(null, controlPoints)).toBe(null);
+    });
+    it('getImageExtent and getGeoreferencePayload', () => {
+        const transform = getAffineTransform(controlPoints);
+        expect(getImageExtent(transform, 100, 200).map((value) => Math.round(value * 1000) / 1000)).toEqual([10, 48, 11, 50]);
+        const payload = getGeoreferencePayload({ transform, controlPoints, width: 100, height: 200, data: { key: 'value' } });
+        expect(payload.extent.srid).toBe('EPSG:4326');
+        expect(payload.data.key).toBe('value');
+        expect(payload.data.georeference.controlPoints.length).toBe(4);
+        expect(payload.data.georeference.width).toBe(100);
+    });
+});
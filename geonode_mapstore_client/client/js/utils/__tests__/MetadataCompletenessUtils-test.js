@@ -0,0 +1,68 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    DEFAULT_COMPLETENESS_RULES,
+    isCompletenessRuleSatisfied,
+    getCompletenessScore,
+    getCompletenessStyle,
+    getCompletenessSortParams,
+    addCompletenessToResources
+} from '../MetadataCompletenessUtils';
+
+const rules = [
+    { id: 'abstract', weight: 3, type: 'minLength', value: 10, field: 'abstract', resourcePath: 'raw_abstract' },
+    { id: 'keywords', weight: 2, type: 'minItems', value: 3, field: ['hkeywords', 'keywords'], resourcePath: 'keywords' },
+    { id: 'temporalExtent', type: 'exists', field: ['temporal_extent_start', 'temporal_extent_end'] }
+];
+
+describe('Test Metadata Completeness Utils', () => {
+    it('isCompletenessRuleSatisfied', () => {
+        expect(isCompletenessRuleSatisfied({ 'abstract': '<p>short</p>' }, rules[0])).toBe(false);
+        expect(isCompletenessRuleSatisfied({ 'abstract': '<p>long abstract</p>' }, rules[0])).toBe(true);
+        expect(isCompletenessRuleSatisfied({ raw_abstract: 'long abstract' }, rules[0], 'resourcePath')).toBe(true);
+        expect(isCompletenessRuleSatisfied({ hkeywords: [{ id: 'a' }, { id: 'b' }] }, rules[1])).toBe(false);
+        expect(isCompletenessRuleSatisfied({ keywords: ['a', 'b', 'c'] }, rules[1])).toBe(true);
+        expect(isCompletenessRuleSatisfied({ temporal_extent_end: '2026-01-01' }, rules[2])).toBe(true);
+        expect(isCompletenessRuleSatisfied({ temporal_extent_start: '' }, rules[2])).toBe(false);
+        expect(isCompletenessRuleSatisfied({ category: { id: null } }, DEFAULT_COMPLETENESS_RULES.find(({ id }) => id === 'category'))).toBe(false);
+        expect(isCompletenessRuleSatisfied({}, rules[2], 'resourcePath')).toBe(false);
+    });
+    it('getCompletenessScore', () => {
+        expect(getCompletenessScore({}, rules)).toEqual({ score: 0, missing: rules });
+        const { score, missing } = getCompletenessScore({ 'abstract': 'long abstract', temporal_extent_start: '2026-01-01' }, rules);
+        expect(score).toBe(67);
+        expect(missing.map(({ id }) => id)).toEqual(['keywords']);
+        // rules without the path are ignored
+        expect(getCompletenessScore({ raw_abstract: 'long abstract' }, rules, 'resourcePath').score).toBe(60);
+        expect(getCompletenessScore({}, []).score).toBe(100);
+    });
+    it('getCompletenessStyle', () => {
+        expect(getCompletenessStyle(20)).toBe('danger');
+        expect(getCompletenessStyle(60)).toBe('warning');
+        expect(getCompletenessStyle(90)).toBe('success');
+    });
+    it('getCompletenessSortParams', () => {
+        expect(getCompletenessSortParams(['-metadata_completeness', 'title'])).toEqual({ sort: ['title'], completeness_sort: 'desc' });
+        expect(getCompletenessSortParams('metadata_completeness')).toEqual({ completeness_sort: 'asc' });
+        expect(getCompletenessSortParams('-created')).toEqual({ sort: ['-created'] });
+        expect(getCompletenessSortParams()).toEqual({});
+    });
+    it('addCompletenessToResources', () => {
+        const resources = [
+            { pk: 1, raw_abstract: 'long abstract', keywords: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] },
+            { pk: 2, raw_abstract: '', keywords: [] },
+            { pk: 3, raw_abstract: 'long abstract', keywords: null }
+        ];
+        expect(addCompletenessToResources(resources, rules).map(({ metadata_completeness: score }) => score)).toEqual([100, 0, 60]);
+        // the score is unknown when the paths of a rule are not returned by the api
+        expect(addCompletenessToResources([{ pk: 4 }], rules)[0].metadata_completeness).toBe(undefined);
+        expect(addCompletenessToResources([{ pk: 5, raw_abstract: 'long abstract' }], rules)[0].metadata_completeness).toBe(undefined);
+    });
+});
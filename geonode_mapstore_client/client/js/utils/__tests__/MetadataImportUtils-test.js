@@ -0,0 +1,161 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    parseMetadataXML,
+    metadataValuesToSchema,
+    getMetadataImportChanges,
+    mergeImportedMetadata,
+    MetadataImportFormats
+} from '../MetadataImportUtils';
+
+const ISO_19139 = `<?xml version="1.0" encoding="UTF-8"?>
+<gmd:MD_Metadata xmlns:gmd="http://www.isotc211.org/2005/gmd" xmlns:gco="http://www.isotc211.org/2005/gco" xmlns:gml="http://www.opengis.net/gml">
+    <gmd:language><gmd:LanguageCode codeList="" codeListValue="ita">ita</gmd:LanguageCode></gmd:language>
+    <gmd:identificationInfo>
+        <gmd:MD_DataIdentification>
+            <gmd:citation>
+                <gmd:CI_Citation>
+                    <gmd:title><gco:CharacterString>Rivers</gco:CharacterString></gmd:title>
+                    <gmd:date>
+                        <gmd:CI_Date>
+                            <gmd:date><gco:Date>2020-05-01</gco:Date></gmd:date>
+                            <gmd:dateType><gmd:CI_DateTypeCode codeList="" codeListValue="publication">publication</gmd:CI_DateTypeCode></gmd:dateType>
+                        </gmd:CI_Date>
+                    </gmd:date>
+                </gmd:CI_Citation>
+            </gmd:citation>
+            <gmd:abstract><gco:CharacterString>Rivers of the region</gco:CharacterString></gmd:abstract>
+            <gmd:descriptiveKeywords>
+                <gmd:MD_Keywords>
+                    <gmd:keyword><gco:CharacterString>hydrography</gco:CharacterString></gmd:keyword>
+                </gmd:MD_Keywords>
+            </gmd:descriptiveKeywords>
+            <gmd:descriptiveKeywords>
+                <gmd:MD_Keywords>
+                    <gmd:keyword><gco:CharacterString>rivers</gco:CharacterString></gmd:keyword>
+                </gmd:MD_Keywords>
+            </gmd:descriptiveKeywords>
+            <gmd:topicCategory><gmd:MD_TopicCategoryCode>inlandWaters</gmd:MD_TopicCategoryCode></gmd:topicCategory>
+        </gmd:MD_DataIdentification>
+    </gmd:identificationInfo>
+</gmd:MD_Metadata>`;
+
+const ISO_19115_3 = `<?xml version="1.0" encoding="UTF-8"?>
+<mdb:MD_Metadata xmlns:mdb="http://standards.iso.org/iso/19115/-3/mdb/2.0" xmlns:mri="http://standards.iso.org/iso/19115/-3/mri/1.0"
+    xmlns:cit="http://standards.iso.org/iso/19115/-3/cit/2.0" xmlns:gco="http://standards.iso.org/iso/19115/-3/gco/1.0"
+    xmlns:lan="http://standards.iso.org/iso/19115/-3/lan/1.0">
+    <mdb:identificationInfo>
+        <mri:MD_DataIdentification>
+            <mri:citation>
+                <cit:CI_Citation>
+                    <cit:title><gco:CharacterString>Roads</gco:CharacterString></cit:title>
+                </cit:CI_Citation>
+            </mri:citation>
+            <mri:abstract><gco:CharacterString>Road network</gco:CharacterString></mri:abstract>
+            <mri:defaultLocale>
+                <lan:PT_Locale>
+                    <lan:language><lan:LanguageCode codeList="" codeListValue="eng" /></lan:language>
+                </lan:PT_Locale>
+            </mri:defaultLocale>
+        </mri:MD_DataIdentification>
+    </mdb:identificationInfo>
+</mdb:MD_Metadata>`;
+
+const DUBLIN_CORE = `<?xml version="1.0" encoding="UTF-8"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <rdf:Description>
+        <dc:title>Parks</dc:title>
+        <dc:description>Urban parks</dc:description>
+        <dc:subject>green</dc:subject>
+        <dc:subject>parks</dc:subject>
+        <dc:language>en</dc:language>
+    </rdf:Description>
+</rdf:RDF>`;
+
+const schema = {
+    properties: {
+        title: { type: 'string', title: 'Title' },
+        'abstract': { type: 'string', title: 'Abstract' },
+        date: { type: 'string', format: 'date-time' },
+        date_type: { type: 'string', oneOf: [{ 'const': 'creation' }, { 'const': 'publication' }] },
+        language: { type: 'string', oneOf: [{ 'const': 'eng' }, { 'const': 'ita' }] },
+        hkeywords: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, label: { type: 'string' } } } },
+        category: { type: ['object', 'null'], properties: { id: { type: 'string' }, label: { type: 'string' } } },
+        uuid: { type: 'string', readOnly: true }
+    }
+};
+
+describe('Test Metadata Import Utils', () => {
+    it('parseMetadataXML with ISO 19139', () => {
+        const { format, values } = parseMetadataXML(ISO_19139);
+        expect(format).toBe(MetadataImportFormats.ISO_19139);
+        expect(values.title).toBe('Rivers');
+        expect(values.abstract).toBe('Rivers of the region');
+        expect(values.date).toBe('2020-05-01');
+        expect(values.dateType).toBe('publication');
+        expect(values.language).toBe('ita');
+        expect(values.keywords).toEqual(['hydrography', 'rivers']);
+        expect(values.category).toBe('inlandWaters');
+    });
+    it('parseMetadataXML with ISO 19115-3', () => {
+        const { format, values } = parseMetadataXML(ISO_19115_3);
+        expect(format).toBe(MetadataImportFormats.ISO_19115_3);
+        expect(values.title).toBe('Roads');
+        expect(values.abstract).toBe('Road network');
+        expect(values.language).toBe('eng');
+    });
+    it('parseMetadataXML with Dublin Core', () => {
+        const { format, values } = parseMetadataXML(DUBLIN_CORE);
+        expect(format).toBe(MetadataImportFormats.DUBLIN_CORE);
+        expect(values.title).toBe('Parks');
+        expect(values.abstract).toBe('Urban parks');
+        expect(values.keywords).toEqual(['green', 'parks']);
+        expect(values.language).toBe('en');
+    });
+    it('parseMetadataXML with invalid files', () => {
+        expect(() => parseMetadataXML('<root')).toThrow('invalidXML');
+        expect(() => parseMetadataXML('<root><title>Title</title></root>')).toThrow('unsupportedFormat');
+    });
+    it('metadataValuesToSchema', () => {
+        const metadata = metadataValuesToSchema({
+            title: 'Rivers',
+            'abstract': 'Rivers of the region',
+            date: '2020-05-01',
+            dateType: 'revision',
+            language: 'en',
+            keywords: ['hydrography', 'rivers'],
+            category: 'inlandWaters',
+            purpose: 'not in the schema'
+        }, schema);
+        expect(metadata).toEqual({
+            title: 'Rivers',
+            'abstract': 'Rivers of the region',
+            date: '2020-05-01T00:00:00.000Z',
+            language: 'eng',
+            hkeywords: [{ id: 'hydrography', label: 'hydrography' }, { id: 'rivers', label: 'rivers' }],
+            category: { id: 'inlandWaters', label: 'inlandWaters' }
+        });
+    });
+    it('getMetadataImportChanges and mergeImportedMetadata', () => {
+        const metadata = { title: 'Title', 'abstract': 'Same', uuid: 'id' };
+        const imported = { title: 'Rivers', 'abstract': 'Same', hkeywords: [{ id: 'rivers', label: 'rivers' }] };
+        const changes = getMetadataImportChanges(metadata, imported, schema);
+        expect(changes).toEqual([
+            { key: 'title', title: 'Title', currentValue: 'Title', newValue: 'Rivers', overwrite: true },
+            { key: 'hkeywords', title: 'hkeywords', currentValue: '', newValue: 'rivers', overwrite: false }
+        ]);
+        expect(mergeImportedMetadata(metadata, imported, ['hkeywords'])).toEqual({
+            title: 'Title',
+            'abstract': 'Same',
+            uuid: 'id',
+            hkeywords: [{ id: 'rivers', label: 'rivers' }]
+        });
+    });
+});
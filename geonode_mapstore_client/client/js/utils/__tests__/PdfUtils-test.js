@@ -0,0 +1,66 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    getPdfPageFromUrl,
+    clampPdfPage,
+    getNextPdfZoom,
+    getPdfPageText,
+    searchPdfPages,
+    resolvePdfDestinationPage
+} from '../PdfUtils';
+
+describe('Test Pdf Utils', () => {
+    it('getPdfPageFromUrl', () => {
+        expect(getPdfPageFromUrl()).toBe(null);
+        expect(getPdfPageFromUrl('/documents/1/link')).toBe(null);
+        expect(getPdfPageFromUrl('#page=3')).toBe(3);
+        expect(getPdfPageFromUrl('/documents/1/link#zoom=100&page=12')).toBe(12);
+        expect(getPdfPageFromUrl('#/document/1#page=4')).toBe(4);
+        expect(getPdfPageFromUrl('#/page=2')).toBe(2);
+    });
+    it('clampPdfPage', () => {
+        expect(clampPdfPage('a', 10)).toBe(1);
+        expect(clampPdfPage(0, 10)).toBe(1);
+        expect(clampPdfPage('4', 10)).toBe(4);
+        expect(clampPdfPage(15, 10)).toBe(10);
+    });
+    it('getNextPdfZoom', () => {
+        expect(getNextPdfZoom(1, 1)).toBe(1.25);
+        expect(getNextPdfZoom(1, -1)).toBe(0.75);
+        expect(getNextPdfZoom(3, 1)).toBe(3);
+        expect(getNextPdfZoom(0.5, -1)).toBe(0.5);
+    });
+    it('getPdfPageText and searchPdfPages', () => {
+        expect(getPdfPageText({ items: [{ str: 'Hello' }, { str: 'World' }] })).toBe('Hello World');
+        expect(getPdfPageText()).toBe('');
+        const pagesText = ['Hello World', 'no match', 'world WORLD'];
+        expect(searchPdfPages(pagesText, ' ')).toEqual([]);
+        expect(searchPdfPages(pagesText, 'world')).toEqual([
+            { page: 1, count: 1 },
+            { page: 3, count: 2 }
+        ]);
+    });
+    it('resolvePdfDestinationPage', (done) => {
+        const pdf = {
+            getDestination: (name) => Promise.resolve(name === 'chapter' ? [{ num: 10 }, { name: 'XYZ' }] : null),
+            getPageIndex: () => Promise.resolve(4)
+        };
+        Promise.all([
+            resolvePdfDestinationPage(pdf, 'chapter'),
+            resolvePdfDestinationPage(pdf, 'missing'),
+            resolvePdfDestinationPage(pdf, [1, { name: 'Fit' }])
+        ]).then(([namedPage, missingPage, indexPage]) => {
+            expect(namedPage).toBe(5);
+            expect(missingPage).toBe(null);
+            expect(indexPage).toBe(2);
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,77 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    getPermissionsTemplatesStorageKey,
+    createPermissionsTemplate,
+    applyPermissionsTemplate,
+    upsertPermissionsTemplate,
+    removePermissionsTemplate
+} from '../PermissionsTemplatesUtils';
+
+const COMPACT_PERMISSIONS = {
+    users: [
+        { id: 1, username: 'admin', permissions: 'owner' },
+        { id: 2, username: 'editor', permissions: 'edit', isGeoLimitsChanged: true, features: [{ id: 'f1' }] }
+    ],
+    groups: [
+        { id: 3, title: 'anonymous', name: 'anonymous', permissions: 'view' },
+        { id: 4, title: 'registered-members', name: 'registered-members', permissions: 'download' }
+    ],
+    organizations: [
+        { id: 5, title: 'Organization', permissions: 'view', geoLimitsLoading: false }
+    ]
+};
+
+describe('Test Permissions Templates Utils', () => {
+    it('getPermissionsTemplatesStorageKey', () => {
+        expect(getPermissionsTemplatesStorageKey({ pk: 10, name: 'admin' })).toBe('geonode.permissionsTemplates.10');
+        expect(getPermissionsTemplatesStorageKey()).toBe('geonode.permissionsTemplates.anonymous');
+    });
+    it('createPermissionsTemplate', () => {
+        const template = createPermissionsTemplate('Template', COMPACT_PERMISSIONS);
+        expect(template.id).toExist();
+        expect(template.label).toBe('Template');
+        expect(template.permissions).toEqual({
+            users: [{ id: 2, username: 'editor', permissions: 'edit', features: [{ id: 'f1' }] }],
+            groups: COMPACT_PERMISSIONS.groups,
+            organizations: [{ id: 5, title: 'Organization', permissions: 'view' }]
+        });
+    });
+    it('applyPermissionsTemplate', () => {
+        const template = {
+            label: 'Template',
+            permissions: {
+                users: [
+                    { id: 1, permissions: 'view' },
+                    { id: 6, username: 'viewer', permissions: 'view', features: [{ id: 'f2' }] }
+                ],
+                groups: [{ id: 4, permissions: 'view' }],
+                organizations: []
+            }
+        };
+        expect(applyPermissionsTemplate(COMPACT_PERMISSIONS, template)).toEqual({
+            users: [
+                { id: 1, username: 'admin', permissions: 'owner' },
+                { id: 6, username: 'viewer', permissions: 'view', features: [{ id: 'f2' }], isGeoLimitsChanged: true }
+            ],
+            groups: [
+                { id: 4, title: 'registered-members', name: 'registered-members', permissions: 'view' },
+                { id: 3, title: 'anonymous', name: 'anonymous', permissions: 'none' }
+            ],
+            organizations: []
+        });
+    });
+    it('upsertPermissionsTemplate and removePermissionsTemplate', () => {
+        const templates = [{ id: '1', label: 'B' }, { id: '2', label: 'C' }];
+        expect(upsertPermissionsTemplate(templates, { id: '3', label: 'A' }).map(({ id }) => id)).toEqual(['3', '1', '2']);
+        expect(upsertPermissionsTemplate(templates, { id: '4', label: 'B' }).map(({ id }) => id)).toEqual(['4', '2']);
+        expect(removePermissionsTemplate(templates, '1')).toEqual([{ id: '2', label: 'C' }]);
+    });
+});
@@ -0,0 +1,266 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    ResourceChangeSections,
+    ResourceChangeTypes,
+    getResourceChanges,
+    revertCompactPermissionsChange,
+    isResourceVersionChanged,
+    getResourceMerge,
+    resolveResourceMerge
+} from '../ResourceChangesUtils';
+
+describe('Test Resource Changes Utils', () => {
+    it('getResourceChanges returns an empty list without initial resource', () => {
+        expect(getResourceChanges({ resource: { title: 'Title' } })).toEqual([]);
+    });
+    it('getResourceChanges with metadata changes', () => {
+        const changes = getResourceChanges({
+            resourceType: 'document',
+            initialResource: { title: 'Title', 'abstract': '', is_published: true },
+            resource: { title: 'New title', 'abstract': null, is_published: false }
+        });
+        expect(changes.length).toBe(2);
+        expect(changes[0]).toEqual({
+            id: 'metadata:title',
+            section: ResourceChangeSections.METADATA,
+            key: 'title',
+            type: ResourceChangeTypes.CHANGED,
+            revertable: true,
+            previous: 'Title',
+            current: 'New title'
+        });
+        expect(changes[1].key).toBe('is_published');
+    });
+    it('getResourceChanges with permissions and geo limits changes', () => {
+        const changes = getResourceChanges({
+            resourceType: 'document',
+            initialResource: { title: 'Title' },
+            resource: { title: 'Title' },
+            initialCompactPermissions: {
+                users: [{ id: 1, username: 'admin', permissions: 'owner' }, { id: 2, username: 'user', permissions: 'view' }],
+                groups: [{ id: 3, title: 'Group', permissions: 'view' }],
+                organizations: []
+            },
+            compactPermissions: {
+                users: [{ id: 1, username: 'admin', permissions: 'owner', isGeoLimitsChanged: true, features: [] }],
+                groups: [{ id: 3, title: 'Group', permissions: 'edit' }],
+                organizations: [{ id: 4, title: 'Organization', permissions: 'view' }]
+            }
+        });
+        expect(changes.map(({ id, type }) => [id, type])).toEqual([
+            ['geoLimits:users:1', ResourceChangeTypes.CHANGED],
+            ['permissions:users:2', ResourceChangeTypes.REMOVED],
+            ['permissions:groups:3', ResourceChangeTypes.CHANGED],
+            ['permissions:organizations:4', ResourceChangeTypes.ADDED]
+        ]);
+        expect(changes[2].previous).toBe('view');
+        expect(changes[2].current).toBe('edit');
+        expect(changes[2].label).toBe('Group');
+    });
+    it('getResourceChanges with map layers changes', () => {
+        const initialData = {
+            map: {
+                layers: [
+                    { id: 'layer01', name: 'layer01', title: 'Layer 01', style: 'style01', extendedParams: { pk: 1 } },
+                    { id: 'layer02', name: 'layer02', title: 'Layer 02', visibility: true, extendedParams: { pk: 2 } },
+                    { id: 'layer03', name: 'layer03', title: 'Layer 03', extendedParams: { pk: 3 } }
+                ]
+            }
+        };
+        const data = {
+            map: {
+                layers: [
+                    { id: 'layer02', name: 'layer02', title: 'Layer 02', visibility: false, extendedParams: { pk: 2 }, bbox: {} },
+                    { id: 'layer01', name: 'layer01', title: 'Layer 01', style: 'style02', extendedParams: { pk: 1 } },
+                    { id: 'layer04', name: 'layer04', title: 'Layer 04', extendedParams: { pk: 4 } }
+                ]
+            }
+        };
+        const changes = getResourceChanges({
+            resourceType: 'map',
+            initialResource: { title: 'Title' },
+            resource: { title: 'Title' },
+            initialData,
+            data
+        });
+        expect(changes.map(({ id, type, revertable }) => [id, type, revertable])).toEqual([
+            ['styles:layer01', ResourceChangeTypes.CHANGED, true],
+            ['layers:layer02', ResourceChangeTypes.CHANGED, true],
+            ['layers:layer03', ResourceChangeTypes.REMOVED, true],
+            ['layers:layer04', ResourceChangeTypes.ADDED, true],
+            ['layers:order', ResourceChangeTypes.CHANGED, false],
+            ['linkedResources:4', ResourceChangeTypes.ADDED, false],
+            ['linkedResources:3', ResourceChangeTypes.REMOVED, false]
+        ]);
+        expect(changes[1].keys).toEqual(['visibility']);
+        expect(changes[1].previous).toEqual({ visibility: true });
+        expect(changes[2].previous).toBe(initialData.map.layers[2]);
+    });
+    it('getResourceChanges with dataset changes', () => {
+        const changes = getResourceChanges({
+            resourceType: 'dataset',
+            initialResource: { title: 'Title', timeseries: { has_time: true, attribute: 'date' } },
+            resource: { title: 'Title', timeseries: { has_time: true, attribute: 'end_date' } },
+            initialLayer: { id: 'layer01', name: 'layer01', opacity: 1, fields: [{ name: 'date' }] },
+            initialData: {},
+            data: { id: 'layer01', name: 'layer01', opacity: 0.5, fields: [{ name: 'date', alias: 'Date' }] },
+            style: { layerId: 'layer01', previous: 'style01', current: 'style02' }
+        });
+        expect(changes.map(({ id }) => id)).toEqual([
+            'layers:opacity',
+            'layers:fields',
+            'styles:layer01',
+            'timeseries:attribute'
+        ]);
+    });
+    it('getResourceChanges with dataset attributes changes', () => {
+        const changes = getResourceChanges({
+            resourceType: 'dataset',
+            initialResource: {
+                title: 'Title',
+                attribute_set: [
+                    { pk: 1, attribute: 'name', attribute_label: 'Name', display_order: 1 },
+                    { pk: 2, attribute: 'code', display_order: 2, visible: true }
+                ]
+            },
+            resource: {
+                title: 'Title',
+                attribute_set: [
+                    { pk: 1, attribute: 'name', attribute_label: 'Name', display_order: 1 },
+                    { pk: 2, attribute: 'code', description: 'Code', display_order: 2, visible: false }
+                ]
+            }
+        });
+        expect(changes).toEqual([{
+            id: 'attributes:2',
+            section: ResourceChangeSections.ATTRIBUTES,
+            key: 2,
+            type: ResourceChangeTypes.CHANGED,
+            revertable: true,
+            label: 'code',
+            keys: ['description', 'visible'],
+            previous: { description: undefined, visible: true },
+            current: { description: 'Code', visible: false }
+        }]);
+    });
+    it('getResourceChanges with not comparable data', () => {
+        const changes = getResourceChanges({
+            resourceType: 'geostory',
+            initialResource: { title: 'Title' },
+            resource: { title: 'Title' },
+            initialData: { sections: [] },
+            data: { sections: [{ id: 'section' }] }
+        });
+        expect(changes).toEqual([{
+            id: 'data:geostory',
+            section: ResourceChangeSections.DATA,
+            key: 'geostory',
+            type: ResourceChangeTypes.CHANGED,
+            revertable: false
+        }]);
+    });
+    it('revertCompactPermissionsChange', () => {
+        const initialCompactPermissions = {
+            users: [{ id: 1, permissions: 'owner' }, { id: 2, permissions: 'view' }],
+            groups: [{ id: 3, permissions: 'view' }],
+            organizations: []
+        };
+        const compactPermissions = {
+            users: [{ id: 1, permissions: 'owner', isGeoLimitsChanged: true, features: [] }],
+            groups: [{ id: 3, permissions: 'edit' }],
+            organizations: [{ id: 4, permissions: 'view' }]
+        };
+        expect(revertCompactPermissionsChange(compactPermissions, initialCompactPermissions, {
+            section: ResourceChangeSections.GEO_LIMITS, key: 'users:1', entryType: 'users', type: ResourceChangeTypes.CHANGED
+        }).users).toEqual([{ id: 1, permissions: 'owner' }]);
+        expect(revertCompactPermissionsChange(compactPermissions, initialCompactPermissions, {
+            section: ResourceChangeSections.PERMISSIONS, key: 'users:2', entryType: 'users', type: ResourceChangeTypes.REMOVED
+        }).users.map(({ id }) => id)).toEqual([1, 2]);
+        expect(revertCompactPermissionsChange(compactPermissions, initialCompactPermissions, {
+            section: ResourceChangeSections.PERMISSIONS, key: 'groups:3', entryType: 'groups', type: ResourceChangeTypes.CHANGED
+        }).groups).toEqual([{ id: 3, permissions: 'view' }]);
+        expect(revertCompactPermissionsChange(compactPermissions, initialCompactPermissions, {
+            section: ResourceChangeSections.PERMISSIONS, key: 'organizations:4', entryType: 'organizations', type: ResourceChangeTypes.ADDED
+        }).organizations).toEqual([]);
+        expect(revertCompactPermissionsChange(compactPermissions, initialCompactPermissions, {})).toBe(compactPermissions);
+    });
+    it('isResourceVersionChanged', () => {
+        expect(isResourceVersionChanged({}, { last_updated: '2026-01-01T10:00:00Z' })).toBe(false);
+        expect(isResourceVersionChanged({ last_updated: '2026-01-01T10:00:00Z' }, { last_updated: '2026-01-01T10:00:00.000Z' })).toBe(false);
+        expect(isResourceVersionChanged({ last_updated: '2026-01-01T10:00:00Z' }, { last_updated: '2026-01-01T11:00:00Z' })).toBe(true);
+    });
+    it('getResourceMerge and resolveResourceMerge with metadata', () => {
+        const merge = getResourceMerge({
+            resourceType: 'document',
+            base: { title: 'Title', 'abstract': 'Abstract', featured: false },
+            local: { title: 'Local title', 'abstract': 'Local abstract', featured: false },
+            remote: { title: 'Title', 'abstract': 'Remote abstract', featured: true }
+        });
+        expect(merge.metadata.values).toEqual({ featured: true });
+        expect(merge.layers).toBe(null);
+        expect(merge.conflicts.map(({ id, local, remote }) => [id, local, remote])).toEqual([
+            ['metadata:abstract', 'Local abstract', 'Remote abstract']
+        ]);
+        expect(resolveResourceMerge(merge).metadata).toEqual({ featured: true, 'abstract': 'Local abstract' });
+        expect(resolveResourceMerge(merge, { 'metadata:abstract': 'remote' }).metadata).toEqual({ featured: true, 'abstract': 'Remote abstract' });
+    });
+    it('getResourceMerge and resolveResourceMerge with map layers', () => {
+        const baseData = {
+            map: {
+                layers: [
+                    { id: 'layer01', visibility: true },
+                    { id: 'layer02', visibility: true },
+                    { id: 'layer03', visibility: true },
+                    { id: 'layer04', visibility: true }
+                ]
+            }
+        };
+        const localData = {
+            map: {
+                layers: [
+                    { id: 'layer01', visibility: false },
+                    { id: 'layer02', visibility: true },
+                    { id: 'layer04', visibility: false },
+                    { id: 'layer05', visibility: true }
+                ]
+            }
+        };
+        const remoteData = {
+            map: {
+                layers: [
+                    { id: 'layer01', visibility: true },
+                    { id: 'layer06', visibility: true },
+                    { id: 'layer02', opacity: 0.5, visibility: true },
+                    { id: 'layer03', visibility: true },
+                    { id: 'layer04', opacity: 0.5, visibility: true }
+                ]
+            }
+        };
+        const merge = getResourceMerge({
+            resourceType: 'map',
+            base: {},
+            local: {},
+            remote: {},
+            baseData,
+            localData,
+            remoteData
+        });
+        expect(merge.conflicts.map(({ id }) => id)).toEqual(['layers:layer04']);
+        expect(resolveResourceMerge(merge).layers).toEqual([
+            { id: 'layer01', visibility: false },
+            { id: 'layer06', visibility: true },
+            { id: 'layer02', opacity: 0.5, visibility: true },
+            { id: 'layer04', visibility: false },
+            { id: 'layer05', visibility: true }
+        ]);
+        expect(resolveResourceMerge(merge, { 'layers:layer04': 'remote' }).layers[3]).toEqual({ id: 'layer04', opacity: 0.5, visibility: true });
+    });
+});
@@ -10,7 +10,16 @@
 import expect from 'expect';
 import {
     ProcessTypes,
-    extractExecutionsFromResources
+    ProcessStatus,
+    UPLOAD_PROCESS_TYPE,
+    extractExecutionsFromResources,
+    getExecutionProcessType,
+    getExecutionResourcePk,
+    getExecutionRequestResourcePks,
+    isExecutionRetryable,
+    getExecutionSteps,
+    isProcessFailed,
+    getBatchOperationSummary
 } from '../ResourceServiceUtils';
 
 describe('Test Resource Service Utils', () => {
@@ -68,4 +77,134 @@ describe('Test Resource Service Utils', () => {
             processType: ProcessTypes.COPY_RESOURCE
         }]);
     });
+    it('should extract delete and permissions executions from resources', () => {
+        const executions = extractExecutionsFromResources([
+            {
+                pk: 1,
+                executions: [
+                    {
+                        status_url: 'status_url',
+                        user: 'admin',
+                        func_name: 'delete'
+                    },
+                    {
+                        status_url: 'status_url',
+                        user: 'admin',
+                        func_name: 'set_permissions'
+                    },
+                    {
+                        status_url: 'status_url',
+                        user: 'admin',
+                        func_name: 'import_resource',
+                        input_params: { action: 'upload' }
+                    }
+                ]
+            }
+        ], 'admin');
+        expect(executions.map(({ processType }) => processType)).toEqual([
+            ProcessTypes.DELETE_RESOURCE,
+            ProcessTypes.PERMISSIONS_RESOURCE
+        ]);
+    });
+    it('getExecutionProcessType', () => {
+        expect(getExecutionProcessType({ func_name: 'copy' })).toBe(ProcessTypes.COPY_RESOURCE);
+        expect(getExecutionProcessType({ func_name: 'delete' })).toBe(ProcessTypes.DELETE_RESOURCE);
+        expect(getExecutionProcessType({ func_name: 'set_permissions' })).toBe(ProcessTypes.PERMISSIONS_RESOURCE);
+        expect(getExecutionProcessType({ func_name: ProcessTypes.REMOVE_LINKED_RESOURCE })).toBe(ProcessTypes.REMOVE_LINKED_RESOURCE);
+        expect(getExecutionProcessType({ func_name: 'import_resource', action: 'upload' })).toBe(UPLOAD_PROCESS_TYPE);
+        expect(getExecutionProcessType({ func_name: 'import_resource', input_params: { action: 'replace' } })).toBe(UPLOAD_PROCESS_TYPE);
+        expect(getExecutionProcessType({ func_name: 'unknown' })).toBe(undefined);
+        expect(getExecutionProcessType()).toBe(undefined);
+    });
+    it('getExecutionResourcePk', () => {
+        expect(getExecutionResourcePk({ geonode_resource: 1 })).toBe(1);
+        expect(getExecutionResourcePk({ input_params: { resource_pk: 2 } })).toBe(2);
+        expect(getExecutionResourcePk({ input_params: { instance: 3 } })).toBe(3);
+        expect(getExecutionResourcePk({})).toBe(undefined);
+    });
+    it('getExecutionRequestResourcePks', () => {
+        expect(getExecutionRequestResourcePks()).toEqual([]);
+        expect(getExecutionRequestResourcePks({
+            output_params: {
+                resources: [
+                    { id: 10, detail_url: '/catalogue/#/dataset/10' },
+                    { detail_url: '/catalogue/#/dataset/11' },
+                    { detail_url: '/documents/12/' },
+                    { detail_url: '/catalogue/#/' }
+                ]
+            }
+        })).toEqual([10, 11, 12]);
+    });
+    it('isExecutionRetryable', () => {
+        expect(isExecutionRetryable({ status: ProcessStatus.FAILED, func_name: 'copy', geonode_resource: 1 })).toBe(true);
+        expect(isExecutionRetryable({ status: ProcessStatus.FAILED, func_name: 'delete', geonode_resource: 1 })).toBe(true);
+        expect(isExecutionRetryable({ status: ProcessStatus.FINISHED, func_name: 'copy', geonode_resource: 1 })).toBe(false);
+        expect(isExecutionRetryable({ status: ProcessStatus.FAILED, func_name: 'copy' })).toBe(false);
+        expect(isExecutionRetryable({ status: ProcessStatus.FAILED, func_name: 'set_permissions', geonode_resource: 1 })).toBe(false);
+        expect(isExecutionRetryable({
+            status: ProcessStatus.FAILED,
+            func_name: 'set_permissions',
+            geonode_resource: 1,
+            input_params: { permissions: { users: [] } }
+        })).toBe(true);
+        expect(isExecutionRetryable({
+            status: ProcessStatus.FAILED,
+            func_name: 'import_resource',
+            geonode_resource: 1,
+            input_params: { action: 'upload' }
+        })).toBe(false);
+    });
+    it('isProcessFailed', () => {
+        expect(isProcessFailed({ error: 'error' })).toBe(true);
+        expect(isProcessFailed({ output: { error: 'error' } })).toBe(true);
+        expect(isProcessFailed({ output: { status: ProcessStatus.FAILED } })).toBe(true);
+        expect(isProcessFailed({ output: { status: ProcessStatus.FINISHED } })).toBe(false);
+        expect(isProcessFailed()).toBe(false);
+    });
+    it('getBatchOperationSummary', () => {
+        const batch = {
+            id: 'batch',
+            resources: [{ pk: 1 }, { pk: 2 }, { pk: 3 }, { pk: 4 }]
+        };
+        const summary = getBatchOperationSummary([
+            { batchId: 'batch', resource: { pk: 1 }, completed: true, output: { status: ProcessStatus.FINISHED } },
+            { batchId: 'batch', resource: { pk: 2 }, completed: true, error: 'Not allowed' },
+            { batchId: 'batch', resource: { pk: 3 }, output: { status: ProcessStatus.RUNNING } },
+            { batchId: 'other', resource: { pk: 4 }, completed: true }
+        ], batch);
+        expect(summary.total).toBe(4);
+        expect(summary.completed).toBe(2);
+        expect(summary.succeeded).toBe(1);
+        expect(summary.failed).toBe(1);
+        expect(summary.progress).toBe(50);
+        expect(summary.results.map(({ completed, failed, error }) => ({ completed, failed, error }))).toEqual([
+            { completed: true, failed: false, error: undefined },
+            { completed: true, failed: true, error: 'Not allowed' },
+            { completed: false, failed: false, error: undefined },
+            { completed: false, failed: false, error: undefined }
+        ]);
+        expect(getBatchOperationSummary([], undefined).progress).toBe(0);
+    });
+    it('getExecutionSteps', () => {
+        expect(getExecutionSteps()).toEqual([]);
+        expect(getExecutionSteps({ status: 'running', step: 'geonode.upload.import_resource' })).toEqual([
+            { name: 'geonode.upload.import_resource', status: 'running' }
+        ]);
+        expect(getExecutionSteps({
+            status: 'failed',
+            step: 'geonode.upload.publish_resource',
+            tasks: {
+                'geonode.upload.import_resource': 'SUCCESS',
+                'geonode.upload.publish_resource': 'FAILURE',
+                'geonode.upload.create_geonode_resource': 'PENDING'
+            }
+        })).toEqual([
+            { name: 'geonode.upload.import_resource', status: 'finished' },
+            { name: 'geonode.upload.publish_resource', status: 'failed' },
+            { name: 'geonode.upload.create_geonode_resource', status: 'ready' }
+        ]);
+        expect(getExecutionSteps({ tasks: [{ name: 'start_import', status: 'STARTED' }, { status: 'SUCCESS' }] })).toEqual([
+            { name: 'start_import', status: 'running' }
+        ]);
+    });
 });
@@ -10,6 +10,7 @@
 import expect from 'expect';
 import get from 'lodash/get';
 import set from 'lodash/set';
+import { getConfigProp, setConfigProp } from '@mapstore/framework/utils/ConfigUtils';
 import {
     resourceToLayerConfig,
     getResourcePermissions,
@@ -34,8 +35,13 @@ import {
     getResourceAdditionalProperties,
     getDimensions,
     canManageResourceSettings,
-    canAccessPermissions
+    canAccessPermissions,
+    canProcessResource,
+    getDatasetLayerTypes,
+    resolveDatasetLayerConfig,
+    VECTOR_TILE_FORMAT
 } from '../ResourceUtils';
+import { ProcessTypes } from '../ResourceServiceUtils';
 
 describe('Test Resource Utils', () => {
     it('should keep the wms params from the url if available', () => {
@@ -71,6 +77,188 @@ describe('Test Resource Utils', () => {
         });
         expect(newLayer.opacity).toBe(0.8);
     });
+    it('test resourceToLayerConfig with an image document', () => {
+        const newLayer = resourceToLayerConfig({
+            resource_type: 'document',
+            subtype: 'image',
+            extension: 'png',
+            href: '/documents/1/link',
+            title: 'Scanned map',
+            pk: 1,
+            extent: {
+                coords: [10, 40, 11, 41],
+                srid: 'EPSG:4326'
+            }
+        });
+        expect(newLayer.type).toBe('image');
+        expect(newLayer.url).toBe('/documents/1/link');
+        expect(newLayer.bbox).toEqual({ crs: 'EPSG:4326', bounds: { minx: 10, miny: 40, maxx: 11, maxy: 41 } });
+        expect(newLayer.extendedParams).toEqual({ documentPk: 1 });
+    });
+
+    describe('resourceToLayerConfig with preferred layer types', () => {
+        const geoNodeSettings = getConfigProp('geoNodeSettings');
+        const wmsLink = {
+            extension: 'html',
+            link_type: 'OGC:WMS',
+            name: 'OGC WMS Service',
+            mime: 'text/html',
+            url: 'http://localhost:8080/geoserver/ows'
+        };
+        afterEach(() => {
+            setConfigProp('geoNodeSettings', geoNodeSettings);
+        });
+        it('getDatasetLayerTypes', () => {
+            setConfigProp('geoNodeSettings', {});
+            expect(getDatasetLayerTypes()).toEqual(['wms']);
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['cog', 'wmts'] });
+            expect(getDatasetLayerTypes()).toEqual(['cog', 'wmts']);
+        });
+        it('should create a wmts layer', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['wmts', 'wms'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'geonode:layer_name',
+                links: [wmsLink, {
+                    extension: 'html',
+                    link_type: 'OGC:WMTS',
+                    name: 'OGC WMTS Service',
+                    mime: 'text/html',
+                    url: 'http://localhost:8080/geoserver/gwc/service/wmts'
+                }],
+                title: 'Layer title',
+                perms: [],
+                pk: 1
+            });
+            expect(newLayer.type).toBe('wmts');
+            expect(newLayer.name).toBe('geonode:layer_name');
+            expect(newLayer.url).toBe('http://localhost:8080/geoserver/gwc/service/wmts');
+            expect(Object.keys(newLayer.availableTileMatrixSets)).toEqual(['EPSG:900913', 'EPSG:4326']);
+            expect(newLayer.availableTileMatrixSets['EPSG:900913'].tileMatrixSet.TileMatrix[1]['ows:Identifier']).toBe('EPSG:900913:1');
+        });
+        it('should create a vector tiles layer only for vector datasets', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['vectortiles'] });
+            const resource = {
+                alternate: 'geonode:layer_name',
+                links: [wmsLink],
+                title: 'Layer title',
+                perms: [],
+                pk: 1
+            };
+            const vectorLayer = resourceToLayerConfig({ ...resource, subtype: 'vector' });
+            expect(vectorLayer.type).toBe('wms');
+            expect(vectorLayer.format).toBe(VECTOR_TILE_FORMAT);
+            const rasterLayer = resourceToLayerConfig({ ...resource, subtype: 'raster' });
+            expect(rasterLayer.type).toBe('wms');
+            expect(rasterLayer.format).toBe('image/png');
+        });
+        it('should create a cog layer', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['cog', 'wms'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'geonode:raster',
+                subtype: 'raster',
+                links: [wmsLink, {
+                    extension: 'tif',
+                    link_type: 'original',
+                    name: 'COG',
+                    mime: 'image/tiff; application=geotiff; profile=cloud-optimized',
+                    url: 'http://localhost:8000/datasets/geonode:raster/cog.tif'
+                }],
+                title: 'Raster',
+                perms: [],
+                pk: 2
+            });
+            expect(newLayer.type).toBe('cog');
+            expect(newLayer.sources).toEqual([{ url: 'http://localhost:8000/datasets/geonode:raster/cog.tif' }]);
+        });
+        it('should apply the layer settings and the bbox error to the preferred layer types', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['cog', 'wms'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'geonode:raster',
+                subtype: 'raster',
+                links: [wmsLink, {
+                    link_type: 'original',
+                    extension: 'cog',
+                    url: 'http://localhost:8000/datasets/geonode:raster/cog.tif'
+                }],
+                data: { opacity: 0.5 },
+                title: 'Raster',
+                perms: [],
+                pk: 2
+            });
+            expect(newLayer.type).toBe('cog');
+            expect(newLayer.opacity).toBe(0.5);
+            expect(newLayer.bboxError).toBe(true);
+        });
+        it('should read the tile matrix sets of remote wmts services from the capabilities', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['wmts', 'wms'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'remoteWorkspace:roads',
+                sourcetype: 'REMOTE',
+                links: [{ ...wmsLink, url: 'http://remote/service/wms' }, {
+                    link_type: 'OGC:WMTS',
+                    url: 'http://remote/service/wmts'
+                }],
+                title: 'Roads',
+                perms: [],
+                pk: 3
+            });
+            expect(newLayer.type).toBe('wmts');
+            expect(newLayer.availableTileMatrixSets).toBe(undefined);
+            expect(newLayer.capabilitiesURL).toBe('http://remote/service/wmts');
+        });
+        it('should force the layer types with the layerTypes option', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['wmts', 'wms'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'geonode:layer_name',
+                links: [wmsLink, {
+                    link_type: 'OGC:WMTS',
+                    url: 'http://localhost:8080/geoserver/gwc/service/wmts'
+                }],
+                title: 'Layer title',
+                perms: [],
+                pk: 1
+            }, { layerTypes: ['wms'] });
+            expect(newLayer.type).toBe('wms');
+        });
+        it('resolveDatasetLayerConfig', (done) => {
+            const layer = { type: 'wmts', availableTileMatrixSets: {} };
+            resolveDatasetLayerConfig({}, layer)
+                .then((resolvedLayer) => {
+                    expect(resolvedLayer).toBe(layer);
+                    done();
+                })
+                .catch(done);
+        });
+        it('should create an ogc api tiles layer for remote datasets', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['ogcapi-tiles', 'wms'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'remoteWorkspace:roads',
+                sourcetype: 'REMOTE',
+                links: [{ ...wmsLink, url: 'http://remote/geoserver/ows' }, {
+                    link_type: 'OGC:API-Tiles',
+                    url: 'http://remote/ogcapi/collections/roads/'
+                }],
+                title: 'Roads',
+                perms: [],
+                pk: 3
+            });
+            expect(newLayer.type).toBe('tileprovider');
+            expect(newLayer.provider).toBe('custom');
+            expect(newLayer.url).toBe('http://remote/ogcapi/collections/roads/map/tiles/WebMercatorQuad/{z}/{y}/{x}');
+        });
+        it('should fallback to wms when the preferred types are not available', () => {
+            setConfigProp('geoNodeSettings', { datasetLayerTypes: ['wmts', 'cog'] });
+            const newLayer = resourceToLayerConfig({
+                alternate: 'geonode:layer_name',
+                links: [wmsLink],
+                title: 'Layer title',
+                perms: [],
+                pk: 1
+            });
+            expect(newLayer.type).toBe('wms');
+            expect(newLayer.url).toBe('http://localhost:8080/geoserver/ows');
+        });
+    });
 
     it('should parse arcgis dataset', () => {
         const newLayer = resourceToLayerConfig({
@@ -1009,4 +1197,21 @@ describe('Test Resource Utils', () => {
         expect(canAccessPermissions({ perms: ['change_resourcebase_permissions'] })).toBeTruthy();
         expect(canAccessPermissions({ perms: ['view_resourcebase'] })).toBeFalsy();
     });
+    it('canProcessResource', () => {
+        const user = { perms: ['add_resource'] };
+        expect(canProcessResource(ProcessTypes.DELETE_RESOURCE, { perms: ['delete_resourcebase'] }, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.DELETE_RESOURCE, { perms: ['view_resourcebase'] }, user)).toBe(false);
+        expect(canProcessResource(ProcessTypes.COPY_RESOURCE, { resource_type: 'map', is_copyable: true }, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.COPY_RESOURCE, { resource_type: 'map', is_copyable: false }, user)).toBe(false);
+        expect(canProcessResource(ProcessTypes.FAVORITE_RESOURCE, {}, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.FAVORITE_RESOURCE, {}, undefined)).toBe(false);
+        expect(canProcessResource(ProcessTypes.GROUP_RESOURCE, { perms: ['change_resourcebase'] }, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.ADVERTISED_RESOURCE, { perms: ['view_resourcebase'] }, user)).toBe(false);
+        expect(canProcessResource(ProcessTypes.FEATURED_RESOURCE, { perms: ['feature_resourcebase'] }, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.PERMISSIONS_RESOURCE, { perms: ['change_resourcebase_permissions'] }, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.DOWNLOAD_METADATA, {}, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.UPDATE_METADATA, { perms: ['change_resourcebase_metadata'] }, user)).toBe(true);
+        expect(canProcessResource(ProcessTypes.UPDATE_METADATA, { perms: ['change_resourcebase'] }, user)).toBe(false);
+        expect(canProcessResource('unknown', { perms: ['delete_resourcebase'] }, user)).toBe(false);
+    });
 });
@@ -0,0 +1,85 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    getSheetTable,
+    filterSpreadsheetRows,
+    sortSpreadsheetRows,
+    detectCoordinateColumns,
+    rowsToFeatureCollection,
+    getNumericColumns,
+    getSpreadsheetChartData
+} from '../SpreadsheetUtils';
+
+const data = [
+    ['Station', 'Lat', 'Lon', 'Temperature'],
+    ['Rome', '41.9', '12.5', '21'],
+    ['Milan', '45.46', '9.19', '18.5'],
+    ['Florence', '43.77', '11.25', '']
+];
+
+describe('Test Spreadsheet Utils', () => {
+    it('getSheetTable', () => {
+        expect(getSheetTable()).toEqual({ columns: [], rows: [] });
+        const { columns, rows } = getSheetTable(data);
+        expect(columns).toEqual([
+            { key: 0, name: 'Station' },
+            { key: 1, name: 'Lat' },
+            { key: 2, name: 'Lon' },
+            { key: 3, name: 'Temperature' }
+        ]);
+        expect(rows.length).toBe(3);
+        expect(getSheetTable([['Group', ''], ['Name', 'Value', 'Extra'], ['a', '1']], 2).columns).toEqual([
+            { key: 0, name: 'Group Name' },
+            { key: 1, name: 'Value' },
+            { key: 2, name: 'Extra' }
+        ]);
+    });
+    it('filterSpreadsheetRows', () => {
+        const { rows } = getSheetTable(data);
+        expect(filterSpreadsheetRows(rows)).toBe(rows);
+        expect(filterSpreadsheetRows(rows, { search: 'mil' }).map(([name]) => name)).toEqual(['Milan']);
+        expect(filterSpreadsheetRows(rows, { filters: { 0: 'o' } }).map(([name]) => name)).toEqual(['Rome', 'Florence']);
+        expect(filterSpreadsheetRows(rows, { search: '1', filters: { 0: 'r', 3: '' } }).map(([name]) => name)).toEqual(['Rome', 'Florence']);
+    });
+    it('sortSpreadsheetRows', () => {
+        const { rows } = getSheetTable(data);
+        expect(sortSpreadsheetRows(rows, 0, 'NONE')).toBe(rows);
+        expect(sortSpreadsheetRows(rows, 0, 'ASC').map(([name]) => name)).toEqual(['Florence', 'Milan', 'Rome']);
+        expect(sortSpreadsheetRows(rows, 1, 'DESC').map(([name]) => name)).toEqual(['Milan', 'Florence', 'Rome']);
+    });
+    it('detectCoordinateColumns', () => {
+        const { columns, rows } = getSheetTable(data);
+        expect(detectCoordinateColumns(columns, rows)).toEqual({ x: 2, y: 1 });
+        expect(detectCoordinateColumns(columns, [['Rome', 'north', 'east', '21']])).toBe(null);
+        expect(detectCoordinateColumns([{ key: 0, name: 'Station' }], rows)).toBe(null);
+    });
+    it('rowsToFeatureCollection', () => {
+        const { columns, rows } = getSheetTable(data);
+        const { features } = rowsToFeatureCollection([...rows, ['Unknown', '', '', '']], columns, { x: 2, y: 1 });
+        expect(features.length).toBe(3);
+        expect(features[0].geometry.coordinates).toEqual([12.5, 41.9]);
+        expect(features[0].properties).toEqual({ Station: 'Rome', Lat: '41.9', Lon: '12.5', Temperature: '21' });
+    });
+    it('getNumericColumns', () => {
+        const { columns, rows } = getSheetTable(data);
+        expect(getNumericColumns(columns, rows).map(({ name }) => name)).toEqual(['Lat', 'Lon', 'Temperature']);
+    });
+    it('getSpreadsheetChartData', () => {
+        const { rows } = getSheetTable(data);
+        expect(getSpreadsheetChartData(rows)).toEqual([]);
+        expect(getSpreadsheetChartData(rows, { labelKey: 0, valueKeys: [3] })).toEqual([
+            { label: 'Rome', values: [21] },
+            { label: 'Milan', values: [18.5] }
+        ]);
+        expect(getSpreadsheetChartData(rows, { valueKeys: [1], maxRows: 1 })).toEqual([
+            { label: '1', values: [41.9] }
+        ]);
+    });
+});
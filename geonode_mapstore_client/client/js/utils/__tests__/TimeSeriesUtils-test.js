@@ -0,0 +1,95 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    TimeSeriesWarnings,
+    MAX_TIME_STEPS,
+    parseTimeValue,
+    addTimeStep,
+    parseTimeDomainResponse,
+    getTimeHistogram,
+    getTimeSeriesPreview
+} from '../TimeSeriesUtils';
+
+const VALUES = [
+    { time: Date.UTC(2020, 0, 1), count: 2 },
+    { time: Date.UTC(2020, 2, 1), count: 1 },
+    { time: Date.UTC(2020, 11, 31), count: 4 }
+];
+
+describe('Test Time Series Utils', () => {
+    it('parseTimeValue', () => {
+        expect(parseTimeValue('2020-01-01T00:00:00Z')).toBe(Date.UTC(2020, 0, 1));
+        expect(parseTimeValue(2020)).toBe(Date.UTC(2020, 0, 1));
+        expect(parseTimeValue('1999')).toBe(Date.UTC(1999, 0, 1));
+        expect(parseTimeValue(1577836800000)).toBe(1577836800000);
+        expect(parseTimeValue('not a date')).toBe(null);
+        expect(parseTimeValue(null)).toBe(null);
+    });
+    it('addTimeStep', () => {
+        const time = Date.UTC(2020, 0, 31);
+        expect(addTimeStep(time, 1, 'years')).toBe(Date.UTC(2021, 0, 31));
+        expect(addTimeStep(time, 2, 'days')).toBe(Date.UTC(2020, 1, 2));
+        expect(addTimeStep(time, 3, 'hours')).toBe(Date.UTC(2020, 0, 31, 3));
+        expect(addTimeStep(time, 30, 'unknown')).toBe(Date.UTC(2020, 0, 31, 0, 0, 30));
+    });
+    it('parseTimeDomainResponse', () => {
+        expect(parseTimeDomainResponse({
+            AggregationResults: [['2020-03-01T00:00:00Z', 1], [null, 5], ['2020-01-01T00:00:00Z', 2]]
+        })).toEqual([
+            { time: Date.UTC(2020, 0, 1), count: 2 },
+            { time: Date.UTC(2020, 2, 1), count: 1 }
+        ]);
+        expect(parseTimeDomainResponse()).toEqual([]);
+    });
+    it('getTimeHistogram', () => {
+        const histogram = getTimeHistogram(VALUES, 4);
+        expect(histogram.length).toBe(4);
+        expect(histogram.map(({ count }) => count)).toEqual([3, 0, 0, 4]);
+        expect(histogram[0].start).toBe(VALUES[0].time);
+        expect(histogram[3].end).toBe(VALUES[2].time);
+        expect(getTimeHistogram([VALUES[0]])).toEqual([{ start: VALUES[0].time, end: VALUES[0].time, count: 2 }]);
+        expect(getTimeHistogram()).toEqual([]);
+    });
+    it('getTimeSeriesPreview with list presentation', () => {
+        const preview = getTimeSeriesPreview({ presentation: 'LIST' }, VALUES);
+        expect(preview.start).toBe(VALUES[0].time);
+        expect(preview.end).toBe(VALUES[2].time);
+        expect(preview.steps).toEqual(VALUES.map(({ time }) => time));
+        expect(preview.warnings).toEqual([]);
+        expect(getTimeSeriesPreview({ presentation: 'LIST' }, [VALUES[0]]).warnings).toEqual([TimeSeriesWarnings.SINGLE_STEP]);
+        expect(getTimeSeriesPreview({ presentation: 'LIST' }, []).warnings).toEqual([TimeSeriesWarnings.NO_DATA]);
+    });
+    it('getTimeSeriesPreview with discrete interval presentation', () => {
+        const monthly = getTimeSeriesPreview({ presentation: 'DISCRETE_INTERVAL', precision_value: 6, precision_step: 'months' }, VALUES);
+        expect(monthly.steps).toEqual([Date.UTC(2020, 0, 1), Date.UTC(2020, 6, 1), Date.UTC(2021, 0, 1)]);
+        expect(monthly.warnings).toEqual([]);
+        const daily = getTimeSeriesPreview({ presentation: 'DISCRETE_INTERVAL', precision_value: 1, precision_step: 'days' }, VALUES);
+        expect(daily.stepsCount).toBe(366);
+        expect(daily.warnings).toEqual([TimeSeriesWarnings.EMPTY_STEPS]);
+        const hourly = getTimeSeriesPreview({ presentation: 'DISCRETE_INTERVAL', precision_value: 1, precision_step: 'hours' }, VALUES);
+        expect(hourly.stepsCount).toBe(undefined);
+        expect(hourly.steps).toEqual([]);
+        const listValues = [...Array(MAX_TIME_STEPS + 5).keys()].map((idx) => ({ time: idx * 1000, count: 1 }));
+        const list = getTimeSeriesPreview({ presentation: 'LIST' }, listValues);
+        expect(list.stepsCount).toBe(MAX_TIME_STEPS + 5);
+        expect(list.steps.length).toBe(MAX_TIME_STEPS);
+        expect(list.warnings).toEqual([TimeSeriesWarnings.TOO_MANY_STEPS]);
+        expect(getTimeSeriesPreview({ presentation: 'LIST' }, listValues.slice(0, MAX_TIME_STEPS)).warnings).toEqual([]);
+        expect(hourly.warnings).toEqual([TimeSeriesWarnings.TOO_MANY_STEPS]);
+        expect(getTimeSeriesPreview({ presentation: 'DISCRETE_INTERVAL', precision_step: 'days' }, VALUES).warnings)
+            .toEqual([TimeSeriesWarnings.MISSING_PRECISION]);
+    });
+    it('getTimeSeriesPreview with end time', () => {
+        const preview = getTimeSeriesPreview({ presentation: 'CONTINUOUS_INTERVAL', precision_value: 1, precision_step: 'years' }, VALUES, Date.UTC(2022, 0, 1));
+        expect(preview.end).toBe(Date.UTC(2022, 0, 1));
+        expect(preview.steps).toEqual([]);
+        expect(preview.warnings).toEqual([]);
+    });
+});
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    getUploadPresetSteps,
+    applyUploadPresetMetadata,
+    getUploadPresetResult,
+    getStoredUploadPresets,
+    updateStoredUploadPresets,
+    UPLOAD_PRESETS_STORAGE_KEY
+} from '../UploadPresetsUtils';
+
+describe('Test Upload Presets Utils', () => {
+    it('getUploadPresetSteps', () => {
+        expect(getUploadPresetSteps()).toEqual([]);
+        expect(getUploadPresetSteps({ label: 'Empty', metadata: {}, permissions: {} })).toEqual([]);
+        expect(getUploadPresetSteps({
+            metadata: { category: { id: 'biota' } },
+            group: { pk: 2 },
+            permissions: { groups: [{ id: 2, permissions: 'view' }] }
+        })).toEqual(['metadata', 'group', 'permissions']);
+    });
+    it('applyUploadPresetMetadata', () => {
+        expect(applyUploadPresetMetadata({
+            title: 'Roads',
+            category: { id: '', label: '' },
+            license: { id: '2', label: 'Public' },
+            hkeywords: ['roads'],
+            regions: []
+        }, {
+            category: { id: 'transportation' },
+            license: { id: '1' },
+            hkeywords: ['roads', 'field'],
+            regions: [{ id: '100' }],
+            purpose: 'Survey'
+        })).toEqual({
+            title: 'Roads',
+            category: { id: 'transportation' },
+            license: { id: '2', label: 'Public' },
+            hkeywords: ['roads', 'field'],
+            regions: [{ id: '100' }],
+            purpose: 'Survey'
+        });
+    });
+    it('getUploadPresetResult', () => {
+        expect(getUploadPresetResult([])).toEqual({ status: 'failed', failedSteps: [] });
+        expect(getUploadPresetResult([{ metadata: true, permissions: true }])).toEqual({ status: 'finished', failedSteps: [] });
+        expect(getUploadPresetResult([
+            { metadata: true, group: false },
+            { metadata: false, group: true }
+        ])).toEqual({ status: 'failed', failedSteps: ['metadata', 'group'] });
+    });
+    describe('upload presets storage', () => {
+        afterEach(() => {
+            window.localStorage.removeItem(UPLOAD_PRESETS_STORAGE_KEY);
+        });
+        it('updateStoredUploadPresets and getStoredUploadPresets', () => {
+            expect(getStoredUploadPresets()).toEqual({});
+            updateStoredUploadPresets({
+                'exec-1': { presetId: 1, label: 'Preset', status: 'pending' },
+                'exec-2': { presetId: 1, label: 'Preset', status: 'running' },
+                'exec-3': { presetId: 1, label: 'Preset', status: 'finished' }
+            });
+            // interrupted presets are restored as pending
+            expect(getStoredUploadPresets()).toEqual({
+                'exec-1': { presetId: 1, label: 'Preset', status: 'pending' },
+                'exec-2': { presetId: 1, label: 'Preset', status: 'pending' }
+            });
+            // entries not included in the results are preserved
+            updateStoredUploadPresets({ 'exec-1': { presetId: 1, label: 'Preset', status: 'failed' } });
+            expect(Object.keys(getStoredUploadPresets())).toEqual(['exec-2']);
+            expect(getStoredUploadPresets(-1)).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    isUploadPreviewSupported,
+    toFeatureCollection,
+    csvToFeatureCollection,
+    getUploadPreviewSummary
+} from '../UploadPreviewUtils';
+
+describe('Test Upload Preview Utils', () => {
+    it('isUploadPreviewSupported', () => {
+        expect(isUploadPreviewSupported()).toBe(false);
+        expect(isUploadPreviewSupported({ type: 'remote', url: 'http://localhost/data.geojson' })).toBe(false);
+        expect(isUploadPreviewSupported({ type: 'file', supported: true, ext: ['geojson'], files: { geojson: {} } })).toBe(true);
+        expect(isUploadPreviewSupported({ type: 'file', supported: true, ext: ['shp', 'dbf'], files: { shp: {}, dbf: {} } })).toBe(true);
+        expect(isUploadPreviewSupported({ type: 'file', supported: true, ext: ['dbf'], files: { dbf: {} } })).toBe(false);
+        expect(isUploadPreviewSupported({ type: 'file', supported: true, ext: ['tif'], files: { tif: {} } })).toBe(false);
+        expect(isUploadPreviewSupported({ type: 'file', supported: false, ext: ['csv'], files: { csv: {} } })).toBe(false);
+    });
+    it('toFeatureCollection', () => {
+        const point = { type: 'Point', coordinates: [10, 43] };
+        expect(toFeatureCollection()).toEqual({ type: 'FeatureCollection', features: [] });
+        expect(toFeatureCollection(point)).toEqual({
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', properties: {}, geometry: point }]
+        });
+        expect(toFeatureCollection([
+            { type: 'FeatureCollection', features: [{ type: 'Feature', properties: { name: 'a' }, geometry: point }] },
+            { type: 'Feature', properties: null, geometry: point }
+        ]).features).toEqual([
+            { type: 'Feature', properties: { name: 'a' }, geometry: point },
+            { type: 'Feature', properties: {}, geometry: point }
+        ]);
+    });
+    it('csvToFeatureCollection', () => {
+        expect(csvToFeatureCollection('name;lat;lon\n"A; B";43.5;10.2\nC;;\n').features).toEqual([
+            { type: 'Feature', properties: { name: 'A; B', lat: '43.5', lon: '10.2' }, geometry: { type: 'Point', coordinates: [10.2, 43.5] } },
+            { type: 'Feature', properties: { name: 'C', lat: '', lon: '' }, geometry: null }
+        ]);
+        expect(csvToFeatureCollection('name,value\na,1').features).toEqual([
+            { type: 'Feature', properties: { name: 'a', value: '1' }, geometry: null }
+        ]);
+    });
+    it('getUploadPreviewSummary', () => {
+        expect(getUploadPreviewSummary({ type: 'FeatureCollection', features: [] })).toEqual({
+            featuresCount: 0,
+            geometryTypes: [],
+            attributes: [],
+            extent: null,
+            issues: [{ level: 'error', id: 'noFeatures' }]
+        });
+        const summary = getUploadPreviewSummary({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'a' }, geometry: { type: 'Point', coordinates: [10, 43] } },
+                { type: 'Feature', properties: { name: 'b', code: 1 }, geometry: { type: 'LineString', coordinates: [[9, 42], [11, 44]] } },
+                { type: 'Feature', properties: { name: 'c' }, geometry: null }
+            ]
+        });
+        expect(summary).toEqual({
+            featuresCount: 3,
+            geometryTypes: ['Point', 'LineString'],
+            attributes: ['name', 'code'],
+            extent: [9, 42, 11, 44],
+            issues: [{ level: 'warning', id: 'missingGeometries', params: { count: 1 } }]
+        });
+        const projected = getUploadPreviewSummary(toFeatureCollection({
+            type: 'GeometryCollection',
+            geometries: [{ type: 'Polygon', coordinates: [[[1113194, 5311971], [1224514, 5311971], [1224514, 5465442], [1113194, 5311971]]] }]
+        }));
+        expect(projected.extent).toBe(null);
+        expect(projected.issues).toEqual([{ level: 'error', id: 'outOfRangeCoordinates', params: { extent: '1113194, 5311971, 1224514, 5465442' } }]);
+        expect(getUploadPreviewSummary(csvToFeatureCollection('name,lat,lon\na,,')).issues)
+            .toEqual([{ level: 'error', id: 'noGeometries' }]);
+    });
+});
@@ -15,13 +15,23 @@ import {
     getSupportedTypeExt,
     parseFileResourceUploads,
     validateFileResourceUploads,
+    getArchiveUploadCandidates,
     validateRemoteResourceUploads,
     getUploadMainFile,
     getUploadFileName,
     getUploadProperty,
     getSize,
-    getExceedingFileSize
+    getExceedingFileSize,
+    CHUNKED_UPLOADS_STORAGE_KEY,
+    getUploadFingerprint,
+    getFileChunks,
+    getChunkedUpload,
+    setChunkedUpload,
+    removeChunkedUpload,
+    getChunkedUploadProgress,
+    readUploadArchive
 } from '../UploadUtils';
+import { PREFLIGHT_MAX_ZIP_SIZE } from '../UploadValidationUtils';
 
 const supportedFiles = [
     {
@@ -223,6 +233,40 @@ describe('Test Upload Utils', () => {
             }
         ]);
     });
+    it('getArchiveUploadCandidates', () => {
+        expect(getArchiveUploadCandidates()).toEqual([]);
+        const candidates = getArchiveUploadCandidates([
+            'data/',
+            'data/roads.shp',
+            'data/roads.dbf',
+            'data/roads.shx',
+            'data/roads.prj',
+            'data/roads.shp.xml',
+            'data/roads_style.sld',
+            'data/parcels.csv',
+            'data/parcels.sld',
+            'data/rivers.shp',
+            'data/rivers.dbf',
+            'data/readme.txt',
+            'other/roads.xml',
+            '__MACOSX/data/._roads.shp'
+        ], { supportedFiles });
+        expect(candidates.map(({ baseName, ext, ready }) => ({ baseName, ext, ready }))).toEqual([
+            { baseName: 'data/roads', ext: ['shp', 'prj', 'dbf', 'shx', 'xml', 'sld'], ready: true },
+            { baseName: 'data/parcels', ext: ['csv', 'sld'], ready: true },
+            { baseName: 'data/rivers', ext: ['shp', 'dbf'], ready: false },
+            { baseName: 'data/readme', ext: ['txt'], ready: undefined }
+        ]);
+        expect(candidates[0].files).toEqual({
+            shp: 'data/roads.shp',
+            prj: 'data/roads.prj',
+            dbf: 'data/roads.dbf',
+            shx: 'data/roads.shx',
+            xml: 'data/roads.shp.xml',
+            sld: 'data/roads_style.sld'
+        });
+        expect(candidates[2].missingExtensions).toEqual(['prj', 'shx']);
+    });
     it('validateRemoteResourceUploads', () => {
         expect(validateRemoteResourceUploads()).toEqual([]);
         expect(validateRemoteResourceUploads([
@@ -342,6 +386,18 @@ describe('Test Upload Utils', () => {
         expect(getSize({ csv: { size: 1000000 } }, true)).toBe('1 MB');
         expect(getSize({ csv: { size: 500000 } }, true)).toBe('489 KB');
     });
+    it('readUploadArchive rejects the archives bigger than the preflight limit', (done) => {
+        readUploadArchive({ size: PREFLIGHT_MAX_ZIP_SIZE + 1 })
+            .then(() => done(new Error('the archive should not be read')))
+            .catch((error) => {
+                try {
+                    expect(error.message).toBe('tooLarge');
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+    });
     it('getExceedingFileSize', () => {
         expect(getExceedingFileSize([
             { type: 'file', files: { csv: { size: 500000 } } },
@@ -352,4 +408,47 @@ describe('Test Upload Utils', () => {
             { type: 'file', files: { csv: { size: 700000 } } }
         ], 1)).toBe(false);
     });
+    it('getUploadFingerprint', () => {
+        expect(getUploadFingerprint()).toBe('');
+        expect(getUploadFingerprint({
+            files: {
+                shp: { name: 'file.shp', size: 100, lastModified: 1 },
+                dbf: { name: 'file.dbf', size: 50, lastModified: 2 }
+            }
+        })).toBe('dbf:file.dbf:50:2|shp:file.shp:100:1');
+    });
+    it('getFileChunks', () => {
+        expect(getFileChunks()).toEqual([{ index: 0, start: 0, end: 0 }]);
+        expect(getFileChunks({ size: 25 }, 10)).toEqual([
+            { index: 0, start: 0, end: 10 },
+            { index: 1, start: 10, end: 20 },
+            { index: 2, start: 20, end: 25 }
+        ]);
+        expect(getFileChunks({ size: 20 }, 10).length).toBe(2);
+    });
+    describe('chunked upload storage', () => {
+        const upload = { files: { csv: { name: 'file.csv', size: 25, lastModified: 1 } } };
+        afterEach(() => {
+            window.localStorage.removeItem(CHUNKED_UPLOADS_STORAGE_KEY);
+        });
+        it('setChunkedUpload, getChunkedUpload and removeChunkedUpload', () => {
+            expect(getChunkedUpload(upload)).toBe(null);
+            setChunkedUpload(upload, { id: 'upload-id', chunkSize: 10, files: { csv: 1 } });
+            const chunkedUpload = getChunkedUpload(upload, { chunkSize: 10 });
+            expect(chunkedUpload.id).toBe('upload-id');
+            expect(chunkedUpload.files).toEqual({ csv: 1 });
+            expect(chunkedUpload.updated).toExist();
+            // a different chunk size invalidates the stored state
+            expect(getChunkedUpload(upload, { chunkSize: 20 })).toBe(null);
+            expect(getChunkedUpload(upload, { chunkSize: 10, expiration: -1 })).toBe(null);
+            removeChunkedUpload(upload);
+            expect(getChunkedUpload(upload, { chunkSize: 10 })).toBe(null);
+        });
+        it('getChunkedUploadProgress', () => {
+            expect(getChunkedUploadProgress()).toEqual({ completed: 0, total: 0 });
+            expect(getChunkedUploadProgress(upload, null, 10)).toEqual({ completed: 0, total: 3 });
+            expect(getChunkedUploadProgress(upload, { files: { csv: 2 } }, 10)).toEqual({ completed: 2, total: 3 });
+            expect(getChunkedUploadProgress(upload, { files: { csv: 5 } }, 10)).toEqual({ completed: 3, total: 3 });
+        });
+    });
 });
@@ -0,0 +1,159 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import expect from 'expect';
+import {
+    parseDbfHeader,
+    isValidPrj,
+    getShapefileIssues,
+    parseGeoPackageLayers,
+    getGeoPackageIssues,
+    inspectGeoJSON,
+    inspectKML,
+    inspectCSV,
+    inspectZipEntries,
+    hasBlockingIssues
+} from '../UploadValidationUtils';
+
+const createDbfBuffer = (fields, recordsCount) => {
+    const headerLength = 32 + fields.length * 32 + 1;
+    const buffer = new ArrayBuffer(headerLength);
+    const view = new DataView(buffer);
+    view.setUint8(0, 3);
+    view.setUint32(4, recordsCount, true);
+    view.setUint16(8, headerLength, true);
+    fields.forEach(({ name, type, length }, idx) => {
+        const offset = 32 + idx * 32;
+        name.split('').forEach((char, charIdx) => view.setUint8(offset + charIdx, char.charCodeAt(0)));
+        view.setUint8(offset + 11, type.charCodeAt(0));
+        view.setUint8(offset + 16, length);
+    });
+    view.setUint8(headerLength - 1, 0x0D);
+    return buffer;
+};
+
+const createSQLiteBuffer = (sql, applicationId = 0x47504B47) => {
+    const text = `SQLite format 3\0${'\0'.repeat(84)}${sql}`;
+    const buffer = new ArrayBuffer(text.length);
+    const view = new DataView(buffer);
+    text.split('').forEach((char, idx) => view.setUint8(idx, char.charCodeAt(0)));
+    view.setUint32(68, applicationId, false);
+    return buffer;
+};
+
+const PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const getIds = (issues) => issues.map(({ id }) => id);
+
+describe('Test UploadValidationUtils', () => {
+    it('parseDbfHeader', () => {
+        expect(parseDbfHeader()).toBe(null);
+        expect(parseDbfHeader(new ArrayBuffer(10))).toBe(null);
+        expect(parseDbfHeader(createDbfBuffer([
+            { name: 'NAME', type: 'C', length: 50 },
+            { name: 'POP', type: 'N', length: 10 }
+        ], 12))).toEqual({
+            recordsCount: 12,
+            fields: [
+                { name: 'NAME', type: 'C', length: 50 },
+                { name: 'POP', type: 'N', length: 10 }
+            ]
+        });
+    });
+    it('isValidPrj', () => {
+        expect(isValidPrj()).toBe(false);
+        expect(isValidPrj('')).toBe(false);
+        expect(isValidPrj('unknown')).toBe(false);
+        expect(isValidPrj('GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984"')).toBe(false);
+        expect(isValidPrj(PRJ)).toBe(true);
+    });
+    it('getShapefileIssues', () => {
+        const dbfHeader = { recordsCount: 1, fields: [{ name: 'NAME' }] };
+        expect(getShapefileIssues({ prj: PRJ, dbfHeader })).toEqual([]);
+        expect(getIds(getShapefileIssues({ dbfHeader }))).toEqual(['missingPrj']);
+        expect(getIds(getShapefileIssues({ prj: 'invalid', dbfHeader: null }))).toEqual(['invalidPrj', 'invalidDbf']);
+        expect(getShapefileIssues({ prj: PRJ, dbfHeader: { recordsCount: 0, fields: [{ name: 'NAME' }, { name: 'name' }] } })).toEqual([
+            { level: 'warning', id: 'noFeatures' },
+            { level: 'warning', id: 'duplicatedAttributes', params: { names: 'name' } }
+        ]);
+    });
+    it('parseGeoPackageLayers', () => {
+        expect(parseGeoPackageLayers(new ArrayBuffer(200))).toEqual({ valid: false, layers: [] });
+        const buffer = createSQLiteBuffer([
+            'CREATE TABLE gpkg_contents (table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL)',
+            'CREATE TABLE "roads" ( "fid" INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, "geom" LINESTRING, "name" TEXT)',
+            'CREATE TABLE "buildings" ( "fid" INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, "geom" MULTIPOLYGON)',
+            'CREATE TABLE "attributes" ( "fid" INTEGER PRIMARY KEY, point TEXT)'
+        ].join('\0'));
+        expect(parseGeoPackageLayers(buffer)).toEqual({ valid: true, layers: ['roads', 'buildings'] });
+    });
+    it('getGeoPackageIssues', () => {
+        expect(getGeoPackageIssues({ valid: true, layers: ['roads'] })).toEqual([]);
+        expect(getIds(getGeoPackageIssues({ valid: false, layers: [] }))).toEqual(['invalidGeoPackage']);
+        expect(getIds(getGeoPackageIssues({ valid: true, layers: [] }))).toEqual(['noLayers']);
+        expect(getGeoPackageIssues({ valid: true, layers: ['roads', 'buildings'] })).toEqual([
+            { level: 'warning', id: 'multipleLayers', params: { count: 2, names: 'roads, buildings' } }
+        ]);
+    });
+    it('inspectGeoJSON', () => {
+        expect(getIds(inspectGeoJSON('{ "type": ').issues)).toEqual(['invalidJSON']);
+        expect(getIds(inspectGeoJSON('{ "type": "FeatureCollection", "features": [] }').issues)).toEqual(['noFeatures']);
+        const collection = {
+            type: 'FeatureCollection',
+            crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::3857' } },
+            features: [
+                { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+                { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [] } }
+            ]
+        };
+        const { issues, info } = inspectGeoJSON(JSON.stringify(collection));
+        expect(getIds(issues)).toEqual(['mixedGeometryTypes', 'customCrs']);
+        expect(info).toEqual({ geometryTypes: ['Point', 'Polygon'], crs: 'urn:ogc:def:crs:EPSG::3857', featuresCount: 2 });
+        // partial content is not validated as JSON
+        expect(inspectGeoJSON('{ "type": "FeatureCollection", "features": [{ "type": "Feature", "geometry": { "type": "Point"', false).issues).toEqual([]);
+    });
+    it('inspectKML', () => {
+        expect(getIds(inspectKML('<xml></xml>').issues)).toEqual(['invalidKML']);
+        expect(getIds(inspectKML('<kml><Document></Document></kml>').issues)).toEqual(['noFeatures']);
+        expect(inspectKML('<kml><Document><Placemark><Point><coordinates>0,0</coordinates></Point></Placemark></Document></kml>'))
+            .toEqual({ issues: [], info: { geometryTypes: ['Point'], featuresCount: 1 } });
+    });
+    it('inspectCSV', () => {
+        expect(inspectCSV('name;lat;lon\nA;43.5;10.2')).toEqual({
+            issues: [],
+            info: { delimiter: ';', columns: ['name', 'lat', 'lon'], latitude: 'lat', longitude: 'lon', wkt: undefined }
+        });
+        expect(inspectCSV('id,shape\n1,"POINT (10 43)"').info.wkt).toBe('shape');
+        expect(getIds(inspectCSV('id,name\n1,A').issues)).toEqual(['missingCoordinates']);
+        expect(getIds(inspectCSV('id,latitude,longitude\n1,north,east').issues)).toEqual(['invalidCoordinates']);
+    });
+    it('inspectZipEntries', () => {
+        const supportedFiles = [
+            { id: 'shp', required_ext: ['shp', 'dbf', 'shx'] },
+            { id: 'zip', required_ext: ['zip'] },
+            { id: 'gpkg', required_ext: ['gpkg'] }
+        ];
+        expect(getIds(inspectZipEntries(['folder/'], supportedFiles).issues)).toEqual(['emptyArchive']);
+        expect(getIds(inspectZipEntries(['readme.txt'], supportedFiles).issues)).toEqual(['noSupportedFiles']);
+        expect(inspectZipEntries(['data/roads.shp', 'data/roads.dbf', 'data/roads.shx', '__MACOSX/._roads.shp'], supportedFiles)).toEqual({
+            issues: [],
+            info: {
+                entries: ['data/roads.shp', 'data/roads.dbf', 'data/roads.shx'],
+                shapefiles: ['data/roads'],
+                datasets: ['data/roads.shp']
+            }
+        });
+        expect(getIds(inspectZipEntries(['roads.shp', 'roads.dbf', 'parcels.gpkg'], supportedFiles).issues))
+            .toEqual(['incompleteShapefiles', 'multipleDatasets']);
+    });
+    it('hasBlockingIssues', () => {
+        expect(hasBlockingIssues()).toBe(false);
+        expect(hasBlockingIssues({ issues: [{ level: 'warning', id: 'noFeatures' }] })).toBe(false);
+        expect(hasBlockingIssues({ issues: [{ level: 'error', id: 'missingPrj' }] })).toBe(true);
+    });
+});
@@ -13,6 +13,7 @@ from django.conf import settings
 
 from geonode.upload.utils import get_max_upload_size, get_max_upload_parallelism_limit
 from geonode.utils import get_supported_datasets_file_types
+from geonode_mapstore_client.filters import get_metadata_completeness_rules
 
 
 def resource_urls(request):
@@ -38,6 +39,7 @@ def resource_urls(request):
         "DATASET_MAX_UPLOAD_SIZE": get_max_upload_size("dataset_upload_size"),
         "DOCUMENT_MAX_UPLOAD_SIZE": get_max_upload_size("document_upload_size"),
         "DEFAULT_LAYER_FORMAT": getattr(settings, "DEFAULT_LAYER_FORMAT", "image/png"),
+        "DATASET_LAYER_TYPES": getattr(settings, "MAPSTORE_DATASET_LAYER_TYPES", ["wms"]),
         "DEFAULT_THUMBNAIL_SIZE": getattr(
             settings, "THUMBNAIL_SIZE", {"width": 500, "height": 200}
         ),
@@ -66,5 +68,8 @@ def resource_urls(request):
         .get("OPTIONS", dict())
         .get("MOSAIC_ENABLED", False),
         "SUPPORTED_DATASET_FILE_TYPES": get_supported_datasets_file_types(),
+        "PERMISSIONS_TEMPLATES": getattr(settings, "MAPSTORE_PERMISSIONS_TEMPLATES", []),
+        "EMBED_ALLOWED_ORIGINS": getattr(settings, "MAPSTORE_EMBED_ALLOWED_ORIGINS", []),
+        "METADATA_COMPLETENESS_RULES": get_metadata_completeness_rules(),
     }
     return defaults
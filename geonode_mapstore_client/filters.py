@@ -0,0 +1,129 @@
+# -*- coding: utf-8 -*-
+#########################################################################
+#
+# Copyright 2026, GeoSolutions Sas.
+# All rights reserved.
+#
+# This source code is licensed under the BSD-style license found in the
+# LICENSE file in the root directory of this source tree.
+#
+#########################################################################
+import logging
+
+from django.conf import settings
+from django.core.exceptions import FieldDoesNotExist
+from django.db.models import Case, Count, FloatField, IntegerField, Q, Value, When
+from django.db.models.functions import Length
+from rest_framework.filters import BaseFilterBackend
+
+logger = logging.getLogger(__name__)
+
+COMPLETENESS_SCORE_FIELD = "metadata_completeness"
+COMPLETENESS_SORT_PARAM = "completeness_sort"
+COMPLETENESS_MAX_PARAM = "completeness_max"
+
+# same rules of DEFAULT_COMPLETENESS_RULES in client/js/utils/MetadataCompletenessUtils.js
+DEFAULT_COMPLETENESS_RULES = [
+    {"id": "title", "labelId": "gnviewer.completeness.rules.title", "weight": 1, "type": "minLength", "value": 10, "field": "title", "resourcePath": "title"},
+    {"id": "abstract", "labelId": "gnviewer.completeness.rules.abstract", "weight": 3, "type": "minLength", "value": 100, "field": "abstract", "resourcePath": "raw_abstract"},
+    {"id": "keywords", "labelId": "gnviewer.completeness.rules.keywords", "weight": 2, "type": "minItems", "value": 3, "field": ["hkeywords", "keywords"], "resourcePath": "keywords"},
+    {"id": "category", "labelId": "gnviewer.completeness.rules.category", "weight": 1, "type": "exists", "field": "category", "resourcePath": "category"},
+    {"id": "license", "labelId": "gnviewer.completeness.rules.license", "weight": 1, "type": "exists", "field": "license", "resourcePath": "license"},
+    {
+        "id": "temporalExtent",
+        "labelId": "gnviewer.completeness.rules.temporalExtent",
+        "weight": 1,
+        "type": "exists",
+        "field": ["temporal_extent_start", "temporal_extent_end"],
+        "resourcePath": ["temporal_extent_start", "temporal_extent_end"],
+    },
+]
+
+# fields of the api that are not model fields
+RESOURCE_PATH_MODEL_FIELDS = {"raw_abstract": "abstract"}
+
+
+def get_metadata_completeness_rules():
+    return getattr(settings, "MAPSTORE_METADATA_COMPLETENESS_RULES", None) or DEFAULT_COMPLETENESS_RULES
+
+
+def _as_list(value):
+    if value is None:
+        return []
+    return value if isinstance(value, (list, tuple)) else [value]
+
+
+def _get_path_condition(model, path, rule, annotations):
+    """return the condition of a single path of a rule, the aggregations are added to annotations"""
+    field_name = RESOURCE_PATH_MODEL_FIELDS.get(path, path)
+    field = model._meta.get_field(field_name)
+    rule_type = rule.get("type")
+    rule_value = rule.get("value", 0)
+    if field.many_to_many or field.one_to_many:
+        count_name = f"_completeness_count_{field_name}"
+        annotations[count_name] = Count(field_name, distinct=True)
+        return Q(**{f"{count_name}__gte": rule_value if rule_type == "minItems" else 1})
+    if rule_type == "minLength":
+        # the length includes the html tags of rich text fields such as the abstract
+        length_name = f"_completeness_length_{field_name}"
+        annotations[length_name] = Length(field_name)
+        return Q(**{f"{length_name}__gte": rule_value})
+    condition = Q(**{f"{field_name}__isnull": False})
+    if field.get_internal_type() in ["CharField", "TextField"]:
+        condition &= ~Q(**{field_name: ""})
+    return condition
+
+
+def annotate_metadata_completeness(queryset, rules=None):
+    """
+    Annotate the queryset with the metadata completeness score (0 - 100)
+    computed with the `resourcePath` of the rules, as the client does for the catalog resources
+    """
+    annotations = {}
+    weights = []
+    for rule in rules or get_metadata_completeness_rules():
+        conditions = []
+        for path in _as_list(rule.get("resourcePath")):
+            try:
+                conditions.append(_get_path_condition(queryset.model, path, rule, annotations))
+            except FieldDoesNotExist:
+                logger.warning(f"Metadata completeness rule {rule.get('id')}: {path} is not a field of the resource")
+        if conditions:
+            condition = conditions[0]
+            for other in conditions[1:]:
+                condition |= other
+            weights.append((condition, rule.get("weight", 1)))
+    total = sum(weight for _, weight in weights)
+    if not total:
+        return queryset.annotate(**{COMPLETENESS_SCORE_FIELD: Value(100.0, output_field=FloatField())})
+    satisfied = sum(
+        (Case(When(condition, then=Value(weight)), default=Value(0), output_field=IntegerField()) for condition, weight in weights),
+        Value(0),
+    )
+    return queryset.annotate(**annotations).annotate(
+        **{COMPLETENESS_SCORE_FIELD: satisfied * Value(100.0, output_field=FloatField()) / Value(total, output_field=FloatField())}
+    )
+
+
+class MetadataCompletenessFilter(BaseFilterBackend):
+    """
+    Sort the resources by the metadata completeness score with the `completeness_sort` parameter (`asc` or `desc`)
+    and filter the resources with a score lower or equal to the `completeness_max` parameter
+    """
+
+    def filter_queryset(self, request, queryset, view):
+        sort = request.query_params.get(COMPLETENESS_SORT_PARAM)
+        max_score = request.query_params.get(COMPLETENESS_MAX_PARAM)
+        if sort not in ["asc", "desc"] and max_score in [None, ""]:
+            return queryset
+        queryset = annotate_metadata_completeness(queryset)
+        if max_score not in [None, ""]:
+            try:
+                queryset = queryset.filter(**{f"{COMPLETENESS_SCORE_FIELD}__lte": float(max_score)})
+            except ValueError:
+                logger.warning(f"Invalid {COMPLETENESS_MAX_PARAM} parameter: {max_score}")
+        if sort == "asc":
+            queryset = queryset.order_by(COMPLETENESS_SCORE_FIELD, "pk")
+        elif sort == "desc":
+            queryset = queryset.order_by(f"-{COMPLETENESS_SCORE_FIELD}", "-pk")
+        return queryset
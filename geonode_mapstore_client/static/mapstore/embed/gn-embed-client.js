@@ -0,0 +1,204 @@
+/*
+ * Copyright 2026, GeoSolutions Sas.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Standalone client to communicate with the GeoNode viewers (map, dashboard and geostory) embedded with an iframe.
+ * The origin of the page using the client must be listed in the MAPSTORE_EMBED_ALLOWED_ORIGINS setting of GeoNode.
+ *
+ * @example
+ * <iframe id="geonode-map" src="https://geonode.example.com/maps/1/embed"></iframe>
+ * <script src="https://geonode.example.com/static/mapstore/embed/gn-embed-client.js"></script>
+ * <script>
+ *     var client = new GeoNodeEmbedClient(document.getElementById('geonode-map'));
+ *     client.on('mapMoved', function(payload) { console.log(payload.center, payload.zoom); });
+ *     client.on('featureClicked', function(payload) { console.log(payload.features); });
+ *     client.ready().then(function() {
+ *         return client.zoomToExtent([-10, -10, 10, 10]);
+ *     });
+ * </script>
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GeoNodeEmbedClient = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    var PROTOCOL = 'geonode-embed';
+    var VERSION = 1;
+
+    function getOrigin(url) {
+        var anchor = document.createElement('a');
+        anchor.href = url;
+        return anchor.protocol + '//' + anchor.host;
+    }
+
+    /**
+     * @param {HTMLIFrameElement} iframe iframe of the embedded viewer
+     * @param {object} options
+     * @param {number} options.timeout milliseconds to wait for a command response, default 10000
+     */
+    function GeoNodeEmbedClient(iframe, options) {
+        var client = this;
+        client.iframe = iframe;
+        client.origin = getOrigin(iframe.src);
+        client.timeout = (options && options.timeout) || 10000;
+        client.listeners = {};
+        client.pending = {};
+        client.count = 0;
+        client.readyPromise = new Promise(function(resolve) {
+            client.resolveReady = resolve;
+        });
+        client.handleMessage = function(event) {
+            var message = event.data;
+            var request;
+            if (event.source !== client.iframe.contentWindow
+            || event.origin !== client.origin
+            || !message || message.protocol !== PROTOCOL) {
+                return;
+            }
+            if (message.type === 'response' && client.pending[message.id]) {
+                request = client.pending[message.id];
+                delete client.pending[message.id];
+                clearTimeout(request.timeout);
+                if (message.success) {
+                    request.resolve(message);
+                } else {
+                    request.reject(new Error(message.error));
+                }
+                return;
+            }
+            if (message.type === 'event') {
+                if (message.event === 'ready') {
+                    client.resolveReady(message.payload);
+                }
+                (client.listeners[message.event] || []).forEach(function(listener) {
+                    listener(message.payload);
+                });
+            }
+        };
+        client.handleLoad = function() {
+            client.connect();
+        };
+        window.addEventListener('message', client.handleMessage);
+        iframe.addEventListener('load', client.handleLoad);
+        client.connect();
+    }
+
+    GeoNodeEmbedClient.prototype = {
+        /**
+         * Send the handshake message, the viewer replies with the `ready` event
+         */
+        connect: function() {
+            if (this.iframe.contentWindow) {
+                this.iframe.contentWindow.postMessage({ protocol: PROTOCOL, version: VERSION, type: 'connect' }, this.origin);
+            }
+        },
+        /**
+         * @return {Promise} resolved with the supported commands and events when the viewer is ready
+         */
+        ready: function() {
+            return this.readyPromise;
+        },
+        /**
+         * Send a command to the viewer
+         * @param {string} command name of the command
+         * @param {object} payload parameters of the command
+         * @return {Promise} resolved when the command has been applied
+         */
+        send: function(command, payload) {
+            var client = this;
+            var id;
+            client.count += 1;
+            id = 'gn-embed-' + client.count;
+            return new Promise(function(resolve, reject) {
+                client.pending[id] = {
+                    resolve: resolve,
+                    reject: reject,
+                    timeout: setTimeout(function() {
+                        delete client.pending[id];
+                        reject(new Error('timeout'));
+                    }, client.timeout)
+                };
+                client.iframe.contentWindow.postMessage({
+                    protocol: PROTOCOL,
+                    version: VERSION,
+                    type: 'command',
+                    id: id,
+                    command: command,
+                    payload: payload
+                }, client.origin);
+            });
+        },
+        /**
+         * Listen to an event of the viewer: `ready`, `mapMoved`, `featureClicked` or `sectionChanged`
+         */
+        on: function(event, listener) {
+            this.listeners[event] = (this.listeners[event] || []).concat(listener);
+            return this;
+        },
+        off: function(event, listener) {
+            this.listeners[event] = (this.listeners[event] || []).filter(function(entry) {
+                return entry !== listener;
+            });
+            return this;
+        },
+        /**
+         * @param {number[]} extent `[minx, miny, maxx, maxy]`
+         * @param {string} crs projection of the extent, default `EPSG:4326`
+         */
+        zoomToExtent: function(extent, crs) {
+            return this.send('zoomToExtent', { extent: extent, crs: crs });
+        },
+        /**
+         * @param {string} layerId identifier of the layer
+         * @param {boolean} visible new visibility, the current one is toggled if undefined
+         */
+        toggleLayer: function(layerId, visible) {
+            return this.send('toggleLayer', { layerId: layerId, visible: visible });
+        },
+        /**
+         * @param {string} time ISO 8601 date
+         */
+        setTime: function(time) {
+            return this.send('setTime', { time: time });
+        },
+        /**
+         * @param {object} feature GeoJSON feature in EPSG:4326, null to remove the highlight
+         * @param {boolean} zoom zoom to the feature
+         */
+        highlightFeature: function(feature, zoom) {
+            return this.send('highlightFeature', { feature: feature, zoom: zoom });
+        },
+        /**
+         * @param {string} sectionId identifier of the geostory section
+         */
+        goToSection: function(sectionId) {
+            return this.send('goToSection', { sectionId: sectionId });
+        },
+        /**
+         * Remove all the listeners of the client
+         */
+        destroy: function() {
+            var client = this;
+            window.removeEventListener('message', client.handleMessage);
+            client.iframe.removeEventListener('load', client.handleLoad);
+            Object.keys(client.pending).forEach(function(id) {
+                clearTimeout(client.pending[id].timeout);
+            });
+            client.pending = {};
+            client.listeners = {};
+        }
+    };
+
+    GeoNodeEmbedClient.PROTOCOL = PROTOCOL;
+    GeoNodeEmbedClient.VERSION = VERSION;
+
+    return GeoNodeEmbedClient;
+});